@@ -0,0 +1,97 @@
+// Digest delivery for the standalone mock server: plain SMTP over node:net
+// (or node:tls when `secure`) and webhooks with fetch. No dependencies, so
+// it covers what the digests need and no more: one plain-text message to
+// one recipient, with optional AUTH PLAIN. STARTTLS is not supported; use
+// `secure` for servers that expect TLS from the start (usually port 465).
+import net from 'node:net';
+import tls from 'node:tls';
+import { hostname } from 'node:os';
+
+const TIMEOUT_MS = 10000;
+
+const base64 = (text) => Buffer.from(text, 'utf8').toString('base64');
+
+// RFC 2047 encoding for headers that aren't plain ASCII
+const encodeHeader = (text) => (/^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${base64(text)}?=`);
+
+const formatMessage = ({ from, to, subject, text }) => {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  // Lines starting with a dot are doubled so they can't end the message early
+  const body = text.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line));
+  return [...headers, '', ...body].join('\r\n');
+};
+
+// smtp: { host, port, secure, username, password }
+// message: { from, to, subject, text }
+export const sendMail = (smtp, message) => new Promise((resolve, reject) => {
+  // Each step sends a command (none for the greeting) and expects one of
+  // the reply codes
+  const steps = [
+    [null, [220]],
+    [`EHLO ${hostname() || 'localhost'}`, [250]],
+    ...(smtp.username ? [[`AUTH PLAIN ${base64(`\0${smtp.username}\0${smtp.password}`)}`, [235]]] : []),
+    [`MAIL FROM:<${message.from}>`, [250]],
+    [`RCPT TO:<${message.to}>`, [250, 251]],
+    ['DATA', [354]],
+    [`${formatMessage(message)}\r\n.`, [250]],
+    ['QUIT', [221]]
+  ];
+  const options = { host: smtp.host, port: smtp.port };
+  const socket = smtp.secure ? tls.connect({ ...options, servername: smtp.host }) : net.connect(options);
+  let step = 0;
+  let buffer = '';
+  let settled = false;
+
+  const finish = (err) => {
+    if (settled) return;
+    settled = true;
+    socket.destroy();
+    if (err) reject(err);
+    else resolve();
+  };
+
+  const handleReply = (line) => {
+    const code = Number(line.slice(0, 3));
+    if (!steps[step][1].includes(code)) {
+      finish(new Error(`SMTP server replied "${line}"`));
+      return;
+    }
+    step += 1;
+    if (step === steps.length) finish();
+    else socket.write(`${steps[step][0]}\r\n`);
+  };
+
+  socket.setEncoding('utf8');
+  socket.setTimeout(TIMEOUT_MS, () => finish(new Error('SMTP server timed out')));
+  socket.on('error', err => finish(new Error(`Could not reach the SMTP server: ${err.message}`)));
+  socket.on('close', () => finish(new Error('SMTP server closed the connection')));
+  socket.on('data', chunk => {
+    buffer += chunk;
+    const lines = buffer.split('\r\n');
+    buffer = lines.pop();
+    // Multi-line replies use "250-" until the last line, "250 "
+    lines.filter(line => /^\d{3}( |$)/.test(line)).forEach(line => {
+      if (!settled) handleReply(line);
+    });
+  });
+});
+
+export const postWebhook = async (url, payload) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  if (!response.ok) throw new Error(`Webhook answered ${response.status} ${response.statusText}`.trim());
+};
+
+export const nodeTransport = { sendMail, postWebhook };
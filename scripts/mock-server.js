@@ -0,0 +1,79 @@
+// Standalone mock of the inventory API for offline development and tests.
+//
+//   npm run mock                       # http://localhost:5050/api
+//   MOCK_PORT=6000 npm run mock
+//
+// Point the app at it with VITE_API_BASE_URL=http://localhost:5050/api.
+// Daily stock alert digests are sent from here by email and webhook; run
+// `npm run notify-sink` for somewhere local to send them.
+import { createServer } from 'node:http';
+import { createMockBackend } from '../src/mock/backend.js';
+import { nodeTransport } from './digest-transport.js';
+
+const PORT = Number(process.env.MOCK_PORT) || 5050;
+const PREFIX = '/api';
+const DIGEST_CHECK_MS = 60 * 1000;
+
+const backend = createMockBackend({ transport: nodeTransport });
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : undefined);
+    } catch {
+      reject(new Error('Request body is not valid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization'
+  });
+  res.end(body === undefined || status === 204 ? undefined : JSON.stringify(body));
+};
+
+const server = createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (!url.pathname.startsWith(PREFIX)) return send(res, 404, { message: 'Not found' });
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (err) {
+    return send(res, 400, { message: err.message });
+  }
+
+  const result = await backend.handle({
+    method: req.method,
+    path: url.pathname.slice(PREFIX.length) || '/',
+    query: Object.fromEntries(url.searchParams),
+    body,
+    headers: req.headers
+  });
+  console.log(`${req.method} ${url.pathname} -> ${result.status}`);
+  send(res, result.status, result.body);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock inventory API listening on http://localhost:${PORT}${PREFIX}`);
+});
+
+setInterval(async () => {
+  try {
+    const deliveries = await backend.runDueDigests();
+    deliveries.forEach(d => {
+      console.log(`digest ${d.channel} to ${d.target} -> ${d.status}${d.error ? ` (${d.error})` : ''}`);
+    });
+  } catch (err) {
+    console.error('Error sending digests:', err);
+  }
+}, DIGEST_CHECK_MS);
@@ -0,0 +1,108 @@
+// Local stand-in for the mail server and webhook endpoints digests go to.
+// Accepts any email over SMTP and any POST over HTTP, prints what arrived
+// and keeps it in memory.
+//
+//   npm run notify-sink                # SMTP on localhost:2525, HTTP on 5052
+//   SINK_SMTP_PORT=2626 SINK_HTTP_PORT=6052 npm run notify-sink
+//
+// Point the digest settings at SMTP host localhost, port 2525 and set a
+// digest webhook to http://localhost:5052/hooks/<anything>.
+// GET http://localhost:5052/ lists everything received as JSON.
+import { createServer as createTcpServer } from 'node:net';
+import { createServer as createHttpServer } from 'node:http';
+
+const SMTP_PORT = Number(process.env.SINK_SMTP_PORT) || 2525;
+const HTTP_PORT = Number(process.env.SINK_HTTP_PORT) || 5052;
+
+const received = { mail: [], webhooks: [] };
+
+const smtpServer = createTcpServer(socket => {
+  const reply = (line) => socket.write(`${line}\r\n`);
+  const envelope = { from: null, to: [] };
+  let data = null;
+  let buffer = '';
+
+  socket.setEncoding('utf8');
+  socket.on('error', () => {});
+  reply('220 notify-sink ready');
+
+  socket.on('data', chunk => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (data !== null) {
+        if (line !== '.') {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+          continue;
+        }
+        const message = { ...envelope, to: [...envelope.to], raw: data.join('\n'), received_at: new Date().toISOString() };
+        received.mail.push(message);
+        console.log(`\n--- mail from ${message.from} to ${message.to.join(', ')} ---\n${message.raw}\n---`);
+        data = null;
+        envelope.from = null;
+        envelope.to = [];
+        reply('250 Queued');
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO') {
+        reply('250-notify-sink');
+        reply('250 AUTH PLAIN LOGIN');
+      } else if (command === 'HELO') reply('250 notify-sink');
+      else if (command === 'AUTH') reply('235 Accepted');
+      else if (command === 'MAIL') {
+        envelope.from = line.replace(/^MAIL FROM:\s*/i, '').replace(/[<>]/g, '');
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]/g, ''));
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET' || command === 'NOOP') reply('250 OK');
+      else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else reply('502 Command not implemented');
+    }
+  });
+});
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+const httpServer = createHttpServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    return res.end();
+  }
+  if (req.method === 'GET') {
+    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify(received, null, 2));
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let body = raw;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      // Keep non-JSON bodies as text
+    }
+    received.webhooks.push({ path: req.url, body, received_at: new Date().toISOString() });
+    console.log(`\n--- ${req.method} ${req.url} ---\n${typeof body === 'string' ? body : JSON.stringify(body, null, 2)}\n---`);
+    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true }));
+  });
+});
+
+smtpServer.listen(SMTP_PORT, () => console.log(`SMTP sink listening on localhost:${SMTP_PORT}`));
+httpServer.listen(HTTP_PORT, () => console.log(`Webhook sink listening on http://localhost:${HTTP_PORT}`));
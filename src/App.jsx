@@ -1,22 +1,136 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Link, Navigate } from 'react-router-dom';
 import ProductManagement from './pages/Products';
+import Dashboard from './pages/Dashboard';
+import Login from './pages/Login';
+import Suppliers from './pages/Suppliers';
+import SupplierDetail from './pages/SupplierDetail';
+import Categories from './pages/Categories';
+import PurchaseOrders from './pages/PurchaseOrders';
+import PurchaseOrderDetail from './pages/PurchaseOrderDetail';
+import StockTakes from './pages/StockTakes';
+import PointOfSale from './pages/PointOfSale';
+import Sales from './pages/Sales';
+import StockTakeDetail from './pages/StockTakeDetail';
+import Locations from './pages/Locations';
+import Transfers from './pages/Transfers';
+import MarginReport from './pages/MarginReport';
+import PriceChanges from './pages/PriceChanges';
+import StockSettings from './pages/StockSettings';
+import AlertSettings from './pages/AlertSettings';
+import AuthProvider from './auth/AuthProvider';
+import { useAuth } from './auth/context';
+import { ROLES } from './auth/permissions';
+import ToastProvider from './toast/ToastProvider';
+import OfflineProvider from './offline/OfflineProvider';
+import StockRulesProvider from './stockRules/StockRulesProvider';
+import LocationsProvider from './locations/LocationsProvider';
+import SyncStatus from './components/SyncStatus';
+import NotificationCentre from './components/NotificationCentre';
+import ProtectedRoute from './components/ProtectedRoute';
+
+const NavBar = () => {
+  const { user, logout } = useAuth();
+  if (!user) return null;
+
+  return (
+    <nav style={{ padding: '1rem', backgroundColor: '#f8f8f8', display: 'flex', gap: '1.5rem', alignItems: 'center' }}>
+      <Link to="/dashboard" style={{ textDecoration: 'none', color: '#333' }}>
+        Dashboard
+      </Link>
+      <Link to="/products" style={{ textDecoration: 'none', color: '#333' }}>
+        Go to Product Management
+      </Link>
+      <Link to="/suppliers" style={{ textDecoration: 'none', color: '#333' }}>
+        Suppliers
+      </Link>
+      <Link to="/categories" style={{ textDecoration: 'none', color: '#333' }}>
+        Categories
+      </Link>
+      <Link to="/sales/new" style={{ textDecoration: 'none', color: '#333' }}>
+        Sell
+      </Link>
+      <Link to="/sales" style={{ textDecoration: 'none', color: '#333' }}>
+        Sales
+      </Link>
+      <Link to="/purchase-orders" style={{ textDecoration: 'none', color: '#333' }}>
+        Purchase Orders
+      </Link>
+      <Link to="/locations" style={{ textDecoration: 'none', color: '#333' }}>
+        Locations
+      </Link>
+      <Link to="/transfers" style={{ textDecoration: 'none', color: '#333' }}>
+        Transfers
+      </Link>
+      <Link to="/stock-takes" style={{ textDecoration: 'none', color: '#333' }}>
+        Stock-takes
+      </Link>
+      <Link to="/reports/margins" style={{ textDecoration: 'none', color: '#333' }}>
+        Margins
+      </Link>
+      <Link to="/reports/price-changes" style={{ textDecoration: 'none', color: '#333' }}>
+        Price Changes
+      </Link>
+      <Link to="/settings/stock" style={{ textDecoration: 'none', color: '#333' }}>
+        Settings
+      </Link>
+      <span style={{ marginLeft: 'auto' }}>
+        <SyncStatus />
+      </span>
+      <NotificationCentre />
+      <span style={{ color: '#555' }}>
+        {user.name} ({ROLES[user.role] || user.role})
+      </span>
+      <button onClick={logout} style={{ color: '#2563eb' }}>
+        Sign out
+      </button>
+    </nav>
+  );
+};
 
 const App = () => {
   return (
-    <Router>
-      <div>
-        <nav style={{ padding: '1rem', backgroundColor: '#f8f8f8' }}>
-          <Link to="/products" style={{ textDecoration: 'none', color: '#333' }}>
-            Go to Product Management
-          </Link>
-        </nav>
+    <AuthProvider>
+      <OfflineProvider>
+        <ToastProvider>
+          <StockRulesProvider>
+            <LocationsProvider>
+              <Router>
+                <div>
+                  <NavBar />
 
-        <Routes>
-          <Route path="/products" element={<ProductManagement />} />
-        </Routes>
-      </div>
-    </Router>
+                  <Routes>
+                    <Route path="/login" element={<Login />} />
+                    <Route element={<ProtectedRoute />}>
+                      <Route path="/" element={<Navigate to="/dashboard" replace />} />
+                      <Route path="/dashboard" element={<Dashboard />} />
+                      <Route path="/products" element={<ProductManagement />} />
+                      <Route path="/suppliers" element={<Suppliers />} />
+                      <Route path="/suppliers/:supplierId" element={<SupplierDetail />} />
+                      <Route path="/categories" element={<Categories />} />
+                      <Route path="/purchase-orders" element={<PurchaseOrders />} />
+                      <Route path="/purchase-orders/:orderId" element={<PurchaseOrderDetail />} />
+                      <Route path="/sales" element={<Sales />} />
+                      <Route element={<ProtectedRoute permission="sales.record" />}>
+                        <Route path="/sales/new" element={<PointOfSale />} />
+                      </Route>
+                      <Route path="/locations" element={<Locations />} />
+                      <Route path="/transfers" element={<Transfers />} />
+                      <Route path="/stock-takes" element={<StockTakes />} />
+                      <Route path="/stock-takes/:stockTakeId" element={<StockTakeDetail />} />
+                      <Route path="/reports/margins" element={<MarginReport />} />
+                      <Route path="/reports/price-changes" element={<PriceChanges />} />
+                      <Route path="/settings/stock" element={<StockSettings />} />
+                      <Route path="/settings/alerts" element={<AlertSettings />} />
+                    </Route>
+                  </Routes>
+                </div>
+              </Router>
+            </LocationsProvider>
+          </StockRulesProvider>
+        </ToastProvider>
+      </OfflineProvider>
+    </AuthProvider>
   );
 };
 
@@ -0,0 +1,11 @@
+import { request } from './client';
+
+const unwrap = (json) => json?.data;
+
+// Resolves to { token, user }
+export const login = async (username, password) =>
+  unwrap(await request('/auth/login', { method: 'POST', body: { username, password } }));
+
+export const fetchCurrentUser = async () => unwrap(await request('/auth/me', { retries: 0 }));
+
+export const logout = () => request('/auth/logout', { method: 'POST' });
@@ -0,0 +1,23 @@
+import { request } from './client';
+import { cachedRead } from '../offline/cache';
+
+const unwrap = (json) => json?.data;
+
+// Falls back to the last saved list when offline
+export const listCategories = () => cachedRead('categories', async () => unwrap(await request('/categories/')));
+
+export const createCategory = async (category) =>
+  unwrap(await request('/categories/', { method: 'POST', body: category }));
+
+export const updateCategory = async (categoryId, fields) =>
+  unwrap(await request(`/categories/${categoryId}`, { method: 'PUT', body: fields }));
+
+export const deleteCategory = (categoryId) =>
+  request(`/categories/${categoryId}`, { method: 'DELETE' });
+
+// Move products into a category; resolves to the updated products
+export const recategoriseProducts = async (productIds, categoryId) =>
+  unwrap(await request('/categories/recategorise', {
+    method: 'POST',
+    body: { product_ids: productIds, category_id: categoryId }
+  }));
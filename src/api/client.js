@@ -0,0 +1,186 @@
+// Shared HTTP client for the inventory backend.
+//
+// The base URL comes from Vite env config so the same build can talk to the
+// Render deployment, a staging server or a local mock backend:
+//
+//   VITE_API_BASE_URL=http://localhost:5000/api
+//   VITE_API_TIMEOUT_MS=20000
+//   VITE_API_RETRIES=2
+
+const DEFAULT_BASE_URL = 'https://inventorymanager-uigs.onrender.com/api';
+
+export const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+const DEFAULT_TIMEOUT_MS = Number(import.meta.env.VITE_API_TIMEOUT_MS) || 20000;
+// VITE_API_RETRIES must be a whole number, 0 or more; anything else means 2
+const parseRetries = (value) => {
+  const retries = Number(value);
+  return String(value ?? '').trim() !== '' && Number.isInteger(retries) && retries >= 0 ? retries : 2;
+};
+const DEFAULT_RETRIES = parseRetries(import.meta.env.VITE_API_RETRIES);
+const RETRY_BASE_DELAY_MS = 500;
+
+// Session token sent as a Bearer header on every request. The AuthProvider
+// owns it; the client only holds it.
+let authToken = null;
+let unauthorizedHandler = null;
+let reachabilityHandler = null;
+
+export const setAuthToken = (token) => {
+  authToken = token;
+};
+
+// Register a callback for 401 responses. Returns an unsubscribe function.
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) unauthorizedHandler = null;
+  };
+};
+
+// Register a callback told whether each request reached the server (any
+// response) or not (network failure). Returns an unsubscribe function.
+export const onReachability = (handler) => {
+  reachabilityHandler = handler;
+  return () => {
+    if (reachabilityHandler === handler) reachabilityHandler = null;
+  };
+};
+
+// Error thrown for every failed request. `status` is the HTTP status (0 when
+// the request never got a response) and `message` is the server's own reason
+// whenever it sent one.
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'http', data = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+  }
+
+  get isTimeout() {
+    return this.code === 'timeout';
+  }
+
+  get isNetworkError() {
+    return this.code === 'network';
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Build a full URL from a path relative to the API root and optional query params
+const buildUrl = (path, query) => {
+  const url = `${API_BASE_URL}/${path.replace(/^\/+/, '')}`;
+  if (!query) return url;
+
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.append(key, value);
+  });
+  const search = params.toString();
+  return search ? `${url}?${search}` : url;
+};
+
+// Pull a human readable reason out of whatever the server sent back
+const extractMessage = (payload, status) => {
+  if (payload && typeof payload === 'object') {
+    const message = payload.message || payload.error || payload.detail;
+    if (typeof message === 'string' && message) return message;
+  }
+  if (typeof payload === 'string' && payload.trim()) return payload.trim();
+  return `Request failed with status ${status}`;
+};
+
+const parseBody = async (response) => {
+  if (response.status === 204) return null;
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const isRetryable = (error) =>
+  error.code === 'timeout' ||
+  error.code === 'network' ||
+  error.status === 429 ||
+  error.status >= 500;
+
+const send = async (url, { method, body, headers, timeout, signal }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener('abort', abortFromCaller);
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+    } catch (err) {
+      if (timedOut) {
+        throw new ApiError(`The server did not respond within ${Math.round(timeout / 1000)}s`, { code: 'timeout' });
+      }
+      if (signal?.aborted) throw err;
+      reachabilityHandler?.(false);
+      throw new ApiError('Could not reach the server. Check your connection.', { code: 'network' });
+    }
+    reachabilityHandler?.(true);
+
+    const payload = await parseBody(response);
+    if (!response.ok) {
+      if (response.status === 401 && authToken) unauthorizedHandler?.();
+      throw new ApiError(extractMessage(payload, response.status), {
+        status: response.status,
+        data: payload
+      });
+    }
+    return payload;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
+};
+
+// Perform a request against the API and return the parsed JSON body.
+// GET requests are retried with exponential backoff on timeouts, network
+// failures, 429 and 5xx responses; writes are never retried automatically.
+export const request = async (path, options = {}) => {
+  const {
+    method = 'GET',
+    body,
+    query,
+    headers,
+    signal,
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = method === 'GET' ? DEFAULT_RETRIES : 0
+  } = options;
+  const url = buildUrl(path, query);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(url, { method, body, headers, timeout, signal });
+    } catch (err) {
+      if (!(err instanceof ApiError) || attempt >= retries || !isRetryable(err)) throw err;
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      await sleep(delay + Math.random() * delay * 0.25);
+    }
+  }
+};
@@ -0,0 +1,16 @@
+import { request } from './client';
+import { cachedRead } from '../offline/cache';
+
+const unwrap = (json) => json?.data;
+
+// Shops, store rooms and warehouses, archived ones included. Falls back to
+// the last saved copy when offline.
+export const listLocations = () =>
+  cachedRead('locations', async () => unwrap(await request('/locations')));
+
+export const createLocation = async (location) =>
+  unwrap(await request('/locations', { method: 'POST', body: location }));
+
+// fields: { name, type, is_default: true, archived: true | false }
+export const updateLocation = async (locationId, fields) =>
+  unwrap(await request(`/locations/${locationId}`, { method: 'PUT', body: fields }));
@@ -0,0 +1,38 @@
+import { request } from './client';
+
+const unwrap = (json) => json?.data;
+
+// The signed-in user's stock alerts, newest first, as { alerts, unread,
+// lastReadAt }. Each alert: { product_id, name, location_id,
+// location_name, status, current_status, quantity, created_at, cleared_at }.
+export const listNotifications = async () => {
+  const json = await request('/notifications');
+  return { alerts: json?.data || [], unread: json?.meta?.unread || 0, lastReadAt: json?.meta?.last_read_at || null };
+};
+
+export const markNotificationsRead = async () =>
+  unwrap(await request('/notifications/read', { method: 'POST' }));
+
+// subscription: { category_ids, supplier_ids, location_ids, email_digest,
+// email, webhook_digest, webhook_url }. Empty id lists mean everything.
+export const getSubscription = async () => unwrap(await request('/notifications/subscription'));
+
+export const saveSubscription = async (subscription) =>
+  unwrap(await request('/notifications/subscription', { method: 'PUT', body: subscription }));
+
+// Sends the saved digest channels a digest of open alerts now. Resolves to
+// the delivery log entries: { channel, target, status, error }.
+export const sendTestDigest = async () =>
+  unwrap(await request('/notifications/subscription/test', { method: 'POST' }));
+
+// Shop-wide digest hour and SMTP server. The password is write-only: it
+// comes back as `smtp_password_set`, and saving a blank one keeps it.
+export const getDigestSettings = async () => unwrap(await request('/settings/digests'));
+
+export const saveDigestSettings = async (settings) =>
+  unwrap(await request('/settings/digests', { method: 'PUT', body: settings }));
+
+export const runDigestsNow = async () =>
+  unwrap(await request('/notifications/digests/run', { method: 'POST' }));
+
+export const listDigestDeliveries = async () => unwrap(await request('/notifications/deliveries'));
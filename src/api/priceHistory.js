@@ -0,0 +1,15 @@
+import { request } from './client';
+
+const unwrap = (json) => json?.data;
+
+// Buying and selling price changes for a single product, newest first
+export const listPriceHistory = async (productId) =>
+  unwrap(await request(`/products/${productId}/price-history`));
+
+// Recent price changes across the catalog, newest first. Params: days and
+// field (buying_price | selling_price).
+export const listPriceChanges = async (params = {}) => {
+  const query = Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== '' && value !== 'all'));
+  return unwrap(await request('/price-changes', { query }));
+};
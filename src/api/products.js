@@ -0,0 +1,153 @@
+import { request } from './client';
+import { queryProducts, filterProducts, MAX_PAGE_SIZE } from '../utils/productQuery';
+import { cachedRead, readSnapshot, patchSnapshot, isOfflineError } from '../offline/cache';
+import { enqueueWrite, isLocalId } from '../offline/outbox';
+import { findByCode } from '../utils/barcodes';
+import { scopeToLocation } from '../utils/locations';
+
+// The backend wraps every payload as { data: ... }
+const unwrap = (json) => json?.data;
+
+// The active catalog is saved under this snapshot key for offline use
+const CATALOG = 'products';
+
+export const listProducts = (options) =>
+  cachedRead(CATALOG, async () => unwrap(await request('/products/', options)));
+
+// A page of the saved catalog, flagged `stale` with the time it was saved,
+// or null when nothing has been saved yet. `location_id` scopes it to one
+// location, with `defaultLocationId` placing stock saved before locations.
+export const cachedProductPage = async (params, { categories, stockDefaults, defaultLocationId } = {}) => {
+  const snapshot = await readSnapshot(CATALOG);
+  if (!snapshot) return null;
+  const products = scopeToLocation(snapshot.data, params.location_id, defaultLocationId);
+  return { ...queryProducts(products, params, { categories, stockDefaults }), stale: true, saved_at: snapshot.saved_at };
+};
+
+// GET /products with the set params as the query string
+const requestProducts = (params, options) => request('/products/', {
+  ...options,
+  query: Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== '' && value !== 'all'))
+});
+
+// One page of products for the given search/filter/sort params:
+// { items, total, page, page_size }. Backends that ignore paging return the
+// whole list without `meta`; that list is then paged here, using
+// `categories` to resolve subcategory filters and `stockDefaults` for stock
+// statuses. When the server cannot be reached the saved catalog is paged
+// instead (see cachedProductPage).
+export const listProductPage = async (params, { categories, stockDefaults, defaultLocationId, ...options } = {}) => {
+  try {
+    const json = await requestProducts(params, options);
+    if (json?.meta) return { items: json.data, ...json.meta };
+    return queryProducts(scopeToLocation(unwrap(json), params.location_id, defaultLocationId), params, { categories, stockDefaults });
+  } catch (err) {
+    const cached = isOfflineError(err) && await cachedProductPage(params, { categories, stockDefaults, defaultLocationId });
+    if (!cached) throw err;
+    return cached;
+  }
+};
+
+export const getProduct = async (productId) => unwrap(await request(`/products/${productId}`));
+
+// The product a scanned barcode or Product ID belongs to, or null. Scans
+// keep working offline against the saved catalog.
+export const lookupProduct = async (code) => {
+  try {
+    return unwrap(await request('/products/lookup', { query: { code } }));
+  } catch (err) {
+    if (err.status === 404) return null;
+    const snapshot = isOfflineError(err) && await readSnapshot(CATALOG);
+    if (!snapshot) throw err;
+    return findByCode(snapshot.data, code);
+  }
+};
+
+// Send a write, or queue it when the browser is offline or the request never
+// reached the server. `offline` queues the write and resolves to the product
+// as it will look once the write is replayed.
+const writeOrQueue = async (send, offline) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return offline();
+  try {
+    return await send();
+  } catch (err) {
+    if (!err?.isNetworkError) throw err;
+    return offline();
+  }
+};
+
+const cachedProduct = async (productId) =>
+  (await readSnapshot(CATALOG))?.data.find(p => String(p.id) === String(productId)) ?? null;
+
+// Every product matching the params, fetched page by page. A backend that
+// ignores paging sends the whole catalog each time, so its first answer is
+// filtered here instead; offline, the saved catalog is filtered the same way.
+export const listMatchingProducts = async (params, { categories, stockDefaults, defaultLocationId, ...options } = {}) => {
+  const matching = (products) =>
+    filterProducts(scopeToLocation(products, params.location_id, defaultLocationId), params, { categories, stockDefaults });
+  const items = [];
+  try {
+    for (let page = 1; ; page += 1) {
+      const json = await requestProducts({ ...params, page, page_size: MAX_PAGE_SIZE }, options);
+      if (!json?.meta) return matching(unwrap(json));
+      items.push(...json.data);
+      if (items.length >= json.meta.total || json.data.length === 0) return items;
+    }
+  } catch (err) {
+    const snapshot = isOfflineError(err) && await readSnapshot(CATALOG);
+    if (!snapshot) throw err;
+    return matching(snapshot.data);
+  }
+};
+
+// The server calls behind each write, also used to replay the offline outbox
+export const onlineProductApi = {
+  getProduct,
+  createProduct: async (product) => unwrap(await request('/products/', { method: 'POST', body: product })),
+  updateProduct: async (productId, fields) =>
+    unwrap(await request(`/products/${productId}`, { method: 'PUT', body: fields })),
+  deleteProduct: async (productId) => unwrap(await request(`/products/${productId}`, { method: 'DELETE' })),
+  restoreProduct: async (productId) => unwrap(await request(`/products/${productId}/restore`, { method: 'POST' }))
+};
+
+export const createProduct = (product) => writeOrQueue(
+  () => onlineProductApi.createProduct(product),
+  async () => {
+    const local = { quantity: 0, ...product, id: `local-${Date.now()}`, pending_sync: true };
+    await enqueueWrite({ kind: 'create', product_id: local.id, fields: product });
+    await patchSnapshot(CATALOG, products => [local, ...products]);
+    return local;
+  });
+
+export const updateProduct = (productId, fields) => writeOrQueue(
+  () => onlineProductApi.updateProduct(productId, fields),
+  async () => {
+    const base = await cachedProduct(productId);
+    const updated = { ...base, ...fields, id: base?.id ?? productId, pending_sync: true };
+    await enqueueWrite({ kind: 'update', product_id: productId, fields, base });
+    await patchSnapshot(CATALOG, products => products.map(p => (String(p.id) === String(productId) ? updated : p)));
+    return updated;
+  });
+
+// Deleting archives the product; it can be restored until it is purged
+export const deleteProduct = (productId) => writeOrQueue(
+  () => onlineProductApi.deleteProduct(productId),
+  async () => {
+    const base = await cachedProduct(productId);
+    await enqueueWrite({ kind: 'archive', product_id: productId, base });
+    await patchSnapshot(CATALOG, products => products.filter(p => String(p.id) !== String(productId)));
+    return { ...base, id: productId, archived_at: new Date().toISOString(), pending_sync: true };
+  });
+
+export const restoreProduct = (productId) => writeOrQueue(
+  () => onlineProductApi.restoreProduct(productId),
+  async () => {
+    if (isLocalId(productId)) throw new Error('This product has not been saved to the server yet');
+    await enqueueWrite({ kind: 'restore', product_id: productId });
+    return { id: productId, archived_at: null, pending_sync: true };
+  });
+
+// Purging is permanent, so it is never queued
+export const purgeProduct = (productId) =>
+  request(`/products/${productId}`, { method: 'DELETE', query: { permanent: 'true' } });
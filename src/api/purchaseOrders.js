@@ -0,0 +1,29 @@
+import { request } from './client';
+
+const unwrap = (json) => json?.data;
+
+export const listPurchaseOrders = async (query) => unwrap(await request('/purchase-orders/', { query }));
+
+export const getPurchaseOrder = async (orderId) => unwrap(await request(`/purchase-orders/${orderId}`));
+
+// order: { supplier_id, lines: [{ product_id, quantity_ordered, unit_cost }], notes, expected_at }
+export const createPurchaseOrder = async (order) =>
+  unwrap(await request('/purchase-orders/', { method: 'POST', body: order }));
+
+export const updatePurchaseOrder = async (orderId, fields) =>
+  unwrap(await request(`/purchase-orders/${orderId}`, { method: 'PUT', body: fields }));
+
+export const deletePurchaseOrder = (orderId) =>
+  request(`/purchase-orders/${orderId}`, { method: 'DELETE' });
+
+export const sendPurchaseOrder = async (orderId) =>
+  unwrap(await request(`/purchase-orders/${orderId}/send`, { method: 'POST' }));
+
+export const cancelPurchaseOrder = async (orderId) =>
+  unwrap(await request(`/purchase-orders/${orderId}/cancel`, { method: 'POST' }));
+
+// lines: [{ product_id, quantity }], booked in at the default location
+// unless `location_id` is given. Resolves to { order, products } where
+// products carry their new stock levels.
+export const receivePurchaseOrder = async (orderId, lines, note, location_id) =>
+  unwrap(await request(`/purchase-orders/${orderId}/receive`, { method: 'POST', body: { lines, note, location_id } }));
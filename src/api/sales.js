@@ -0,0 +1,15 @@
+import { request } from './client';
+
+const unwrap = (json) => json?.data;
+
+// query: { from, to } as ISO timestamps, `to` exclusive, and `location_id`
+export const listSales = async (query) => unwrap(await request('/sales', { query }));
+
+export const getSale = async (saleId) => unwrap(await request(`/sales/${saleId}`));
+
+// sale: { lines: [{ product_id, quantity, discount_percent }], discount,
+// payment_method, amount_tendered, note, location_id }. Stock is issued from
+// the default location unless `location_id` is given. Resolves to
+// { sale, products } where products carry their new stock levels.
+export const recordSale = async (sale) =>
+  unwrap(await request('/sales', { method: 'POST', body: sale }));
@@ -0,0 +1,12 @@
+import { request } from './client';
+import { cachedRead } from '../offline/cache';
+
+const unwrap = (json) => json?.data;
+
+// Shop-wide stock rule levels: { min_quantity, reorder_point, max_quantity }.
+// Falls back to the last saved copy when offline.
+export const getStockRuleDefaults = () =>
+  cachedRead('stock-rules', async () => unwrap(await request('/settings/stock-rules')));
+
+export const saveStockRuleDefaults = async (rules) =>
+  unwrap(await request('/settings/stock-rules', { method: 'PUT', body: rules }));
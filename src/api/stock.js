@@ -0,0 +1,12 @@
+import { request } from './client';
+
+const unwrap = (json) => json?.data;
+
+// Stock movement history for a single product, newest first
+export const listMovements = async (productId) =>
+  unwrap(await request(`/products/${productId}/movements`));
+
+// Record a receive / issue / adjust operation. Resolves to
+// { movement, product } with the product's new quantity.
+export const recordMovement = async (productId, movement) =>
+  unwrap(await request(`/products/${productId}/movements`, { method: 'POST', body: movement }));
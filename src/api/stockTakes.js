@@ -0,0 +1,25 @@
+import { request } from './client';
+
+const unwrap = (json) => json?.data;
+
+export const listStockTakes = async (query) => unwrap(await request('/stock-takes', { query }));
+
+export const getStockTake = async (stockTakeId) => unwrap(await request(`/stock-takes/${stockTakeId}`));
+
+// scope: { type: 'category' | 'supplier' | 'all', id }. Counts the default
+// location unless `location_id` is given.
+export const createStockTake = async (scope, notes, location_id) =>
+  unwrap(await request('/stock-takes', { method: 'POST', body: { scope, notes, location_id } }));
+
+// counts: [{ product_id, counted }] to set (null clears) or
+// [{ product_id, add }] to add. Resolves to the updated stock-take.
+export const saveCounts = async (stockTakeId, counts) =>
+  unwrap(await request(`/stock-takes/${stockTakeId}/counts`, { method: 'PUT', body: { counts } }));
+
+export const cancelStockTake = async (stockTakeId) =>
+  unwrap(await request(`/stock-takes/${stockTakeId}/cancel`, { method: 'POST' }));
+
+// uncounted: 'skip' | 'zero'. Resolves to { stockTake, products } where
+// products carry their adjusted stock levels.
+export const approveStockTake = async (stockTakeId, uncounted) =>
+  unwrap(await request(`/stock-takes/${stockTakeId}/approve`, { method: 'POST', body: { uncounted } }));
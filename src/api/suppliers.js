@@ -0,0 +1,18 @@
+import { request } from './client';
+import { cachedRead } from '../offline/cache';
+
+const unwrap = (json) => json?.data;
+
+// Falls back to the last saved list when offline
+export const listSuppliers = () => cachedRead('suppliers', async () => unwrap(await request('/suppliers/')));
+
+export const getSupplier = async (supplierId) => unwrap(await request(`/suppliers/${supplierId}`));
+
+export const createSupplier = async (supplier) =>
+  unwrap(await request('/suppliers/', { method: 'POST', body: supplier }));
+
+export const updateSupplier = async (supplierId, fields) =>
+  unwrap(await request(`/suppliers/${supplierId}`, { method: 'PUT', body: fields }));
+
+export const deleteSupplier = (supplierId) =>
+  request(`/suppliers/${supplierId}`, { method: 'DELETE' });
@@ -0,0 +1,18 @@
+import { request } from './client';
+
+const unwrap = (json) => json?.data;
+
+// query: { status, location_id }
+export const listTransfers = async (query) => unwrap(await request('/transfers', { query }));
+
+// lines: [{ product_id, quantity }]. The stock leaves the source straight
+// away; resolves to { transfer, products }.
+export const dispatchTransfer = async ({ from_location_id, to_location_id, lines, notes }) =>
+  unwrap(await request('/transfers', { method: 'POST', body: { from_location_id, to_location_id, lines, notes } }));
+
+export const receiveTransfer = async (transferId) =>
+  unwrap(await request(`/transfers/${transferId}/receive`, { method: 'POST' }));
+
+// Puts the stock back at the source
+export const cancelTransfer = async (transferId) =>
+  unwrap(await request(`/transfers/${transferId}/cancel`, { method: 'POST' }));
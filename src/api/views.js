@@ -0,0 +1,16 @@
+import { request } from './client';
+
+const unwrap = (json) => json?.data;
+
+// Saved product list views of the signed-in user. `query` is the
+// /products URL query string the view restores.
+export const listViews = async () => unwrap(await request('/views/'));
+
+export const createView = async (view) =>
+  unwrap(await request('/views/', { method: 'POST', body: view }));
+
+export const updateView = async (viewId, fields) =>
+  unwrap(await request(`/views/${viewId}`, { method: 'PUT', body: fields }));
+
+export const deleteView = (viewId) =>
+  request(`/views/${viewId}`, { method: 'DELETE' });
@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { AuthContext } from './context';
+import { can as roleCan } from './permissions';
+import { setAuthToken, onUnauthorized } from '../api/client';
+import * as authApi from '../api/auth';
+
+const TOKEN_KEY = 'inventory-auth-token';
+// The signed-in user is remembered too, so the app opens straight away (and
+// offline) while the token is checked in the background
+const USER_KEY = 'inventory-auth-user';
+
+const readStoredUser = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(USER_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const storeUser = (user) => window.localStorage.setItem(USER_KEY, JSON.stringify(user));
+
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const clearSession = useCallback(() => {
+    window.localStorage.removeItem(TOKEN_KEY);
+    window.localStorage.removeItem(USER_KEY);
+    setAuthToken(null);
+    setUser(null);
+  }, []);
+
+  // Restore the session from a stored token. A server that cannot be reached
+  // keeps the remembered user signed in; any other failure signs out.
+  useEffect(() => {
+    const token = window.localStorage.getItem(TOKEN_KEY);
+    if (!token) {
+      setLoading(false);
+      return;
+    }
+
+    setAuthToken(token);
+    const storedUser = readStoredUser();
+    if (storedUser) {
+      setUser(storedUser);
+      setLoading(false);
+    }
+    authApi.fetchCurrentUser()
+      .then(current => {
+        storeUser(current);
+        setUser(current);
+      })
+      .catch(err => {
+        if (!(storedUser && (err.isNetworkError || err.isTimeout))) clearSession();
+      })
+      .finally(() => setLoading(false));
+  }, [clearSession]);
+
+  // Any 401 from the API means the token expired or was revoked
+  useEffect(() => onUnauthorized(clearSession), [clearSession]);
+
+  const login = useCallback(async (username, password) => {
+    const { token, user: signedIn } = await authApi.login(username, password);
+    window.localStorage.setItem(TOKEN_KEY, token);
+    storeUser(signedIn);
+    setAuthToken(token);
+    setUser(signedIn);
+    return signedIn;
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await authApi.logout();
+    } catch (err) {
+      console.error("Error signing out:", err);
+    }
+    clearSession();
+  }, [clearSession]);
+
+  const value = useMemo(() => ({
+    user,
+    loading,
+    login,
+    logout,
+    can: (permission) => roleCan(user, permission)
+  }), [user, loading, login, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+
+export const AuthContext = createContext(null);
+
+// { user, loading, login, logout, can }
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) throw new Error('useAuth must be used inside <AuthProvider>');
+  return context;
+};
@@ -0,0 +1,22 @@
+// Role-based permissions.
+
+export const ROLES = {
+  viewer: 'Viewer',
+  clerk: 'Clerk',
+  manager: 'Manager'
+};
+
+const ROLE_PERMISSIONS = {
+  viewer: [],
+  clerk: ['products.create', 'products.edit', 'stock.move', 'sales.record', 'purchasing.receive'],
+  manager: [
+    'products.create', 'products.edit', 'products.delete', 'products.purge', 'products.import', 'stock.move', 'sales.record',
+    'suppliers.manage', 'categories.manage', 'purchasing.manage', 'purchasing.receive', 'stocktake.manage', 'settings.manage'
+  ]
+};
+
+// Whether a user (or role name) is allowed to perform an action
+export const can = (userOrRole, permission) => {
+  const role = typeof userOrRole === 'string' ? userOrRole : userOrRole?.role;
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
@@ -0,0 +1,274 @@
+import { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes, faCheckCircle, faExclamationTriangle } from '@fortawesome/free-solid-svg-icons';
+import { updateProduct, deleteProduct, restoreProduct, purgeProduct } from '../api/products';
+import { BULK_ACTIONS } from '../utils/bulkActions';
+import { runInBatches } from '../utils/batch';
+import { useStockRules } from '../stockRules/context';
+import CategorySelect from './CategorySelect';
+
+const REQUESTS = {
+  archive: product => deleteProduct(product.id),
+  restore: product => restoreProduct(product.id),
+  purge: product => purgeProduct(product.id)
+};
+
+// Confirm a bulk action: choose its options, review the change per product,
+// run it and report anything that failed. `onDone` gets
+// { succeeded, failed, options } once the run finishes; `succeeded` holds the
+// products as they were before the change so it can be undone.
+const BulkActionModal = ({ actionKey, products, categories = [], suppliers = [], onClose, onDone }) => {
+  const action = BULK_ACTIONS[actionKey];
+  const [options, setOptions] = useState(action.defaults);
+  const [step, setStep] = useState('confirm');
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [report, setReport] = useState(null);
+  const { stockRules } = useStockRules();
+
+  const context = { categories, suppliers, stockRules };
+  const optionError = action.validate(options);
+  const isDestructive = actionKey === 'delete' || actionKey === 'purge';
+  const setOption = (key, value) => setOptions({ ...options, [key]: value });
+  // Products the action has no change for are left alone
+  const applicable = action.fields && !optionError
+    ? products.filter(product => action.fields(product, options, context) !== null)
+    : products;
+  const skipped = products.filter(product => !applicable.includes(product));
+
+  const handleRun = async () => {
+    setStep('running');
+    setProgress({ done: 0, total: applicable.length });
+    const { succeeded, failed } = await runInBatches(applicable, product => (action.fields
+      ? updateProduct(product.id, action.fields(product, options, context))
+      : REQUESTS[action.request](product)),
+    { onProgress: setProgress });
+
+    const result = {
+      succeeded: succeeded.map(({ item }) => item),
+      failed: failed.map(({ item, error }) => ({ product: item, message: error.message })),
+      skipped
+    };
+    setReport(result);
+    setStep('done');
+    onDone({ ...result, options });
+  };
+
+  const title = products.length === 1 && !action.fields
+    ? `${action.label} ${products[0].name}?`
+    : `${action.label}: ${products.length} product${products.length === 1 ? '' : 's'}`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="bg-gray-800 text-white p-4 rounded-t-lg flex justify-between items-center">
+          <h2 className="text-xl font-light">{title}</h2>
+          <button onClick={onClose} disabled={step === 'running'} className="text-white hover:text-gray-300 disabled:opacity-50">
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto">
+          {step === 'confirm' && (
+            <>
+              {actionKey === 'category' && (
+                <div className="mb-4">
+                  <label htmlFor="bulk-category" className="block text-sm font-medium text-gray-700 mb-1">New category</label>
+                  <CategorySelect
+                    id="bulk-category"
+                    categories={categories}
+                    emptyLabel="Choose a category..."
+                    className="block w-full border border-gray-300 rounded-md px-3 py-2"
+                    value={options.category_id}
+                    onChange={(value) => setOption('category_id', value)}
+                  />
+                </div>
+              )}
+              {actionKey === 'supplier' && (
+                <div className="mb-4">
+                  <label htmlFor="bulk-supplier" className="block text-sm font-medium text-gray-700 mb-1">New supplier</label>
+                  <select
+                    id="bulk-supplier"
+                    className="block w-full border border-gray-300 rounded-md px-3 py-2"
+                    value={options.supplier_id}
+                    onChange={(e) => setOption('supplier_id', e.target.value)}
+                  >
+                    <option value="">Choose a supplier...</option>
+                    {suppliers.map(supplier => (
+                      <option key={supplier.id} value={String(supplier.id)}>{supplier.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              {actionKey === 'threshold' && (
+                <div className="mb-4">
+                  <label htmlFor="bulk-threshold" className="block text-sm font-medium text-gray-700 mb-1">Low stock alert at (units)</label>
+                  <input
+                    id="bulk-threshold"
+                    type="number"
+                    min="0"
+                    className="block w-40 border border-gray-300 rounded-md px-3 py-2"
+                    value={options.min_quantity}
+                    onChange={(e) => setOption('min_quantity', e.target.value)}
+                  />
+                </div>
+              )}
+              {actionKey === 'prices' && (
+                <div className="mb-4 flex flex-wrap items-end gap-4">
+                  <div>
+                    <label htmlFor="bulk-percent" className="block text-sm font-medium text-gray-700 mb-1">Change by (%)</label>
+                    <input
+                      id="bulk-percent"
+                      type="number"
+                      step="0.1"
+                      placeholder="e.g. 10 or -5"
+                      className="block w-40 border border-gray-300 rounded-md px-3 py-2"
+                      value={options.percent}
+                      onChange={(e) => setOption('percent', e.target.value)}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="bulk-target" className="block text-sm font-medium text-gray-700 mb-1">Apply to</label>
+                    <select
+                      id="bulk-target"
+                      className="block border border-gray-300 rounded-md px-3 py-2"
+                      value={options.target}
+                      onChange={(e) => setOption('target', e.target.value)}
+                    >
+                      <option value="selling">Selling price</option>
+                      <option value="buying">Buying price</option>
+                      <option value="both">Both prices</option>
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {actionKey === 'margin' && (
+                <div className="mb-4">
+                  <label htmlFor="bulk-margin" className="block text-sm font-medium text-gray-700 mb-1">Target margin (% of selling price)</label>
+                  <input
+                    id="bulk-margin"
+                    type="number"
+                    min="0"
+                    max="99.9"
+                    step="0.1"
+                    className="block w-40 border border-gray-300 rounded-md px-3 py-2"
+                    value={options.margin}
+                    onChange={(e) => setOption('margin', e.target.value)}
+                  />
+                  <p className="mt-1 text-xs text-gray-500">Selling price = buying price / (1 - margin). Buying prices are not changed.</p>
+                </div>
+              )}
+
+              {actionKey === 'delete' && (
+                <div className="bg-yellow-50 border-l-4 border-yellow-400 p-3 mb-4">
+                  <p className="text-sm text-yellow-700">
+                    {products.length === 1 ? 'This product' : `These ${products.length} products`} will be archived and
+                    hidden from the catalog. Restore them any time from the Archived view.
+                  </p>
+                </div>
+              )}
+              {actionKey === 'purge' && (
+                <div className="bg-red-50 border-l-4 border-red-500 p-3 mb-4">
+                  <p className="text-sm text-red-700">
+                    {products.length === 1 ? 'This product' : `These ${products.length} products`} will be permanently
+                    deleted. This cannot be undone.
+                  </p>
+                </div>
+              )}
+
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Now</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">After</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {products.map(product => {
+                    const change = optionError ? null : action.preview(product, options, context);
+                    return (
+                      <tr key={product.id}>
+                        <td className="px-3 py-2 text-gray-900">
+                          <span className="font-mono text-gray-500 mr-2">{product.product_index}</span>
+                          {product.name}
+                        </td>
+                        <td className="px-3 py-2 text-gray-500">{change?.from ?? '-'}</td>
+                        <td className="px-3 py-2 text-gray-900">
+                          {change?.to ?? '-'}
+                          {change?.warning && <span className="ml-2 text-xs text-yellow-700">{change.warning}</span>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {step === 'running' && (
+            <div className="py-8">
+              <p className="text-sm text-gray-700 mb-2">Working... {progress.done} of {progress.total}</p>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-blue-600 h-2 rounded-full"
+                  style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                ></div>
+              </div>
+            </div>
+          )}
+
+          {step === 'done' && report && (
+            <>
+              <p className="text-sm text-gray-700 mb-4">
+                <FontAwesomeIcon icon={faCheckCircle} className="text-green-600 mr-2" />
+                {report.succeeded.length} of {products.length} product{products.length === 1 ? '' : 's'} {action.verb}.
+                {report.skipped.length > 0 && ` ${report.skipped.length} skipped.`}
+              </p>
+              {report.failed.length > 0 && (
+                <div className="bg-red-50 border-l-4 border-red-500 p-3">
+                  <p className="text-sm font-medium text-red-700 mb-1">
+                    <FontAwesomeIcon icon={faExclamationTriangle} className="mr-2" />
+                    {report.failed.length} failed:
+                  </p>
+                  <ul className="text-sm text-red-700 list-disc list-inside">
+                    {report.failed.map(({ product, message }) => (
+                      <li key={product.id}>{product.name}: {message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-end items-center gap-3">
+          {step === 'confirm' && optionError && <p className="mr-auto text-sm text-gray-500">{optionError}</p>}
+          {step !== 'running' && (
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              {step === 'done' ? 'Close' : 'Cancel'}
+            </button>
+          )}
+          {step === 'confirm' && (
+            <button
+              type="button"
+              onClick={handleRun}
+              disabled={Boolean(optionError) || applicable.length === 0}
+              className={`px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white disabled:opacity-50 ${
+                isDestructive ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+            >
+              {action.fields ? `Apply to ${applicable.length}` : `${action.label} ${products.length}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionModal;
@@ -0,0 +1,77 @@
+import { useState, useEffect, useRef } from 'react';
+
+// The same code seen again within this window is the same scan
+const REPEAT_MS = 2000;
+
+const cameraError = (err) => {
+  if (err?.name === 'NotAllowedError') return 'Camera access was blocked. Allow it in the browser to scan with the camera.';
+  if (err?.name === 'NotFoundError') return 'No camera was found on this device.';
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices) return 'This browser cannot use the camera here (it needs HTTPS).';
+  return `Could not start the camera: ${err?.message || err}`;
+};
+
+// Live camera preview that calls `onScan(code)` for each barcode or QR code
+// it reads. The decoder is loaded on first use.
+const CameraScanner = ({ onScan }) => {
+  const videoRef = useRef(null);
+  const handlerRef = useRef(onScan);
+  handlerRef.current = onScan;
+  const [starting, setStarting] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let controls = null;
+    let last = { code: null, at: 0 };
+
+    const start = async () => {
+      try {
+        const { BrowserMultiFormatReader } = await import('@zxing/browser');
+        if (cancelled) return;
+        const reader = new BrowserMultiFormatReader();
+        controls = await reader.decodeFromConstraints(
+          { video: { facingMode: 'environment' } },
+          videoRef.current,
+          (result) => {
+            if (!result) return;
+            const code = result.getText();
+            const now = Date.now();
+            if (code === last.code && now - last.at < REPEAT_MS) return;
+            last = { code, at: now };
+            handlerRef.current(code);
+          });
+        if (cancelled) controls.stop();
+      } catch (err) {
+        if (!cancelled) setError(cameraError(err));
+      } finally {
+        if (!cancelled) setStarting(false);
+      }
+    };
+
+    start();
+    return () => {
+      cancelled = true;
+      controls?.stop();
+    };
+  }, []);
+
+  if (error) return (
+    <div className="bg-red-50 border-l-4 border-red-500 p-3">
+      <p className="text-sm text-red-700">{error}</p>
+    </div>
+  );
+
+  return (
+    <div className="relative bg-black rounded-md overflow-hidden">
+      <video ref={videoRef} className="w-full h-64 object-cover" muted playsInline />
+      <div className="absolute inset-x-8 top-1/2 border-t-2 border-red-500 opacity-75" />
+      {starting && (
+        <p className="absolute inset-0 flex items-center justify-center text-sm text-white animate-pulse">
+          Starting camera...
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CameraScanner;
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes } from '@fortawesome/free-solid-svg-icons';
+import { inputClass, serverFieldErrors } from '../utils/forms';
+import { descendantIds } from '../utils/categories';
+import FormField from './FormField';
+import CategorySelect from './CategorySelect';
+
+const validate = (values, categories, currentId) => {
+  const errors = {};
+  const name = values.name.trim().toLowerCase();
+  if (!name) errors.name = 'Name is required';
+  else if (categories.some(c =>
+    c.id !== currentId &&
+    String(c.parent_id ?? '') === values.parent_id &&
+    c.name.toLowerCase() === name)) {
+    errors.name = 'A category with this name already exists here';
+  }
+  return errors;
+};
+
+// Create/edit form for a category. `parentId` preselects the parent when
+// adding a subcategory.
+const CategoryFormModal = ({ category, parentId, categories, onClose, onSave }) => {
+  const [values, setValues] = useState(() => ({
+    name: category?.name ?? '',
+    parent_id: String(category?.parent_id ?? parentId ?? '')
+  }));
+  const [submitted, setSubmitted] = useState(false);
+  const [serverErrors, setServerErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const errors = validate(values, categories, category?.id);
+  const errorFor = (key) => serverErrors[key] || (submitted ? errors[key] : null);
+  // A category can't become its own ancestor
+  const excludeIds = category ? descendantIds(categories, category.id) : null;
+
+  const setField = (key, value) => {
+    setValues({ ...values, [key]: value });
+    if (serverErrors[key]) setServerErrors({ ...serverErrors, [key]: null });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (Object.keys(errors).length > 0) return;
+
+    setSaving(true);
+    setFormError(null);
+    try {
+      await onSave({
+        name: values.name.trim(),
+        parent_id: values.parent_id === '' ? null : Number(values.parent_id)
+      });
+    } catch (err) {
+      setServerErrors(serverFieldErrors(err));
+      setFormError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md">
+        <div className="bg-gray-800 text-white p-4 rounded-t-lg flex justify-between items-center">
+          <h2 className="text-xl font-light">{category ? `Edit ${category.name}` : 'New Category'}</h2>
+          <button onClick={onClose} className="text-white hover:text-gray-300">
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} noValidate className="p-6">
+          {formError && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-3 mb-4">
+              <p className="text-sm text-red-700">{formError}</p>
+            </div>
+          )}
+          <div className="space-y-4 mb-6">
+            <FormField label="Name *" error={errorFor('name')}>
+              <input
+                type="text"
+                className={inputClass(errorFor('name'))}
+                value={values.name}
+                onChange={(e) => setField('name', e.target.value)}
+              />
+            </FormField>
+            <FormField label="Parent Category" error={errorFor('parent_id')}>
+              <CategorySelect
+                categories={categories}
+                excludeIds={excludeIds}
+                emptyLabel="— Top level —"
+                className={inputClass(errorFor('parent_id'))}
+                value={values.parent_id}
+                onChange={(value) => setField('parent_id', value)}
+              />
+            </FormField>
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : category ? 'Save Changes' : 'Create Category'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CategoryFormModal;
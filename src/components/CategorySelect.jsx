@@ -0,0 +1,18 @@
+import { flattenCategoryTree } from '../utils/categories';
+
+// <select> over the category tree with subcategories indented under their
+// parents. `value` and the onChange argument are category ids as strings.
+const CategorySelect = ({ categories, value, onChange, emptyLabel = '— No category —', excludeIds, ...props }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} {...props}>
+    <option value="">{emptyLabel}</option>
+    {flattenCategoryTree(categories)
+      .filter(({ category }) => !excludeIds?.has(String(category.id)))
+      .map(({ category, depth }) => (
+        <option key={category.id} value={String(category.id)}>
+          {'\u00A0\u00A0\u00A0'.repeat(depth)}{category.name}
+        </option>
+      ))}
+  </select>
+);
+
+export default CategorySelect;
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFileExport, faChevronDown } from '@fortawesome/free-solid-svg-icons';
+import { exportProductsCsv, exportProductsXlsx, exportStockReportPdf } from '../utils/productExport';
+import { useStockRules } from '../stockRules/context';
+
+const FORMATS = [
+  { key: 'csv', label: 'CSV (.csv)', run: (products, { stockRules }) => exportProductsCsv(products, { stockRules }) },
+  { key: 'xlsx', label: 'Excel (.xlsx)', run: (products, { stockRules }) => exportProductsXlsx(products, { stockRules }) },
+  { key: 'pdf', label: 'PDF stock report', run: (products, options) => exportStockReportPdf(products, options) }
+];
+
+// Dropdown that exports the given products. `subtitle` describes the
+// active search/filters and is printed on the PDF report. For paged lists,
+// pass `count` and an async `loadProducts` that fetches every matching row.
+const ExportMenu = ({ products = [], count = products.length, loadProducts, subtitle, label = 'Export' }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const { stockRules } = useStockRules();
+  const [error, setError] = useState(null);
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    setBusy(format.key);
+    setError(null);
+    try {
+      await format.run(loadProducts ? await loadProducts() : products, { subtitle, stockRules });
+    } catch (err) {
+      console.error("Export failed:", err);
+      setError(`Export failed: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        disabled={count === 0 || busy !== null}
+        className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+      >
+        <FontAwesomeIcon icon={faFileExport} className="mr-2" />
+        {busy ? 'Exporting...' : `${label} (${count})`}
+        <FontAwesomeIcon icon={faChevronDown} className="ml-2 h-3 w-3" />
+      </button>
+      {open && (
+        <div className="origin-top-right absolute right-0 mt-2 w-48 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-20">
+          <div className="py-1">
+            {FORMATS.map(format => (
+              <button
+                key={format.key}
+                onClick={() => handleExport(format)}
+                className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+              >
+                {format.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      {error && <p className="absolute right-0 mt-1 text-xs text-red-600 whitespace-nowrap">{error}</p>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,12 @@
+// Label + input wrapper with error, warning or hint text underneath
+const FormField = ({ label, error, warning, hint, className = '', children }) => (
+  <div className={className}>
+    <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+    {children}
+    {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    {!error && warning && <p className="mt-1 text-xs text-yellow-700">{warning}</p>}
+    {!error && !warning && hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+  </div>
+);
+
+export default FormField;
@@ -0,0 +1,170 @@
+import { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes, faExclamationTriangle } from '@fortawesome/free-solid-svg-icons';
+import { createPurchaseOrder } from '../api/purchaseOrders';
+import { buildDraftOrders } from '../utils/purchaseOrders';
+import { getStockMessage } from '../utils/stock';
+import { useStockRules } from '../stockRules/context';
+import { formatKsh } from '../utils/format';
+
+// Review suggested draft purchase orders for low/out-of-stock products,
+// adjust quantities and create one draft per supplier. onCreated receives the
+// created orders and messages for any suppliers whose order failed.
+const GeneratePurchaseOrdersModal = ({ products, suppliers, onClose, onCreated }) => {
+  const { stockRules } = useStockRules();
+  const [{ drafts, unassigned }] = useState(() => buildDraftOrders(products, suppliers, stockRules));
+  // Keyed by product id: { include, quantity }
+  const [lines, setLines] = useState(() => Object.fromEntries(drafts.flatMap(draft =>
+    draft.lines.map(line => [line.product.id, { include: true, quantity: String(line.quantity_ordered) }]))));
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  const setLine = (productId, fields) => setLines({ ...lines, [productId]: { ...lines[productId], ...fields } });
+
+  const selectedLines = (draft) => draft.lines
+    .filter(line => lines[line.product.id].include && parseInt(lines[line.product.id].quantity, 10) > 0)
+    .map(line => ({
+      product_id: line.product.id,
+      quantity_ordered: parseInt(lines[line.product.id].quantity, 10),
+      unit_cost: line.unit_cost
+    }));
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setErrors([]);
+    const created = [];
+    const failed = [];
+
+    for (const draft of drafts) {
+      const orderLines = selectedLines(draft);
+      if (orderLines.length === 0) continue;
+      try {
+        created.push(await createPurchaseOrder({ supplier_id: draft.supplier.id, lines: orderLines }));
+      } catch (err) {
+        failed.push(`${draft.supplier.name}: ${err.message}`);
+      }
+    }
+
+    setSaving(false);
+    if (created.length === 0) {
+      setErrors(failed);
+      return;
+    }
+    onCreated(created, failed);
+  };
+
+  const orderCount = drafts.filter(draft => selectedLines(draft).length > 0).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="bg-gray-800 text-white p-4 rounded-t-lg flex justify-between items-center">
+          <h2 className="text-xl font-light">Generate Purchase Orders</h2>
+          <button onClick={onClose} className="text-white hover:text-gray-300">
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-6">
+          {errors.length > 0 && (
+            <ul className="bg-red-50 border-l-4 border-red-500 p-3 text-sm text-red-700 space-y-1">
+              {errors.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+
+          {drafts.length === 0 && (
+            <p className="text-sm text-gray-600">No low or out-of-stock products need ordering.</p>
+          )}
+
+          {drafts.map(draft => {
+            const total = selectedLines(draft).reduce((sum, line) => sum + line.quantity_ordered * line.unit_cost, 0);
+            return (
+              <section key={draft.supplier.id} className="border border-gray-200 rounded-lg overflow-hidden">
+                <div className="bg-gray-50 px-4 py-2 flex justify-between items-center">
+                  <h3 className="text-sm font-medium text-gray-900">{draft.supplier.name}</h3>
+                  <p className="text-sm text-gray-600">
+                    {draft.supplier.lead_time_days != null && `${draft.supplier.lead_time_days} day lead time · `}
+                    {formatKsh(total)}
+                  </p>
+                </div>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead>
+                    <tr>
+                      <th className="px-4 py-2 w-8"></th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">In Stock</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Order Qty</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unit Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {draft.lines.map(line => (
+                      <tr key={line.product.id} className={lines[line.product.id].include ? '' : 'opacity-50'}>
+                        <td className="px-4 py-2">
+                          <input
+                            type="checkbox"
+                            checked={lines[line.product.id].include}
+                            onChange={(e) => setLine(line.product.id, { include: e.target.checked })}
+                          />
+                        </td>
+                        <td className="px-4 py-2 text-gray-900">
+                          <span className="font-mono text-gray-500 mr-2">{line.product.product_index}</span>
+                          {line.product.name}
+                        </td>
+                        <td className="px-4 py-2">
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStockMessage(line.product, stockRules).class}`}>
+                            {getStockMessage(line.product, stockRules).text}
+                          </span>
+                        </td>
+                        <td className="px-4 py-2 text-right text-gray-900">{line.product.quantity}</td>
+                        <td className="px-4 py-2 text-right">
+                          <input
+                            type="number"
+                            min="1"
+                            className="w-20 border border-gray-300 rounded px-2 py-1 text-sm text-right"
+                            value={lines[line.product.id].quantity}
+                            onChange={(e) => setLine(line.product.id, { quantity: e.target.value })}
+                          />
+                        </td>
+                        <td className="px-4 py-2 text-right text-gray-900">{formatKsh(line.unit_cost, { decimals: 2 })}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+            );
+          })}
+
+          {unassigned.length > 0 && (
+            <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200 flex">
+              <FontAwesomeIcon icon={faExclamationTriangle} className="h-5 w-5 text-yellow-500" />
+              <div className="ml-3 text-sm text-yellow-800">
+                <p className="font-medium">These products need ordering but have no supplier record:</p>
+                <p>{unassigned.map(p => p.name).join(', ')}</p>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-gray-50 px-6 py-3 flex justify-end gap-3 rounded-b-lg">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleCreate}
+            disabled={saving || orderCount === 0}
+            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            {saving ? 'Creating...' : `Create ${orderCount} draft order${orderCount === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GeneratePurchaseOrdersModal;
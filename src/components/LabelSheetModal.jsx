@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes, faPrint } from '@fortawesome/free-solid-svg-icons';
+import { LABELS_PER_SHEET, MAX_LABELS, exportLabelSheetPdf, planLabels } from '../utils/labels';
+import { inputClass } from '../utils/forms';
+import FormField from './FormField';
+
+// Choose how to print labels for the given products, then download the
+// sheets as a PDF
+const LabelSheetModal = ({ products, onClose }) => {
+  const [options, setOptions] = useState({ format: 'barcode', copies: 'one', showPrice: true, startAt: '1' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const setOption = (key, value) => setOptions({ ...options, [key]: value });
+
+  const { labels, skipped, capped } = planLabels(products, options);
+  const startAt = Math.min(Math.max(parseInt(options.startAt, 10) || 1, 1), LABELS_PER_SHEET);
+  const sheets = Math.ceil((labels.length + startAt - 1) / LABELS_PER_SHEET);
+
+  const handlePrint = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await exportLabelSheetPdf(products, { ...options, startAt });
+      onClose();
+    } catch (err) {
+      console.error("Label printing failed:", err);
+      setError(`Could not create the labels: ${err.message}`);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="bg-gray-800 text-white p-4 rounded-t-lg flex justify-between items-center">
+          <h2 className="text-xl font-light">Print Labels</h2>
+          <button onClick={onClose} className="text-white hover:text-gray-300">
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+        <div className="p-6 space-y-4">
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-3">
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <FormField label="Code">
+              <select className={inputClass(false)} value={options.format} onChange={(e) => setOption('format', e.target.value)}>
+                <option value="barcode">Barcode (Code 128)</option>
+                <option value="qr">QR code</option>
+              </select>
+            </FormField>
+            <FormField label="Labels per product">
+              <select className={inputClass(false)} value={options.copies} onChange={(e) => setOption('copies', e.target.value)}>
+                <option value="one">One each</option>
+                <option value="stock">One per unit in stock</option>
+              </select>
+            </FormField>
+            <FormField label="Start at label" hint={`1-${LABELS_PER_SHEET}, to reuse a part-used sheet`}>
+              <input
+                type="number"
+                min="1"
+                max={LABELS_PER_SHEET}
+                className={inputClass(false)}
+                value={options.startAt}
+                onChange={(e) => setOption('startAt', e.target.value)}
+              />
+            </FormField>
+            <label className="flex items-center text-sm text-gray-700 md:mt-6">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={options.showPrice}
+                onChange={(e) => setOption('showPrice', e.target.checked)}
+              />
+              Print the selling price
+            </label>
+          </div>
+
+          <p className="text-sm text-gray-700">
+            {labels.length} label{labels.length === 1 ? '' : 's'} on {sheets} A4 sheet{sheets === 1 ? '' : 's'} of {LABELS_PER_SHEET}.
+            Products without a barcode use their Product ID.
+          </p>
+          {capped && (
+            <div className="bg-yellow-50 border-l-4 border-yellow-400 p-3">
+              <p className="text-sm text-yellow-700">Only the first {MAX_LABELS} labels will be printed.</p>
+            </div>
+          )}
+          {skipped.length > 0 && (
+            <div className="bg-yellow-50 border-l-4 border-yellow-400 p-3">
+              <p className="text-sm text-yellow-700">
+                Skipped {skipped.length} product{skipped.length === 1 ? '' : 's'} with no barcode or Product ID:{' '}
+                {skipped.map(p => p.name).join(', ')}
+              </p>
+            </div>
+          )}
+        </div>
+        <div className="bg-gray-50 px-4 py-3 sm:px-6 flex justify-end gap-3 rounded-b-lg">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handlePrint}
+            disabled={busy || labels.length === 0}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            <FontAwesomeIcon icon={faPrint} className="mr-2" />
+            {busy ? 'Preparing...' : 'Download PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LabelSheetModal;
@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import { listMovements } from '../api/stock';
+import { ADJUSTMENT_REASONS, movementType } from '../utils/stockMovements';
+import { useLocations } from '../locations/context';
+
+// Ledger of stock movements for one product. `refreshKey` lets the parent
+// reload the list after recording a new movement.
+const MovementHistory = ({ productId, refreshKey }) => {
+  const { locationName } = useLocations();
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchMovements = async () => {
+      setLoading(true);
+      try {
+        const data = await listMovements(productId);
+        if (cancelled) return;
+        setMovements(data || []);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(`Failed to load stock history: ${err.message}`);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchMovements();
+    return () => { cancelled = true; };
+  }, [productId, refreshKey]);
+
+  if (loading) return <p className="text-sm text-gray-500 animate-pulse">Loading stock history...</p>;
+  if (error) return <p className="text-sm text-red-700">{error}</p>;
+  if (movements.length === 0) return <p className="text-sm text-gray-500">No stock movements recorded yet.</p>;
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Change</th>
+            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason / Note</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {movements.map(movement => {
+            const type = movementType(movement.type);
+            return (
+              <tr key={movement.id}>
+                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
+                  {new Date(movement.created_at).toLocaleString()}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${type?.class || 'bg-gray-100 text-gray-800'}`}>
+                    {type?.short || movement.type}
+                  </span>
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
+                  {locationName(movement.location_id)}
+                </td>
+                <td className={`px-3 py-2 whitespace-nowrap text-sm text-right font-mono ${movement.delta < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                  {movement.delta > 0 ? `+${movement.delta}` : movement.delta}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-900">
+                  {movement.location_quantity_after}
+                  <span className="block text-xs text-gray-500">{movement.quantity_after} total</span>
+                </td>
+                <td className="px-3 py-2 text-sm text-gray-500">
+                  {movement.reason && <span className="font-medium text-gray-700">{ADJUSTMENT_REASONS[movement.reason] || movement.reason}</span>}
+                  {movement.reason && movement.note && ' — '}
+                  {movement.note}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{movement.user}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default MovementHistory;
@@ -0,0 +1,117 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faBell } from '@fortawesome/free-solid-svg-icons';
+import { listNotifications, markNotificationsRead } from '../api/notifications';
+import { STOCK_STATUSES } from '../utils/stock';
+
+const REFRESH_MS = 60 * 1000;
+
+// The products list filtered to one alert's product at its location
+const productLink = (alert) =>
+  `/products?location=${alert.location_id}&q=${encodeURIComponent(alert.product_index || alert.name)}`;
+
+// Header bell listing products that have newly run low or out of stock,
+// limited to the categories, suppliers and locations the user follows.
+// Opening the panel marks everything read.
+const NotificationCentre = () => {
+  const [alerts, setAlerts] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [lastReadAt, setLastReadAt] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await listNotifications();
+      setAlerts(data.alerts);
+      setUnread(data.unread);
+      return data;
+    } catch (err) {
+      console.error("Error loading notifications:", err);
+      return null;
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  const handleToggle = async () => {
+    if (open) {
+      setOpen(false);
+      return;
+    }
+    setOpen(true);
+    const data = await refresh();
+    if (!data || data.unread === 0) return;
+    // Keep the highlight on what was new until the panel is next opened
+    setLastReadAt(data.lastReadAt);
+    try {
+      await markNotificationsRead();
+      setUnread(0);
+    } catch (err) {
+      console.error("Error marking notifications read:", err);
+    }
+  };
+
+  const isNew = (alert) => !lastReadAt || alert.created_at > lastReadAt;
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={handleToggle}
+        className="relative inline-flex items-center text-gray-700"
+        title="Stock alerts"
+        aria-label={unread > 0 ? `Stock alerts, ${unread} unread` : 'Stock alerts'}
+      >
+        <FontAwesomeIcon icon={faBell} className="h-4 w-4" />
+        {unread > 0 && (
+          <span className="absolute -top-2 -right-3 min-w-[1.25rem] px-1 rounded-full bg-red-600 text-white text-xs text-center">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+      {open && (
+        <div className="origin-top-right absolute right-0 mt-2 w-96 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-30">
+          <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+            <p className="text-sm font-medium text-gray-900">Stock alerts</p>
+            <Link to="/settings/alerts" onClick={() => setOpen(false)} className="text-sm text-blue-600 hover:text-blue-800">
+              Alert settings
+            </Link>
+          </div>
+          {alerts.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">Nothing has run low or out of stock.</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {alerts.map(alert => (
+                <li key={alert.id} className={`${alert.cleared_at ? 'opacity-60' : ''} ${isNew(alert) ? 'bg-blue-50' : ''}`}>
+                  <Link to={productLink(alert)} onClick={() => setOpen(false)} className="block px-4 py-2 text-sm hover:bg-gray-50">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="font-medium text-gray-900 truncate">{alert.name}</span>
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full whitespace-nowrap ${STOCK_STATUSES[alert.status].class}`}>
+                        {STOCK_STATUSES[alert.status].label}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {alert.location_name}: {alert.quantity} left · {new Date(alert.created_at).toLocaleString()}
+                    </p>
+                    {alert.cleared_at ? (
+                      <p className="text-xs text-green-700">Restocked {new Date(alert.cleared_at).toLocaleString()}</p>
+                    ) : alert.current_status && alert.current_status !== alert.status && (
+                      <p className="text-xs text-gray-500">Now {STOCK_STATUSES[alert.current_status].label.toLowerCase()}</p>
+                    )}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCentre;
@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+import { listPriceHistory } from '../api/priceHistory';
+import { isLocalId } from '../offline/outbox';
+import { PRICE_FIELDS, priceChangePercent, priceSeries } from '../utils/priceHistory';
+import { formatKsh, formatPercent } from '../utils/format';
+import LineChart from './charts/LineChart';
+
+// Buying and selling price changes for one product, as a chart and a
+// timeline. Reloads when the product's prices change.
+const PriceHistory = ({ product }) => {
+  const [changes, setChanges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const unsaved = isLocalId(product.id);
+
+  useEffect(() => {
+    if (unsaved) return undefined;
+    let cancelled = false;
+    const fetchChanges = async () => {
+      setLoading(true);
+      try {
+        const data = await listPriceHistory(product.id);
+        if (cancelled) return;
+        setChanges(data || []);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(`Failed to load price history: ${err.message}`);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchChanges();
+    return () => { cancelled = true; };
+  }, [unsaved, product.id, product.buying_price, product.selling_price]);
+
+  if (unsaved) return <p className="text-sm text-gray-500">Price history starts once this product is synced.</p>;
+
+  if (loading) return <p className="text-sm text-gray-500 animate-pulse">Loading price history...</p>;
+  if (error) return <p className="text-sm text-red-700">{error}</p>;
+  if (changes.length === 0) return <p className="text-sm text-gray-500">No price changes recorded yet.</p>;
+
+  return (
+    <div className="space-y-6">
+      <LineChart series={priceSeries(changes, product)} format={formatKsh} />
+      <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+        {changes.map(change => {
+          const percent = priceChangePercent(change);
+          const rising = change.new_value > change.old_value;
+          return (
+            <li key={change.id} className="ml-4">
+              <span
+                className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white"
+                style={{ backgroundColor: PRICE_FIELDS[change.field]?.color }}
+              />
+              <p className="text-xs text-gray-500">
+                {new Date(change.created_at).toLocaleString()} by {change.user}
+              </p>
+              <p className="text-sm text-gray-900">
+                {PRICE_FIELDS[change.field]?.label || change.field}: {formatKsh(change.old_value)} &rarr; {formatKsh(change.new_value)}
+                <span className={`ml-2 font-mono ${rising ? 'text-red-600' : 'text-green-700'}`}>
+                  {rising ? '+' : ''}{formatPercent(percent)}
+                </span>
+              </p>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default PriceHistory;
@@ -0,0 +1,266 @@
+import { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes } from '@fortawesome/free-solid-svg-icons';
+import { STOCK_RULE_FIELDS, parseAlertConfig, pickStockRules, resolveStockRules } from '../utils/stock';
+import { useStockRules } from '../stockRules/context';
+import { listProducts } from '../api/products';
+import { validateProductForm } from '../utils/productValidation';
+import { inputClass, serverFieldErrors } from '../utils/forms';
+import { categoryOf } from '../utils/categories';
+import FormField from './FormField';
+import CategorySelect from './CategorySelect';
+
+const toFormValues = (product, suppliers, categories) => ({
+  product_index: product?.product_index ?? '',
+  barcode: product?.barcode ?? '',
+  name: product?.name ?? '',
+  buying_price: product?.buying_price ?? '',
+  selling_price: product?.selling_price ?? '',
+  quantity: product?.quantity ?? '',
+  ...Object.fromEntries(Object.keys(STOCK_RULE_FIELDS).map(key => [key, parseAlertConfig(product ?? {})?.[key] ?? ''])),
+  category_id: String(categoryOf(product, categories)?.id ?? ''),
+  supplier_id: String(
+    product?.supplier_id ??
+    suppliers.find(s => s.name === product?.supplier_name)?.id ??
+    ''
+  ),
+  description: product?.description ?? ''
+});
+
+// Server field names that map onto a differently named form field
+const SERVER_FIELD_ALIASES = { alert_config: 'min_quantity' };
+
+// Create/edit form for a product. Pass `product` to edit it; `onSave`
+// receives the API payload and should throw (an ApiError) on failure.
+// Product IDs and barcodes are checked against the whole catalog, loaded
+// here; the server's 409 still catches anything it misses.
+const ProductFormModal = ({ product, suppliers = [], categories = [], onClose, onSave }) => {
+  const isEdit = Boolean(product);
+  const { stockRules } = useStockRules();
+  const [values, setValues] = useState(() => toFormValues(product, suppliers, categories));
+  const [touched, setTouched] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const [serverErrors, setServerErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [products, setProducts] = useState([]);
+
+  useEffect(() => {
+    listProducts()
+      .then(setProducts)
+      .catch(err => console.error("Error loading products for duplicate checks:", err));
+  }, []);
+
+  const { errors, warnings } = validateProductForm(values, { products, currentId: product?.id });
+  const unlistedSupplier = Boolean(product?.supplier_name) && values.supplier_id === '' && !touched.supplier_id;
+  const unlistedCategory = Boolean(product?.category) && values.category_id === '' && !touched.category_id;
+  const errorFor = (key) => serverErrors[key] || ((touched[key] || submitted) ? errors[key] : null);
+
+  // Levels the product falls back to when its own are left blank
+  const inherited = resolveStockRules(
+    { category_id: values.category_id === '' ? null : values.category_id, category: unlistedCategory ? product.category : '' },
+    stockRules);
+  const inheritedHint = (key) => {
+    const source = inherited.sources[key];
+    const from = source.type === 'category' ? ` from ${source.name}` : '';
+    return inherited[key] === null ? 'Blank for none' : `Blank uses ${inherited[key]}${from}`;
+  };
+
+  const setField = (key, value) => {
+    setValues({ ...values, [key]: value });
+    setTouched({ ...touched, [key]: true });
+    if (serverErrors[key]) setServerErrors({ ...serverErrors, [key]: null });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (Object.keys(errors).length > 0) return;
+
+    const payload = {
+      product_index: values.product_index.trim(),
+      barcode: values.barcode.trim(),
+      name: values.name.trim(),
+      buying_price: parseFloat(values.buying_price) || 0,
+      selling_price: parseFloat(values.selling_price) || 0,
+      // Blank levels are left out so they are inherited
+      alert_config: {
+        ...Object.fromEntries(Object.entries(parseAlertConfig(product ?? {}) || {})
+          .filter(([key]) => !STOCK_RULE_FIELDS[key])),
+        ...pickStockRules(values)
+      },
+      description: values.description
+    };
+    // Likewise a free-text category outside the tree is kept until replaced
+    if (values.category_id !== '' || touched.category_id || !product?.category) {
+      payload.category_id = values.category_id === '' ? null : Number(values.category_id);
+    }
+    // Products still pointing at an unlisted free-text supplier keep it
+    // until someone picks a supplier record.
+    if (values.supplier_id !== '' || touched.supplier_id || !product?.supplier_name) {
+      const supplier = suppliers.find(s => String(s.id) === values.supplier_id);
+      payload.supplier_id = supplier ? supplier.id : null;
+      payload.supplier_name = supplier ? supplier.name : '';
+    }
+    // Stock levels of existing products only change through stock movements
+    if (!isEdit) payload.quantity = parseInt(values.quantity, 10) || 0;
+
+    setSaving(true);
+    setFormError(null);
+    try {
+      await onSave(payload);
+    } catch (err) {
+      setServerErrors(serverFieldErrors(err, SERVER_FIELD_ALIASES));
+      setFormError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="bg-gray-800 text-white p-4 rounded-t-lg flex justify-between items-center">
+          <h2 className="text-xl font-light">{isEdit ? `Edit ${product.name}` : 'Create New Product'}</h2>
+          <button onClick={onClose} className="text-white hover:text-gray-300">
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} noValidate className="p-6">
+          {formError && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-3 mb-4">
+              <p className="text-sm text-red-700">{formError}</p>
+            </div>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            <FormField label="Product ID" error={errorFor('product_index')}>
+              <input
+                type="text"
+                className={inputClass(errorFor('product_index'))}
+                value={values.product_index}
+                onChange={(e) => setField('product_index', e.target.value)}
+              />
+            </FormField>
+            <FormField label="Barcode" error={errorFor('barcode')} hint="EAN/UPC or your own code; labels use the Product ID when blank">
+              <input
+                type="text"
+                autoComplete="off"
+                className={`${inputClass(errorFor('barcode'))} font-mono`}
+                value={values.barcode}
+                onChange={(e) => setField('barcode', e.target.value)}
+              />
+            </FormField>
+            <FormField label="Name *" error={errorFor('name')}>
+              <input
+                type="text"
+                className={inputClass(errorFor('name'))}
+                value={values.name}
+                onChange={(e) => setField('name', e.target.value)}
+              />
+            </FormField>
+            <FormField label="Buy Price (Ksh)" error={errorFor('buying_price')}>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                className={inputClass(errorFor('buying_price'))}
+                value={values.buying_price}
+                onChange={(e) => setField('buying_price', e.target.value)}
+              />
+            </FormField>
+            <FormField label="Sell Price (Ksh)" error={errorFor('selling_price')} warning={warnings.selling_price}>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                className={inputClass(errorFor('selling_price'))}
+                value={values.selling_price}
+                onChange={(e) => setField('selling_price', e.target.value)}
+              />
+            </FormField>
+            <FormField
+              label={isEdit ? 'Current Quantity' : 'Initial Quantity'}
+              error={errorFor('quantity')}
+              hint={isEdit ? 'Change stock with Record Movement so the change is audited' : null}
+            >
+              <input
+                type="number"
+                min="0"
+                disabled={isEdit}
+                className={`${inputClass(errorFor('quantity'))} disabled:bg-gray-100 disabled:text-gray-500`}
+                value={values.quantity}
+                onChange={(e) => setField('quantity', e.target.value)}
+              />
+            </FormField>
+            {Object.entries({ min_quantity: 'Low Stock Alert At', reorder_point: 'Reorder Point', max_quantity: 'Overstocked Above' })
+              .map(([key, label]) => (
+                <FormField key={key} label={label} error={errorFor(key)} hint={inheritedHint(key)}>
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder={inherited[key] === null ? '' : String(inherited[key])}
+                    className={inputClass(errorFor(key))}
+                    value={values[key]}
+                    onChange={(e) => setField(key, e.target.value)}
+                  />
+                </FormField>
+              ))}
+            <FormField
+              label="Category"
+              error={errorFor('category_id') || errorFor('category')}
+              warning={unlistedCategory && `"${product.category}" is not in the category list`}
+            >
+              <CategorySelect
+                categories={categories}
+                className={inputClass(errorFor('category_id'))}
+                value={values.category_id}
+                onChange={(value) => setField('category_id', value)}
+              />
+            </FormField>
+            <FormField
+              label="Supplier"
+              error={errorFor('supplier_id') || errorFor('supplier_name')}
+              warning={unlistedSupplier && `"${product.supplier_name}" is not in the supplier list`}
+            >
+              <select
+                className={inputClass(errorFor('supplier_id'))}
+                value={values.supplier_id}
+                onChange={(e) => setField('supplier_id', e.target.value)}
+              >
+                <option value="">— No supplier —</option>
+                {suppliers.map(supplier => (
+                  <option key={supplier.id} value={String(supplier.id)}>{supplier.name}</option>
+                ))}
+              </select>
+            </FormField>
+            <FormField label="Description" error={errorFor('description')} className="md:col-span-2">
+              <textarea
+                rows="3"
+                className={inputClass(errorFor('description'))}
+                value={values.description}
+                onChange={(e) => setField('description', e.target.value)}
+              />
+            </FormField>
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : isEdit ? 'Save Changes' : 'Create Product'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ProductFormModal;
@@ -0,0 +1,267 @@
+import { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes, faFileUpload, faCheckCircle, faExclamationTriangle } from '@fortawesome/free-solid-svg-icons';
+import { listProducts, createProduct, updateProduct } from '../api/products';
+import { readSpreadsheet } from '../utils/spreadsheet';
+import { IMPORT_FIELDS, guessColumnMapping, buildImportRows } from '../utils/productImport';
+import { runInBatches } from '../utils/batch';
+
+const BATCH_SIZE = 10;
+
+const ACTION_BADGES = {
+  create: { text: 'New', class: 'bg-green-100 text-green-800' },
+  update: { text: 'Update', class: 'bg-blue-100 text-blue-800' },
+  skip: { text: 'Skip', class: 'bg-red-100 text-red-800' }
+};
+
+// Import products from CSV/XLSX: upload -> map columns -> preview -> import.
+// Rows are matched against the whole catalog, which is loaded here.
+const ProductImportModal = ({ suppliers, categories, onClose, onImported }) => {
+  const [products, setProducts] = useState(null);
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [report, setReport] = useState(null);
+
+  // Load the existing catalog so rows can be matched by Product ID
+  useEffect(() => {
+    listProducts()
+      .then(setProducts)
+      .catch(err => setError(`Failed to load existing products: ${err.message}`));
+  }, []);
+
+  const importRows = sheet && products ? buildImportRows(sheet.rows, mapping, products, suppliers, categories) : [];
+  const counts = importRows.reduce((acc, row) => {
+    acc[row.action] += 1;
+    return acc;
+  }, { create: 0, update: 0, skip: 0 });
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError(null);
+    try {
+      const data = await readSpreadsheet(file);
+      setFileName(file.name);
+      setSheet(data);
+      setMapping(guessColumnMapping(data.headers));
+      setStep('map');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // The server posts a changed quantity as a count correction noted
+  // "Import", working out the difference when the row is saved
+  const importRow = (row) => (row.action === 'update'
+    ? updateProduct(row.existing.id, { ...row.product, stock_note: 'Import' })
+    : createProduct(row.product));
+
+  const runImport = async () => {
+    const pending = importRows.filter(row => row.action !== 'skip');
+    setProgress({ done: 0, total: pending.length });
+    setStep('importing');
+
+    const { succeeded, failed: failures } = await runInBatches(pending, importRow,
+      { batchSize: BATCH_SIZE, onProgress: setProgress });
+
+    const created = succeeded.filter(({ item }) => item.action !== 'update').map(({ value }) => value);
+    const updated = succeeded.filter(({ item }) => item.action === 'update').map(({ value }) => value);
+    const failed = failures.map(({ item: row, error }) => ({
+      rowNumber: row.rowNumber,
+      name: row.product.name || row.existing?.name,
+      message: error.message
+    }));
+
+    setReport({ created, updated, failed, skipped: counts.skip });
+    setStep('done');
+    onImported({ created, updated });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+        <div className="bg-gray-800 text-white p-4 rounded-t-lg flex justify-between items-center">
+          <h2 className="text-xl font-light">Import Products{fileName && ` — ${fileName}`}</h2>
+          <button
+            onClick={onClose}
+            disabled={step === 'importing'}
+            className="text-white hover:text-gray-300 disabled:opacity-50"
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto">
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-3 mb-4">
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          {step === 'upload' && !products && !error && (
+            <p className="text-sm text-gray-600 animate-pulse">Loading existing products...</p>
+          )}
+
+          {step === 'upload' && products && (
+            <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-10 cursor-pointer hover:border-blue-400">
+              <FontAwesomeIcon icon={faFileUpload} className="h-10 w-10 text-gray-400 mb-3" />
+              <span className="text-sm text-gray-700">Choose a .csv or .xlsx file</span>
+              <span className="mt-1 text-xs text-gray-500">
+                The first row must contain column headings. Rows with an existing Product ID update that product.
+              </span>
+              <input type="file" accept=".csv,.xlsx,text/csv" className="hidden" onChange={handleFile} />
+            </label>
+          )}
+
+          {step === 'map' && (
+            <>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Map columns</h3>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                {IMPORT_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {field.label}{field.required && ' *'}
+                    </label>
+                    <select
+                      className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                      value={mapping[field.key] ?? ''}
+                      onChange={(e) => setMapping({
+                        ...mapping,
+                        [field.key]: e.target.value === '' ? undefined : Number(e.target.value)
+                      })}
+                    >
+                      <option value="">— Not imported —</option>
+                      {sheet.headers.map((header, i) => (
+                        <option key={i} value={i}>{header || `Column ${i + 1}`}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-lg font-medium text-gray-900">Preview</h3>
+                <p className="text-sm text-gray-600">
+                  {counts.create} new, {counts.update} updates, <span className="text-red-600">{counts.skip} with errors</span>
+                </p>
+              </div>
+              <div className="overflow-x-auto border border-gray-200 rounded-md max-h-80">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product ID</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Buy</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Sell</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Qty</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Issues</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {importRows.map(row => (
+                      <tr key={row.rowNumber} className={row.action === 'skip' ? 'bg-red-50' : ''}>
+                        <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                        <td className="px-3 py-2">
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${ACTION_BADGES[row.action].class}`}>
+                            {ACTION_BADGES[row.action].text}
+                          </span>
+                        </td>
+                        <td className="px-3 py-2 font-mono text-gray-900">{row.product.product_index ?? row.existing?.product_index}</td>
+                        <td className="px-3 py-2 text-gray-900">{row.product.name ?? row.existing?.name}</td>
+                        <td className="px-3 py-2 text-right text-gray-900">{row.product.buying_price ?? '-'}</td>
+                        <td className="px-3 py-2 text-right text-gray-900">{row.product.selling_price ?? '-'}</td>
+                        <td className="px-3 py-2 text-right text-gray-900">
+                          {row.existing && row.product.quantity !== undefined && row.product.quantity !== row.existing.quantity
+                            ? `${row.existing.quantity} → ${row.product.quantity}`
+                            : row.product.quantity ?? '-'}
+                        </td>
+                        <td className="px-3 py-2">
+                          {row.errors.map(message => <div key={message} className="text-red-700">{message}</div>)}
+                          {row.warnings.map(message => <div key={message} className="text-yellow-700">{message}</div>)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {step === 'importing' && (
+            <div className="py-10">
+              <p className="text-sm text-gray-700 mb-2">
+                Importing {progress.done} of {progress.total} products...
+              </p>
+              <div className="h-3 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-blue-600 transition-all"
+                  style={{ width: progress.total ? `${(progress.done / progress.total) * 100}%` : 0 }}
+                />
+              </div>
+            </div>
+          )}
+
+          {step === 'done' && report && (
+            <div>
+              <div className="flex items-center mb-4">
+                <FontAwesomeIcon
+                  icon={report.failed.length ? faExclamationTriangle : faCheckCircle}
+                  className={`h-6 w-6 ${report.failed.length ? 'text-yellow-500' : 'text-green-500'}`}
+                />
+                <p className="ml-3 text-sm text-gray-700">
+                  {report.created.length} created, {report.updated.length} updated,{' '}
+                  {report.failed.length} failed, {report.skipped} skipped because of validation errors.
+                </p>
+              </div>
+              {report.failed.length > 0 && (
+                <ul className="bg-red-50 border-l-4 border-red-500 p-3 text-sm text-red-700 space-y-1">
+                  {report.failed.map(failure => (
+                    <li key={failure.rowNumber}>
+                      Row {failure.rowNumber} ({failure.name}): {failure.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-gray-50 px-6 py-3 flex justify-end gap-3 rounded-b-lg">
+          {step === 'map' && (
+            <>
+              <button
+                onClick={() => { setStep('upload'); setSheet(null); setFileName(''); }}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                Choose another file
+              </button>
+              <button
+                onClick={runImport}
+                disabled={counts.create + counts.update === 0 || mapping.name === undefined}
+                className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                Import {counts.create + counts.update} products
+              </button>
+            </>
+          )}
+          {(step === 'upload' || step === 'done') && (
+            <button
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              Close
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductImportModal;
@@ -0,0 +1,29 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../auth/context';
+
+// Layout route that only renders its children for a signed-in user, and
+// optionally only for users holding `permission`.
+const ProtectedRoute = ({ permission }) => {
+  const { user, loading, can } = useAuth();
+  const location = useLocation();
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Checking your session...</p>
+    </div>
+  );
+
+  if (!user) return <Navigate to="/login" replace state={{ from: location }} />;
+
+  if (permission && !can(permission)) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-yellow-50 border-l-4 border-yellow-500 p-4 max-w-md">
+        <p className="text-sm text-yellow-800">You do not have permission to view this page.</p>
+      </div>
+    </div>
+  );
+
+  return <Outlet />;
+};
+
+export default ProtectedRoute;
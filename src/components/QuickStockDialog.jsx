@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes, faMinus, faPlus } from '@fortawesome/free-solid-svg-icons';
+import { recordMovement } from '../api/stock';
+import { useLocations } from '../locations/context';
+import { stockAt } from '../utils/locations';
+
+const TYPES = [['receive', 'Receive'], ['issue', 'Issue']];
+
+// Receive or issue a scanned product in as few taps as possible. The parent
+// owns `quantity` so scanning the same product again can add one. Stock
+// moves at `locationId`, the default when not given.
+const QuickStockDialog = ({ product, type, quantity, locationId, user, onChange, onClose, onRecorded }) => {
+  const { defaultLocationId, locationName } = useLocations();
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const at = locationId ?? defaultLocationId;
+  const onHand = stockAt(product, at, defaultLocationId);
+  const amount = parseInt(quantity, 10);
+  const after = onHand + (type === 'issue' ? -amount : amount);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (Number.isNaN(amount) || amount <= 0) {
+      setError('Enter a quantity greater than zero');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await recordMovement(product.id, { type, quantity: amount, note: 'Scanned', user, location_id: at ?? undefined });
+      onRecorded(result, { type, quantity: amount });
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const step = (by) => onChange({ quantity: String(Math.max((Number.isNaN(amount) ? 0 : amount) + by, 1)) });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl w-full max-w-sm">
+        <div className="bg-gray-800 text-white p-4 rounded-t-lg flex justify-between items-center">
+          <h2 className="text-xl font-light">Quick {type === 'issue' ? 'Issue' : 'Receive'}</h2>
+          <button type="button" onClick={onClose} className="text-white hover:text-gray-300">
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-gray-700">
+            <span className="font-mono">{product.product_index}</span> {product.name}
+            <span className="block text-gray-500">Current stock at {locationName(at)}: {onHand}</span>
+          </p>
+
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-3">
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          <div className="flex rounded-md shadow-sm" role="group">
+            {TYPES.map(([key, label], i) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => onChange({ type: key })}
+                className={`flex-1 px-3 py-2 text-sm font-medium border ${i === 0 ? 'rounded-l-md' : 'rounded-r-md'} ${
+                  type === key
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex items-center gap-2">
+            <button type="button" onClick={() => step(-1)} aria-label="One less" className="h-12 w-12 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50">
+              <FontAwesomeIcon icon={faMinus} />
+            </button>
+            <input
+              type="number"
+              min="1"
+              aria-label="Quantity"
+              value={quantity}
+              onChange={(e) => onChange({ quantity: e.target.value })}
+              className="flex-1 h-12 text-center text-2xl border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button type="button" onClick={() => step(1)} aria-label="One more" className="h-12 w-12 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50">
+              <FontAwesomeIcon icon={faPlus} />
+            </button>
+          </div>
+          <p className={`text-sm ${after < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+            {!Number.isNaN(amount) && `Stock after: ${after}. `}
+            Scan the same product again to add one.
+          </p>
+        </div>
+        <div className="bg-gray-50 px-4 py-3 sm:px-6 flex justify-end gap-3 rounded-b-lg">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          {/* Focus starts here rather than in the quantity box, so a wedge
+              scanner's next scan adds one instead of typing into it */}
+          <button
+            type="submit"
+            disabled={saving}
+            autoFocus
+            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : type === 'issue' ? 'Issue Stock' : 'Receive Stock'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default QuickStockDialog;
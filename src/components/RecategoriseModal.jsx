@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes } from '@fortawesome/free-solid-svg-icons';
+import { recategoriseProducts } from '../api/categories';
+import { categoryOf, categoryPath } from '../utils/categories';
+import CategorySelect from './CategorySelect';
+
+// Move several products into one category. Every product passed in starts
+// selected; `onDone` receives the updated products.
+const RecategoriseModal = ({ products, categories, title = 'Recategorise Products', onClose, onDone }) => {
+  const [selected, setSelected] = useState(() => new Set(products.map(p => p.id)));
+  const [targetId, setTargetId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggle = (productId) => {
+    const next = new Set(selected);
+    if (next.has(productId)) next.delete(productId);
+    else next.add(productId);
+    setSelected(next);
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const updated = await recategoriseProducts([...selected], Number(targetId));
+      onDone(updated);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="bg-gray-800 text-white p-4 rounded-t-lg flex justify-between items-center">
+          <h2 className="text-xl font-light">{title}</h2>
+          <button onClick={onClose} className="text-white hover:text-gray-300">
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+        <div className="p-6 overflow-y-auto">
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-3 mb-4">
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+          <label htmlFor="recategorise-target" className="block text-sm font-medium text-gray-700 mb-1">Move to</label>
+          <CategorySelect
+            id="recategorise-target"
+            categories={categories}
+            emptyLabel="Choose a category..."
+            className="block w-full border border-gray-300 rounded-md px-3 py-2 mb-4"
+            value={targetId}
+            onChange={setTargetId}
+          />
+          <div className="flex justify-between items-center mb-2 text-sm">
+            <span className="text-gray-700">{selected.size} of {products.length} products selected</span>
+            <button
+              type="button"
+              onClick={() => setSelected(selected.size === products.length ? new Set() : new Set(products.map(p => p.id)))}
+              className="text-blue-600 hover:text-blue-800"
+            >
+              {selected.size === products.length ? 'Select none' : 'Select all'}
+            </button>
+          </div>
+          <ul className="border border-gray-200 rounded-md divide-y divide-gray-200 max-h-72 overflow-y-auto">
+            {products.map(product => {
+              const current = categoryOf(product, categories);
+              return (
+                <li key={product.id}>
+                  <label className="flex items-center gap-3 px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                    <input type="checkbox" checked={selected.has(product.id)} onChange={() => toggle(product.id)} />
+                    <span className="font-mono text-gray-500">{product.product_index}</span>
+                    <span className="flex-1 text-gray-900">{product.name}</span>
+                    <span className="text-gray-500">
+                      {current ? categoryPath(categories, current.id) : product.category || 'Uncategorised'}
+                    </span>
+                  </label>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+        <div className="p-4 border-t border-gray-200 flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={saving || !targetId || selected.size === 0}
+            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Moving...' : `Move ${selected.size} product${selected.size === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecategoriseModal;
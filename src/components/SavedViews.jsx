@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faBookmark, faThumbtack, faTrash, faLink, faChevronDown } from '@fortawesome/free-solid-svg-icons';
+import { listViews, createView, updateView, deleteView } from '../api/views';
+
+// Named product list views ("Low stock paint from Crown"). `query` is the
+// current list query string; `onApply` receives a saved one to restore.
+// Pinned views show as one-click chips.
+const SavedViews = ({ query, onApply }) => {
+  const [views, setViews] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    listViews()
+      .then(setViews)
+      .catch(err => console.error("Error fetching saved views:", err));
+  }, []);
+
+  // Run a views API call, keeping failures next to the control
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const created = await createView({ name: name.trim(), query, pinned: true });
+      setViews([...views, created].sort((a, b) => a.name.localeCompare(b.name)));
+      setName('');
+      setNaming(false);
+    });
+  };
+
+  const togglePin = (view) => run(async () => {
+    const updated = await updateView(view.id, { pinned: !view.pinned });
+    setViews(views.map(v => (v.id === updated.id ? updated : v)));
+  });
+
+  const handleDelete = (view) => run(async () => {
+    await deleteView(view.id);
+    setViews(views.filter(v => v.id !== view.id));
+  });
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setError('Could not copy the link; copy it from the address bar instead');
+    }
+  };
+
+  const pinned = views.filter(v => v.pinned);
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center gap-2">
+        {pinned.map(view => (
+          <button
+            key={view.id}
+            onClick={() => onApply(view.query)}
+            className={`inline-flex items-center px-3 py-1 rounded-full text-sm border ${
+              view.query === query
+                ? 'bg-blue-600 border-blue-600 text-white'
+                : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <FontAwesomeIcon icon={faBookmark} className="mr-2 h-3 w-3" />
+            {view.name}
+          </button>
+        ))}
+
+        <div className="relative ml-auto">
+          <button
+            type="button"
+            onClick={() => setOpen(!open)}
+            className="inline-flex items-center px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md bg-white hover:bg-gray-50"
+          >
+            Saved views ({views.length})
+            <FontAwesomeIcon icon={faChevronDown} className="ml-2 h-3 w-3" />
+          </button>
+          {open && (
+            <div className="origin-top-right absolute right-0 mt-2 w-72 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-20">
+              <ul className="py-1 max-h-64 overflow-y-auto">
+                {views.length === 0 && (
+                  <li className="px-4 py-2 text-sm text-gray-500">No saved views yet</li>
+                )}
+                {views.map(view => (
+                  <li key={view.id} className="flex items-center px-4 py-2 text-sm hover:bg-gray-50">
+                    <button
+                      onClick={() => {
+                        onApply(view.query);
+                        setOpen(false);
+                      }}
+                      className="flex-1 text-left text-gray-700"
+                    >
+                      {view.name}
+                    </button>
+                    <button
+                      onClick={() => togglePin(view)}
+                      className={`ml-2 ${view.pinned ? 'text-blue-600' : 'text-gray-400'} hover:text-blue-800`}
+                      title={view.pinned ? 'Unpin' : 'Pin'}
+                    >
+                      <FontAwesomeIcon icon={faThumbtack} />
+                    </button>
+                    <button onClick={() => handleDelete(view)} className="ml-2 text-red-600 hover:text-red-900" title="Delete">
+                      <FontAwesomeIcon icon={faTrash} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        {naming ? (
+          <form onSubmit={handleSave} className="flex items-center gap-2">
+            <input
+              type="text"
+              autoFocus
+              placeholder="Name this view"
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <button type="submit" disabled={!name.trim()} className="px-3 py-1 text-sm text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50">
+              Save
+            </button>
+            <button type="button" onClick={() => setNaming(false)} className="text-sm text-gray-500 hover:text-gray-700">
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <button
+            type="button"
+            onClick={() => setNaming(true)}
+            className="inline-flex items-center px-3 py-1 text-sm text-blue-600 hover:text-blue-800"
+          >
+            <FontAwesomeIcon icon={faBookmark} className="mr-1" />
+            Save view
+          </button>
+        )}
+
+        <button
+          type="button"
+          onClick={copyLink}
+          className="inline-flex items-center px-3 py-1 text-sm text-blue-600 hover:text-blue-800"
+        >
+          <FontAwesomeIcon icon={faLink} className="mr-1" />
+          {copied ? 'Link copied' : 'Copy link'}
+        </button>
+      </div>
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default SavedViews;
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes, faCamera, faKeyboard } from '@fortawesome/free-solid-svg-icons';
+import { SCAN_ACTIONS } from '../utils/scanning';
+import CameraScanner from './CameraScanner';
+
+const MODES = [
+  ['camera', 'Camera', faCamera],
+  ['wedge', 'Scanner / keyboard', faKeyboard]
+];
+
+// Scan products with the camera or a USB keyboard-wedge scanner (which types
+// the code and presses Enter). Each code goes to `onScan(code)`; `action`
+// says what happens with the product (leave out `actions` when there is no
+// choice) and `lastScan` ({ code, message, tone }) reports the result.
+const ScannerModal = ({ action, actions, onActionChange, onScan, lastScan, onClose }) => {
+  const [mode, setMode] = useState('camera');
+  const [typed, setTyped] = useState('');
+
+  const handleTypedSubmit = (e) => {
+    e.preventDefault();
+    if (!typed.trim()) return;
+    onScan(typed.trim());
+    setTyped('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="bg-gray-800 text-white p-4 rounded-t-lg flex justify-between items-center">
+          <h2 className="text-xl font-light">Scan Products</h2>
+          <button onClick={onClose} className="text-white hover:text-gray-300">
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+        <div className="border-b border-gray-200 px-6">
+          <nav className="-mb-px flex space-x-6">
+            {MODES.map(([key, label, icon]) => (
+              <button
+                key={key}
+                onClick={() => setMode(key)}
+                className={`py-3 px-1 border-b-2 text-sm font-medium ${
+                  mode === key
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                <FontAwesomeIcon icon={icon} className="mr-2" />
+                {label}
+              </button>
+            ))}
+          </nav>
+        </div>
+        <div className="p-6 space-y-4">
+          {actions && (
+            <div>
+              <label htmlFor="scan-action" className="block text-sm font-medium text-gray-700 mb-1">When a product is found</label>
+              <select
+                id="scan-action"
+                value={action}
+                onChange={(e) => onActionChange(e.target.value)}
+                className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              >
+                {actions.map(key => <option key={key} value={key}>{SCAN_ACTIONS[key].label}</option>)}
+              </select>
+            </div>
+          )}
+
+          {mode === 'camera' ? (
+            <CameraScanner onScan={onScan} />
+          ) : (
+            <form onSubmit={handleTypedSubmit}>
+              <label htmlFor="scan-code" className="block text-sm font-medium text-gray-700 mb-1">Barcode or Product ID</label>
+              <input
+                id="scan-code"
+                type="text"
+                autoFocus
+                autoComplete="off"
+                value={typed}
+                onChange={(e) => setTyped(e.target.value)}
+                placeholder="Scan now, or type a code and press Enter"
+                className="w-full border border-gray-300 rounded-md px-3 py-2 font-mono focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <p className="mt-1 text-xs text-gray-500">Keep this box focused while scanning with a USB scanner.</p>
+            </form>
+          )}
+
+          {lastScan && (
+            <div className={`border-l-4 p-3 ${lastScan.tone === 'error' ? 'bg-red-50 border-red-500' : 'bg-green-50 border-green-500'}`}>
+              <p className={`text-sm ${lastScan.tone === 'error' ? 'text-red-700' : 'text-green-700'}`}>
+                <span className="font-mono">{lastScan.code}</span>: {lastScan.message}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScannerModal;
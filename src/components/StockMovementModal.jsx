@@ -0,0 +1,194 @@
+import { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes } from '@fortawesome/free-solid-svg-icons';
+import { recordMovement } from '../api/stock';
+import { MOVEMENT_TYPES, ADJUSTMENT_REASONS } from '../utils/stockMovements';
+import { useLocations } from '../locations/context';
+import { stockAt } from '../utils/locations';
+
+// Records against one location: the one the product list is scoped to, or
+// the default
+const StockMovementModal = ({ product, user, initialType = 'receive', onClose, onRecorded }) => {
+  const { activeLocations, defaultLocationId } = useLocations();
+  const [type, setType] = useState(initialType);
+  const [locationId, setLocationId] = useState(String(product.location_id ?? defaultLocationId ?? ''));
+  const [quantity, setQuantity] = useState('');
+  const [direction, setDirection] = useState('remove');
+  const [reason, setReason] = useState('count_correction');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const onHand = stockAt(product, locationId, defaultLocationId);
+  const amount = parseInt(quantity, 10);
+  const delta = Number.isNaN(amount)
+    ? 0
+    : type === 'issue' || (type === 'adjust' && direction === 'remove') ? -amount : amount;
+
+  const handleSubmit = async () => {
+    if (Number.isNaN(amount) || amount <= 0) {
+      setError('Enter a quantity greater than zero');
+      return;
+    }
+    if (type === 'adjust' && !note.trim() && reason === 'other') {
+      setError('Describe the reason for this adjustment');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await recordMovement(product.id, {
+        type,
+        quantity: type === 'adjust' ? delta : amount,
+        reason: type === 'adjust' ? reason : undefined,
+        note,
+        user,
+        location_id: locationId ? Number(locationId) : undefined
+      });
+      onRecorded(result);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="bg-gray-800 text-white p-4 rounded-t-lg flex justify-between items-center">
+          <h2 className="text-xl font-light">Stock Movement</h2>
+          <button onClick={onClose} className="text-white hover:text-gray-300">
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+        <div className="p-6">
+          <p className="text-sm text-gray-700 mb-4">
+            <span className="font-mono">{product.product_index}</span> {product.name}
+            <span className="block text-gray-500">Current stock here: {onHand}</span>
+          </p>
+
+          {activeLocations.length > 1 && (
+            <div className="mb-4">
+              <label htmlFor="movement-location" className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+              <select
+                id="movement-location"
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                value={locationId}
+                onChange={(e) => setLocationId(e.target.value)}
+              >
+                {activeLocations.map(location => (
+                  <option key={location.id} value={location.id}>
+                    {location.name} ({stockAt(product, location.id, defaultLocationId)} in stock)
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="flex rounded-md shadow-sm mb-4" role="group">
+            {Object.entries(MOVEMENT_TYPES).map(([key, { label }], i, all) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setType(key)}
+                className={`flex-1 px-3 py-2 text-sm font-medium border ${
+                  i === 0 ? 'rounded-l-md' : ''
+                } ${i === all.length - 1 ? 'rounded-r-md' : ''} ${
+                  type === key
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            {type === 'adjust' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Direction</label>
+                <select
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                  value={direction}
+                  onChange={(e) => setDirection(e.target.value)}
+                >
+                  <option value="remove">Remove from stock</option>
+                  <option value="add">Add to stock</option>
+                </select>
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Quantity</label>
+              <input
+                type="number"
+                min="1"
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                value={quantity}
+                onChange={(e) => setQuantity(e.target.value)}
+              />
+            </div>
+            {type === 'adjust' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                <select
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                >
+                  {Object.entries(ADJUSTMENT_REASONS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+              <textarea
+                rows="2"
+                placeholder={type === 'receive' ? 'Delivery note / invoice number' : ''}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+              />
+            </div>
+          </div>
+
+          {delta !== 0 && (
+            <p className="text-sm text-gray-600 mb-4">
+              Stock here will change from {onHand} to{' '}
+              <span className={`font-medium ${onHand + delta < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                {onHand + delta}
+              </span>
+            </p>
+          )}
+
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-3 mb-4">
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSubmit}
+              disabled={saving}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Record Movement'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StockMovementModal;
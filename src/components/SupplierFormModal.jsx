@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes } from '@fortawesome/free-solid-svg-icons';
+import { inputClass, serverFieldErrors } from '../utils/forms';
+import FormField from './FormField';
+
+const toFormValues = (supplier) => ({
+  name: supplier?.name ?? '',
+  contact_person: supplier?.contact_person ?? '',
+  phone: supplier?.phone ?? '',
+  email: supplier?.email ?? '',
+  lead_time_days: supplier?.lead_time_days ?? '',
+  payment_terms: supplier?.payment_terms ?? '',
+  notes: supplier?.notes ?? ''
+});
+
+const validate = (values, suppliers, currentId) => {
+  const errors = {};
+  const name = values.name.trim().toLowerCase();
+  if (!name) errors.name = 'Name is required';
+  else if (suppliers.some(s => s.id !== currentId && s.name.toLowerCase() === name)) {
+    errors.name = 'A supplier with this name already exists';
+  }
+  if (values.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(values.email.trim())) {
+    errors.email = 'Enter a valid email address';
+  }
+  const lead = String(values.lead_time_days).trim();
+  if (lead !== '' && (!Number.isInteger(Number(lead)) || Number(lead) < 0)) {
+    errors.lead_time_days = 'Lead time must be a whole number of days';
+  }
+  return errors;
+};
+
+// Create/edit form for a supplier record
+const SupplierFormModal = ({ supplier, suppliers, onClose, onSave }) => {
+  const [values, setValues] = useState(() => toFormValues(supplier));
+  const [submitted, setSubmitted] = useState(false);
+  const [serverErrors, setServerErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const errors = validate(values, suppliers, supplier?.id);
+  const errorFor = (key) => serverErrors[key] || (submitted ? errors[key] : null);
+
+  const setField = (key, value) => {
+    setValues({ ...values, [key]: value });
+    if (serverErrors[key]) setServerErrors({ ...serverErrors, [key]: null });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (Object.keys(errors).length > 0) return;
+
+    const lead = String(values.lead_time_days).trim();
+    setSaving(true);
+    setFormError(null);
+    try {
+      await onSave({
+        name: values.name.trim(),
+        contact_person: values.contact_person.trim(),
+        phone: values.phone.trim(),
+        email: values.email.trim(),
+        lead_time_days: lead === '' ? null : Number(lead),
+        payment_terms: values.payment_terms.trim(),
+        notes: values.notes
+      });
+    } catch (err) {
+      setServerErrors(serverFieldErrors(err));
+      setFormError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const textField = (key, label, props = {}) => (
+    <FormField label={label} error={errorFor(key)}>
+      <input
+        type="text"
+        className={inputClass(errorFor(key))}
+        value={values[key]}
+        onChange={(e) => setField(key, e.target.value)}
+        {...props}
+      />
+    </FormField>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="bg-gray-800 text-white p-4 rounded-t-lg flex justify-between items-center">
+          <h2 className="text-xl font-light">{supplier ? `Edit ${supplier.name}` : 'New Supplier'}</h2>
+          <button onClick={onClose} className="text-white hover:text-gray-300">
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} noValidate className="p-6">
+          {formError && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-3 mb-4">
+              <p className="text-sm text-red-700">{formError}</p>
+            </div>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            {textField('name', 'Name *')}
+            {textField('contact_person', 'Contact Person')}
+            {textField('phone', 'Phone', { type: 'tel' })}
+            {textField('email', 'Email', { type: 'email' })}
+            {textField('lead_time_days', 'Lead Time (days)', { type: 'number', min: 0 })}
+            {textField('payment_terms', 'Payment Terms', { placeholder: 'e.g. Net 30' })}
+            <FormField label="Notes" className="md:col-span-2">
+              <textarea
+                rows="3"
+                className={inputClass(false)}
+                value={values.notes}
+                onChange={(e) => setField('notes', e.target.value)}
+              />
+            </FormField>
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : supplier ? 'Save Changes' : 'Create Supplier'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SupplierFormModal;
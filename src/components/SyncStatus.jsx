@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCircle, faSyncAlt, faExclamationTriangle } from '@fortawesome/free-solid-svg-icons';
+import { useOffline } from '../offline/context';
+
+const KIND_LABELS = {
+  create: 'Create',
+  update: 'Edit',
+  archive: 'Archive',
+  restore: 'Restore'
+};
+
+// What a queued write touches, for the list in the panel
+const describe = (op) => {
+  const name = op.fields?.name || op.base?.name || `product ${op.product_id}`;
+  if (op.kind !== 'update') return name;
+  return `${name}: ${Object.keys(op.fields).join(', ')}`;
+};
+
+// Header indicator: online / offline / writes waiting to sync, with a panel
+// listing queued writes and settling conflicts
+const SyncStatus = () => {
+  const { online, syncing, queue, sync, keepMine, discard } = useOffline();
+  const [open, setOpen] = useState(false);
+  const problems = queue.filter(op => op.problem);
+
+  let label = 'Online';
+  let tone = 'text-green-600';
+  if (!online) {
+    label = queue.length > 0 ? `Offline · ${queue.length} to sync` : 'Offline';
+    tone = 'text-gray-500';
+  } else if (syncing) {
+    label = 'Syncing...';
+    tone = 'text-blue-600';
+  } else if (problems.length > 0) {
+    label = `${problems.length} need${problems.length === 1 ? 's' : ''} attention`;
+    tone = 'text-red-600';
+  } else if (queue.length > 0) {
+    label = `${queue.length} waiting to sync`;
+    tone = 'text-yellow-600';
+  }
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="inline-flex items-center text-sm text-gray-700"
+        title={online ? 'Connected to the server' : 'Working offline; changes will sync when the server is back'}
+      >
+        <FontAwesomeIcon
+          icon={syncing ? faSyncAlt : problems.length > 0 ? faExclamationTriangle : faCircle}
+          spin={syncing}
+          className={`mr-2 h-3 w-3 ${tone}`}
+        />
+        {label}
+      </button>
+      {open && (
+        <div className="origin-top-right absolute right-0 mt-2 w-96 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-30">
+          <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+            <p className="text-sm font-medium text-gray-900">
+              {queue.length === 0 ? 'Everything is synced' : `${queue.length} offline change${queue.length === 1 ? '' : 's'}`}
+            </p>
+            {online && queue.length > 0 && (
+              <button onClick={() => sync()} disabled={syncing} className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50">
+                Sync now
+              </button>
+            )}
+          </div>
+          <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100">
+            {queue.map(op => (
+              <li key={op.id} className="px-4 py-2 text-sm">
+                <p className="text-gray-900">
+                  <span className="font-medium">{KIND_LABELS[op.kind]}</span> {describe(op)}
+                </p>
+                <p className="text-xs text-gray-500">Queued {new Date(op.queued_at).toLocaleString()}</p>
+                {op.problem && (
+                  <div className="mt-1">
+                    <p className="text-xs text-red-600">{op.problem.message}</p>
+                    {op.problem.type === 'conflict' && (
+                      <p className="text-xs text-gray-500">
+                        Server now has:{' '}
+                        {Object.keys(op.fields).map(key => `${key} ${JSON.stringify(op.problem.server?.[key] ?? null)}`).join(', ')}
+                      </p>
+                    )}
+                    <div className="mt-1 flex gap-3">
+                      <button onClick={() => keepMine(op)} disabled={!online || syncing} className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50">
+                        {op.problem.type === 'conflict' ? 'Keep mine' : 'Try again'}
+                      </button>
+                      <button onClick={() => discard(op)} className="text-xs text-red-600 hover:text-red-800">
+                        {op.problem.type === 'conflict' ? "Keep the server's" : 'Discard'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncStatus;
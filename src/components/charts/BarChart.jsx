@@ -0,0 +1,31 @@
+// Horizontal bar chart built from plain divs.
+// items: [{ label, value, color? }], format: value -> display string
+const BarChart = ({ items, format = String, color = '#3b82f6' }) => {
+  const max = Math.max(0, ...items.map(item => item.value));
+
+  if (items.length === 0) return <p className="text-sm text-gray-500">No data yet.</p>;
+
+  return (
+    <ul className="space-y-3">
+      {items.map(item => (
+        <li key={item.label}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="text-gray-700 truncate mr-2">{item.label}</span>
+            <span className="text-gray-900 font-medium whitespace-nowrap">{format(item.value)}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+            <div
+              className="h-full rounded-full"
+              style={{
+                width: max > 0 ? `${(item.value / max) * 100}%` : 0,
+                backgroundColor: item.color || color
+              }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default BarChart;
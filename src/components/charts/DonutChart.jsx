@@ -0,0 +1,55 @@
+const RADIUS = 40;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+// SVG donut chart with a legend.
+// segments: [{ label, value, color }]
+const DonutChart = ({ segments, centerLabel }) => {
+  const total = segments.reduce((sum, segment) => sum + segment.value, 0);
+  let offset = 0;
+
+  return (
+    <div className="flex items-center gap-6">
+      <svg viewBox="0 0 100 100" className="h-32 w-32 flex-shrink-0 -rotate-90">
+        <circle cx="50" cy="50" r={RADIUS} fill="none" stroke="#f3f4f6" strokeWidth="16" />
+        {total > 0 && segments.map(segment => {
+          const length = (segment.value / total) * CIRCUMFERENCE;
+          const circle = (
+            <circle
+              key={segment.label}
+              cx="50"
+              cy="50"
+              r={RADIUS}
+              fill="none"
+              stroke={segment.color}
+              strokeWidth="16"
+              strokeDasharray={`${length} ${CIRCUMFERENCE - length}`}
+              strokeDashoffset={-offset}
+            />
+          );
+          offset += length;
+          return circle;
+        })}
+        <text
+          x="50"
+          y="50"
+          textAnchor="middle"
+          dominantBaseline="central"
+          className="rotate-90 origin-center fill-gray-900 text-lg"
+        >
+          {centerLabel ?? total}
+        </text>
+      </svg>
+      <ul className="space-y-1 text-sm">
+        {segments.map(segment => (
+          <li key={segment.label} className="flex items-center">
+            <span className="h-3 w-3 rounded-full mr-2" style={{ backgroundColor: segment.color }} />
+            <span className="text-gray-700 mr-2">{segment.label}</span>
+            <span className="text-gray-900 font-medium">{segment.value}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DonutChart;
@@ -0,0 +1,50 @@
+const WIDTH = 300;
+const HEIGHT = 120;
+const PAD = 8;
+
+// SVG step-line chart with a legend. Values hold until the next point, which
+// suits prices. series: [{ label, color, points: [{ x: Date, y }] }]
+const LineChart = ({ series, format = String }) => {
+  const points = series.flatMap(s => s.points);
+  if (points.length === 0) return <p className="text-sm text-gray-500">No data yet.</p>;
+
+  const times = points.map(p => p.x.getTime());
+  const values = points.map(p => p.y);
+  const [minX, maxX] = [Math.min(...times), Math.max(...times)];
+  const [minY, maxY] = [Math.min(0, ...values), Math.max(...values)];
+  const scaleX = (x) => PAD + (maxX > minX ? ((x.getTime() - minX) / (maxX - minX)) * (WIDTH - 2 * PAD) : WIDTH - 2 * PAD);
+  const scaleY = (y) => HEIGHT - PAD - (maxY > minY ? ((y - minY) / (maxY - minY)) * (HEIGHT - 2 * PAD) : 0);
+
+  const path = (s) => s.points.map((p, i) => {
+    const x = scaleX(p.x);
+    const y = scaleY(p.y);
+    if (i === 0) return `M ${x} ${y}`;
+    return `H ${x} V ${y}`;
+  }).join(' ');
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-32" preserveAspectRatio="none">
+        <line x1={PAD} y1={HEIGHT - PAD} x2={WIDTH - PAD} y2={HEIGHT - PAD} stroke="#e5e7eb" />
+        {series.map(s => (
+          <path key={s.label} d={path(s)} fill="none" stroke={s.color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{new Date(minX).toLocaleDateString()}</span>
+        <span>{new Date(maxX).toLocaleDateString()}</span>
+      </div>
+      <ul className="flex flex-wrap gap-4 mt-2 text-sm">
+        {series.map(s => (
+          <li key={s.label} className="flex items-center">
+            <span className="h-3 w-3 rounded-full mr-2" style={{ backgroundColor: s.color }} />
+            <span className="text-gray-700 mr-2">{s.label}</span>
+            <span className="text-gray-900 font-medium">{format(s.points[s.points.length - 1]?.y)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default LineChart;
@@ -0,0 +1,45 @@
+import { useEffect, useRef } from 'react';
+
+// Keyboard-wedge scanners type a code much faster than a person and finish
+// with Enter. Keys more than `maxGap` ms apart start a new code.
+const MAX_GAP_MS = 50;
+const MIN_LENGTH = 4;
+
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// Call `onScan(code)` for each code a USB keyboard-wedge scanner types while
+// `enabled`. Keys typed into form fields are left alone.
+const useBarcodeWedge = (onScan, { enabled = true } = {}) => {
+  const handlerRef = useRef(onScan);
+  handlerRef.current = onScan;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let buffer = '';
+    let lastKeyAt = 0;
+
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target) || e.ctrlKey || e.altKey || e.metaKey) return;
+      const now = Date.now();
+      if (now - lastKeyAt > MAX_GAP_MS) buffer = '';
+      lastKeyAt = now;
+
+      if (e.key === 'Enter') {
+        if (buffer.length >= MIN_LENGTH) {
+          e.preventDefault();
+          handlerRef.current(buffer);
+        }
+        buffer = '';
+      } else if (e.key.length === 1) {
+        buffer += e.key;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
+
+export default useBarcodeWedge;
@@ -0,0 +1,39 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { LocationsContext } from './context';
+import { listLocations } from '../api/locations';
+import { useAuth } from '../auth/context';
+import { defaultLocationId } from '../utils/locations';
+
+// Loads the stock locations once signed in, for the location pickers and
+// anything that names a location by id
+const LocationsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [locations, setLocations] = useState([]);
+
+  const reload = useCallback(async () => {
+    try {
+      setLocations(await listLocations());
+    } catch (err) {
+      console.error("Error loading locations:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) reload();
+  }, [user, reload]);
+
+  const value = useMemo(() => {
+    const activeLocations = locations.filter(l => !l.archived_at);
+    return {
+      locations,
+      activeLocations,
+      defaultLocationId: defaultLocationId(activeLocations),
+      locationName: (id) => locations.find(l => String(l.id) === String(id))?.name ?? `Location ${id}`,
+      reload
+    };
+  }, [locations, reload]);
+
+  return <LocationsContext.Provider value={value}>{children}</LocationsContext.Provider>;
+};
+
+export default LocationsProvider;
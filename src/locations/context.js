@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+
+export const LocationsContext = createContext(null);
+
+// { locations, activeLocations, defaultLocationId, locationName, reload }
+export const useLocations = () => {
+  const context = useContext(LocationsContext);
+  if (!context) throw new Error('useLocations must be used inside <LocationsProvider>');
+  return context;
+};
@@ -3,8 +3,17 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// VITE_API_MOCK=true serves the API from an in-browser mock so the app works
+// offline. The import is dropped from production builds that don't enable it.
+const enableMocking = () => {
+  if (import.meta.env.VITE_API_MOCK !== 'true') return Promise.resolve()
+  return import('./mock/browser').then(({ installMockBackend }) => installMockBackend())
+}
+
+enableMocking().then(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+})
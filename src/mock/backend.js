@@ -0,0 +1,74 @@
+// In-process mock of the inventory API. It has no browser or Node
+// dependencies so the same handlers back both the in-browser fetch shim
+// (src/mock/browser.js) and the standalone server (scripts/mock-server.js).
+// Imports use explicit .js extensions so Node can load these files directly.
+import { createDb } from './db.js';
+import { createRouter } from './router.js';
+import { registerAuthRoutes } from './routes/auth.js';
+import { registerCategoryRoutes } from './routes/categories.js';
+import { registerProductRoutes } from './routes/products.js';
+import { registerLocationRoutes } from './routes/locations.js';
+import { registerNotificationRoutes, runDigests } from './routes/notifications.js';
+import { registerPriceHistoryRoutes } from './routes/priceHistory.js';
+import { registerPurchaseOrderRoutes } from './routes/purchaseOrders.js';
+import { registerSaleRoutes } from './routes/sales.js';
+import { registerSettingsRoutes } from './routes/settings.js';
+import { registerStockRoutes } from './routes/stock.js';
+import { registerStockTakeRoutes } from './routes/stockTakes.js';
+import { registerSupplierRoutes } from './routes/suppliers.js';
+import { registerTransferRoutes } from './routes/transfers.js';
+import { registerViewRoutes } from './routes/views.js';
+import { DEFAULT_STOCK_RULES } from '../utils/stock.js';
+import { DEFAULT_DIGEST_SETTINGS } from '../utils/notifications.js';
+import { seedCategories, seedLocations, seedProducts, seedSuppliers, seedUsers } from './seed.js';
+
+// `transport` delivers digests: { sendMail(smtp, message), postWebhook(url,
+// payload) }, both returning promises. Without one, deliveries are logged as
+// failed.
+export const createMockBackend = ({ storage, transport } = {}) => {
+  const db = createDb({
+    users: seedUsers,
+    sessions: [],
+    suppliers: seedSuppliers,
+    categories: seedCategories,
+    locations: seedLocations,
+    products: seedProducts,
+    movements: [],
+    price_changes: [],
+    purchase_orders: [],
+    stock_takes: [],
+    sales: [],
+    transfers: [],
+    saved_views: [],
+    stock_alerts: [],
+    notification_subscriptions: [],
+    digest_deliveries: [],
+    digest_settings: [{ id: 1, ...DEFAULT_DIGEST_SETTINGS }],
+    settings: [{ id: 'stock_rules', ...DEFAULT_STOCK_RULES }]
+  }, storage);
+  const router = createRouter();
+
+  registerAuthRoutes(router, db);
+  registerProductRoutes(router, db);
+  registerStockRoutes(router, db);
+  registerLocationRoutes(router, db);
+  registerTransferRoutes(router, db);
+  registerPriceHistoryRoutes(router, db);
+  registerSupplierRoutes(router, db);
+  registerCategoryRoutes(router, db);
+  registerPurchaseOrderRoutes(router, db);
+  registerStockTakeRoutes(router, db);
+  registerSaleRoutes(router, db);
+  registerViewRoutes(router, db);
+  registerSettingsRoutes(router, db);
+  registerNotificationRoutes(router, db, transport);
+
+  return {
+    db,
+    // path is relative to the API root, e.g. "/products/3"
+    handle: (req) => router.dispatch(req),
+    // Call every few minutes; sends each subscriber's daily digest once
+    // it is due. Resolves to the delivery log entries written.
+    runDueDigests: () => runDigests(db, transport)
+  };
+};
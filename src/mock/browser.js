@@ -0,0 +1,73 @@
+import { API_BASE_URL } from '../api/client';
+import { createMockBackend } from './backend';
+
+const STORAGE_KEY = 'inventory-mock-db';
+const LATENCY_MS = Number(import.meta.env.VITE_API_MOCK_LATENCY_MS) || 0;
+const DIGEST_CHECK_MS = 60 * 1000;
+
+const localStorageAdapter = {
+  load: () => {
+    try {
+      return JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    } catch {
+      return null;
+    }
+  },
+  save: (state) => window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state))
+};
+
+// Route every fetch aimed at the API base URL to the in-browser mock backend.
+// Anything else still goes to the network.
+export const installMockBackend = () => {
+  const realFetch = window.fetch.bind(window);
+  // A browser can post digest webhooks (if the endpoint allows CORS) but
+  // can't speak SMTP
+  const transport = {
+    sendMail: async () => {
+      throw new Error('Digest emails are only sent by the standalone mock server (npm run mock)');
+    },
+    postWebhook: async (url, payload) => {
+      const response = await realFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (!response.ok) throw new Error(`Webhook answered ${response.status} ${response.statusText}`.trim());
+    }
+  };
+  const backend = createMockBackend({ storage: localStorageAdapter, transport });
+
+  window.fetch = async (input, init = {}) => {
+    const url = input instanceof Request ? input.url : String(input);
+    if (!url.startsWith(API_BASE_URL)) return realFetch(input, init);
+
+    const { pathname, searchParams } = new URL(url.slice(API_BASE_URL.length) || '/', 'http://mock');
+    const method = (init.method || 'GET').toUpperCase();
+    const body = typeof init.body === 'string' && init.body ? JSON.parse(init.body) : undefined;
+
+    if (LATENCY_MS) await new Promise(resolve => setTimeout(resolve, LATENCY_MS));
+    if (init.signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+
+    const result = await backend.handle({
+      method,
+      path: pathname,
+      query: Object.fromEntries(searchParams),
+      body,
+      headers: Object.fromEntries(new Headers(init.headers))
+    });
+
+    return new Response(result.status === 204 ? null : JSON.stringify(result.body), {
+      status: result.status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+
+  // Daily digests go out while a tab is open
+  window.setInterval(() => {
+    backend.runDueDigests().catch(err => console.error('[mock] Error sending digests:', err));
+  }, DIGEST_CHECK_MS);
+
+  // Handy for resetting the sample data from the dev tools console
+  window.__mockBackend = backend;
+  console.info(`[mock] API requests to ${API_BASE_URL} are served by the in-browser mock backend`);
+};
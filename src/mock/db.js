@@ -0,0 +1,59 @@
+// Minimal collection store for the mock backend. State lives in memory and is
+// optionally mirrored to a storage adapter (localStorage in the browser) so
+// edits survive a reload.
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+export const createDb = (seed, storage) => {
+  // Collections added since the data was last saved start from the seed
+  let state = { ...clone(seed), ...(storage?.load() ?? {}) };
+
+  const persist = () => storage?.save(state);
+
+  const ensure = (name) => {
+    if (!state[name]) state[name] = [];
+    return state[name];
+  };
+
+  const nextId = (name) =>
+    ensure(name).reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+
+  return {
+    all: (name) => clone(ensure(name)),
+
+    find: (name, id) => {
+      const row = ensure(name).find(r => String(r.id) === String(id));
+      return row ? clone(row) : null;
+    },
+
+    insert: (name, row) => {
+      const created = { ...row, id: nextId(name) };
+      ensure(name).push(created);
+      persist();
+      return clone(created);
+    },
+
+    update: (name, id, fields) => {
+      const rows = ensure(name);
+      const index = rows.findIndex(r => String(r.id) === String(id));
+      if (index === -1) return null;
+      rows[index] = { ...rows[index], ...fields, id: rows[index].id };
+      persist();
+      return clone(rows[index]);
+    },
+
+    remove: (name, id) => {
+      const rows = ensure(name);
+      const index = rows.findIndex(r => String(r.id) === String(id));
+      if (index === -1) return false;
+      rows.splice(index, 1);
+      persist();
+      return true;
+    },
+
+    reset: () => {
+      state = clone(seed);
+      persist();
+    }
+  };
+};
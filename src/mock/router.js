@@ -0,0 +1,69 @@
+// Tiny path router for the mock backend: `/products/:id` style patterns,
+// handlers receive { params, query, body, headers } and return { status, body }.
+// Header names are lower-case.
+
+// `errors` optionally maps field names to messages for form validation
+export class HttpError extends Error {
+  constructor(status, message, errors) {
+    super(message);
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const compile = (pattern) => {
+  const keys = [];
+  const source = pattern
+    .replace(/\/+$/, '')
+    .replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+  return { regex: new RegExp(`^${source}/?$`), keys };
+};
+
+export const createRouter = () => {
+  const routes = [];
+
+  const add = (method, pattern, handler) => {
+    routes.push({ method, handler, ...compile(pattern) });
+  };
+
+  const dispatch = async ({ method, path, query = {}, body, headers = {} }) => {
+    let pathMatched = false;
+
+    for (const route of routes) {
+      const match = route.regex.exec(path);
+      if (!match) continue;
+      pathMatched = true;
+      if (route.method !== method) continue;
+
+      const params = {};
+      route.keys.forEach((key, i) => {
+        params[key] = decodeURIComponent(match[i + 1]);
+      });
+
+      try {
+        return await route.handler({ params, query, body, headers });
+      } catch (err) {
+        if (err instanceof HttpError) {
+          const body = err.errors ? { message: err.message, errors: err.errors } : { message: err.message };
+          return { status: err.status, body };
+        }
+        return { status: 500, body: { message: err.message || 'Internal mock error' } };
+      }
+    }
+
+    return pathMatched
+      ? { status: 405, body: { message: `Method ${method} not allowed on ${path}` } }
+      : { status: 404, body: { message: `No mock route for ${path}` } };
+  };
+
+  return {
+    get: (pattern, handler) => add('GET', pattern, handler),
+    post: (pattern, handler) => add('POST', pattern, handler),
+    put: (pattern, handler) => add('PUT', pattern, handler),
+    delete: (pattern, handler) => add('DELETE', pattern, handler),
+    dispatch
+  };
+};
@@ -0,0 +1,47 @@
+import { HttpError } from '../router.js';
+import { can } from '../../auth/permissions.js';
+
+const publicUser = (user) =>
+  Object.fromEntries(Object.entries(user).filter(([key]) => key !== 'password'));
+
+const newToken = () =>
+  Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+
+// Resolve the signed-in user from the Authorization header, optionally
+// requiring a permission. Throws 401/403 like the real API.
+export const requireUser = (db, headers, permission) => {
+  const token = (headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const session = token && db.all('sessions').find(s => s.token === token);
+  const user = session && db.find('users', session.user_id);
+  if (!user) throw new HttpError(401, 'Please sign in to continue');
+  if (permission && !can(user, permission)) {
+    throw new HttpError(403, `Your role (${user.role}) is not allowed to do this`);
+  }
+  return publicUser(user);
+};
+
+export const registerAuthRoutes = (router, db) => {
+  router.post('/auth/login', ({ body = {} }) => {
+    const username = String(body.username || '').trim().toLowerCase();
+    const user = db.all('users').find(u => u.username === username);
+    if (!user || user.password !== body.password) {
+      throw new HttpError(401, 'Incorrect username or password');
+    }
+
+    const token = newToken();
+    db.insert('sessions', { token, user_id: user.id, created_at: new Date().toISOString() });
+    return { status: 200, body: { data: { token, user: publicUser(user) } } };
+  });
+
+  router.get('/auth/me', ({ headers }) => ({
+    status: 200,
+    body: { data: requireUser(db, headers) }
+  }));
+
+  router.post('/auth/logout', ({ headers }) => {
+    const token = (headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const session = db.all('sessions').find(s => s.token === token);
+    if (session) db.remove('sessions', session.id);
+    return { status: 200, body: { message: 'Signed out' } };
+  });
+};
@@ -0,0 +1,125 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+import { descendantIds, findCategoryByName } from '../../utils/categories.js';
+import { pickStockRules, validateStockRules } from '../../utils/stock.js';
+
+const normalize = (fields, existing = {}) => {
+  const category = { ...existing };
+  if (fields.name !== undefined) category.name = fields.name === null ? '' : String(fields.name).trim();
+  if (fields.parent_id !== undefined) {
+    category.parent_id = fields.parent_id === null || fields.parent_id === '' ? null : Number(fields.parent_id);
+  }
+  // Stock rule levels left blank are inherited from the parent or defaults
+  if (fields.stock_rules !== undefined) {
+    const errors = validateStockRules(fields.stock_rules);
+    if (Object.keys(errors).length > 0) throw new HttpError(400, 'Please correct the highlighted fields', errors);
+    category.stock_rules = pickStockRules(fields.stock_rules);
+  }
+  return category;
+};
+
+const validate = (db, category, id) => {
+  const errors = {};
+  if (!category.name) errors.name = 'Category name is required';
+  if (category.parent_id !== null) {
+    if (!db.find('categories', category.parent_id)) {
+      errors.parent_id = 'Pick a parent category from the list';
+    } else if (id !== undefined && descendantIds(db.all('categories'), id).has(String(category.parent_id))) {
+      errors.parent_id = 'A category cannot be moved under itself or one of its subcategories';
+    }
+  }
+  if (Object.keys(errors).length > 0) throw new HttpError(400, 'Please correct the highlighted fields', errors);
+
+  const duplicate = db.all('categories').some(c =>
+    c.name.toLowerCase() === category.name.toLowerCase() &&
+    String(c.parent_id) === String(category.parent_id) &&
+    String(c.id) !== String(id));
+  if (duplicate) {
+    const message = `A category called ${category.name} already exists here`;
+    throw new HttpError(409, message, { name: message });
+  }
+};
+
+// Resolve a product's category_id to its record so `category` stays in sync
+export const resolveCategory = (db, categoryId) => {
+  if (categoryId === null || categoryId === undefined || categoryId === '') return null;
+  const category = db.find('categories', categoryId);
+  if (!category) throw new HttpError(400, 'Unknown category', { category_id: 'Pick a category from the list' });
+  return category;
+};
+
+// Free-text categories (imports, older clients) are linked to a record when
+// one matches by name; otherwise the text is kept as-is.
+export const matchCategory = (db, name) => findCategoryByName(db.all('categories'), name);
+
+export const registerCategoryRoutes = (router, db) => {
+  router.get('/categories', ({ headers }) => {
+    requireUser(db, headers);
+    const categories = db.all('categories').sort((a, b) => a.name.localeCompare(b.name));
+    return { status: 200, body: { data: categories } };
+  });
+
+  router.get('/categories/:id', ({ params, headers }) => {
+    requireUser(db, headers);
+    const category = db.find('categories', params.id);
+    if (!category) throw new HttpError(404, `Category ${params.id} not found`);
+    return { status: 200, body: { data: category } };
+  });
+
+  router.post('/categories', ({ body = {}, headers }) => {
+    requireUser(db, headers, 'categories.manage');
+    const category = normalize(body, { name: '', parent_id: null });
+    validate(db, category);
+    return { status: 201, body: { data: db.insert('categories', category) } };
+  });
+
+  // Move a set of products into one category in a single call
+  router.post('/categories/recategorise', ({ body = {}, headers }) => {
+    requireUser(db, headers, 'products.edit');
+    const category = resolveCategory(db, body.category_id);
+    if (!category) throw new HttpError(400, 'Pick a category', { category_id: 'Pick a category' });
+    const ids = Array.isArray(body.product_ids) ? body.product_ids : [];
+    if (ids.length === 0) throw new HttpError(400, 'Select at least one product');
+
+    const missing = ids.filter(id => !db.find('products', id));
+    if (missing.length > 0) throw new HttpError(404, `Product(s) not found: ${missing.join(', ')}`);
+
+    const products = ids.map(id =>
+      db.update('products', id, { category_id: category.id, category: category.name }));
+    return { status: 200, body: { data: products } };
+  });
+
+  router.put('/categories/:id', ({ params, body = {}, headers }) => {
+    requireUser(db, headers, 'categories.manage');
+    const existing = db.find('categories', params.id);
+    if (!existing) throw new HttpError(404, `Category ${params.id} not found`);
+
+    const category = normalize(body, existing);
+    validate(db, category, params.id);
+
+    // Keep the denormalised category name on products in step with a rename
+    if (category.name !== existing.name) {
+      db.all('products')
+        .filter(p => String(p.category_id) === String(existing.id))
+        .forEach(p => db.update('products', p.id, { category: category.name }));
+    }
+    return { status: 200, body: { data: db.update('categories', params.id, category) } };
+  });
+
+  router.delete('/categories/:id', ({ params, headers }) => {
+    requireUser(db, headers, 'categories.manage');
+    const category = db.find('categories', params.id);
+    if (!category) throw new HttpError(404, `Category ${params.id} not found`);
+
+    const children = db.all('categories').filter(c => String(c.parent_id) === String(category.id)).length;
+    if (children > 0) {
+      throw new HttpError(409, `${category.name} has ${children} subcategories. Move or delete them first.`);
+    }
+    const linked = db.all('products').filter(p => String(p.category_id) === String(category.id)).length;
+    if (linked > 0) {
+      throw new HttpError(409, `${category.name} still has ${linked} product(s). Recategorise them first.`);
+    }
+    db.remove('categories', params.id);
+    return { status: 200, body: { message: 'Category deleted' } };
+  });
+};
@@ -0,0 +1,87 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+import { LOCATION_TYPES, defaultLocationId, stockAt } from '../../utils/locations.js';
+
+export const activeLocations = (db) => db.all('locations').filter(l => !l.archived_at);
+
+// The default location's id, used for stock written without a location
+export const defaultLocation = (db) => defaultLocationId(activeLocations(db));
+
+// The active location stock moves in or out of: the requested one, or the
+// default when none is given
+export const resolveLocation = (db, locationId) => {
+  if (locationId === undefined || locationId === null || locationId === '') {
+    return db.find('locations', defaultLocation(db));
+  }
+  const location = db.find('locations', locationId);
+  if (!location || location.archived_at) throw new HttpError(400, `Location ${locationId} not found`, { location_id: 'Pick a location' });
+  return location;
+};
+
+const validate = (db, location, id) => {
+  const errors = {};
+  if (!location.name) errors.name = 'Location name is required';
+  if (!LOCATION_TYPES[location.type]) errors.type = `Type must be one of ${Object.keys(LOCATION_TYPES).join(', ')}`;
+  if (Object.keys(errors).length > 0) throw new HttpError(400, 'Please correct the highlighted fields', errors);
+  const duplicate = db.all('locations').find(l =>
+    l.name.toLowerCase() === location.name.toLowerCase() && String(l.id) !== String(id));
+  if (duplicate) throw new HttpError(409, `A location called ${duplicate.name} already exists`, { name: 'Name already used' });
+};
+
+export const registerLocationRoutes = (router, db) => {
+  router.get('/locations', ({ headers }) => {
+    requireUser(db, headers);
+    return { status: 200, body: { data: db.all('locations') } };
+  });
+
+  router.post('/locations', ({ body = {}, headers }) => {
+    requireUser(db, headers, 'settings.manage');
+    const location = {
+      name: String(body.name ?? '').trim(),
+      type: body.type || 'shop',
+      is_default: false,
+      archived_at: null
+    };
+    validate(db, location);
+    return { status: 201, body: { data: db.insert('locations', location) } };
+  });
+
+  // Rename, retype, make default or archive (`archived: true`). A location
+  // can only be archived once it is empty and not the default.
+  router.put('/locations/:id', ({ params, body = {}, headers }) => {
+    requireUser(db, headers, 'settings.manage');
+    const existing = db.find('locations', params.id);
+    if (!existing) throw new HttpError(404, `Location ${params.id} not found`);
+
+    const location = { ...existing };
+    if (body.name !== undefined) location.name = String(body.name).trim();
+    if (body.type !== undefined) location.type = body.type;
+    validate(db, location, existing.id);
+
+    if (body.archived === true && !existing.archived_at) {
+      if (existing.is_default) throw new HttpError(409, `${existing.name} is the default location. Make another location the default first.`);
+      const defaultId = defaultLocation(db);
+      const stocked = db.all('products').find(p => stockAt(p, existing.id, defaultId) !== 0);
+      if (stocked) throw new HttpError(409, `${existing.name} still holds ${stocked.name}. Transfer its stock out first.`);
+      const incoming = db.all('transfers').find(t => t.status === 'in_transit' && String(t.to.id) === String(existing.id));
+      if (incoming) throw new HttpError(409, `${incoming.number} is still on its way to ${existing.name}`);
+      location.archived_at = new Date().toISOString();
+    } else if (body.archived === false) {
+      location.archived_at = null;
+    }
+
+    if (body.is_default === true && !existing.is_default) {
+      if (location.archived_at) throw new HttpError(409, 'An archived location cannot be the default');
+      // Products without a stock map hold everything at the old default, so
+      // pin that down before the default moves
+      const oldDefault = defaultLocation(db);
+      db.all('products').filter(p => !p.stock).forEach(p => {
+        db.update('products', p.id, { stock: { [oldDefault]: Number(p.quantity) || 0 } });
+      });
+      db.all('locations').filter(l => l.is_default).forEach(l => db.update('locations', l.id, { is_default: false }));
+      location.is_default = true;
+    }
+
+    return { status: 200, body: { data: db.update('locations', existing.id, location) } };
+  });
+};
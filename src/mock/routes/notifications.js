@@ -0,0 +1,308 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+import { activeLocations, defaultLocation } from './locations.js';
+import { stockDefaults } from './settings.js';
+import { atLocation, carriedAt } from '../../utils/locations.js';
+import { getStockStatus } from '../../utils/stock.js';
+import {
+  ALERT_STATUSES,
+  DEFAULT_DIGEST_SETTINGS,
+  DEFAULT_SUBSCRIPTION,
+  alertSeverity,
+  digestPayload,
+  digestSubject,
+  digestText,
+  matchesSubscription,
+  validateDigestSettings,
+  validateSubscription
+} from '../../utils/notifications.js';
+
+const DIGEST_SETTINGS_ID = 1;
+const CENTRE_LIMIT = 30;
+const DELIVERY_LOG_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETRY_MS = 15 * 60 * 1000;
+
+// Used when the backend is created without a way to deliver digests
+const noTransport = {
+  sendMail: async () => { throw new Error('Email delivery is not available here'); },
+  postWebhook: async () => { throw new Error('Webhook delivery is not available here'); }
+};
+
+const alertKey = (productId, locationId) => `${productId}:${locationId}`;
+
+// Raise and clear alerts from current stock. A product has at most one open
+// alert per location: it follows the status while the product stays low or
+// out, and a new alert replaces it when things get worse. `productIds`
+// limits the check to the products a movement touched.
+export const scanStockAlerts = (db, productIds) => {
+  const now = new Date().toISOString();
+  const ids = productIds ? new Set(productIds.map(String)) : null;
+  const products = ids ? productIds.map(id => db.find('products', id)).filter(Boolean) : db.all('products');
+  const defaultId = defaultLocation(db);
+  const context = { categories: db.all('categories'), defaults: stockDefaults(db) };
+  const locations = activeLocations(db);
+
+  const current = new Map();
+  products.filter(p => !p.archived_at).forEach(product => locations.forEach(location => {
+    if (!carriedAt(product, location.id, defaultId)) return;
+    const scoped = atLocation(product, location.id, defaultId);
+    const status = getStockStatus(scoped, context);
+    if (ALERT_STATUSES.includes(status)) current.set(alertKey(product.id, location.id), { product: scoped, location, status });
+  }));
+
+  const open = new Map(db.all('stock_alerts')
+    .filter(a => !a.cleared_at && (!ids || ids.has(String(a.product_id))))
+    .map(a => [alertKey(a.product_id, a.location_id), a]));
+
+  open.forEach((alert, key) => {
+    if (!current.has(key)) db.update('stock_alerts', alert.id, { current_status: null, cleared_at: now });
+  });
+  current.forEach(({ product, location, status }, key) => {
+    const alert = open.get(key);
+    if (alert && alertSeverity(status) <= alertSeverity(alert.current_status)) {
+      if (status !== alert.current_status || product.quantity !== alert.current_quantity) {
+        db.update('stock_alerts', alert.id, { current_status: status, current_quantity: product.quantity });
+      }
+      return;
+    }
+    if (alert) db.update('stock_alerts', alert.id, { current_status: status, current_quantity: product.quantity, cleared_at: now });
+    db.insert('stock_alerts', {
+      product_id: product.id,
+      product_index: product.product_index,
+      name: product.name,
+      category_id: product.category_id ?? null,
+      category: product.category || '',
+      supplier_id: product.supplier_id ?? null,
+      supplier_name: product.supplier_name || '',
+      location_id: location.id,
+      location_name: location.name,
+      status,
+      current_status: status,
+      quantity: product.quantity,
+      current_quantity: product.quantity,
+      created_at: now,
+      cleared_at: null
+    });
+  });
+};
+
+const subscriptionFor = (db, user) =>
+  db.all('notification_subscriptions').find(s => String(s.user_id) === String(user.id)) ||
+  { ...DEFAULT_SUBSCRIPTION, user_id: user.id, last_read_at: null, last_digest_at: null };
+
+const saveSubscription = (db, subscription, fields) =>
+  (subscription.id
+    ? db.update('notification_subscriptions', subscription.id, fields)
+    : db.insert('notification_subscriptions', { ...subscription, ...fields }));
+
+// Ids that still exist in a collection, as stored there
+const knownIds = (db, collection, ids) =>
+  (Array.isArray(ids) ? ids : [])
+    .map(id => db.find(collection, id)?.id)
+    .filter((id, index, all) => id !== undefined && all.indexOf(id) === index);
+
+const newestFirst = (a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id;
+
+// Alerts a user is subscribed to, newest first
+const alertsFor = (db, subscription) => {
+  const categories = db.all('categories');
+  return db.all('stock_alerts')
+    .filter(a => matchesSubscription(a, subscription, categories))
+    .sort(newestFirst);
+};
+
+const digestSettings = (db) => ({ ...DEFAULT_DIGEST_SETTINGS, ...db.find('digest_settings', DIGEST_SETTINGS_ID) });
+
+// The SMTP password is write-only
+const publicDigestSettings = (settings) => {
+  const { smtp_password: password, id: _id, ...rest } = settings;
+  return { ...rest, smtp_password_set: Boolean(password) };
+};
+
+// Send one digest to each channel a subscription has on, logging every
+// attempt. Failures are logged rather than thrown so one bad address doesn't
+// stop the rest.
+const deliverDigest = async (db, transport, { user, subscription, alerts, since, kind }) => {
+  const settings = digestSettings(db);
+  const subject = digestSubject(alerts);
+  const channels = [];
+  if (subscription.email_digest) {
+    channels.push({
+      channel: 'email',
+      target: subscription.email,
+      send: async () => {
+        if (!settings.smtp_host) throw new Error('No SMTP server is set up for digest emails');
+        await transport.sendMail(
+          {
+            host: settings.smtp_host,
+            port: Number(settings.smtp_port),
+            secure: Boolean(settings.smtp_secure),
+            username: settings.smtp_username,
+            password: settings.smtp_password || ''
+          },
+          { from: settings.smtp_from, to: subscription.email, subject, text: digestText(alerts, { name: user.name, since }) }
+        );
+      }
+    });
+  }
+  if (subscription.webhook_digest) {
+    channels.push({
+      channel: 'webhook',
+      target: subscription.webhook_url,
+      send: () => transport.postWebhook(
+        subscription.webhook_url,
+        digestPayload(alerts, { user, since, generatedAt: new Date().toISOString() })
+      )
+    });
+  }
+
+  const deliveries = [];
+  for (const { channel, target, send } of channels) {
+    let error = null;
+    try {
+      await send();
+    } catch (err) {
+      error = err?.message || String(err);
+    }
+    deliveries.push(db.insert('digest_deliveries', {
+      kind,
+      user_id: user.id,
+      user_name: user.name,
+      channel,
+      target,
+      subject,
+      alert_count: alerts.length,
+      status: error ? 'failed' : 'sent',
+      error,
+      created_at: new Date().toISOString()
+    }));
+  }
+  return deliveries;
+};
+
+// Send the daily digests that are due: once per subscriber per day, at the
+// first run after the digest hour, covering open alerts raised since their
+// last digest. Nothing is sent on days without new alerts. A digest that no
+// channel delivered is tried again after RETRY_MS, so its alerts aren't
+// lost. `force` sends to everyone now, whatever the hour.
+export const runDigests = async (db, transport = noTransport, { now = new Date(), force = false } = {}) => {
+  const settings = digestSettings(db);
+  if (!force && now.getHours() < Number(settings.digest_hour)) return [];
+  scanStockAlerts(db);
+
+  const deliveries = [];
+  for (const subscription of db.all('notification_subscriptions')) {
+    if (!subscription.email_digest && !subscription.webhook_digest) continue;
+    const user = db.find('users', subscription.user_id);
+    const last = subscription.last_digest_at ? new Date(subscription.last_digest_at) : null;
+    const failedAt = subscription.digest_failed_at ? new Date(subscription.digest_failed_at) : null;
+    if (!user) continue;
+    if (!force && last && last.toDateString() === now.toDateString()) continue;
+    if (!force && failedAt && now.getTime() - failedAt.getTime() < RETRY_MS) continue;
+
+    const since = subscription.last_digest_at || new Date(now.getTime() - DAY_MS).toISOString();
+    const alerts = alertsFor(db, subscription).filter(a => !a.cleared_at && a.created_at > since);
+    const sent = alerts.length === 0
+      ? []
+      : await deliverDigest(db, transport, { user, subscription, alerts, since, kind: 'digest' });
+    deliveries.push(...sent);
+    db.update('notification_subscriptions', subscription.id, alerts.length === 0 || sent.some(d => d.status === 'sent')
+      ? { last_digest_at: now.toISOString(), digest_failed_at: null }
+      : { digest_failed_at: now.toISOString() });
+  }
+  return deliveries;
+};
+
+export const registerNotificationRoutes = (router, db, transport = noTransport) => {
+  // The notification centre: alerts the user is subscribed to, newest first
+  router.get('/notifications', ({ headers }) => {
+    const user = requireUser(db, headers);
+    scanStockAlerts(db);
+    const subscription = subscriptionFor(db, user);
+    const alerts = alertsFor(db, subscription);
+    const unread = alerts.filter(a => !subscription.last_read_at || a.created_at > subscription.last_read_at).length;
+    return {
+      status: 200,
+      body: { data: alerts.slice(0, CENTRE_LIMIT), meta: { unread, total: alerts.length, last_read_at: subscription.last_read_at } }
+    };
+  });
+
+  router.post('/notifications/read', ({ headers }) => {
+    const user = requireUser(db, headers);
+    const saved = saveSubscription(db, subscriptionFor(db, user), { last_read_at: new Date().toISOString() });
+    return { status: 200, body: { data: saved } };
+  });
+
+  router.get('/notifications/subscription', ({ headers }) => {
+    const user = requireUser(db, headers);
+    return { status: 200, body: { data: subscriptionFor(db, user) } };
+  });
+
+  // Every signed-in user picks their own alerts and digest channels
+  router.put('/notifications/subscription', ({ body = {}, headers }) => {
+    const user = requireUser(db, headers);
+    const errors = validateSubscription(body);
+    if (Object.keys(errors).length > 0) throw new HttpError(400, 'Please correct the highlighted fields', errors);
+
+    const saved = saveSubscription(db, subscriptionFor(db, user), {
+      category_ids: knownIds(db, 'categories', body.category_ids),
+      supplier_ids: knownIds(db, 'suppliers', body.supplier_ids),
+      location_ids: knownIds(db, 'locations', body.location_ids),
+      email_digest: Boolean(body.email_digest),
+      email: String(body.email || '').trim(),
+      webhook_digest: Boolean(body.webhook_digest),
+      webhook_url: String(body.webhook_url || '').trim()
+    });
+    return { status: 200, body: { data: saved } };
+  });
+
+  // Send the user a digest of their open alerts now, to check delivery
+  router.post('/notifications/subscription/test', async ({ headers }) => {
+    const user = requireUser(db, headers);
+    const subscription = subscriptionFor(db, user);
+    if (!subscription.email_digest && !subscription.webhook_digest) {
+      throw new HttpError(400, 'Turn on an email or webhook digest first');
+    }
+    scanStockAlerts(db);
+    const alerts = alertsFor(db, subscription).filter(a => !a.cleared_at);
+    const deliveries = await deliverDigest(db, transport, { user, subscription, alerts, since: null, kind: 'test' });
+    return { status: 200, body: { data: deliveries } };
+  });
+
+  router.get('/settings/digests', ({ headers }) => {
+    requireUser(db, headers, 'settings.manage');
+    return { status: 200, body: { data: publicDigestSettings(digestSettings(db)) } };
+  });
+
+  // A blank password keeps the saved one
+  router.put('/settings/digests', ({ body = {}, headers }) => {
+    requireUser(db, headers, 'settings.manage');
+    const errors = validateDigestSettings(body);
+    if (Object.keys(errors).length > 0) throw new HttpError(400, 'Please correct the highlighted fields', errors);
+
+    const fields = {
+      digest_hour: Number(body.digest_hour),
+      smtp_host: String(body.smtp_host || '').trim(),
+      smtp_port: Number(body.smtp_port) || DEFAULT_DIGEST_SETTINGS.smtp_port,
+      smtp_secure: Boolean(body.smtp_secure),
+      smtp_username: String(body.smtp_username || '').trim(),
+      smtp_from: String(body.smtp_from || '').trim()
+    };
+    if (body.smtp_password) fields.smtp_password = String(body.smtp_password);
+    db.update('digest_settings', DIGEST_SETTINGS_ID, fields);
+    return { status: 200, body: { data: publicDigestSettings(digestSettings(db)) } };
+  });
+
+  router.post('/notifications/digests/run', async ({ headers }) => {
+    requireUser(db, headers, 'settings.manage');
+    const deliveries = await runDigests(db, transport, { force: true });
+    return { status: 200, body: { data: deliveries } };
+  });
+
+  router.get('/notifications/deliveries', ({ headers }) => {
+    requireUser(db, headers, 'settings.manage');
+    const deliveries = db.all('digest_deliveries').sort(newestFirst).slice(0, DELIVERY_LOG_LIMIT);
+    return { status: 200, body: { data: deliveries } };
+  });
+};
@@ -0,0 +1,50 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+
+export const PRICE_FIELDS = ['buying_price', 'selling_price'];
+
+// Record one entry per price that differs between the stored product and its
+// saved version. The product's ID and name are copied so the history still
+// reads correctly after the product is renamed or purged.
+export const recordPriceChanges = (db, before, after, user) => PRICE_FIELDS
+  .filter(field => (Number(before[field]) || 0) !== (Number(after[field]) || 0))
+  .map(field => db.insert('price_changes', {
+    product_id: after.id,
+    product_index: after.product_index || '',
+    product_name: after.name,
+    field,
+    old_value: Number(before[field]) || 0,
+    new_value: Number(after[field]) || 0,
+    user: user || 'unknown',
+    created_at: new Date().toISOString()
+  }));
+
+const newestFirst = (a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id;
+
+export const registerPriceHistoryRoutes = (router, db) => {
+  router.get('/products/:id/price-history', ({ params, headers }) => {
+    requireUser(db, headers);
+    if (!db.find('products', params.id)) throw new HttpError(404, `Product ${params.id} not found`);
+    const changes = db.all('price_changes')
+      .filter(c => String(c.product_id) === String(params.id))
+      .sort(newestFirst);
+    return { status: 200, body: { data: changes } };
+  });
+
+  // Recent changes across the catalog: `days` limits how far back to look and
+  // `field` picks buying_price or selling_price
+  router.get('/price-changes', ({ query = {}, headers }) => {
+    requireUser(db, headers);
+    let changes = db.all('price_changes');
+    const days = parseInt(query.days, 10);
+    if (days > 0) {
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      changes = changes.filter(c => c.created_at >= since);
+    }
+    if (query.field && query.field !== 'all') {
+      if (!PRICE_FIELDS.includes(query.field)) throw new HttpError(400, `Unknown price field "${query.field}"`);
+      changes = changes.filter(c => c.field === query.field);
+    }
+    return { status: 200, body: { data: changes.sort(newestFirst) } };
+  });
+};
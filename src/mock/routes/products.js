@@ -0,0 +1,208 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+import { resolveSupplier } from './suppliers.js';
+import { matchCategory, resolveCategory } from './categories.js';
+import { queryProducts } from '../../utils/productQuery.js';
+import { parseAlertConfig, validateStockRules } from '../../utils/stock.js';
+import { recordPriceChanges } from './priceHistory.js';
+import { stockDefaults } from './settings.js';
+import { findByCode } from '../../utils/barcodes.js';
+import { atLocation, scopeToLocation, stockAt } from '../../utils/locations.js';
+import { defaultLocation, resolveLocation } from './locations.js';
+import { applyMovement } from './stock.js';
+
+const toInt = (value, fallback = 0) => {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? fallback : n;
+};
+
+const toPrice = (value, fallback = 0) => {
+  const n = parseFloat(value);
+  return Number.isNaN(n) ? fallback : n;
+};
+
+// The live backend stores alert_config in a text column and hands it back as
+// a JSON string, so the mock does the same for anything written through it.
+// Levels left out are inherited from the category rules and defaults.
+const serializeAlertConfig = (value) => {
+  if (value === undefined || value === null) return JSON.stringify({});
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const normalize = (fields, existing = {}) => {
+  const product = { ...existing };
+
+  ['product_index', 'barcode', 'name', 'description', 'supplier_name', 'category'].forEach(key => {
+    if (fields[key] !== undefined) product[key] = fields[key] === null ? '' : String(fields[key]).trim();
+  });
+  if (fields.buying_price !== undefined) product.buying_price = toPrice(fields.buying_price);
+  if (fields.selling_price !== undefined) product.selling_price = toPrice(fields.selling_price);
+  if (fields.quantity !== undefined) product.quantity = toInt(fields.quantity);
+  if (fields.alert_config !== undefined) product.alert_config = serializeAlertConfig(fields.alert_config);
+
+  return product;
+};
+
+// A supplier_id wins over free-text supplier_name
+const applySupplier = (db, product, fields) => {
+  if (fields.supplier_id === undefined) return product;
+  const supplier = resolveSupplier(db, fields.supplier_id);
+  return {
+    ...product,
+    supplier_id: supplier ? supplier.id : null,
+    supplier_name: supplier ? supplier.name : ''
+  };
+};
+
+// A category_id wins over free-text category, which is linked by name when
+// it matches a record
+const applyCategory = (db, product, fields) => {
+  if (fields.category_id !== undefined) {
+    const category = resolveCategory(db, fields.category_id);
+    return { ...product, category_id: category ? category.id : null, category: category ? category.name : '' };
+  }
+  if (fields.category === undefined) return product;
+  const category = matchCategory(db, product.category);
+  return { ...product, category_id: category ? category.id : null, category: category ? category.name : product.category };
+};
+
+const validate = (db, product, id) => {
+  const errors = {};
+  if (!product.name) errors.name = 'Product name is required';
+  if (product.quantity < 0) errors.quantity = 'Quantity cannot be negative';
+  if (product.buying_price < 0) errors.buying_price = 'Buying price cannot be negative';
+  if (product.selling_price < 0) errors.selling_price = 'Selling price cannot be negative';
+  Object.assign(errors, validateStockRules(parseAlertConfig(product)));
+  if (Object.keys(errors).length > 0) throw new HttpError(400, 'Please correct the highlighted fields', errors);
+
+  // Archived products keep their ID so they can be restored without clashes
+  const duplicate = product.product_index && db.all('products').find(p =>
+    p.product_index === product.product_index && String(p.id) !== String(id));
+  if (duplicate) {
+    const message = `Product ID ${product.product_index} already exists${duplicate.archived_at ? ' (archived)' : ''}`;
+    throw new HttpError(409, message, { product_index: message });
+  }
+
+  const sameBarcode = product.barcode && db.all('products').find(p =>
+    p.barcode === product.barcode && String(p.id) !== String(id));
+  if (sameBarcode) {
+    const message = `Barcode ${product.barcode} is already used by ${sameBarcode.name}${sameBarcode.archived_at ? ' (archived)' : ''}`;
+    throw new HttpError(409, message, { barcode: message });
+  }
+};
+
+// With `location_id` the list is what that location stocks, each product's
+// quantity being the units held there
+const productsAt = (db, products, locationId) => {
+  if (!locationId) return products;
+  return scopeToLocation(products, resolveLocation(db, locationId).id, defaultLocation(db));
+};
+
+// A changed total is posted as a count correction at one location (the
+// default unless `location_id` says otherwise), so edits and imports show
+// in the movement ledger. Checked before anything is saved.
+const quantityChange = (db, product, existing, { location_id, stock_note }) => {
+  const delta = product.quantity - existing.quantity;
+  if (!delta) return null;
+  const location = resolveLocation(db, location_id);
+  const held = stockAt(existing, location.id, defaultLocation(db));
+  if (held + delta < 0) {
+    const message = `Only ${held} are held at ${location.name}, so the total cannot drop to ${product.quantity}`;
+    throw new HttpError(400, message, { quantity: message });
+  }
+  return { type: 'adjust', quantity: delta, reason: 'count_correction', note: stock_note || 'Product edit', location_id: location.id };
+};
+
+const findProduct = (db, id) => {
+  const product = db.find('products', id);
+  if (!product) throw new HttpError(404, `Product ${id} not found`);
+  return product;
+};
+
+export const registerProductRoutes = (router, db) => {
+  // Without `page` the whole catalog is returned, as the live backend does.
+  // Archived products are left out unless `archived=true` asks for them alone.
+  router.get('/products', ({ query = {}, headers }) => {
+    requireUser(db, headers);
+    const products = productsAt(db, db.all('products').filter(p => Boolean(p.archived_at) === (query.archived === 'true')), query.location_id);
+    if (query.page === undefined) return { status: 200, body: { data: products } };
+
+    const { items, ...meta } = queryProducts(products, query, {
+      categories: db.all('categories'),
+      stockDefaults: stockDefaults(db)
+    });
+    return { status: 200, body: { data: items, meta } };
+  });
+
+  // The product a scanned barcode or Product ID belongs to
+  router.get('/products/lookup', ({ query = {}, headers }) => {
+    requireUser(db, headers);
+    const product = findByCode(db.all('products'), query.code);
+    if (!product) throw new HttpError(404, `No product has the code ${query.code || '(blank)'}`);
+    if (!query.location_id) return { status: 200, body: { data: product } };
+    const location = resolveLocation(db, query.location_id);
+    return { status: 200, body: { data: atLocation(product, location.id, defaultLocation(db)) } };
+  });
+
+  router.get('/products/:id', ({ params, headers }) => {
+    requireUser(db, headers);
+    return { status: 200, body: { data: findProduct(db, params.id) } };
+  });
+
+  router.post('/products', ({ body = {}, headers }) => {
+    requireUser(db, headers, 'products.create');
+    const product = applyCategory(db, applySupplier(db, normalize({ alert_config: null, ...body }, {
+      product_index: '',
+      barcode: '',
+      name: '',
+      buying_price: 0,
+      selling_price: 0,
+      quantity: 0,
+      description: '',
+      supplier_name: '',
+      category: ''
+    }), body), body);
+    validate(db, product);
+    // Opening stock goes to the given location, or the default
+    const location = resolveLocation(db, body.location_id);
+    return { status: 201, body: { data: db.insert('products', { ...product, stock: { [location.id]: product.quantity } }) } };
+  });
+
+  router.put('/products/:id', ({ params, body = {}, headers }) => {
+    const user = requireUser(db, headers, 'products.edit');
+    const existing = findProduct(db, params.id);
+    const normalized = applyCategory(db, applySupplier(db, normalize(body, existing), body), body);
+    validate(db, normalized, params.id);
+    const change = quantityChange(db, normalized, existing, body);
+    let saved = db.update('products', params.id, { ...normalized, quantity: existing.quantity });
+    if (change) saved = applyMovement(db, saved, { ...change, user: user.name }).product;
+    recordPriceChanges(db, existing, saved, user.name);
+    return { status: 200, body: { data: saved } };
+  });
+
+  // Deleting archives the product; `permanent=true` purges an archived one
+  router.delete('/products/:id', ({ params, query = {}, headers }) => {
+    if (query.permanent === 'true') {
+      requireUser(db, headers, 'products.purge');
+      const product = findProduct(db, params.id);
+      if (!product.archived_at) throw new HttpError(409, `${product.name} must be archived before it can be purged`);
+      const transfer = db.all('transfers').find(t => t.status === 'in_transit' &&
+        t.lines.some(line => String(line.product_id) === String(product.id)));
+      if (transfer) throw new HttpError(409, `${product.name} is in transit on ${transfer.number}; receive or cancel it first`);
+      db.remove('products', params.id);
+      return { status: 200, body: { message: 'Product purged' } };
+    }
+
+    const user = requireUser(db, headers, 'products.delete');
+    const product = findProduct(db, params.id);
+    if (product.archived_at) return { status: 200, body: { data: product } };
+    const archived = db.update('products', params.id, { archived_at: new Date().toISOString(), archived_by: user.name });
+    return { status: 200, body: { data: archived } };
+  });
+
+  router.post('/products/:id/restore', ({ params, headers }) => {
+    requireUser(db, headers, 'products.delete');
+    findProduct(db, params.id);
+    return { status: 200, body: { data: db.update('products', params.id, { archived_at: null, archived_by: null }) } };
+  });
+};
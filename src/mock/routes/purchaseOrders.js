@@ -0,0 +1,170 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+import { applyMovement } from './stock.js';
+import { resolveLocation } from './locations.js';
+
+const findOrder = (db, id) => {
+  const order = db.find('purchase_orders', id);
+  if (!order) throw new HttpError(404, `Purchase order ${id} not found`);
+  return order;
+};
+
+const requireStatus = (order, ...statuses) => {
+  if (!statuses.includes(order.status)) {
+    throw new HttpError(409, `${order.number} is ${order.status.replace('_', ' ')}`);
+  }
+};
+
+// Validate requested lines against the catalog and snapshot product details
+const buildLines = (db, lines) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new HttpError(400, 'A purchase order needs at least one line', { lines: 'Add at least one product' });
+  }
+  return lines.map(line => {
+    const product = db.find('products', line.product_id);
+    if (!product) throw new HttpError(400, `Product ${line.product_id} not found`);
+    const quantity = parseInt(line.quantity_ordered, 10);
+    if (!(quantity > 0)) throw new HttpError(400, `Order quantity for ${product.name} must be greater than zero`);
+    const unitCost = line.unit_cost === undefined ? parseFloat(product.buying_price) || 0 : parseFloat(line.unit_cost);
+    if (Number.isNaN(unitCost) || unitCost < 0) throw new HttpError(400, `Unit cost for ${product.name} is invalid`);
+    return {
+      product_id: product.id,
+      product_index: product.product_index,
+      name: product.name,
+      quantity_ordered: quantity,
+      quantity_received: 0,
+      unit_cost: unitCost
+    };
+  });
+};
+
+const nextNumber = (db) => {
+  const last = db.all('purchase_orders').reduce((max, o) => Math.max(max, parseInt(o.number.slice(3), 10) || 0), 0);
+  return `PO-${String(last + 1).padStart(4, '0')}`;
+};
+
+export const registerPurchaseOrderRoutes = (router, db) => {
+  router.get('/purchase-orders', ({ query, headers }) => {
+    requireUser(db, headers);
+    let orders = db.all('purchase_orders');
+    if (query.status) orders = orders.filter(o => o.status === query.status);
+    if (query.supplier_id) orders = orders.filter(o => String(o.supplier_id) === String(query.supplier_id));
+    orders.sort((a, b) => b.id - a.id);
+    return { status: 200, body: { data: orders } };
+  });
+
+  router.get('/purchase-orders/:id', ({ params, headers }) => {
+    requireUser(db, headers);
+    return { status: 200, body: { data: findOrder(db, params.id) } };
+  });
+
+  router.post('/purchase-orders', ({ body = {}, headers }) => {
+    const user = requireUser(db, headers, 'purchasing.manage');
+    const supplier = db.find('suppliers', body.supplier_id);
+    if (!supplier) throw new HttpError(400, 'Pick a supplier', { supplier_id: 'Pick a supplier' });
+
+    const order = db.insert('purchase_orders', {
+      number: nextNumber(db),
+      supplier_id: supplier.id,
+      supplier_name: supplier.name,
+      status: 'draft',
+      lines: buildLines(db, body.lines),
+      notes: body.notes || '',
+      expected_at: body.expected_at || null,
+      created_by: user.name,
+      created_at: new Date().toISOString(),
+      sent_at: null,
+      received_at: null
+    });
+    return { status: 201, body: { data: order } };
+  });
+
+  router.put('/purchase-orders/:id', ({ params, body = {}, headers }) => {
+    requireUser(db, headers, 'purchasing.manage');
+    const order = findOrder(db, params.id);
+    requireStatus(order, 'draft');
+
+    const fields = {};
+    if (body.lines !== undefined) fields.lines = buildLines(db, body.lines);
+    if (body.notes !== undefined) fields.notes = String(body.notes);
+    if (body.expected_at !== undefined) fields.expected_at = body.expected_at || null;
+    return { status: 200, body: { data: db.update('purchase_orders', order.id, fields) } };
+  });
+
+  router.delete('/purchase-orders/:id', ({ params, headers }) => {
+    requireUser(db, headers, 'purchasing.manage');
+    const order = findOrder(db, params.id);
+    requireStatus(order, 'draft');
+    db.remove('purchase_orders', order.id);
+    return { status: 200, body: { message: 'Purchase order deleted' } };
+  });
+
+  router.post('/purchase-orders/:id/send', ({ params, headers }) => {
+    requireUser(db, headers, 'purchasing.manage');
+    const order = findOrder(db, params.id);
+    requireStatus(order, 'draft');
+    const sent = db.update('purchase_orders', order.id, { status: 'sent', sent_at: new Date().toISOString() });
+    return { status: 200, body: { data: sent } };
+  });
+
+  router.post('/purchase-orders/:id/cancel', ({ params, headers }) => {
+    requireUser(db, headers, 'purchasing.manage');
+    const order = findOrder(db, params.id);
+    requireStatus(order, 'draft', 'sent');
+    return { status: 200, body: { data: db.update('purchase_orders', order.id, { status: 'cancelled' }) } };
+  });
+
+  // Receive some or all outstanding quantities. Each received line is posted
+  // to the stock ledger as a "receive" movement referencing the PO.
+  router.post('/purchase-orders/:id/receive', ({ params, body = {}, headers }) => {
+    const user = requireUser(db, headers, 'purchasing.receive');
+    const order = findOrder(db, params.id);
+    requireStatus(order, 'sent', 'partially_received');
+
+    // Lines for the same product are added together, and everything is
+    // checked before any stock moves so a bad line cannot leave a partial receipt
+    const received = new Map();
+    (body.lines || []).forEach(({ product_id, quantity }) => {
+      const amount = parseInt(quantity, 10);
+      if (!(amount > 0)) return;
+      const key = String(product_id);
+      received.set(key, { product_id, amount: (received.get(key)?.amount || 0) + amount });
+    });
+    if (received.size === 0) throw new HttpError(400, 'Enter at least one received quantity');
+
+    const lines = order.lines.map(line => ({ ...line }));
+    const receipts = [...received.values()].map(({ product_id, amount }) => {
+      const line = lines.find(l => String(l.product_id) === String(product_id));
+      if (!line) throw new HttpError(400, `Product ${product_id} is not on ${order.number}`);
+      if (line.quantity_received + amount > line.quantity_ordered) {
+        throw new HttpError(400, `Receiving ${amount} of ${line.name} exceeds the ${line.quantity_ordered - line.quantity_received} outstanding`);
+      }
+      const product = db.find('products', product_id);
+      if (!product) throw new HttpError(400, `Product ${line.name} no longer exists`);
+      return { line, product, amount };
+    });
+
+    // Goods are booked in at one location, the default unless given
+    const location = resolveLocation(db, body.location_id);
+    const products = receipts.map(({ line, product, amount }) => {
+      const result = applyMovement(db, product, {
+        type: 'receive',
+        quantity: amount,
+        note: body.note || `Received against ${order.number}`,
+        reference: order.number,
+        user: user.name,
+        location_id: location.id
+      });
+      line.quantity_received += amount;
+      return result.product;
+    });
+
+    const complete = lines.every(l => l.quantity_received >= l.quantity_ordered);
+    const updated = db.update('purchase_orders', order.id, {
+      lines,
+      status: complete ? 'received' : 'partially_received',
+      received_at: complete ? new Date().toISOString() : order.received_at
+    });
+    return { status: 200, body: { data: { order: updated, products } } };
+  });
+};
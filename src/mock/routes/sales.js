@@ -0,0 +1,110 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+import { applyMovement } from './stock.js';
+import { defaultLocation, resolveLocation } from './locations.js';
+import { stockAt } from '../../utils/locations.js';
+import { PAYMENT_METHODS, saleTotals, validateSaleLine } from '../../utils/sales.js';
+
+const nextNumber = (db) => {
+  const last = db.all('sales').reduce((max, s) => Math.max(max, parseInt(s.number.slice(2), 10) || 0), 0);
+  return `S-${String(last + 1).padStart(5, '0')}`;
+};
+
+// Validate requested lines against the catalog and snapshot prices. Prices
+// always come from the product, never from the request. Stock is checked at
+// the location selling it.
+const buildLines = (db, lines, location) => {
+  if (!Array.isArray(lines) || lines.length === 0) throw new HttpError(400, 'The cart is empty');
+  const wanted = new Map();
+  const defaultId = defaultLocation(db);
+  return lines.map(line => {
+    const product = db.find('products', line.product_id);
+    if (!product) throw new HttpError(400, `Product ${line.product_id} not found`);
+    if (product.archived_at) throw new HttpError(409, `${product.name} is archived and can't be sold`);
+    // Earlier lines for the same product use up some of the stock
+    const earlier = wanted.get(product.id) || 0;
+    wanted.set(product.id, earlier + (Number(line.quantity) || 0));
+    const errors = validateSaleLine(line, { available: stockAt(product, location.id, defaultId) - earlier });
+    const message = errors.quantity || errors.discount_percent;
+    if (message) throw new HttpError(400, `${product.name}: ${message}${errors.quantity ? ` at ${location.name}` : ''}`);
+    return {
+      product_id: product.id,
+      product_index: product.product_index,
+      name: product.name,
+      quantity: Number(line.quantity),
+      unit_price: parseFloat(product.selling_price) || 0,
+      unit_cost: parseFloat(product.buying_price) || 0,
+      discount_percent: Number(line.discount_percent) || 0
+    };
+  });
+};
+
+export const registerSaleRoutes = (router, db) => {
+  // from / to are ISO timestamps (to is exclusive)
+  router.get('/sales', ({ query, headers }) => {
+    requireUser(db, headers);
+    let sales = db.all('sales');
+    if (query.from) sales = sales.filter(s => s.created_at >= new Date(query.from).toISOString());
+    if (query.to) sales = sales.filter(s => s.created_at < new Date(query.to).toISOString());
+    if (query.location_id) sales = sales.filter(s => String(s.location_id) === String(query.location_id));
+    sales.sort((a, b) => b.id - a.id);
+    return { status: 200, body: { data: sales } };
+  });
+
+  router.get('/sales/:id', ({ params, headers }) => {
+    requireUser(db, headers);
+    const sale = db.find('sales', params.id);
+    if (!sale) throw new HttpError(404, `Sale ${params.id} not found`);
+    return { status: 200, body: { data: sale } };
+  });
+
+  // Record a sale and issue every line from the selling location's stock,
+  // referencing the sale
+  router.post('/sales', ({ body = {}, headers }) => {
+    const user = requireUser(db, headers, 'sales.record');
+    const location = resolveLocation(db, body.location_id);
+    const lines = buildLines(db, body.lines, location);
+
+    const discount = Number(body.discount || 0);
+    if (Number.isNaN(discount) || discount < 0) throw new HttpError(400, 'Sale discount cannot be negative', { discount: 'Cannot be negative' });
+    const totals = saleTotals(lines, discount);
+    if (discount > totals.subtotal) {
+      throw new HttpError(400, 'Sale discount is more than the sale', { discount: 'More than the sale total' });
+    }
+
+    const paymentMethod = body.payment_method || 'cash';
+    if (!PAYMENT_METHODS[paymentMethod]) throw new HttpError(400, `Unknown payment method "${paymentMethod}"`);
+    let tendered = null;
+    if (paymentMethod === 'cash' && body.amount_tendered !== undefined && body.amount_tendered !== null && body.amount_tendered !== '') {
+      tendered = Number(body.amount_tendered);
+      if (Number.isNaN(tendered) || tendered < totals.total) {
+        throw new HttpError(400, 'Cash tendered is less than the total', { amount_tendered: 'Less than the total' });
+      }
+    }
+
+    const number = nextNumber(db);
+    const products = lines.map(line => applyMovement(db, db.find('products', line.product_id), {
+      type: 'issue',
+      quantity: line.quantity,
+      note: `Sale ${number}`,
+      reference: number,
+      user: user.name,
+      location_id: location.id
+    }).product);
+
+    const sale = db.insert('sales', {
+      number,
+      lines,
+      totals,
+      location_id: location.id,
+      location_name: location.name,
+      payment_method: paymentMethod,
+      amount_tendered: tendered,
+      change: tendered === null ? null : Math.round((tendered - totals.total) * 100) / 100,
+      note: body.note || '',
+      created_by: user.name,
+      created_at: new Date().toISOString()
+    });
+    return { status: 201, body: { data: { sale, products } } };
+  });
+};
@@ -0,0 +1,31 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+import { DEFAULT_STOCK_RULES, STOCK_RULE_FIELDS, pickStockRules, validateStockRules } from '../../utils/stock.js';
+
+const STOCK_RULES_ID = 'stock_rules';
+
+// The shop-wide stock rule levels, used wherever a product and its
+// categories leave a level blank
+export const stockDefaults = (db) => ({
+  ...DEFAULT_STOCK_RULES,
+  ...pickStockRules(db.find('settings', STOCK_RULES_ID))
+});
+
+export const registerSettingsRoutes = (router, db) => {
+  router.get('/settings/stock-rules', ({ headers }) => {
+    requireUser(db, headers);
+    return { status: 200, body: { data: stockDefaults(db) } };
+  });
+
+  // The low stock level and reorder point are required; a blank max means
+  // nothing is overstocked unless a category or product sets one
+  router.put('/settings/stock-rules', ({ body = {}, headers }) => {
+    requireUser(db, headers, 'settings.manage');
+    const errors = validateStockRules(body, { required: ['min_quantity', 'reorder_point'] });
+    if (Object.keys(errors).length > 0) throw new HttpError(400, 'Please correct the highlighted fields', errors);
+
+    const rules = { ...Object.fromEntries(Object.keys(STOCK_RULE_FIELDS).map(key => [key, null])), ...pickStockRules(body) };
+    db.update('settings', STOCK_RULES_ID, rules);
+    return { status: 200, body: { data: stockDefaults(db) } };
+  });
+};
@@ -0,0 +1,96 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+import { defaultLocation, resolveLocation } from './locations.js';
+import { scanStockAlerts } from './notifications.js';
+import { stockAt, withStockChange } from '../../utils/locations.js';
+
+const ADJUSTMENT_REASONS = ['damage', 'count_correction', 'theft', 'expired', 'other'];
+
+// Turn a requested operation into a signed quantity delta. `onHand` is what
+// the location the movement applies to holds.
+const resolveDelta = ({ type, quantity, reason }, onHand, where) => {
+  const amount = parseInt(quantity, 10);
+  if (Number.isNaN(amount)) throw new HttpError(400, 'Quantity must be a whole number');
+
+  switch (type) {
+    case 'receive':
+      if (amount <= 0) throw new HttpError(400, 'Received quantity must be greater than zero');
+      return amount;
+    case 'transfer_in':
+      if (amount <= 0) throw new HttpError(400, 'Transferred quantity must be greater than zero');
+      return amount;
+    case 'issue':
+    case 'transfer_out':
+      if (amount <= 0) throw new HttpError(400, `${type === 'issue' ? 'Issued' : 'Transferred'} quantity must be greater than zero`);
+      if (amount > onHand) {
+        throw new HttpError(400, `Cannot ${type === 'issue' ? 'issue' : 'transfer'} ${amount}; only ${onHand} in stock at ${where}`);
+      }
+      return -amount;
+    case 'adjust':
+      if (!ADJUSTMENT_REASONS.includes(reason)) {
+        throw new HttpError(400, 'Adjustments need a reason: ' + ADJUSTMENT_REASONS.join(', '));
+      }
+      if (amount === 0) throw new HttpError(400, 'Adjustment cannot be zero');
+      if (onHand + amount < 0) {
+        throw new HttpError(400, `Adjustment would leave ${onHand + amount} in stock at ${where}`);
+      }
+      return amount;
+    default:
+      throw new HttpError(400, `Unknown movement type "${type}"`);
+  }
+};
+
+// Apply a movement to a product at one location (the default when
+// `location_id` is not given) and record it in the ledger. Shared with other
+// mock routes that move stock (e.g. purchase order receipts).
+export const applyMovement = (db, product, { type, quantity, reason, note, user, reference, location_id }) => {
+  const location = resolveLocation(db, location_id);
+  const defaultId = defaultLocation(db);
+  const delta = resolveDelta({ type, quantity, reason }, stockAt(product, location.id, defaultId), location.name);
+  const updated = db.update('products', product.id, withStockChange(product, location.id, delta, defaultId));
+  const movement = db.insert('movements', {
+    product_id: product.id,
+    type,
+    delta,
+    quantity_after: updated.quantity,
+    location_id: location.id,
+    location_quantity_after: updated.stock[location.id],
+    reason: type === 'adjust' ? reason : null,
+    note: note || '',
+    reference: reference || null,
+    user: user || 'unknown',
+    created_at: new Date().toISOString()
+  });
+  scanStockAlerts(db, [product.id]);
+  return { movement, product: updated };
+};
+
+const newestFirst = (a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id;
+
+export const registerStockRoutes = (router, db) => {
+  router.get('/movements', ({ query, headers }) => {
+    requireUser(db, headers);
+    let movements = db.all('movements');
+    if (query.product_id) movements = movements.filter(m => String(m.product_id) === String(query.product_id));
+    if (query.location_id) movements = movements.filter(m => String(m.location_id) === String(query.location_id));
+    return { status: 200, body: { data: movements.sort(newestFirst) } };
+  });
+
+  router.get('/products/:id/movements', ({ params, headers }) => {
+    requireUser(db, headers);
+    if (!db.find('products', params.id)) throw new HttpError(404, `Product ${params.id} not found`);
+    const movements = db.all('movements')
+      .filter(m => String(m.product_id) === String(params.id))
+      .sort(newestFirst);
+    return { status: 200, body: { data: movements } };
+  });
+
+  router.post('/products/:id/movements', ({ params, body = {}, headers }) => {
+    const user = requireUser(db, headers, 'stock.move');
+    const product = db.find('products', params.id);
+    if (!product) throw new HttpError(404, `Product ${params.id} not found`);
+    if (product.archived_at) throw new HttpError(409, `${product.name} is archived. Restore it before moving stock.`);
+    if (String(body.type).startsWith('transfer_')) throw new HttpError(400, 'Move stock between locations with a transfer');
+    return { status: 201, body: { data: applyMovement(db, product, { ...body, user: user.name }) } };
+  });
+};
@@ -0,0 +1,232 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+import { applyMovement } from './stock.js';
+import { defaultLocation, resolveLocation } from './locations.js';
+import { carriedAt, stockAt } from '../../utils/locations.js';
+import { STOCK_TAKE_SCOPES, UNCOUNTED_HANDLING, lineVariance, productsInScope } from '../../utils/stockTakes.js';
+import { categoryPath } from '../../utils/categories.js';
+
+const findStockTake = (db, id) => {
+  const stockTake = db.find('stock_takes', id);
+  if (!stockTake) throw new HttpError(404, `Stock-take ${id} not found`);
+  return stockTake;
+};
+
+const requireCounting = (stockTake) => {
+  if (stockTake.status !== 'counting') throw new HttpError(409, `${stockTake.number} is ${stockTake.status}`);
+};
+
+const nextNumber = (db) => {
+  const last = db.all('stock_takes').reduce((max, s) => Math.max(max, parseInt(s.number.slice(3), 10) || 0), 0);
+  return `ST-${String(last + 1).padStart(4, '0')}`;
+};
+
+// Resolve { type, id } to the scope stored on the stock-take
+const resolveScope = (db, scope = {}) => {
+  if (!STOCK_TAKE_SCOPES[scope.type]) {
+    throw new HttpError(400, 'Choose what to count', { scope: `Scope must be one of ${Object.keys(STOCK_TAKE_SCOPES).join(', ')}` });
+  }
+  if (scope.type === 'all') return { type: 'all', id: null, name: 'Whole catalog' };
+  const record = db.find(scope.type === 'category' ? 'categories' : 'suppliers', scope.id);
+  if (!record) throw new HttpError(400, `Pick a ${scope.type}`, { scope: `Pick a ${scope.type}` });
+  const name = scope.type === 'category' ? categoryPath(db.all('categories'), record.id) : record.name;
+  return { type: scope.type, id: record.id, name };
+};
+
+// While counting, costs follow the live products. Uncounted lines show the
+// units the location holds now; counted lines keep the units it held when
+// they were counted, so stock that moves during the count isn't mistaken
+// for a variance.
+const withLiveProducts = (db, stockTake) => {
+  if (stockTake.status !== 'counting') return stockTake;
+  const locationId = stockTake.location.id;
+  const defaultId = defaultLocation(db);
+  return {
+    ...stockTake,
+    lines: stockTake.lines.map(line => {
+      const product = db.find('products', line.product_id);
+      return product
+        ? {
+          ...line,
+          barcode: product.barcode || '',
+          system_quantity: line.counted === null ? stockAt(product, locationId, defaultId) : line.system_quantity,
+          unit_cost: parseFloat(product.buying_price) || 0,
+          missing: false
+        }
+        : { ...line, missing: true };
+    })
+  };
+};
+
+const parseCount = (value, name) => {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) throw new HttpError(400, `Count for ${name} must be a whole number, 0 or more`);
+  return count;
+};
+
+export const registerStockTakeRoutes = (router, db) => {
+  router.get('/stock-takes', ({ query, headers }) => {
+    requireUser(db, headers);
+    let stockTakes = db.all('stock_takes');
+    if (query.status) stockTakes = stockTakes.filter(s => s.status === query.status);
+    stockTakes.sort((a, b) => b.id - a.id);
+    return { status: 200, body: { data: stockTakes.map(s => withLiveProducts(db, s)) } };
+  });
+
+  router.get('/stock-takes/:id', ({ params, headers }) => {
+    requireUser(db, headers);
+    return { status: 200, body: { data: withLiveProducts(db, findStockTake(db, params.id)) } };
+  });
+
+  // Snapshot the products in scope that the location stocks. A product can
+  // only be in one open count per location, otherwise approving both would
+  // adjust it twice.
+  router.post('/stock-takes', ({ body = {}, headers }) => {
+    const user = requireUser(db, headers, 'stocktake.manage');
+    const scope = resolveScope(db, body.scope);
+    const location = resolveLocation(db, body.location_id);
+    const defaultId = defaultLocation(db);
+    const products = productsInScope(db.all('products'), scope, {
+      categories: db.all('categories'),
+      suppliers: db.all('suppliers')
+    }).filter(product => carriedAt(product, location.id, defaultId));
+    if (products.length === 0) throw new HttpError(400, `${scope.name} has no active products at ${location.name} to count`);
+
+    const open = db.all('stock_takes')
+      .filter(s => s.status === 'counting' && String(s.location.id) === String(location.id));
+    const clash = open.find(s => s.lines.some(line => products.some(p => String(p.id) === String(line.product_id))));
+    if (clash) {
+      throw new HttpError(409, `${clash.number} (${clash.scope.name}) is still counting some of these products. Approve or cancel it first.`);
+    }
+
+    const stockTake = db.insert('stock_takes', {
+      number: nextNumber(db),
+      scope,
+      location: { id: location.id, name: location.name },
+      status: 'counting',
+      lines: products.map(product => ({
+        product_id: product.id,
+        product_index: product.product_index,
+        barcode: product.barcode || '',
+        name: product.name,
+        system_quantity: stockAt(product, location.id, defaultId),
+        unit_cost: parseFloat(product.buying_price) || 0,
+        counted: null,
+        counted_by: null,
+        counted_at: null
+      })),
+      notes: body.notes || '',
+      created_by: user.name,
+      created_at: new Date().toISOString(),
+      approved_by: null,
+      approved_at: null
+    });
+    return { status: 201, body: { data: withLiveProducts(db, stockTake) } };
+  });
+
+  // counts: [{ product_id, counted }] sets a count (null clears it);
+  // [{ product_id, add }] adds to it, so scans from several devices don't
+  // overwrite each other. A line's system quantity is taken when it is
+  // counted, and kept as scans add to it.
+  router.put('/stock-takes/:id/counts', ({ params, body = {}, headers }) => {
+    const user = requireUser(db, headers, 'stock.move');
+    const stockTake = findStockTake(db, params.id);
+    requireCounting(stockTake);
+    if (!Array.isArray(body.counts) || body.counts.length === 0) throw new HttpError(400, 'No counts to save');
+
+    const lines = stockTake.lines.map(line => ({ ...line }));
+    const now = new Date().toISOString();
+    const locationId = stockTake.location.id;
+    const defaultId = defaultLocation(db);
+    const onHand = (line) => {
+      const product = db.find('products', line.product_id);
+      return product ? stockAt(product, locationId, defaultId) : line.system_quantity;
+    };
+    body.counts.forEach(({ product_id, counted, add }) => {
+      const line = lines.find(l => String(l.product_id) === String(product_id));
+      if (!line) throw new HttpError(400, `Product ${product_id} is not part of ${stockTake.number}`);
+      if (add !== undefined) {
+        const amount = parseCount(add, line.name);
+        if (line.counted === null) line.system_quantity = onHand(line);
+        line.counted = (line.counted ?? 0) + amount;
+      } else {
+        line.counted = counted === null || counted === '' ? null : parseCount(counted, line.name);
+        if (line.counted !== null) line.system_quantity = onHand(line);
+      }
+      line.counted_by = line.counted === null ? null : user.name;
+      line.counted_at = line.counted === null ? null : now;
+    });
+
+    const updated = db.update('stock_takes', stockTake.id, { lines });
+    return { status: 200, body: { data: withLiveProducts(db, updated) } };
+  });
+
+  router.post('/stock-takes/:id/cancel', ({ params, headers }) => {
+    requireUser(db, headers, 'stocktake.manage');
+    const stockTake = findStockTake(db, params.id);
+    requireCounting(stockTake);
+    return { status: 200, body: { data: db.update('stock_takes', stockTake.id, { status: 'cancelled' }) } };
+  });
+
+  // Post every variance as a count_correction adjustment referencing the
+  // stock-take. The variance is against the units held when each line was
+  // counted and is applied to the stock held now, so movements made since
+  // still stand.
+  router.post('/stock-takes/:id/approve', ({ params, body = {}, headers }) => {
+    const user = requireUser(db, headers, 'stocktake.manage');
+    const stockTake = findStockTake(db, params.id);
+    requireCounting(stockTake);
+    const uncounted = body.uncounted || 'skip';
+    if (!UNCOUNTED_HANDLING[uncounted]) throw new HttpError(400, `Unknown handling "${uncounted}" for uncounted lines`);
+
+    const live = withLiveProducts(db, stockTake);
+    const missing = live.lines.find(line => line.missing && line.counted !== null);
+    if (missing) throw new HttpError(409, `${missing.name} no longer exists. Clear its count before approving.`);
+    const lines = live.lines
+      .filter(line => !line.missing)
+      .map(line => {
+        const stored = { ...line };
+        delete stored.missing;
+        return stored.counted === null && uncounted === 'zero'
+          ? { ...stored, counted: 0, counted_by: user.name, counted_at: new Date().toISOString() }
+          : stored;
+      });
+    if (lines.every(line => line.counted === null)) throw new HttpError(400, 'Nothing has been counted yet');
+
+    // Check every adjustment before posting any, so a bad line can't leave
+    // the count half applied
+    const locationId = stockTake.location.id;
+    const defaultId = defaultLocation(db);
+    lines.forEach(line => {
+      const variance = lineVariance(line);
+      const onHand = stockAt(db.find('products', line.product_id), locationId, defaultId);
+      if (variance && onHand + variance < 0) {
+        throw new HttpError(409, `${line.name}: ${onHand} left at ${stockTake.location?.name || 'the location'} since it was counted, so a variance of ${variance} can't be applied. Recount it.`);
+      }
+    });
+
+    const products = [];
+    lines.forEach(line => {
+      const variance = lineVariance(line);
+      if (!variance) return;
+      const result = applyMovement(db, db.find('products', line.product_id), {
+        type: 'adjust',
+        quantity: variance,
+        reason: 'count_correction',
+        note: `Stock-take ${stockTake.number}`,
+        reference: stockTake.number,
+        user: user.name,
+        location_id: locationId
+      });
+      products.push(result.product);
+    });
+
+    const approved = db.update('stock_takes', stockTake.id, {
+      lines,
+      status: 'approved',
+      approved_by: user.name,
+      approved_at: new Date().toISOString()
+    });
+    return { status: 200, body: { data: { stockTake: approved, products } } };
+  });
+};
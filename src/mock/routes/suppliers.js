@@ -0,0 +1,96 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+
+const TEXT_FIELDS = ['name', 'contact_person', 'phone', 'email', 'payment_terms', 'notes'];
+
+const normalize = (fields, existing = {}) => {
+  const supplier = { ...existing };
+  TEXT_FIELDS.forEach(key => {
+    if (fields[key] !== undefined) supplier[key] = fields[key] === null ? '' : String(fields[key]).trim();
+  });
+  if (fields.lead_time_days !== undefined) {
+    const days = parseInt(fields.lead_time_days, 10);
+    supplier.lead_time_days = Number.isNaN(days) ? null : days;
+  }
+  return supplier;
+};
+
+const validate = (db, supplier, id) => {
+  const errors = {};
+  if (!supplier.name) errors.name = 'Supplier name is required';
+  if (supplier.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(supplier.email)) errors.email = 'Enter a valid email address';
+  if (supplier.lead_time_days !== null && supplier.lead_time_days < 0) errors.lead_time_days = 'Lead time cannot be negative';
+  if (Object.keys(errors).length > 0) throw new HttpError(400, 'Please correct the highlighted fields', errors);
+
+  const duplicate = db.all('suppliers').some(s =>
+    s.name.toLowerCase() === supplier.name.toLowerCase() && String(s.id) !== String(id));
+  if (duplicate) {
+    const message = `A supplier called ${supplier.name} already exists`;
+    throw new HttpError(409, message, { name: message });
+  }
+};
+
+// Resolve a product's supplier_id to its record so supplier_name stays in sync
+export const resolveSupplier = (db, supplierId) => {
+  if (supplierId === null || supplierId === undefined || supplierId === '') return null;
+  const supplier = db.find('suppliers', supplierId);
+  if (!supplier) throw new HttpError(400, 'Unknown supplier', { supplier_id: 'Pick a supplier from the list' });
+  return supplier;
+};
+
+const productsOf = (db, supplier) => db.all('products').filter(p =>
+  String(p.supplier_id) === String(supplier.id) ||
+  (!p.supplier_id && p.supplier_name === supplier.name));
+
+export const registerSupplierRoutes = (router, db) => {
+  router.get('/suppliers', ({ headers }) => {
+    requireUser(db, headers);
+    const suppliers = db.all('suppliers').sort((a, b) => a.name.localeCompare(b.name));
+    return { status: 200, body: { data: suppliers } };
+  });
+
+  router.get('/suppliers/:id', ({ params, headers }) => {
+    requireUser(db, headers);
+    const supplier = db.find('suppliers', params.id);
+    if (!supplier) throw new HttpError(404, `Supplier ${params.id} not found`);
+    return { status: 200, body: { data: supplier } };
+  });
+
+  router.post('/suppliers', ({ body = {}, headers }) => {
+    requireUser(db, headers, 'suppliers.manage');
+    const supplier = normalize(body, {
+      name: '', contact_person: '', phone: '', email: '', lead_time_days: null, payment_terms: '', notes: ''
+    });
+    validate(db, supplier);
+    return { status: 201, body: { data: db.insert('suppliers', supplier) } };
+  });
+
+  router.put('/suppliers/:id', ({ params, body = {}, headers }) => {
+    requireUser(db, headers, 'suppliers.manage');
+    const existing = db.find('suppliers', params.id);
+    if (!existing) throw new HttpError(404, `Supplier ${params.id} not found`);
+
+    const supplier = normalize(body, existing);
+    validate(db, supplier, params.id);
+
+    // Keep the denormalised supplier_name on products in step with a rename
+    if (supplier.name !== existing.name) {
+      productsOf(db, existing).forEach(p =>
+        db.update('products', p.id, { supplier_id: existing.id, supplier_name: supplier.name }));
+    }
+    return { status: 200, body: { data: db.update('suppliers', params.id, supplier) } };
+  });
+
+  router.delete('/suppliers/:id', ({ params, headers }) => {
+    requireUser(db, headers, 'suppliers.manage');
+    const supplier = db.find('suppliers', params.id);
+    if (!supplier) throw new HttpError(404, `Supplier ${params.id} not found`);
+
+    const linked = productsOf(db, supplier).length;
+    if (linked > 0) {
+      throw new HttpError(409, `${supplier.name} still supplies ${linked} product(s). Reassign them first.`);
+    }
+    db.remove('suppliers', params.id);
+    return { status: 200, body: { message: 'Supplier deleted' } };
+  });
+};
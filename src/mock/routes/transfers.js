@@ -0,0 +1,154 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+import { applyMovement } from './stock.js';
+import { defaultLocation, resolveLocation } from './locations.js';
+import { TRANSFER_STATUSES, stockAt } from '../../utils/locations.js';
+
+const findTransfer = (db, id) => {
+  const transfer = db.find('transfers', id);
+  if (!transfer) throw new HttpError(404, `Transfer ${id} not found`);
+  return transfer;
+};
+
+const requireInTransit = (transfer) => {
+  if (transfer.status !== 'in_transit') throw new HttpError(409, `${transfer.number} is ${TRANSFER_STATUSES[transfer.status].label.toLowerCase()}`);
+};
+
+const nextNumber = (db) => {
+  const last = db.all('transfers').reduce((max, t) => Math.max(max, parseInt(t.number.slice(3), 10) || 0), 0);
+  return `TR-${String(last + 1).padStart(4, '0')}`;
+};
+
+// Validate requested lines against the source location's stock. Lines for
+// the same product are merged.
+const buildLines = (db, lines, from) => {
+  if (!Array.isArray(lines) || lines.length === 0) throw new HttpError(400, 'Add at least one product to transfer');
+  const defaultId = defaultLocation(db);
+  const merged = new Map();
+  lines.forEach(line => {
+    const product = db.find('products', line.product_id);
+    if (!product) throw new HttpError(400, `Product ${line.product_id} not found`);
+    if (product.archived_at) throw new HttpError(409, `${product.name} is archived and can't be transferred`);
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) throw new HttpError(400, `${product.name}: quantity must be a whole number above zero`);
+    const existing = merged.get(product.id);
+    merged.set(product.id, {
+      product_id: product.id,
+      product_index: product.product_index,
+      name: product.name,
+      quantity: (existing?.quantity || 0) + quantity
+    });
+  });
+  return [...merged.values()].map(line => {
+    const available = stockAt(db.find('products', line.product_id), from.id, defaultId);
+    if (line.quantity > available) throw new HttpError(400, `${line.name}: only ${available} in stock at ${from.name}`);
+    return line;
+  });
+};
+
+// Move every line in or out of one location, referencing the transfer.
+// Every product is looked up before any stock moves, so a missing one
+// cannot leave the transfer half-applied.
+const moveLines = (db, transfer, { type, location, user, note }) => {
+  const moves = transfer.lines.map(line => {
+    const product = db.find('products', line.product_id);
+    if (!product) throw new HttpError(409, `${line.name} no longer exists`);
+    return { line, product };
+  });
+  return moves.map(({ line, product }) => applyMovement(db, product, {
+    type,
+    quantity: line.quantity,
+    note,
+    reference: transfer.number,
+    user,
+    location_id: location.id
+  }).product);
+};
+
+export const registerTransferRoutes = (router, db) => {
+  router.get('/transfers', ({ query, headers }) => {
+    requireUser(db, headers);
+    let transfers = db.all('transfers');
+    if (query.status) transfers = transfers.filter(t => t.status === query.status);
+    if (query.location_id) {
+      transfers = transfers.filter(t => [t.from.id, t.to.id].some(id => String(id) === String(query.location_id)));
+    }
+    transfers.sort((a, b) => b.id - a.id);
+    return { status: 200, body: { data: transfers } };
+  });
+
+  router.get('/transfers/:id', ({ params, headers }) => {
+    requireUser(db, headers);
+    return { status: 200, body: { data: findTransfer(db, params.id) } };
+  });
+
+  // Dispatch: stock leaves the source now and is in transit until received
+  router.post('/transfers', ({ body = {}, headers }) => {
+    const user = requireUser(db, headers, 'stock.move');
+    const from = resolveLocation(db, body.from_location_id);
+    const to = resolveLocation(db, body.to_location_id);
+    if (String(from.id) === String(to.id)) {
+      throw new HttpError(400, 'Pick two different locations', { to_location_id: 'Same as the source' });
+    }
+    const lines = buildLines(db, body.lines, from);
+
+    const transfer = db.insert('transfers', {
+      number: nextNumber(db),
+      from: { id: from.id, name: from.name },
+      to: { id: to.id, name: to.name },
+      status: 'in_transit',
+      lines,
+      notes: body.notes || '',
+      dispatched_by: user.name,
+      dispatched_at: new Date().toISOString(),
+      received_by: null,
+      received_at: null,
+      cancelled_by: null,
+      cancelled_at: null
+    });
+    const products = moveLines(db, transfer, {
+      type: 'transfer_out',
+      location: from,
+      user: user.name,
+      note: `Transfer ${transfer.number} to ${to.name}`
+    });
+    return { status: 201, body: { data: { transfer, products } } };
+  });
+
+  router.post('/transfers/:id/receive', ({ params, headers }) => {
+    const user = requireUser(db, headers, 'stock.move');
+    const transfer = findTransfer(db, params.id);
+    requireInTransit(transfer);
+    const products = moveLines(db, transfer, {
+      type: 'transfer_in',
+      location: resolveLocation(db, transfer.to.id),
+      user: user.name,
+      note: `Transfer ${transfer.number} from ${transfer.from.name}`
+    });
+    const received = db.update('transfers', transfer.id, {
+      status: 'received',
+      received_by: user.name,
+      received_at: new Date().toISOString()
+    });
+    return { status: 200, body: { data: { transfer: received, products } } };
+  });
+
+  // Cancelling puts the stock back where it was dispatched from
+  router.post('/transfers/:id/cancel', ({ params, headers }) => {
+    const user = requireUser(db, headers, 'stock.move');
+    const transfer = findTransfer(db, params.id);
+    requireInTransit(transfer);
+    const products = moveLines(db, transfer, {
+      type: 'transfer_in',
+      location: resolveLocation(db, transfer.from.id),
+      user: user.name,
+      note: `Transfer ${transfer.number} cancelled`
+    });
+    const cancelled = db.update('transfers', transfer.id, {
+      status: 'cancelled',
+      cancelled_by: user.name,
+      cancelled_at: new Date().toISOString()
+    });
+    return { status: 200, body: { data: { transfer: cancelled, products } } };
+  });
+};
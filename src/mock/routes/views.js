@@ -0,0 +1,65 @@
+import { HttpError } from '../router.js';
+import { requireUser } from './auth.js';
+
+// Saved product list views belong to the user who created them
+const findOwnView = (db, user, id) => {
+  const view = db.find('saved_views', id);
+  if (!view || String(view.user_id) !== String(user.id)) throw new HttpError(404, `View ${id} not found`);
+  return view;
+};
+
+const validateName = (db, user, name, id) => {
+  if (!name) throw new HttpError(400, 'Please correct the highlighted fields', { name: 'Give the view a name' });
+  const duplicate = db.all('saved_views').some(v =>
+    String(v.user_id) === String(user.id) &&
+    v.name.toLowerCase() === name.toLowerCase() &&
+    String(v.id) !== String(id));
+  if (duplicate) {
+    const message = `You already have a view called ${name}`;
+    throw new HttpError(409, message, { name: message });
+  }
+};
+
+export const registerViewRoutes = (router, db) => {
+  router.get('/views', ({ headers }) => {
+    const user = requireUser(db, headers);
+    const views = db.all('saved_views')
+      .filter(v => String(v.user_id) === String(user.id))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return { status: 200, body: { data: views } };
+  });
+
+  router.post('/views', ({ body = {}, headers }) => {
+    const user = requireUser(db, headers);
+    const name = String(body.name || '').trim();
+    validateName(db, user, name);
+    const view = db.insert('saved_views', {
+      user_id: user.id,
+      name,
+      query: String(body.query || ''),
+      pinned: Boolean(body.pinned),
+      created_at: new Date().toISOString()
+    });
+    return { status: 201, body: { data: view } };
+  });
+
+  router.put('/views/:id', ({ params, body = {}, headers }) => {
+    const user = requireUser(db, headers);
+    const view = findOwnView(db, user, params.id);
+    const fields = {};
+    if (body.name !== undefined) {
+      fields.name = String(body.name).trim();
+      validateName(db, user, fields.name, view.id);
+    }
+    if (body.query !== undefined) fields.query = String(body.query);
+    if (body.pinned !== undefined) fields.pinned = Boolean(body.pinned);
+    return { status: 200, body: { data: db.update('saved_views', view.id, fields) } };
+  });
+
+  router.delete('/views/:id', ({ params, headers }) => {
+    const user = requireUser(db, headers);
+    const view = findOwnView(db, user, params.id);
+    db.remove('saved_views', view.id);
+    return { status: 200, body: { message: 'View deleted' } };
+  });
+};
@@ -0,0 +1,305 @@
+// Demo accounts for the mock backend, one per role. All use "password".
+export const seedUsers = [
+  { id: 1, username: 'ann', name: 'Ann', role: 'manager', password: 'password' },
+  { id: 2, username: 'peter', name: 'Peter', role: 'clerk', password: 'password' },
+  { id: 3, username: 'grace', name: 'Grace', role: 'viewer', password: 'password' }
+];
+
+// Supplier records referenced by the sample products' supplier_id.
+export const seedSuppliers = [
+  {
+    id: 1,
+    name: 'Crown Paints',
+    contact_person: 'Mary Wanjiku',
+    phone: '+254 722 100 200',
+    email: 'orders@crownpaints.example',
+    lead_time_days: 7,
+    payment_terms: 'Net 30',
+    notes: ''
+  },
+  {
+    id: 2,
+    name: 'Basco Paints',
+    contact_person: 'James Otieno',
+    phone: '+254 733 210 310',
+    email: 'sales@basco.example',
+    lead_time_days: 10,
+    payment_terms: 'Net 30',
+    notes: ''
+  },
+  {
+    id: 3,
+    name: 'Bamburi Cement',
+    contact_person: 'Depot Desk',
+    phone: '+254 709 400 500',
+    email: 'depot@bamburi.example',
+    lead_time_days: 3,
+    payment_terms: 'Cash on delivery',
+    notes: ''
+  },
+  {
+    id: 4,
+    name: 'Savannah Cement',
+    contact_person: 'Faith Njeri',
+    phone: '+254 711 555 010',
+    email: 'sales@savannah.example',
+    lead_time_days: 5,
+    payment_terms: 'Net 14',
+    notes: ''
+  },
+  {
+    id: 5,
+    name: 'Kenpipe',
+    contact_person: 'Ali Hassan',
+    phone: '+254 720 333 444',
+    email: 'info@kenpipe.example',
+    lead_time_days: 7,
+    payment_terms: 'Net 30',
+    notes: ''
+  },
+  {
+    id: 6,
+    name: 'Devki Steel',
+    contact_person: 'Sales Office',
+    phone: '+254 722 808 909',
+    email: 'sales@devki.example',
+    lead_time_days: 14,
+    payment_terms: 'Net 45',
+    notes: ''
+  },
+  {
+    id: 7,
+    name: 'East African Cables',
+    contact_person: 'Peter Kamau',
+    phone: '+254 734 121 212',
+    email: 'orders@eacables.example',
+    lead_time_days: 10,
+    payment_terms: 'Net 30',
+    notes: ''
+  },
+  {
+    id: 8,
+    name: 'Generic Imports',
+    contact_person: 'Lucy Achieng',
+    phone: '+254 700 999 111',
+    email: 'lucy@genericimports.example',
+    lead_time_days: 21,
+    payment_terms: '50% deposit',
+    notes: ''
+  }
+];
+
+// Category tree. Products reference a leaf (or any node) by category_id and
+// keep the node's name in `category` for older clients.
+export const seedCategories = [
+  { id: 1, name: 'Building', parent_id: null },
+  { id: 2, name: 'Paint', parent_id: 1 },
+  { id: 3, name: 'Emulsion', parent_id: 2 },
+  { id: 4, name: 'Gloss', parent_id: 2 },
+  { id: 5, name: 'Exterior', parent_id: 2 },
+  { id: 6, name: 'Cement', parent_id: 1, stock_rules: { reorder_point: 100, max_quantity: 200 } },
+  { id: 7, name: 'Roofing', parent_id: 1 },
+  { id: 8, name: 'Plumbing', parent_id: null },
+  { id: 9, name: 'Hardware', parent_id: null },
+  { id: 10, name: 'Electrical', parent_id: null },
+  { id: 11, name: 'Tools', parent_id: null }
+];
+
+// Shops and the store room stock is held at. Stock written without a
+// location goes to the default.
+export const seedLocations = [
+  { id: 1, name: 'Main Shop', type: 'shop', is_default: true, archived_at: null },
+  { id: 2, name: 'Westlands Shop', type: 'shop', is_default: false, archived_at: null },
+  { id: 3, name: 'Store Room', type: 'store', is_default: false, archived_at: null }
+];
+
+// Sample catalog used by the mock backend. A few rows keep `alert_config` as
+// a JSON string, the way the live backend returns it for older records.
+// `stock` splits each quantity across the locations above.
+export const seedProducts = [
+  {
+    id: 1,
+    product_index: 'PNT-001',
+    barcode: '6161100420012',
+    name: 'Crown Silk Vinyl Emulsion 4L',
+    buying_price: 2350,
+    selling_price: 2900,
+    quantity: 18,
+    stock: { 1: 10, 2: 3, 3: 5 },
+    alert_config: { min_quantity: 5 },
+    description: 'Brilliant white interior emulsion',
+    supplier_id: 1,
+    supplier_name: 'Crown Paints',
+    category_id: 3,
+    category: 'Emulsion'
+  },
+  {
+    id: 2,
+    product_index: 'PNT-002',
+    barcode: '6161100420029',
+    name: 'Crown Gloss Enamel 1L',
+    buying_price: 780,
+    selling_price: 950,
+    quantity: 3,
+    stock: { 1: 3, 2: 0 },
+    alert_config: '{"min_quantity": 6}',
+    description: 'Oil based gloss, black',
+    supplier_id: 1,
+    supplier_name: 'Crown Paints',
+    category_id: 4,
+    category: 'Gloss'
+  },
+  {
+    id: 3,
+    product_index: 'PNT-003',
+    name: 'Basco Duracoat Weatherguard 20L',
+    buying_price: 9800,
+    selling_price: 11500,
+    quantity: 0,
+    stock: { 1: 0 },
+    alert_config: { min_quantity: 2 },
+    description: 'Exterior textured finish',
+    supplier_id: 2,
+    supplier_name: 'Basco Paints',
+    category_id: 5,
+    category: 'Exterior'
+  },
+  {
+    id: 4,
+    product_index: 'CEM-001',
+    barcode: '6164001230014',
+    name: 'Bamburi Tembo Cement 50kg',
+    buying_price: 690,
+    selling_price: 780,
+    quantity: 240,
+    stock: { 1: 60, 2: 30, 3: 150 },
+    alert_config: '{"min_quantity": 40}',
+    description: '',
+    supplier_id: 3,
+    supplier_name: 'Bamburi Cement',
+    category_id: 6,
+    category: 'Cement'
+  },
+  {
+    id: 5,
+    product_index: 'CEM-002',
+    barcode: '6164002450018',
+    name: 'Savannah Cement 50kg',
+    buying_price: 650,
+    selling_price: 740,
+    quantity: 35,
+    stock: { 1: 20, 3: 15 },
+    alert_config: { min_quantity: 40 },
+    description: '',
+    supplier_id: 4,
+    supplier_name: 'Savannah Cement',
+    category_id: 6,
+    category: 'Cement'
+  },
+  {
+    id: 6,
+    product_index: 'PLB-001',
+    barcode: '6009801230015',
+    name: 'PPR Pipe 20mm x 4m',
+    buying_price: 310,
+    selling_price: 420,
+    quantity: 64,
+    stock: { 1: 40, 2: 24 },
+    alert_config: { min_quantity: 15 },
+    description: 'Hot and cold water pipe',
+    supplier_id: 5,
+    supplier_name: 'Kenpipe',
+    category_id: 8,
+    category: 'Plumbing'
+  },
+  {
+    id: 7,
+    product_index: 'PLB-002',
+    name: 'Gate Valve 3/4"',
+    buying_price: 520,
+    selling_price: 700,
+    quantity: 9,
+    stock: { 1: 9 },
+    alert_config: '{"min_quantity": 10}',
+    description: 'Brass gate valve',
+    supplier_id: 5,
+    supplier_name: 'Kenpipe',
+    category_id: 8,
+    category: 'Plumbing'
+  },
+  {
+    id: 8,
+    product_index: 'HW-001',
+    name: 'Wire Nails 3" (1kg)',
+    buying_price: 160,
+    selling_price: 220,
+    quantity: 120,
+    stock: { 1: 50, 2: 20, 3: 50 },
+    alert_config: { min_quantity: 25 },
+    description: '',
+    supplier_id: 6,
+    supplier_name: 'Devki Steel',
+    category_id: 9,
+    category: 'Hardware'
+  },
+  {
+    id: 9,
+    product_index: 'HW-002',
+    name: 'Iron Sheet Gauge 30 (3m)',
+    buying_price: 880,
+    selling_price: 1050,
+    quantity: 46,
+    stock: { 1: 16, 3: 30 },
+    alert_config: { min_quantity: 20 },
+    description: 'Corrugated galvanised roofing sheet',
+    supplier_id: 6,
+    supplier_name: 'Devki Steel',
+    category_id: 7,
+    category: 'Roofing'
+  },
+  {
+    id: 10,
+    product_index: 'EL-001',
+    name: 'Twin & Earth Cable 2.5mm (100m)',
+    buying_price: 6400,
+    selling_price: 7800,
+    quantity: 4,
+    stock: { 1: 4 },
+    alert_config: { min_quantity: 3 },
+    description: '',
+    supplier_id: 7,
+    supplier_name: 'East African Cables',
+    category_id: 10,
+    category: 'Electrical'
+  },
+  {
+    id: 11,
+    product_index: 'EL-002',
+    name: 'LED Bulb 9W B22',
+    buying_price: 95,
+    selling_price: 150,
+    quantity: 0,
+    stock: { 1: 0, 2: 0 },
+    alert_config: '{"min_quantity": 20}',
+    description: 'Warm white',
+    supplier_id: 8,
+    supplier_name: 'Generic Imports',
+    category_id: 10,
+    category: 'Electrical'
+  },
+  {
+    id: 12,
+    product_index: 'TL-001',
+    name: 'Claw Hammer 16oz',
+    buying_price: 450,
+    selling_price: 650,
+    quantity: 22,
+    stock: { 1: 12, 2: 10 },
+    alert_config: { min_quantity: 5 },
+    description: 'Fibreglass handle',
+    supplier_id: 8,
+    supplier_name: 'Generic Imports',
+    category_id: 11,
+    category: 'Tools'
+  }
+];
@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { OfflineContext } from './context';
+import { listOutbox, subscribeOutbox, replayOutbox, removeQueued, setOutboxOwner } from './outbox';
+import { onReachability } from '../api/client';
+import { fetchCurrentUser } from '../api/auth';
+import { listProducts, onlineProductApi } from '../api/products';
+import { useAuth } from '../auth/context';
+
+// How often to check whether an unreachable server is back
+const PROBE_INTERVAL_MS = 30000;
+
+// Tracks whether the API can be reached, replays writes queued while it
+// could not, and keeps the saved product catalog fresh. `syncedAt` changes
+// after every replay that sent something, so lists can reload.
+const OfflineProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [browserOnline, setBrowserOnline] = useState(() => navigator.onLine);
+  const [reachable, setReachable] = useState(true);
+  const [queue, setQueue] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [syncedAt, setSyncedAt] = useState(null);
+  const syncingRef = useRef(false);
+  const online = browserOnline && reachable;
+
+  useEffect(() => {
+    const goOnline = () => setBrowserOnline(true);
+    const goOffline = () => setBrowserOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  useEffect(() => onReachability(setReachable), []);
+
+  // Each user only sees and sends the writes they queued
+  useEffect(() => {
+    setOutboxOwner(user?.id);
+  }, [user]);
+
+  useEffect(() => {
+    const load = () => listOutbox().then(setQueue).catch(err => console.error("Error reading the offline queue:", err));
+    load();
+    return subscribeOutbox(load);
+  }, []);
+
+  // Ping the server while it is unreachable
+  useEffect(() => {
+    if (!user || !browserOnline || reachable) return undefined;
+    const timer = setInterval(() => fetchCurrentUser().catch(() => {}), PROBE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [user, browserOnline, reachable]);
+
+  const sync = useCallback(async (options) => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const sent = await replayOutbox(onlineProductApi, options);
+      if (sent > 0) setSyncedAt(new Date().toISOString());
+    } catch (err) {
+      console.error("Error syncing offline changes:", err);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+    }
+  }, []);
+
+  // Save the catalog for offline use whenever the server is (back) online
+  useEffect(() => {
+    if (!user || !online) return;
+    listProducts().catch(err => console.error("Error saving products for offline use:", err));
+  }, [user, online, syncedAt]);
+
+  const readyToSend = queue.some(op => !op.problem);
+  useEffect(() => {
+    if (user && online && readyToSend) sync();
+  }, [user, online, readyToSend, sync]);
+
+  const keepMine = useCallback((op) => sync({ force: [op.id] }), [sync]);
+  const discard = useCallback(async (op) => {
+    await removeQueued(op.id);
+    setSyncedAt(new Date().toISOString());
+  }, []);
+
+  const value = useMemo(() => ({
+    online,
+    syncing,
+    queue,
+    syncedAt,
+    sync,
+    keepMine,
+    discard
+  }), [online, syncing, queue, syncedAt, sync, keepMine, discard]);
+
+  return <OfflineContext.Provider value={value}>{children}</OfflineContext.Provider>;
+};
+
+export default OfflineProvider;
@@ -0,0 +1,34 @@
+// Last known copies of API lists ("snapshots") kept for offline use and for
+// rendering straight away while a slow server wakes up.
+import { getValue, putValue } from './idb';
+
+// { data, saved_at } or null when nothing has been saved under `key`
+export const readSnapshot = async (key) => (await getValue('snapshots', key)) ?? null;
+
+export const writeSnapshot = (key, data) =>
+  putValue('snapshots', { data, saved_at: new Date().toISOString() }, key);
+
+// Change a saved list in place, keeping its saved_at
+export const patchSnapshot = async (key, update) => {
+  const snapshot = await readSnapshot(key);
+  if (!snapshot) return;
+  await putValue('snapshots', { ...snapshot, data: update(snapshot.data) }, key);
+};
+
+// Whether a failed request means the server could not be reached at all
+export const isOfflineError = (err) => Boolean(err?.isNetworkError || err?.isTimeout);
+
+// Fetch a list and save it; when the server cannot be reached, resolve with
+// the saved copy instead (still throwing if there is none)
+export const cachedRead = async (key, fetcher) => {
+  try {
+    const data = await fetcher();
+    await writeSnapshot(key, data);
+    return data;
+  } catch (err) {
+    if (!isOfflineError(err)) throw err;
+    const snapshot = await readSnapshot(key);
+    if (!snapshot) throw err;
+    return snapshot.data;
+  }
+};
@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+
+export const OfflineContext = createContext(null);
+
+// { online, syncing, queue, syncedAt, sync, keepMine, discard }
+export const useOffline = () => {
+  const context = useContext(OfflineContext);
+  if (!context) throw new Error('useOffline must be used inside <OfflineProvider>');
+  return context;
+};
@@ -0,0 +1,64 @@
+// Small promise wrapper around IndexedDB for the offline cache. Two stores:
+// `snapshots` (last known API responses, by key) and `outbox` (writes made
+// while offline, replayed in order). Falls back to memory when IndexedDB is
+// unavailable, e.g. in some private browsing modes.
+
+const DB_NAME = 'inventory-offline';
+const DB_VERSION = 1;
+
+let opening = null;
+const memory = { snapshots: new Map(), outbox: new Map() };
+let memoryId = 0;
+
+const openDb = () => {
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore('snapshots');
+        req.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch(err => {
+      console.warn("Offline cache falling back to memory:", err);
+      return null;
+    });
+  }
+  return opening;
+};
+
+// Run one request in a transaction and resolve with its result
+const run = async (store, mode, action) => {
+  const db = await openDb();
+  if (!db) return action(null).result;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = action(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+export const getValue = (store, key) =>
+  run(store, 'readonly', s => (s ? s.get(key) : { result: memory[store].get(key) }));
+
+export const getAllValues = (store) =>
+  run(store, 'readonly', s => (s ? s.getAll() : { result: [...memory[store].values()] }));
+
+// `key` is only needed for stores without a keyPath (snapshots). Resolves
+// to the stored key.
+export const putValue = (store, value, key) => run(store, 'readwrite', s => {
+  if (s) return key === undefined ? s.put(value) : s.put(value, key);
+  if (store === 'outbox' && value.id === undefined) value = { ...value, id: ++memoryId };
+  const storedKey = key ?? value.id;
+  memory[store].set(storedKey, value);
+  return { result: storedKey };
+});
+
+export const deleteValue = (store, key) =>
+  run(store, 'readwrite', s => (s ? s.delete(key) : { result: memory[store].delete(key) }));
@@ -0,0 +1,122 @@
+// Product writes made while offline. Each entry is
+// { id, kind: 'create' | 'update' | 'archive' | 'restore', product_id,
+//   fields, base, user_id, queued_at, problem }
+// where `base` is the product as it was when the change was made offline,
+// used to spot changes someone else saved on the server in the meantime.
+// `user_id` is who queued it: only they see and replay it, so a shared
+// device never sends one user's changes under another's sign-in.
+import { getAllValues, putValue, deleteValue } from './idb';
+import { parseAlertConfig } from '../utils/stock';
+
+const listeners = new Set();
+const notify = () => listeners.forEach(listener => listener());
+
+// Call `listener` whenever the outbox changes. Returns an unsubscribe function.
+export const subscribeOutbox = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+let ownerId = null;
+
+// Set the signed-in user (null when signed out). Writes are queued for them
+// and only their writes are listed and replayed.
+export const setOutboxOwner = (userId) => {
+  ownerId = userId ?? null;
+  notify();
+};
+
+// The signed-in user's queued writes, oldest first
+export const listOutbox = async () => {
+  if (ownerId === null) return [];
+  return (await getAllValues('outbox'))
+    .filter(op => String(op.user_id) === String(ownerId))
+    .sort((a, b) => a.id - b.id);
+};
+
+export const isLocalId = (id) => String(id).startsWith('local-');
+
+// Queue a write. Changes to a product that was itself created offline are
+// folded into its queued create, since it has no server id yet.
+export const enqueueWrite = async ({ kind, product_id, fields = null, base = null }) => {
+  if (ownerId === null) throw new Error('Sign in to save changes while offline');
+  if (kind !== 'create' && isLocalId(product_id)) {
+    const create = (await listOutbox()).find(op => op.kind === 'create' && op.product_id === product_id);
+    if (create && kind === 'update') await putValue('outbox', { ...create, fields: { ...create.fields, ...fields } });
+    if (create && kind === 'archive') await deleteValue('outbox', create.id);
+  } else {
+    await putValue('outbox', { kind, product_id, fields, base, user_id: ownerId, queued_at: new Date().toISOString(), problem: null });
+  }
+  notify();
+};
+
+export const removeQueued = async (id) => {
+  await deleteValue('outbox', id);
+  notify();
+};
+
+const NUMERIC_FIELDS = ['buying_price', 'selling_price', 'quantity', 'category_id', 'supplier_id'];
+
+// Comparable form of a field value, so "100.00" matches 100 and an
+// alert_config string matches the same object
+const comparable = (key, value) => {
+  if (key === 'alert_config') return JSON.stringify(parseAlertConfig({ alert_config: value }) ?? null);
+  if (NUMERIC_FIELDS.includes(key)) return value === null || value === undefined || value === '' ? '' : String(Number(value));
+  return String(value ?? '').trim();
+};
+
+// Whether the server changed any of `fields` since `base` was read, to
+// something other than what is about to be written. Without a base the
+// write simply wins.
+export const hasConflict = (base, current, fields) => Boolean(base) && Object.keys(fields).some(key => {
+  const now = comparable(key, current[key]);
+  return now !== comparable(key, base[key]) && now !== comparable(key, fields[key]);
+});
+
+// Send queued writes in order through `api` ({ getProduct, createProduct,
+// updateProduct, deleteProduct, restoreProduct }). Updates whose product
+// changed on the server are held as conflicts, and a write the server
+// rejects is held with its error; later writes to the same product wait
+// behind either. Stops at the first network failure. `force` replays the
+// given op ids even if they conflict. Resolves to the number of writes sent.
+export const replayOutbox = async (api, { force = [] } = {}) => {
+  const blocked = new Set();
+  let sent = 0;
+
+  for (const op of await listOutbox()) {
+    if (blocked.has(String(op.product_id)) || (op.problem && !force.includes(op.id))) {
+      blocked.add(String(op.product_id));
+      continue;
+    }
+    try {
+      if (op.kind === 'create') {
+        await api.createProduct(op.fields);
+      } else {
+        const current = await api.getProduct(op.product_id);
+        if (op.kind === 'update') {
+          if (!force.includes(op.id) && hasConflict(op.base, current, op.fields)) {
+            await putValue('outbox', {
+              ...op,
+              problem: { type: 'conflict', message: 'Changed on the server since it was edited offline', server: current }
+            });
+            blocked.add(String(op.product_id));
+            continue;
+          }
+          await api.updateProduct(op.product_id, op.fields);
+        }
+        // Archiving and restoring are skipped when the server already agrees
+        if (op.kind === 'archive' && !current.archived_at) await api.deleteProduct(op.product_id);
+        if (op.kind === 'restore' && current.archived_at) await api.restoreProduct(op.product_id);
+      }
+      await deleteValue('outbox', op.id);
+      sent += 1;
+    } catch (err) {
+      if (err?.isNetworkError || err?.isTimeout) break;
+      await putValue('outbox', { ...op, problem: { type: 'error', message: err.message } });
+      blocked.add(String(op.product_id));
+    }
+  }
+
+  notify();
+  return sent;
+};
@@ -0,0 +1,424 @@
+import { useState, useEffect } from 'react';
+import { listSuppliers } from '../api/suppliers';
+import {
+  getSubscription,
+  saveSubscription,
+  sendTestDigest,
+  getDigestSettings,
+  saveDigestSettings,
+  runDigestsNow,
+  listDigestDeliveries
+} from '../api/notifications';
+import { useAuth } from '../auth/context';
+import { useToast } from '../toast/context';
+import { useStockRules } from '../stockRules/context';
+import { useLocations } from '../locations/context';
+import { flattenCategoryTree } from '../utils/categories';
+import { DEFAULT_DIGEST_SETTINGS, DEFAULT_SUBSCRIPTION, validateDigestSettings, validateSubscription } from '../utils/notifications';
+import { inputClass, serverFieldErrors } from '../utils/forms';
+import FormField from '../components/FormField';
+
+const SUBSCRIPTION_KEYS = Object.keys(DEFAULT_SUBSCRIPTION);
+
+const pickSubscription = (subscription) =>
+  Object.fromEntries(SUBSCRIPTION_KEYS.map(key => [key, subscription?.[key] ?? DEFAULT_SUBSCRIPTION[key]]));
+
+const sameSubscription = (a, b) => JSON.stringify(pickSubscription(a)) === JSON.stringify(pickSubscription(b));
+
+const toDigestForm = (settings) => ({ ...DEFAULT_DIGEST_SETTINGS, ...settings, smtp_password: '' });
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const selectClass = 'block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md';
+
+const DELIVERY_TONES = { sent: 'bg-green-100 text-green-800', failed: 'bg-red-100 text-red-800' };
+
+// Checkbox list where ticking nothing means everything
+const PickList = ({ title, options, selected, onChange }) => {
+  const toggle = (id) => onChange(selected.includes(id) ? selected.filter(other => other !== id) : [...selected, id]);
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <p className="text-sm font-medium text-gray-700">{title}</p>
+        {selected.length > 0 && (
+          <button type="button" onClick={() => onChange([])} className="text-xs text-blue-600 hover:text-blue-800">
+            Clear
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 mb-2">{selected.length === 0 ? 'All' : `${selected.length} selected`}</p>
+      <div className="max-h-56 overflow-y-auto border border-gray-200 rounded-md p-2 space-y-1">
+        {options.length === 0 && <p className="text-sm text-gray-500">None yet</p>}
+        {options.map(({ id, label, depth = 0 }) => (
+          <label key={id} className="flex items-center text-sm text-gray-700" style={{ paddingLeft: `${depth * 1}rem` }}>
+            <input type="checkbox" className="mr-2" checked={selected.includes(id)} onChange={() => toggle(id)} />
+            {label}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Which stock alerts reach the signed-in user, in the notification centre
+// and the daily digest, plus the shop-wide digest delivery for managers
+const AlertSettings = () => {
+  const { can } = useAuth();
+  const { showToast } = useToast();
+  const { stockRules } = useStockRules();
+  const { activeLocations } = useLocations();
+  const canManage = can('settings.manage');
+  const [suppliers, setSuppliers] = useState([]);
+  const [saved, setSaved] = useState(null);
+  const [values, setValues] = useState(DEFAULT_SUBSCRIPTION);
+  const [errors, setErrors] = useState({});
+  const [digestSettings, setDigestSettings] = useState(null);
+  const [digestValues, setDigestValues] = useState(toDigestForm(DEFAULT_DIGEST_SETTINGS));
+  const [digestErrors, setDigestErrors] = useState({});
+  const [deliveries, setDeliveries] = useState([]);
+  const [busy, setBusy] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [subscription, supplierData, settings, log] = await Promise.all([
+          getSubscription(),
+          listSuppliers(),
+          canManage ? getDigestSettings() : null,
+          canManage ? listDigestDeliveries() : []
+        ]);
+        setSaved(subscription);
+        setValues(pickSubscription(subscription));
+        setSuppliers(supplierData);
+        setDigestSettings(settings);
+        if (settings) setDigestValues(toDigestForm(settings));
+        setDeliveries(log);
+        setError(null);
+      } catch (err) {
+        console.error("Error fetching alert settings:", err);
+        setError(`Failed to load alert settings: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [canManage, refreshKey]);
+
+  const setField = (key, value) => {
+    setValues({ ...values, [key]: value });
+    setErrors({ ...errors, [key]: undefined });
+  };
+
+  const setDigestField = (key, value) => {
+    setDigestValues({ ...digestValues, [key]: value });
+    setDigestErrors({ ...digestErrors, [key]: undefined });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const fieldErrors = validateSubscription(values);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) return;
+
+    setBusy('subscription');
+    try {
+      const subscription = await saveSubscription(values);
+      setSaved(subscription);
+      setValues(pickSubscription(subscription));
+      showToast({ message: 'Alert settings saved' });
+    } catch (err) {
+      setErrors(serverFieldErrors(err));
+      showToast({ message: `Failed to save your alert settings: ${err.message}`, tone: 'error' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Report each delivery; failures keep their reason
+  const reportDeliveries = (sent, emptyMessage) => {
+    if (sent.length === 0) {
+      showToast({ message: emptyMessage });
+      return;
+    }
+    const failed = sent.filter(d => d.status === 'failed');
+    showToast({
+      message: failed.length === 0
+        ? `Sent ${sent.length} digest${sent.length === 1 ? '' : 's'}`
+        : failed.map(d => `${d.channel} to ${d.target} failed: ${d.error}`).join('; '),
+      tone: failed.length === 0 ? 'info' : 'error'
+    });
+  };
+
+  const handleTest = async () => {
+    setBusy('test');
+    try {
+      reportDeliveries(await sendTestDigest(), 'Nothing was sent');
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      showToast({ message: `Failed to send a test digest: ${err.message}`, tone: 'error' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSaveDigest = async (e) => {
+    e.preventDefault();
+    const fieldErrors = validateDigestSettings(digestValues);
+    setDigestErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) return;
+
+    setBusy('digest');
+    try {
+      const settings = await saveDigestSettings(digestValues);
+      setDigestSettings(settings);
+      setDigestValues(toDigestForm(settings));
+      showToast({ message: 'Digest delivery saved' });
+    } catch (err) {
+      setDigestErrors(serverFieldErrors(err));
+      showToast({ message: `Failed to save digest delivery: ${err.message}`, tone: 'error' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRunNow = async () => {
+    setBusy('run');
+    try {
+      reportDeliveries(await runDigestsNow(), 'No new alerts to send since the last digests');
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      showToast({ message: `Failed to send digests: ${err.message}`, tone: 'error' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading alert settings...</p>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    </div>
+  );
+
+  const dirty = !sameSubscription(values, saved);
+  const hasChannel = saved?.email_digest || saved?.webhook_digest;
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <h1 className="text-2xl font-light text-gray-900">Stock Alerts</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Get told when products run low or out of stock: in the bell at the top of the page and in a daily digest
+          </p>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        <form onSubmit={handleSave} noValidate className="bg-white shadow sm:rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900">My alerts</h2>
+          <p className="mt-1 mb-4 text-sm text-gray-500">
+            Only products matching every list you narrow down are shown to you. Categories include their subcategories.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <PickList
+              title="Categories"
+              options={flattenCategoryTree(stockRules.categories || []).map(({ category, depth }) => ({ id: category.id, label: category.name, depth }))}
+              selected={values.category_ids}
+              onChange={(ids) => setField('category_ids', ids)}
+            />
+            <PickList
+              title="Suppliers"
+              options={suppliers.map(s => ({ id: s.id, label: s.name }))}
+              selected={values.supplier_ids}
+              onChange={(ids) => setField('supplier_ids', ids)}
+            />
+            <PickList
+              title="Locations"
+              options={activeLocations.map(l => ({ id: l.id, label: l.name }))}
+              selected={values.location_ids}
+              onChange={(ids) => setField('location_ids', ids)}
+            />
+          </div>
+
+          <h3 className="mt-6 text-base font-medium text-gray-900">Daily digest</h3>
+          <p className="mt-1 mb-3 text-sm text-gray-500">
+            Once a day, a list of the products that have newly run low or out since the last digest. Nothing is sent on quiet days.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="flex items-center text-sm text-gray-700 mb-2">
+                <input type="checkbox" className="mr-2" checked={values.email_digest} onChange={(e) => setField('email_digest', e.target.checked)} />
+                Email me the digest
+              </label>
+              <FormField label="Email address" error={errors.email}>
+                <input
+                  type="email"
+                  disabled={!values.email_digest}
+                  className={`${inputClass(errors.email)} disabled:bg-gray-100 disabled:text-gray-500`}
+                  value={values.email}
+                  onChange={(e) => setField('email', e.target.value)}
+                />
+              </FormField>
+            </div>
+            <div>
+              <label className="flex items-center text-sm text-gray-700 mb-2">
+                <input type="checkbox" className="mr-2" checked={values.webhook_digest} onChange={(e) => setField('webhook_digest', e.target.checked)} />
+                Post the digest to a webhook
+              </label>
+              <FormField label="Webhook URL" error={errors.webhook_url} hint="Receives the digest as JSON, with a plain-text summary for chat tools">
+                <input
+                  type="url"
+                  disabled={!values.webhook_digest}
+                  placeholder="https://"
+                  className={`${inputClass(errors.webhook_url)} disabled:bg-gray-100 disabled:text-gray-500`}
+                  value={values.webhook_url}
+                  onChange={(e) => setField('webhook_url', e.target.value)}
+                />
+              </FormField>
+            </div>
+          </div>
+          {saved?.last_digest_at && (
+            <p className="mt-3 text-xs text-gray-500">Last digest checked {new Date(saved.last_digest_at).toLocaleString()}</p>
+          )}
+          <div className="mt-4 flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={handleTest}
+              disabled={busy !== null || dirty || !hasChannel}
+              title={dirty ? 'Save your changes first' : hasChannel ? 'Send a digest of your open alerts now' : 'Turn on an email or webhook digest first'}
+              className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              {busy === 'test' ? 'Sending...' : 'Send Test Digest'}
+            </button>
+            <button
+              type="submit"
+              disabled={busy !== null || !dirty}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              {busy === 'subscription' ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+
+        {canManage && (
+          <form onSubmit={handleSaveDigest} noValidate className="bg-white shadow sm:rounded-lg p-6">
+            <h2 className="text-lg font-medium text-gray-900">Digest delivery</h2>
+            <p className="mt-1 mb-4 text-sm text-gray-500">
+              Shared by everyone&apos;s digests. Email needs an SMTP server; webhooks are posted directly.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <FormField label="Send digests after" error={digestErrors.digest_hour} hint="Server time">
+                <select
+                  className={selectClass}
+                  value={digestValues.digest_hour}
+                  onChange={(e) => setDigestField('digest_hour', e.target.value)}
+                >
+                  {HOURS.map(hour => (
+                    <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                  ))}
+                </select>
+              </FormField>
+              <FormField label="SMTP host" error={digestErrors.smtp_host} hint="Leave blank to turn email digests off">
+                <input className={inputClass(digestErrors.smtp_host)} value={digestValues.smtp_host} onChange={(e) => setDigestField('smtp_host', e.target.value)} />
+              </FormField>
+              <FormField label="SMTP port" error={digestErrors.smtp_port}>
+                <input type="number" min="1" className={inputClass(digestErrors.smtp_port)} value={digestValues.smtp_port} onChange={(e) => setDigestField('smtp_port', e.target.value)} />
+              </FormField>
+              <FormField label="Username" error={digestErrors.smtp_username} hint="Leave blank if the server doesn't ask to sign in">
+                <input className={inputClass(digestErrors.smtp_username)} autoComplete="off" value={digestValues.smtp_username} onChange={(e) => setDigestField('smtp_username', e.target.value)} />
+              </FormField>
+              <FormField label="Password" error={digestErrors.smtp_password} hint={digestSettings?.smtp_password_set ? 'Saved; leave blank to keep it' : null}>
+                <input type="password" className={inputClass(digestErrors.smtp_password)} autoComplete="new-password" value={digestValues.smtp_password} onChange={(e) => setDigestField('smtp_password', e.target.value)} />
+              </FormField>
+              <FormField label="From address" error={digestErrors.smtp_from}>
+                <input type="email" className={inputClass(digestErrors.smtp_from)} value={digestValues.smtp_from} onChange={(e) => setDigestField('smtp_from', e.target.value)} />
+              </FormField>
+            </div>
+            <label className="mt-3 flex items-center text-sm text-gray-700">
+              <input type="checkbox" className="mr-2" checked={digestValues.smtp_secure} onChange={(e) => setDigestField('smtp_secure', e.target.checked)} />
+              Use TLS from the start (usually port 465)
+            </label>
+            <div className="mt-4 flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={handleRunNow}
+                disabled={busy !== null}
+                className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                {busy === 'run' ? 'Sending...' : 'Send Digests Now'}
+              </button>
+              <button
+                type="submit"
+                disabled={busy !== null}
+                className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                {busy === 'digest' ? 'Saving...' : 'Save Delivery'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {canManage && (
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+            <div className="px-6 py-4">
+              <h2 className="text-lg font-medium text-gray-900">Recent deliveries</h2>
+            </div>
+            {deliveries.length === 0 ? (
+              <p className="px-6 pb-6 text-sm text-gray-500">No digests have been sent yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-300">
+                    <tr>
+                      {['Sent', 'To', 'Channel', 'Alerts', 'Status'].map(heading => (
+                        <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {deliveries.map(delivery => (
+                      <tr key={delivery.id}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {new Date(delivery.created_at).toLocaleString()}
+                          {delivery.kind === 'test' && <span className="ml-2 text-xs text-gray-400">test</span>}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          {delivery.user_name}
+                          <p className="text-xs text-gray-500 break-all">{delivery.target}</p>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 capitalize">{delivery.channel}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{delivery.alert_count}</td>
+                        <td className="px-6 py-4 text-sm">
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${DELIVERY_TONES[delivery.status]}`}>
+                            {delivery.status}
+                          </span>
+                          {delivery.error && <p className="mt-1 text-xs text-red-600">{delivery.error}</p>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default AlertSettings;
@@ -0,0 +1,258 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faPlus, faEdit, faTrash, faSitemap, faExchangeAlt } from '@fortawesome/free-solid-svg-icons';
+import { listCategories, createCategory, updateCategory, deleteCategory } from '../api/categories';
+import { listProducts } from '../api/products';
+import { useAuth } from '../auth/context';
+import { useStockRules } from '../stockRules/context';
+import { flattenCategoryTree, isInCategory, categoryOf, unmappedCategories } from '../utils/categories';
+import { formatKsh } from '../utils/format';
+import CategoryFormModal from '../components/CategoryFormModal';
+import RecategoriseModal from '../components/RecategoriseModal';
+
+const stockValue = (products) =>
+  products.reduce((sum, p) => sum + (Number(p.quantity) || 0) * (parseFloat(p.buying_price) || 0), 0);
+
+const Categories = () => {
+  const { can } = useAuth();
+  // Moving or deleting a category changes which stock rules products inherit
+  const { reload: reloadStockRules } = useStockRules();
+  const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [recategorising, setRecategorising] = useState(null);
+
+  // Fetch categories and the products needed for their totals
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [categoryData, productData] = await Promise.all([listCategories(), listProducts()]);
+        setCategories(categoryData);
+        setProducts(productData);
+      } catch (err) {
+        console.error("Error fetching categories:", err);
+        setError(`Failed to load categories: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  const handleSave = async (fields) => {
+    if (editing.category) {
+      const updated = await updateCategory(editing.category.id, fields);
+      setCategories(categories.map(c => (c.id === updated.id ? updated : c)));
+      // A rename is applied to the products' category on the server
+      if (updated.name !== editing.category.name) setProducts(await listProducts());
+    } else {
+      const created = await createCategory(fields);
+      setCategories([...categories, created]);
+    }
+    setEditing(null);
+    reloadStockRules();
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete category ${category.name}?`)) return;
+    setActionError(null);
+    try {
+      await deleteCategory(category.id);
+      setCategories(categories.filter(c => c.id !== category.id));
+      reloadStockRules();
+    } catch (err) {
+      setActionError(`Failed to delete category: ${err.message}`);
+    }
+  };
+
+  const handleRecategorised = (updated) => {
+    const updatedById = new Map(updated.map(p => [p.id, p]));
+    setProducts(products.map(p => updatedById.get(p.id) || p));
+    setRecategorising(null);
+  };
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading categories...</p>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    </div>
+  );
+
+  const rows = flattenCategoryTree(categories);
+  const unmapped = unmappedCategories(products, categories);
+  const uncategorised = products.filter(p => !p.category);
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-light text-gray-900">Categories</h1>
+            <p className="mt-1 text-sm text-gray-500">How the catalog is grouped for filtering and reporting</p>
+          </div>
+          {can('categories.manage') && (
+            <button
+              onClick={() => setEditing({})}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <FontAwesomeIcon icon={faPlus} className="mr-2" />
+              Add Category
+            </button>
+          )}
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        {actionError && (
+          <div className="bg-red-50 border-l-4 border-red-500 p-3">
+            <p className="text-sm text-red-700">{actionError}</p>
+          </div>
+        )}
+
+        {(unmapped.length > 0 || uncategorised.length > 0) && (
+          <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4">
+            <h2 className="text-sm font-medium text-yellow-800">Products outside the category tree</h2>
+            <ul className="mt-2 space-y-1 text-sm text-yellow-700">
+              {unmapped.map(({ name, count }) => (
+                <li key={name} className="flex items-center gap-3">
+                  <span>"{name}" · {count} product{count === 1 ? '' : 's'}</span>
+                  {can('products.edit') && (
+                    <button
+                      onClick={() => setRecategorising({
+                        title: `Recategorise "${name}"`,
+                        products: products.filter(p => p.category === name && !categoryOf(p, categories))
+                      })}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Recategorise
+                    </button>
+                  )}
+                </li>
+              ))}
+              {uncategorised.length > 0 && (
+                <li className="flex items-center gap-3">
+                  <span>No category · {uncategorised.length} product{uncategorised.length === 1 ? '' : 's'}</span>
+                  {can('products.edit') && (
+                    <button
+                      onClick={() => setRecategorising({ title: 'Categorise products', products: uncategorised })}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Categorise
+                    </button>
+                  )}
+                </li>
+              )}
+            </ul>
+          </div>
+        )}
+
+        <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-300">
+                <tr>
+                  {['Category', 'Products', 'Incl. Subcategories', 'Stock Value (Ksh)'].map(heading => (
+                    <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rows.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-8 text-center text-sm text-gray-500">
+                      <FontAwesomeIcon icon={faSitemap} className="h-10 w-10 text-gray-400 mb-2" />
+                      <p>No categories yet</p>
+                    </td>
+                  </tr>
+                ) : rows.map(({ category, depth }) => {
+                  const inTree = products.filter(p => isInCategory(p, categories, category.id));
+                  const direct = inTree.filter(p => categoryOf(p, categories)?.id === category.id);
+                  return (
+                    <tr key={category.id}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900" style={{ paddingLeft: `${1.5 + depth * 1.5}rem` }}>
+                        <Link
+                          to={`/products?category=${category.id}`}
+                          className={`text-blue-600 hover:text-blue-800 ${depth === 0 ? 'font-medium' : ''}`}
+                        >
+                          {category.name}
+                        </Link>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{direct.length}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{inTree.length}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatKsh(stockValue(inTree))}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <div className="flex space-x-3 justify-end">
+                          {can('products.edit') && inTree.length > 0 && (
+                            <button
+                              onClick={() => setRecategorising({ title: `Move products from ${category.name}`, products: inTree })}
+                              className="text-blue-600 hover:text-blue-900"
+                              title="Move products"
+                            >
+                              <FontAwesomeIcon icon={faExchangeAlt} />
+                            </button>
+                          )}
+                          {can('categories.manage') && (
+                            <>
+                              <button onClick={() => setEditing({ parentId: category.id })} className="text-green-600 hover:text-green-900" title="Add subcategory">
+                                <FontAwesomeIcon icon={faPlus} />
+                              </button>
+                              <button onClick={() => setEditing({ category })} className="text-yellow-600 hover:text-yellow-900" title="Edit">
+                                <FontAwesomeIcon icon={faEdit} />
+                              </button>
+                              <button onClick={() => handleDelete(category)} className="text-red-600 hover:text-red-900" title="Delete">
+                                <FontAwesomeIcon icon={faTrash} />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </main>
+
+      {editing && (
+        <CategoryFormModal
+          category={editing.category}
+          parentId={editing.parentId}
+          categories={categories}
+          onClose={() => setEditing(null)}
+          onSave={handleSave}
+        />
+      )}
+
+      {recategorising && (
+        <RecategoriseModal
+          title={recategorising.title}
+          products={recategorising.products}
+          categories={categories}
+          onClose={() => setRecategorising(null)}
+          onDone={handleRecategorised}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Categories;
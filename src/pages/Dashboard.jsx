@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faBoxes, faCoins, faTags, faChartLine, faExclamationTriangle, faSyncAlt
+} from '@fortawesome/free-solid-svg-icons';
+import { listProducts } from '../api/products';
+import { listCategories } from '../api/categories';
+import { computeInventoryStats } from '../utils/inventoryStats';
+import { STOCK_STATUSES } from '../utils/stock';
+import { useStockRules } from '../stockRules/context';
+import { useLocations } from '../locations/context';
+import { locationAlerts } from '../utils/locations';
+import { formatKsh, formatPercent } from '../utils/format';
+import BarChart from '../components/charts/BarChart';
+import DonutChart from '../components/charts/DonutChart';
+
+const KpiCard = ({ icon, label, value, hint, accent = 'text-blue-600' }) => (
+  <div className="bg-white rounded-lg shadow p-5">
+    <div className="flex items-center">
+      <FontAwesomeIcon icon={icon} className={`h-6 w-6 ${accent}`} />
+      <p className="ml-3 text-sm font-medium text-gray-500">{label}</p>
+    </div>
+    <p className="mt-3 text-2xl font-light text-gray-900">{value}</p>
+    {hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+  </div>
+);
+
+const Dashboard = () => {
+  const { stockRules, statusOf } = useStockRules();
+  const { activeLocations, defaultLocationId } = useLocations();
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  // Fetch products and the category tree used to roll up category totals
+  useEffect(() => {
+    const fetchProducts = async () => {
+      setLoading(true);
+      try {
+        const [data, categoryData] = await Promise.all([listProducts(), listCategories()]);
+        setProducts(data);
+        setCategories(categoryData);
+        setError(null);
+      } catch (err) {
+        console.error("Error fetching products:", err);
+        setError(`Failed to load products: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProducts();
+  }, [refreshKey]);
+
+  const stats = computeInventoryStats(products, { categories, stockRules });
+  const statusSegments = Object.entries(STOCK_STATUSES).map(([key, status]) => ({
+    label: status.label,
+    value: stats.statusCounts[key],
+    color: status.color
+  }));
+  const needsAttention = stats.statusCounts.out + stats.statusCounts.low;
+  // With several locations a shop can run short while the total looks fine,
+  // so alerts are raised per location
+  const alerts = activeLocations.length > 1
+    ? locationAlerts(products, activeLocations, statusOf, defaultLocationId).filter(a => a.low.length + a.out.length > 0)
+    : null;
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="animate-pulse flex flex-col items-center">
+        <div className="h-12 w-12 bg-blue-200 rounded-full mb-4"></div>
+        <p className="text-gray-600">Loading dashboard...</p>
+      </div>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+        <button
+          onClick={() => setRefreshKey(key => key + 1)}
+          className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+        >
+          Try again
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      {/* Header */}
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-2xl font-light text-gray-900">Inventory Dashboard</h1>
+              <p className="mt-1 text-sm text-gray-500">Stock value and health at a glance</p>
+            </div>
+            <button
+              onClick={() => setRefreshKey(key => key + 1)}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <FontAwesomeIcon icon={faSyncAlt} className="mr-2" />
+              Refresh
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        {/* KPIs */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          <KpiCard
+            icon={faBoxes}
+            label="Products"
+            value={stats.totalProducts.toLocaleString()}
+            hint={`${stats.totalUnits.toLocaleString()} units in stock`}
+          />
+          <KpiCard
+            icon={faCoins}
+            label="Stock value (buying price)"
+            value={formatKsh(stats.costValue)}
+            accent="text-gray-600"
+          />
+          <KpiCard
+            icon={faTags}
+            label="Stock value (selling price)"
+            value={formatKsh(stats.retailValue)}
+            accent="text-green-600"
+          />
+          <KpiCard
+            icon={faChartLine}
+            label="Potential margin"
+            value={formatKsh(stats.potentialMargin)}
+            hint={`${formatPercent(stats.marginPercent)} of selling value`}
+            accent={stats.potentialMargin < 0 ? 'text-red-600' : 'text-green-600'}
+          />
+        </div>
+
+        {alerts ? alerts.length > 0 && (
+          <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200">
+            <div className="flex items-center mb-2">
+              <FontAwesomeIcon icon={faExclamationTriangle} className="h-5 w-5 text-yellow-500" />
+              <p className="ml-3 text-sm font-medium text-yellow-800">Stock needs attention</p>
+            </div>
+            <ul className="ml-8 space-y-1">
+              {alerts.map(({ location, low, out }) => (
+                <li key={location.id} className="text-sm text-yellow-800">
+                  {location.name}: {out.length} out of stock and {low.length} running low.{' '}
+                  <Link
+                    to={`/products?location=${location.id}&stock=${out.length > 0 ? 'out' : 'low'}`}
+                    className="font-medium text-blue-600 hover:text-blue-800"
+                  >
+                    Review
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : needsAttention > 0 && (
+          <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200 flex items-center justify-between">
+            <div className="flex items-center">
+              <FontAwesomeIcon icon={faExclamationTriangle} className="h-5 w-5 text-yellow-500" />
+              <p className="ml-3 text-sm text-yellow-800">
+                {stats.statusCounts.out} out of stock and {stats.statusCounts.low} running low.
+              </p>
+            </div>
+            <Link to="/products" className="text-sm font-medium text-blue-600 hover:text-blue-800">
+              Review products
+            </Link>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <section className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">Stock health</h2>
+            <DonutChart segments={statusSegments} centerLabel={stats.totalProducts} />
+          </section>
+
+          <section className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">Top categories by value</h2>
+            <BarChart
+              items={stats.topCategories.map(group => ({ label: group.name, value: group.costValue }))}
+              format={formatKsh}
+            />
+          </section>
+
+          <section className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">Top suppliers by value</h2>
+            <BarChart
+              items={stats.topSuppliers.map(group => ({ label: group.name, value: group.costValue }))}
+              format={formatKsh}
+              color="#6366f1"
+            />
+          </section>
+        </div>
+
+        {/* Category breakdown */}
+        <section className="bg-white shadow overflow-hidden sm:rounded-lg">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">Category breakdown</h2>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Category', 'Products', 'Units', 'Value (buying)', 'Value (selling)', 'Potential margin'].map((heading, i) => (
+                    <th
+                      key={heading}
+                      scope="col"
+                      className={`px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider ${i === 0 ? 'text-left' : 'text-right'}`}
+                    >
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {stats.categories.map(group => (
+                  <tr key={group.name}>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{group.name}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-500">{group.products}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-500">{group.units.toLocaleString()}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatKsh(group.costValue)}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatKsh(group.retailValue)}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatKsh(group.retailValue - group.costValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default Dashboard;
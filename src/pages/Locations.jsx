@@ -0,0 +1,334 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFileCsv, faPlus, faSearch, faStore, faTruck } from '@fortawesome/free-solid-svg-icons';
+import { listProducts } from '../api/products';
+import { listTransfers } from '../api/transfers';
+import { createLocation, updateLocation } from '../api/locations';
+import { useAuth } from '../auth/context';
+import { useToast } from '../toast/context';
+import { useStockRules } from '../stockRules/context';
+import { useLocations } from '../locations/context';
+import { LOCATION_TYPES, atLocation, carriedAt, locationAlerts, stockLevels } from '../utils/locations';
+import { formatKsh } from '../utils/format';
+import { toCsv } from '../utils/csv';
+import { downloadBlob, datedFileName } from '../utils/download';
+
+const inputClass = 'border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+// Units of each product on their way between locations
+const inTransitByProduct = (transfers) => {
+  const units = new Map();
+  transfers.forEach(transfer => transfer.lines.forEach(line => {
+    units.set(line.product_id, (units.get(line.product_id) || 0) + line.quantity);
+  }));
+  return units;
+};
+
+// Stock at every location side by side, with per-location alerts and, for
+// managers, adding and archiving locations
+const Locations = () => {
+  const { can } = useAuth();
+  const { showToast } = useToast();
+  const { statusOf } = useStockRules();
+  const { locations, activeLocations, defaultLocationId, reload } = useLocations();
+  const [products, setProducts] = useState([]);
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [newName, setNewName] = useState('');
+  const [newType, setNewType] = useState('shop');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [productData, transferData] = await Promise.all([
+          listProducts(), listTransfers({ status: 'in_transit' })
+        ]);
+        setProducts(productData.filter(p => !p.archived_at));
+        setTransfers(transferData);
+      } catch (err) {
+        console.error("Error fetching stock by location:", err);
+        setError(`Failed to load stock by location: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  const inTransit = inTransitByProduct(transfers);
+  const transitUnits = [...inTransit.values()].reduce((sum, units) => sum + units, 0);
+  const alerts = locationAlerts(products, activeLocations, statusOf, defaultLocationId);
+  const term = search.trim().toLowerCase();
+  const rows = term
+    ? products.filter(p => [p.name, p.product_index].some(value => String(value ?? '').toLowerCase().includes(term)))
+    : products;
+
+  const handleExport = () => {
+    const csv = toCsv([
+      ['Product ID', 'Name', ...activeLocations.map(l => l.name), 'In transit', 'Total'],
+      ...rows.map(product => {
+        const stock = stockLevels(product, defaultLocationId);
+        return [
+          product.product_index, product.name,
+          ...activeLocations.map(l => Number(stock[l.id]) || 0),
+          inTransit.get(product.id) || 0,
+          product.quantity
+        ];
+      })
+    ]);
+    // Leading BOM so Excel opens the file as UTF-8
+    downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), datedFileName('stock-by-location', 'csv'));
+  };
+
+  const save = async (send, message) => {
+    setSaving(true);
+    try {
+      await send();
+      await reload();
+      showToast({ message });
+      return true;
+    } catch (err) {
+      showToast({ message: err.message, tone: 'error' });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    if (await save(() => createLocation({ name, type: newType }), `Added ${name}`)) setNewName('');
+  };
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading stock by location...</p>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-light text-gray-900">Locations</h1>
+            <p className="mt-1 text-sm text-gray-500">Stock held at each shop and store room</p>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleExport}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <FontAwesomeIcon icon={faFileCsv} className="mr-2" />
+              Export totals
+            </button>
+            <Link
+              to="/transfers"
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700"
+            >
+              <FontAwesomeIcon icon={faTruck} className="mr-2" />
+              Transfers
+            </Link>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          {alerts.map(({ location, products: stocked, low, out }) => (
+            <div key={location.id} className="bg-white shadow sm:rounded-lg p-4">
+              <div className="flex items-center justify-between">
+                <p className="text-sm font-medium text-gray-900">
+                  <FontAwesomeIcon icon={faStore} className="mr-2 text-gray-400" />
+                  {location.name}
+                </p>
+                <span className="text-xs text-gray-500">
+                  {LOCATION_TYPES[location.type] || location.type}{location.id === defaultLocationId && ' · default'}
+                </span>
+              </div>
+              <p className="mt-2 text-2xl font-light text-gray-900">
+                {stocked.reduce((sum, p) => sum + p.quantity, 0).toLocaleString()} units
+              </p>
+              <p className="text-sm text-gray-500">
+                {formatKsh(stocked.reduce((sum, p) => sum + p.quantity * (parseFloat(p.buying_price) || 0), 0))} at cost
+              </p>
+              <p className="mt-2 text-sm">
+                <Link to={`/products?location=${location.id}&stock=out`} className={out.length > 0 ? 'text-red-600 hover:text-red-800' : 'text-gray-500'}>
+                  {out.length} out
+                </Link>
+                {' · '}
+                <Link to={`/products?location=${location.id}&stock=low`} className={low.length > 0 ? 'text-yellow-700 hover:text-yellow-900' : 'text-gray-500'}>
+                  {low.length} low
+                </Link>
+              </p>
+            </div>
+          ))}
+          {transitUnits > 0 && (
+            <div className="bg-white shadow sm:rounded-lg p-4">
+              <p className="text-sm font-medium text-gray-900">
+                <FontAwesomeIcon icon={faTruck} className="mr-2 text-gray-400" />
+                In transit
+              </p>
+              <p className="mt-2 text-2xl font-light text-gray-900">{transitUnits.toLocaleString()} units</p>
+              <p className="text-sm text-gray-500">
+                <Link to="/transfers" className="text-blue-600 hover:text-blue-800">
+                  {transfers.length} transfer{transfers.length === 1 ? '' : 's'} to receive
+                </Link>
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+          <div className="p-4 border-b border-gray-200">
+            <div className="relative max-w-md">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <FontAwesomeIcon icon={faSearch} className="h-4 w-4 text-gray-400" />
+              </div>
+              <input
+                type="search"
+                aria-label="Find a product"
+                placeholder="Find a product"
+                className={`${inputClass} w-full pl-10`}
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-300">
+                <tr>
+                  {['Product', ...activeLocations.map(l => l.name), 'In transit', 'Total'].map((heading, i) => (
+                    <th key={`${heading}-${i}`} scope="col" className={`px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider ${i === 0 ? 'text-left' : 'text-right'}`}>
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rows.length === 0 ? (
+                  <tr>
+                    <td colSpan={activeLocations.length + 3} className="px-6 py-8 text-center text-sm text-gray-500">No products match</td>
+                  </tr>
+                ) : rows.map(product => (
+                  <tr key={product.id}>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      <span className="font-mono text-gray-500">{product.product_index}</span> {product.name}
+                    </td>
+                    {activeLocations.map(location => {
+                      if (!carriedAt(product, location.id, defaultLocationId)) {
+                        return <td key={location.id} className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-300">-</td>;
+                      }
+                      const here = atLocation(product, location.id, defaultLocationId);
+                      const status = statusOf(here);
+                      return (
+                        <td
+                          key={location.id}
+                          className={`px-6 py-4 whitespace-nowrap text-sm text-right ${
+                            status === 'out' ? 'text-red-600 font-medium' : status === 'low' ? 'text-yellow-700 font-medium' : 'text-gray-900'
+                          }`}
+                        >
+                          {here.quantity}
+                        </td>
+                      );
+                    })}
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{inTransit.get(product.id) || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">{product.quantity}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="px-6 py-3 text-xs text-gray-500 border-t border-gray-200">
+            Red is out of stock and amber running low at that location. A dash means the location does not stock the product.
+          </p>
+        </div>
+
+        {can('settings.manage') && (
+          <section className="bg-white shadow sm:rounded-lg p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">Manage locations</h2>
+            <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-3 mb-4">
+              <div>
+                <label htmlFor="location-name" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input id="location-name" type="text" className={inputClass} value={newName} onChange={(e) => setNewName(e.target.value)} />
+              </div>
+              <div>
+                <label htmlFor="location-type" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                <select id="location-type" className={inputClass} value={newType} onChange={(e) => setNewType(e.target.value)}>
+                  {Object.entries(LOCATION_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+              </div>
+              <button
+                type="submit"
+                disabled={saving || !newName.trim()}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                <FontAwesomeIcon icon={faPlus} className="mr-2" />
+                Add location
+              </button>
+            </form>
+            <ul className="divide-y divide-gray-200">
+              {locations.map(location => (
+                <li key={location.id} className="py-3 flex items-center justify-between text-sm">
+                  <span className={location.archived_at ? 'text-gray-400' : 'text-gray-900'}>
+                    {location.name}
+                    <span className="ml-2 text-xs text-gray-500">
+                      {LOCATION_TYPES[location.type] || location.type}
+                      {location.is_default && ' · default'}
+                      {location.archived_at && ' · archived'}
+                    </span>
+                  </span>
+                  <span className="flex gap-4">
+                    {!location.archived_at && !location.is_default && (
+                      <button
+                        disabled={saving}
+                        onClick={() => save(() => updateLocation(location.id, { is_default: true }), `${location.name} is now the default location`)}
+                        className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                      >
+                        Make default
+                      </button>
+                    )}
+                    {!location.is_default && (
+                      <button
+                        disabled={saving}
+                        onClick={() => save(
+                          () => updateLocation(location.id, { archived: !location.archived_at }),
+                          `${location.name} ${location.archived_at ? 'restored' : 'archived'}`
+                        )}
+                        className="text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                      >
+                        {location.archived_at ? 'Restore' : 'Archive'}
+                      </button>
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <p className="mt-3 text-xs text-gray-500">
+              Stock recorded without a location goes to the default. A location can only be archived once its stock has been
+              transferred out.
+            </p>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Locations;
@@ -0,0 +1,188 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFileCsv, faExclamationTriangle } from '@fortawesome/free-solid-svg-icons';
+import { listProducts } from '../api/products';
+import { listCategories } from '../api/categories';
+import { flattenCategoryTree, isInCategory, categoryOf, categoryPath } from '../utils/categories';
+import { summarisePricing } from '../utils/pricing';
+import { formatKsh, formatPercent } from '../utils/format';
+import { toCsv } from '../utils/csv';
+import { downloadBlob, datedFileName } from '../utils/download';
+
+const HEADINGS = [
+  'Category', 'Products', 'Stock at Cost', 'Stock at Selling', 'Stock Margin', 'Margin %', 'Avg Product Margin %', 'At/Below Cost'
+];
+
+// Stock value and margins per category (subcategories included), so pricing
+// mistakes show up before month-end
+const MarginReport = () => {
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [productData, categoryData] = await Promise.all([listProducts(), listCategories()]);
+        setProducts(productData);
+        setCategories(categoryData);
+      } catch (err) {
+        console.error("Error fetching margin report:", err);
+        setError(`Failed to load the margin report: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading margin report...</p>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    </div>
+  );
+
+  const total = summarisePricing(products);
+  const rows = flattenCategoryTree(categories).map(({ category, depth }) => ({
+    category,
+    depth,
+    summary: summarisePricing(products.filter(p => isInCategory(p, categories, category.id)))
+  }));
+  const outside = products.filter(p => !categoryOf(p, categories));
+  const outsideSummary = outside.length > 0 ? summarisePricing(outside) : null;
+
+  const handleExport = () => {
+    const line = (name, summary) => [
+      name,
+      summary.products,
+      summary.costValue.toFixed(2),
+      summary.retailValue.toFixed(2),
+      summary.margin.toFixed(2),
+      summary.marginPercent === null ? '' : summary.marginPercent.toFixed(1),
+      summary.averageMarginPercent === null ? '' : summary.averageMarginPercent.toFixed(1),
+      summary.belowCost
+    ];
+    const csv = toCsv([
+      HEADINGS,
+      ...rows.map(({ category, summary }) => line(categoryPath(categories, category.id), summary)),
+      ...(outsideSummary ? [line('Outside the category tree', outsideSummary)] : []),
+      line('All products', total)
+    ]);
+    // Leading BOM so Excel opens the file as UTF-8
+    downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), datedFileName('margins-by-category', 'csv'));
+  };
+
+  const cells = (summary, belowCostLink) => (
+    <>
+      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{summary.products}</td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatKsh(summary.costValue)}</td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatKsh(summary.retailValue)}</td>
+      <td className={`px-6 py-4 whitespace-nowrap text-sm ${summary.margin < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+        {formatKsh(summary.margin)}
+      </td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatPercent(summary.marginPercent)}</td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatPercent(summary.averageMarginPercent)}</td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm">
+        {summary.belowCost > 0 && belowCostLink ? (
+          <Link to={belowCostLink} className="font-medium text-red-600 hover:text-red-800">{summary.belowCost}</Link>
+        ) : (
+          <span className={summary.belowCost > 0 ? 'font-medium text-red-600' : 'text-gray-500'}>{summary.belowCost}</span>
+        )}
+      </td>
+    </>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-light text-gray-900">Margins by Category</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Stock value at cost and selling price, with the margin it carries
+            </p>
+          </div>
+          <button
+            onClick={handleExport}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            <FontAwesomeIcon icon={faFileCsv} className="mr-2" />
+            Export CSV
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        {total.belowCost > 0 && (
+          <div className="p-4 rounded-lg bg-red-50 border border-red-200 flex items-center justify-between">
+            <div className="flex items-center">
+              <FontAwesomeIcon icon={faExclamationTriangle} className="h-5 w-5 text-red-500" />
+              <p className="ml-3 text-sm text-red-800">
+                {total.belowCost} product{total.belowCost === 1 ? '' : 's'} selling at or below cost.
+              </p>
+            </div>
+            <Link to="/products?pricing=below_cost" className="text-sm font-medium text-red-700 hover:text-red-900">
+              Review them
+            </Link>
+          </div>
+        )}
+
+        <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-300">
+                <tr>
+                  {HEADINGS.map(heading => (
+                    <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rows.map(({ category, depth, summary }) => (
+                  <tr key={category.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900" style={{ paddingLeft: `${1.5 + depth * 1.5}rem` }}>
+                      <Link
+                        to={`/products?category=${category.id}`}
+                        className={`text-blue-600 hover:text-blue-800 ${depth === 0 ? 'font-medium' : ''}`}
+                      >
+                        {category.name}
+                      </Link>
+                    </td>
+                    {cells(summary, `/products?category=${category.id}&pricing=below_cost`)}
+                  </tr>
+                ))}
+                {outsideSummary && (
+                  <tr>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 italic">Outside the category tree</td>
+                    {cells(outsideSummary)}
+                  </tr>
+                )}
+              </tbody>
+              <tfoot className="bg-gray-50">
+                <tr className="font-medium">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">All products</td>
+                  {cells(total, '/products?pricing=below_cost')}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default MarginReport;
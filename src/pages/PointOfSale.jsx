@@ -0,0 +1,451 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faBarcode, faMinus, faPlus, faTrash, faPrint, faFilePdf, faShoppingCart, faCashRegister
+} from '@fortawesome/free-solid-svg-icons';
+import { listProducts } from '../api/products';
+import { recordSale } from '../api/sales';
+import { useToast } from '../toast/context';
+import { useLocations } from '../locations/context';
+import { atLocation } from '../utils/locations';
+import { PAYMENT_METHODS, lineTotals, saleTotals, validateSaleLine } from '../utils/sales';
+import { downloadReceipt, printReceipt } from '../utils/receipts';
+import { findByCode, normalizeCode } from '../utils/barcodes';
+import { formatKsh } from '../utils/format';
+import useBarcodeWedge from '../hooks/useBarcodeWedge';
+import ScannerModal from '../components/ScannerModal';
+
+const MAX_RESULTS = 8;
+
+const money = (amount) => formatKsh(amount, { decimals: 2 });
+
+// Cart lines in the shape the sale arithmetic expects
+const toSaleLine = ({ product, quantity, discount_percent }) => ({
+  quantity: parseInt(quantity, 10) || 0,
+  unit_price: parseFloat(product.selling_price) || 0,
+  unit_cost: parseFloat(product.buying_price) || 0,
+  discount_percent: parseFloat(discount_percent) || 0
+});
+
+const matches = (product, term) => [product.name, product.product_index, product.barcode]
+  .some(value => String(value ?? '').toLowerCase().includes(term));
+
+// The till: build a cart by search or scan, then record the sale, which
+// issues the stock from the till's location, and hand over a receipt
+const PointOfSale = () => {
+  const { showToast } = useToast();
+  const { activeLocations, defaultLocationId } = useLocations();
+  const [products, setProducts] = useState([]);
+  const [locationId, setLocationId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  // [{ product, quantity, discount_percent }] with raw input strings
+  const [cart, setCart] = useState([]);
+  const [discount, setDiscount] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [tendered, setTendered] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saleError, setSaleError] = useState(null);
+  const [completed, setCompleted] = useState(null);
+  const [scannerOpen, setScannerOpen] = useState(false);
+  const [lastScan, setLastScan] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setProducts((await listProducts()).filter(p => !p.archived_at));
+      } catch (err) {
+        console.error("Error fetching products:", err);
+        setError(`Failed to load products: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  // Products with the stock the till's location holds
+  const tillLocation = locationId || defaultLocationId;
+  const onShelf = products.map(p => atLocation(p, tillLocation, defaultLocationId));
+
+  // Add one of a product, or one more if it is already in the cart
+  const addToCart = (product) => {
+    const inCart = cart.find(line => line.product.id === product.id);
+    const wanted = (inCart ? parseInt(inCart.quantity, 10) || 0 : 0) + 1;
+    if (wanted > product.quantity) {
+      return `Only ${product.quantity} of ${product.name} in stock`;
+    }
+    setCompleted(null);
+    setCart(inCart
+      ? cart.map(line => (line === inCart ? { ...line, quantity: String(wanted) } : line))
+      : [...cart, { product, quantity: '1', discount_percent: '' }]);
+    return null;
+  };
+
+  const handleScan = (raw) => {
+    const code = normalizeCode(raw);
+    const product = findByCode(onShelf, code);
+    const problem = product ? addToCart(product) : 'No product has this barcode or Product ID';
+    setLastScan({ code, message: problem || `Added ${product.name}`, tone: problem ? 'error' : 'success' });
+    if (problem && !scannerOpen) showToast({ message: `${code}: ${problem}`, tone: 'error' });
+  };
+
+  useBarcodeWedge(handleScan);
+
+  const term = search.trim().toLowerCase();
+  const results = term ? onShelf.filter(p => matches(p, term)).slice(0, MAX_RESULTS) : [];
+
+  // Enter in the search box adds an exact code match (a wedge scanner typing
+  // into the box) or the only result
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    const product = findByCode(onShelf, search) || (results.length === 1 ? results[0] : null);
+    if (!product) return;
+    const problem = addToCart(product);
+    if (problem) showToast({ message: problem, tone: 'error' });
+    else setSearch('');
+  };
+
+  const updateLine = (productId, fields) =>
+    setCart(cart.map(line => (line.product.id === productId ? { ...line, ...fields } : line)));
+
+  const stepLine = (line, by) =>
+    updateLine(line.product.id, { quantity: String(Math.max((parseInt(line.quantity, 10) || 0) + by, 1)) });
+
+  const lineErrors = Object.fromEntries(cart.map(line => [
+    line.product.id,
+    validateSaleLine(line, { available: line.product.quantity })
+  ]));
+  const hasLineErrors = Object.values(lineErrors).some(errors => Object.keys(errors).length > 0);
+  const totals = saleTotals(cart.map(toSaleLine), discount);
+  const discountTooBig = (parseFloat(discount) || 0) > totals.subtotal;
+  const cash = parseFloat(tendered);
+  const shortTendered = paymentMethod === 'cash' && tendered !== '' && !(cash >= totals.total);
+
+  const handleComplete = async () => {
+    setSaving(true);
+    setSaleError(null);
+    try {
+      const { sale, products: updated } = await recordSale({
+        lines: cart.map(line => ({
+          product_id: line.product.id,
+          quantity: parseInt(line.quantity, 10),
+          discount_percent: parseFloat(line.discount_percent) || 0
+        })),
+        discount: parseFloat(discount) || 0,
+        payment_method: paymentMethod,
+        amount_tendered: paymentMethod === 'cash' && tendered !== '' ? cash : null,
+        location_id: tillLocation ?? undefined
+      });
+      setProducts(products.map(p => updated.find(u => u.id === p.id) || p));
+      setCompleted(sale);
+      setCart([]);
+      setDiscount('');
+      setTendered('');
+    } catch (err) {
+      setSaleError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReceipt = async (send) => {
+    try {
+      await send(completed);
+    } catch (err) {
+      showToast({ message: `Failed to create the receipt: ${err.message}`, tone: 'error' });
+    }
+  };
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading products...</p>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-light text-gray-900">Point of Sale</h1>
+            <p className="mt-1 text-sm text-gray-500">Ring up a sale; stock is issued when it completes</p>
+          </div>
+          <div className="flex items-center gap-4">
+            {activeLocations.length > 1 && (
+              <select
+                aria-label="Selling from"
+                title={cart.length > 0 ? 'Finish or clear the cart to change location' : 'Location the stock is sold from'}
+                disabled={cart.length > 0}
+                className="pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md disabled:bg-gray-100"
+                value={tillLocation ?? ''}
+                onChange={(e) => setLocationId(e.target.value)}
+              >
+                {activeLocations.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+              </select>
+            )}
+            <Link to="/sales" className="text-sm text-blue-600 hover:text-blue-800">Sales history</Link>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 grid grid-cols-1 lg:grid-cols-5 gap-6">
+        <section className="lg:col-span-2 space-y-4">
+          <div className="bg-white shadow sm:rounded-lg p-4">
+            <form onSubmit={handleSearchSubmit} className="flex gap-2">
+              <input
+                type="search"
+                autoFocus
+                autoComplete="off"
+                aria-label="Find a product"
+                placeholder="Name, Product ID or barcode"
+                className="flex-1 border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+              <button
+                type="button"
+                onClick={() => {
+                  setLastScan(null);
+                  setScannerOpen(true);
+                }}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <FontAwesomeIcon icon={faBarcode} className="mr-2" /> Scan
+              </button>
+            </form>
+            {term && (
+              <ul className="mt-3 divide-y divide-gray-200">
+                {results.length === 0 ? (
+                  <li className="py-3 text-sm text-gray-500">No products match</li>
+                ) : results.map(product => (
+                  <li key={product.id}>
+                    <button
+                      onClick={() => {
+                        const problem = addToCart(product);
+                        if (problem) showToast({ message: problem, tone: 'error' });
+                      }}
+                      disabled={product.quantity <= 0}
+                      className="w-full py-2 flex justify-between items-center text-left text-sm hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <span>
+                        <span className="font-mono text-gray-500 mr-2">{product.product_index}</span>
+                        {product.name}
+                        <span className="block text-xs text-gray-500">
+                          {product.quantity > 0 ? `${product.quantity} in stock` : 'Out of stock'}
+                        </span>
+                      </span>
+                      <span className="font-medium text-gray-900 whitespace-nowrap">{money(product.selling_price)}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {completed && (
+            <div className="bg-green-50 border-l-4 border-green-500 p-4">
+              <p className="text-sm text-green-800 font-medium">
+                Sale {completed.number} complete: {money(completed.totals.total)}
+              </p>
+              {completed.change !== null && (
+                <p className="text-sm text-green-800">Change due: {money(completed.change)}</p>
+              )}
+              <div className="mt-3 flex gap-3">
+                <button onClick={() => handleReceipt(printReceipt)} className="inline-flex items-center px-3 py-1 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50">
+                  <FontAwesomeIcon icon={faPrint} className="mr-2" /> Print receipt
+                </button>
+                <button onClick={() => handleReceipt(downloadReceipt)} className="inline-flex items-center px-3 py-1 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50">
+                  <FontAwesomeIcon icon={faFilePdf} className="mr-2" /> Download PDF
+                </button>
+              </div>
+            </div>
+          )}
+        </section>
+
+        <section className="lg:col-span-3 bg-white shadow sm:rounded-lg">
+          {cart.length === 0 ? (
+            <div className="px-6 py-16 text-center text-sm text-gray-500">
+              <FontAwesomeIcon icon={faShoppingCart} className="h-10 w-10 text-gray-400 mb-2" />
+              <p>Search or scan to add products</p>
+            </div>
+          ) : (
+            <>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                      <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Disc %</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                      <th className="px-4 py-3"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {cart.map(line => {
+                      const errors = lineErrors[line.product.id];
+                      return (
+                        <tr key={line.product.id}>
+                          <td className="px-4 py-3 text-gray-900">
+                            {line.product.name}
+                            {(errors.quantity || errors.discount_percent) && (
+                              <span className="block text-xs text-red-600">{errors.quantity || errors.discount_percent}</span>
+                            )}
+                          </td>
+                          <td className="px-4 py-3">
+                            <div className="flex items-center justify-center gap-1">
+                              <button onClick={() => stepLine(line, -1)} aria-label="One less" className="h-8 w-8 rounded border border-gray-300 text-gray-700 hover:bg-gray-50">
+                                <FontAwesomeIcon icon={faMinus} />
+                              </button>
+                              <input
+                                type="number"
+                                min="1"
+                                aria-label={`Quantity of ${line.product.name}`}
+                                className={`w-16 border rounded px-2 py-1 text-sm text-center ${errors.quantity ? 'border-red-500' : 'border-gray-300'}`}
+                                value={line.quantity}
+                                onChange={(e) => updateLine(line.product.id, { quantity: e.target.value })}
+                              />
+                              <button onClick={() => stepLine(line, 1)} aria-label="One more" className="h-8 w-8 rounded border border-gray-300 text-gray-700 hover:bg-gray-50">
+                                <FontAwesomeIcon icon={faPlus} />
+                              </button>
+                            </div>
+                          </td>
+                          <td className="px-4 py-3 text-right text-gray-900">{money(line.product.selling_price)}</td>
+                          <td className="px-4 py-3 text-right">
+                            <input
+                              type="number"
+                              min="0"
+                              max="100"
+                              aria-label={`Discount on ${line.product.name}`}
+                              placeholder="0"
+                              className={`w-16 border rounded px-2 py-1 text-sm text-right ${errors.discount_percent ? 'border-red-500' : 'border-gray-300'}`}
+                              value={line.discount_percent}
+                              onChange={(e) => updateLine(line.product.id, { discount_percent: e.target.value })}
+                            />
+                          </td>
+                          <td className="px-4 py-3 text-right font-medium text-gray-900">{money(lineTotals(toSaleLine(line)).total)}</td>
+                          <td className="px-4 py-3 text-right">
+                            <button
+                              onClick={() => setCart(cart.filter(l => l !== line))}
+                              className="text-red-600 hover:text-red-900"
+                              title="Remove from cart"
+                            >
+                              <FontAwesomeIcon icon={faTrash} />
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="px-6 py-4 border-t border-gray-200 grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="space-y-3">
+                  <div>
+                    <label htmlFor="sale-discount" className="block text-sm font-medium text-gray-700 mb-1">Discount on the sale (Ksh)</label>
+                    <input
+                      id="sale-discount"
+                      type="number"
+                      min="0"
+                      placeholder="0"
+                      className={`w-full border rounded-md px-3 py-2 ${discountTooBig ? 'border-red-500' : 'border-gray-300'}`}
+                      value={discount}
+                      onChange={(e) => setDiscount(e.target.value)}
+                    />
+                    {discountTooBig && <p className="mt-1 text-xs text-red-600">More than the sale total</p>}
+                  </div>
+                  <div>
+                    <label htmlFor="payment-method" className="block text-sm font-medium text-gray-700 mb-1">Payment</label>
+                    <select
+                      id="payment-method"
+                      className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                      value={paymentMethod}
+                      onChange={(e) => setPaymentMethod(e.target.value)}
+                    >
+                      {Object.entries(PAYMENT_METHODS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                  </div>
+                  {paymentMethod === 'cash' && (
+                    <div>
+                      <label htmlFor="tendered" className="block text-sm font-medium text-gray-700 mb-1">Cash tendered (optional)</label>
+                      <input
+                        id="tendered"
+                        type="number"
+                        min="0"
+                        className={`w-full border rounded-md px-3 py-2 ${shortTendered ? 'border-red-500' : 'border-gray-300'}`}
+                        value={tendered}
+                        onChange={(e) => setTendered(e.target.value)}
+                      />
+                      {shortTendered && <p className="mt-1 text-xs text-red-600">Less than the total</p>}
+                    </div>
+                  )}
+                </div>
+
+                <dl className="text-sm space-y-1">
+                  <div className="flex justify-between"><dt className="text-gray-500">Items</dt><dd>{totals.items}</dd></div>
+                  <div className="flex justify-between"><dt className="text-gray-500">Subtotal</dt><dd>{money(totals.gross)}</dd></div>
+                  {totals.lineDiscounts > 0 && (
+                    <div className="flex justify-between"><dt className="text-gray-500">Line discounts</dt><dd>-{money(totals.lineDiscounts)}</dd></div>
+                  )}
+                  {totals.discount > 0 && (
+                    <div className="flex justify-between"><dt className="text-gray-500">Sale discount</dt><dd>-{money(totals.discount)}</dd></div>
+                  )}
+                  <div className="flex justify-between text-lg font-medium text-gray-900 pt-2 border-t border-gray-200">
+                    <dt>Total</dt><dd>{money(totals.total)}</dd>
+                  </div>
+                  {paymentMethod === 'cash' && tendered !== '' && !shortTendered && (
+                    <div className="flex justify-between text-gray-700"><dt>Change</dt><dd>{money(cash - totals.total)}</dd></div>
+                  )}
+                </dl>
+              </div>
+
+              {saleError && (
+                <div className="mx-6 mb-4 bg-red-50 border-l-4 border-red-500 p-3">
+                  <p className="text-sm text-red-700">{saleError}</p>
+                </div>
+              )}
+
+              <div className="bg-gray-50 px-6 py-3 flex justify-end gap-3 sm:rounded-b-lg">
+                <button
+                  onClick={() => setCart([])}
+                  disabled={saving}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Clear
+                </button>
+                <button
+                  onClick={handleComplete}
+                  disabled={saving || hasLineErrors || discountTooBig || shortTendered}
+                  className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                >
+                  <FontAwesomeIcon icon={faCashRegister} className="mr-2" />
+                  {saving ? 'Completing...' : `Complete sale ${money(totals.total)}`}
+                </button>
+              </div>
+            </>
+          )}
+        </section>
+      </main>
+
+      {scannerOpen && (
+        <ScannerModal onScan={handleScan} lastScan={lastScan} onClose={() => setScannerOpen(false)} />
+      )}
+    </div>
+  );
+};
+
+export default PointOfSale;
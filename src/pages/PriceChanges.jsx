@@ -0,0 +1,217 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFileCsv, faExclamationTriangle } from '@fortawesome/free-solid-svg-icons';
+import { listPriceChanges } from '../api/priceHistory';
+import { PRICE_FIELDS, priceChangePercent } from '../utils/priceHistory';
+import { formatKsh, formatPercent } from '../utils/format';
+import { toCsv } from '../utils/csv';
+import { downloadBlob, datedFileName } from '../utils/download';
+import BarChart from '../components/charts/BarChart';
+
+const PERIODS = [['7', 'Last 7 days'], ['30', 'Last 30 days'], ['90', 'Last 90 days'], ['all', 'All time']];
+
+// Changes of at least this many percent either way are flagged for review
+const LARGE_CHANGE_PERCENT = 20;
+
+const isLarge = (change) => {
+  const percent = priceChangePercent(change);
+  return percent === null || Math.abs(percent) >= LARGE_CHANGE_PERCENT;
+};
+
+// Recent buying and selling price changes across the catalog, for supplier
+// disputes and spotting edits nobody expected
+const PriceChanges = () => {
+  const [changes, setChanges] = useState(null);
+  const [days, setDays] = useState('30');
+  const [field, setField] = useState('all');
+  const [user, setUser] = useState('all');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchChanges = async () => {
+      try {
+        const data = await listPriceChanges({ days, field });
+        if (cancelled) return;
+        setChanges(data || []);
+        setError(null);
+      } catch (err) {
+        console.error("Error fetching price changes:", err);
+        if (!cancelled) setError(`Failed to load price changes: ${err.message}`);
+      }
+    };
+
+    fetchChanges();
+    return () => { cancelled = true; };
+  }, [days, field]);
+
+  if (!changes && !error) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading price changes...</p>
+    </div>
+  );
+
+  if (!changes) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    </div>
+  );
+
+  const users = [...new Set(changes.map(c => c.user))].sort();
+  const shown = user === 'all' ? changes : changes.filter(c => c.user === user);
+  const large = shown.filter(isLarge).length;
+  const byUser = users
+    .map(name => ({ label: name, value: changes.filter(c => c.user === name).length }))
+    .sort((a, b) => b.value - a.value);
+
+  const handleExport = () => {
+    const csv = toCsv([
+      ['When', 'Product ID', 'Product', 'Field', 'Old Price', 'New Price', 'Change %', 'By'],
+      ...shown.map(change => {
+        const percent = priceChangePercent(change);
+        return [
+          change.created_at,
+          change.product_index,
+          change.product_name,
+          PRICE_FIELDS[change.field]?.label || change.field,
+          change.old_value.toFixed(2),
+          change.new_value.toFixed(2),
+          percent === null ? '' : percent.toFixed(1),
+          change.user
+        ];
+      })
+    ]);
+    // Leading BOM so Excel opens the file as UTF-8
+    downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), datedFileName('price-changes', 'csv'));
+  };
+
+  const selectClass = 'block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md';
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-light text-gray-900">Price Changes</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Every buying and selling price edit, with who made it and when
+            </p>
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={shown.length === 0}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            <FontAwesomeIcon icon={faFileCsv} className="mr-2" />
+            Export CSV
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 p-3">
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        <div className="bg-white shadow sm:rounded-lg p-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="period" className="block text-sm font-medium text-gray-700">Period</label>
+            <select id="period" value={days} onChange={(e) => setDays(e.target.value)} className={selectClass}>
+              {PERIODS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="field" className="block text-sm font-medium text-gray-700">Price</label>
+            <select id="field" value={field} onChange={(e) => setField(e.target.value)} className={selectClass}>
+              <option value="all">Buying and selling</option>
+              {Object.entries(PRICE_FIELDS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="user" className="block text-sm font-medium text-gray-700">Changed by</label>
+            <select id="user" value={user} onChange={(e) => setUser(e.target.value)} className={selectClass}>
+              <option value="all">Anyone</option>
+              {users.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </div>
+        </div>
+
+        {large > 0 && (
+          <div className="bg-yellow-50 border-l-4 border-yellow-400 p-3 flex items-center">
+            <FontAwesomeIcon icon={faExclamationTriangle} className="h-5 w-5 text-yellow-500" />
+            <p className="ml-3 text-sm text-yellow-800">
+              {large} change{large === 1 ? '' : 's'} of {LARGE_CHANGE_PERCENT}% or more, highlighted below.
+            </p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div className="bg-white shadow sm:rounded-lg p-4">
+            <h2 className="text-sm font-medium text-gray-700 mb-3">Changes by person</h2>
+            <BarChart items={byUser} />
+          </div>
+
+          <div className="lg:col-span-3 bg-white shadow overflow-hidden sm:rounded-lg">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-300">
+                  <tr>
+                    {['When', 'Product', 'Price', 'Old', 'New', 'Change', 'By'].map(heading => (
+                      <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {shown.length === 0 ? (
+                    <tr>
+                      <td colSpan="7" className="px-6 py-4 text-center text-sm text-gray-500">
+                        No price changes in this period.
+                      </td>
+                    </tr>
+                  ) : shown.map(change => {
+                    const percent = priceChangePercent(change);
+                    const rising = change.new_value > change.old_value;
+                    return (
+                      <tr key={change.id} className={isLarge(change) ? 'bg-yellow-50' : ''}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {new Date(change.created_at).toLocaleString()}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          <Link
+                            to={`/products?q=${encodeURIComponent(change.product_index || change.product_name)}`}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            {change.product_name}
+                          </Link>
+                          {change.product_index && <span className="ml-2 font-mono text-xs text-gray-500">{change.product_index}</span>}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {PRICE_FIELDS[change.field]?.short || change.field}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatKsh(change.old_value)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatKsh(change.new_value)}</td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm font-mono ${rising ? 'text-red-600' : 'text-green-700'}`}>
+                          {rising ? '+' : ''}{formatPercent(percent)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{change.user}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default PriceChanges;
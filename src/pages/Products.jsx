@@ -1,217 +1,554 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { 
   faSearch, faPlus, faEdit, faTrash, faEye, 
-  faBoxOpen, faBoxes, faExclamationTriangle, 
-  faChevronLeft, faChevronRight, faFilter, faTimes
+  faBoxOpen, faExclamationTriangle, 
+  faChevronLeft, faChevronRight, faTimes, faExchangeAlt, faFileImport, faSitemap,
+  faSort, faSortUp, faSortDown, faUndo, faArchive, faBarcode, faPrint
 } from '@fortawesome/free-solid-svg-icons';
+import {
+  listProductPage, cachedProductPage, listMatchingProducts, lookupProduct,
+  createProduct, updateProduct, deleteProduct, restoreProduct
+} from '../api/products';
+import { listSuppliers } from '../api/suppliers';
+import { listCategories } from '../api/categories';
+import StockMovementModal from '../components/StockMovementModal';
+import MovementHistory from '../components/MovementHistory';
+import PriceHistory from '../components/PriceHistory';
+import ProductImportModal from '../components/ProductImportModal';
+import ExportMenu from '../components/ExportMenu';
+import ProductFormModal from '../components/ProductFormModal';
+import CategorySelect from '../components/CategorySelect';
+import RecategoriseModal from '../components/RecategoriseModal';
+import BulkActionModal from '../components/BulkActionModal';
+import ScannerModal from '../components/ScannerModal';
+import QuickStockDialog from '../components/QuickStockDialog';
+import LabelSheetModal from '../components/LabelSheetModal';
+import { useAuth } from '../auth/context';
+import { useToast } from '../toast/context';
+import { useOffline } from '../offline/context';
+import { useStockRules } from '../stockRules/context';
+import { useLocations } from '../locations/context';
+import { STOCK_STATUSES, STOCK_RULE_FIELDS } from '../utils/stock';
+import { categoryOf, categoryPath } from '../utils/categories';
+import { productPricing } from '../utils/pricing';
+import { formatKsh, formatPercent } from '../utils/format';
+import { PAGE_SIZES } from '../utils/productQuery';
+import { BULK_ACTIONS, revertFields } from '../utils/bulkActions';
+import { runInBatches } from '../utils/batch';
+import { normalizeCode } from '../utils/barcodes';
+import { SCAN_ACTIONS } from '../utils/scanning';
+import { atLocation, stockAt, stockLevels } from '../utils/locations';
+import { readListParams, withListParams, viewQuery } from '../utils/productListParams';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import useBarcodeWedge from '../hooks/useBarcodeWedge';
+import SavedViews from '../components/SavedViews';
+
+// Table columns that can be sorted, as [sort key, heading]
+const SORTABLE_COLUMNS = [
+  ['product_index', 'Product ID'],
+  ['name', 'Name'],
+  ['category', 'Category'],
+  ['supplier_name', 'Supplier'],
+  ['buying_price', 'Buy Price (Ksh)'],
+  ['selling_price', 'Sell Price (Ksh)'],
+  ['margin_percent', 'Margin'],
+  ['markup', 'Markup'],
+  ['quantity', 'Stock'],
+  ['stock_value', 'Stock Value'],
+  ['status', 'Status']
+];
+
+// Shown in the details modal for statuses that need attention
+const STOCK_ADVICE = {
+  out: { title: 'This product is out of stock!', advice: 'Consider ordering more inventory from the supplier.' },
+  low: { title: 'This product is running low on stock!', advice: 'You should reorder soon to avoid stockouts.' },
+  average: { title: 'This product is below its reorder point', advice: 'Monitor this product to ensure adequate stock levels.' },
+  overstocked: { title: 'This product is overstocked', advice: 'Hold off on reordering until the extra stock sells.' }
+};
+
+// Where a product's stock rule level came from, for the details modal
+const ruleSource = (source) => (source.type === 'product'
+  ? 'set on this product'
+  : source.type === 'category' ? `from ${source.name}` : 'default');
 
 const ProductManagement = () => {
+  const { user, can } = useAuth();
+  const { showToast } = useToast();
+  const { syncedAt } = useOffline();
+  const { stockRules, statusOf, rulesFor } = useStockRules();
+  const { locations, activeLocations, defaultLocationId, locationName } = useLocations();
+  // `products` holds the current page only; the server does the filtering
   const [products, setProducts] = useState([]);
-  const [filteredProducts, setFilteredProducts] = useState([]);
+  const [totalProducts, setTotalProducts] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [pageLoading, setPageLoading] = useState(false);
+  // Only a failed first load replaces the page; later failures are toasts
   const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [productsPerPage] = useState(10);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filters, setFilters] = useState({
-    stock: 'all',
-    category: 'all',
-    supplier: 'all'
-  });
+  const loadedOnce = useRef(false);
+  // When the table shows the saved offline copy, the time it was saved
+  const [staleSince, setStaleSince] = useState(null);
+  // Search, filters, sort and page live in the URL
+  const [searchParams, setSearchParams] = useSearchParams();
+  const listParams = useMemo(() => readListParams(searchParams), [searchParams]);
+  const { view, location, searchTerm, filters, sort, page: currentPage, pageSize: productsPerPage } = listParams;
+  const archivedView = view === 'archived';
+  const updateList = (changes) => setSearchParams(withListParams(searchParams, changes));
+  const [searchInput, setSearchInput] = useState(searchTerm);
+  const debouncedSearch = useDebouncedValue(searchInput.trim());
+  const [refreshKey, setRefreshKey] = useState(0);
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
   const [viewingProduct, setViewingProduct] = useState(null);
   const [editingProduct, setEditingProduct] = useState(null);
-  const [newProduct, setNewProduct] = useState({
-    product_index: '',
-    name: '',
-    buying_price: '',
-    selling_price: '',
-    quantity: '',
-    alert_config: { min_quantity: 5 },
-    description: '',
-    supplier_name: '',
-    category: ''
-  });
+  const [detailsTab, setDetailsTab] = useState('details');
+  const [stockMovement, setStockMovement] = useState(null);
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
+  const [supplierRecords, setSupplierRecords] = useState(null);
+  const [categoryRecords, setCategoryRecords] = useState(null);
+  const [recategorising, setRecategorising] = useState(null);
+  // Selected rows by id, kept across pages
+  const [selected, setSelected] = useState(() => new Map());
+  const [selectingAll, setSelectingAll] = useState(false);
+  const [bulkAction, setBulkAction] = useState(null);
+  const [labelProducts, setLabelProducts] = useState(null);
+  // Scanning: what a scanned product opens, the last result, the quick
+  // receive/issue in progress ({ product, type, quantity }) and whether a
+  // wedge scanner is listened for outside the scanner dialog
+  const [scannerOpen, setScannerOpen] = useState(false);
+  const [scanAction, setScanAction] = useState('view');
+  const [lastScan, setLastScan] = useState(null);
+  const [quickStock, setQuickStock] = useState(null);
+  const [scannerMode, setScannerMode] = useState(false);
+
+  // Search, filter and sort params sent with every page request
+  const queryParams = useMemo(() => ({
+    archived: view === 'archived' ? 'true' : undefined,
+    location_id: location || undefined,
+    search: searchTerm,
+    stock: filters.stock,
+    category: filters.category,
+    supplier: filters.supplier,
+    pricing: filters.pricing,
+    sort: sort.key ?? undefined,
+    order: sort.key ? sort.order : undefined
+  }), [view, location, searchTerm, filters, sort]);
+
+  // Follow the URL when it changes underneath the search box (back button,
+  // saved views)
+  const [prevSearchTerm, setPrevSearchTerm] = useState(searchTerm);
+  if (searchTerm !== prevSearchTerm) {
+    setPrevSearchTerm(searchTerm);
+    setSearchInput(searchTerm);
+  }
+
+  // Active and archived products take different actions, so switching
+  // between them starts a fresh selection
+  const [prevView, setPrevView] = useState(view);
+  if (view !== prevView) {
+    setPrevView(view);
+    setSelected(new Map());
+  }
+
+  // Write the search to the URL once typing settles
+  useEffect(() => {
+    if (debouncedSearch === searchInput.trim() && debouncedSearch !== searchTerm) {
+      setSearchParams(params => withListParams(params, { q: debouncedSearch }));
+    }
+  }, [debouncedSearch, searchInput, searchTerm, setSearchParams]);
 
-  // Fetch products
+  // Fetch the current page of products. The first load shows the saved copy
+  // while a slow server wakes up.
   useEffect(() => {
+    let ignore = false;
+    const params = { ...queryParams, page: currentPage, page_size: productsPerPage };
+    if (!loadedOnce.current) {
+      cachedProductPage(params, { categories: categoryRecords, stockDefaults: stockRules.defaults, defaultLocationId })
+        .then(cached => {
+          if (ignore || !cached || loadedOnce.current) return;
+          loadedOnce.current = true;
+          setProducts(cached.items);
+          setTotalProducts(cached.total);
+          setStaleSince(cached.saved_at);
+          setLoading(false);
+        })
+        .catch(err => console.error("Error reading saved products:", err));
+    }
     const fetchProducts = async () => {
+      setPageLoading(true);
       try {
-        const response = await fetch("https://inventorymanager-uigs.onrender.com/api/products/");
-        const json = await response.json();
-        setProducts(json.data);
-        setLoading(false);
+        const result = await listProductPage(params, { categories: categoryRecords, stockDefaults: stockRules.defaults, defaultLocationId });
+        if (ignore) return;
+        loadedOnce.current = true;
+        setProducts(result.items);
+        setTotalProducts(result.total);
+        setStaleSince(result.stale ? result.saved_at : null);
+        // The server clamps pages past the end, e.g. after deleting the last row
+        if (result.page !== currentPage) {
+          setSearchParams(params => withListParams(params, { page: result.page }), { replace: true });
+        }
       } catch (error) {
+        if (ignore) return;
         console.error("Error fetching products:", error);
-        setError("Failed to load products. Please try again later.");
-        setLoading(false);
+        if (!loadedOnce.current) {
+          setError(`Failed to load products: ${error.message}`);
+        } else {
+          showToast({
+            message: `Failed to load products: ${error.message}`,
+            tone: 'error',
+            action: { label: 'Retry', onClick: () => setRefreshKey(key => key + 1) }
+          });
+        }
+      } finally {
+        if (!ignore) {
+          setLoading(false);
+          setPageLoading(false);
+        }
       }
     };
   
     fetchProducts();
+    return () => { ignore = true; };
+  }, [queryParams, currentPage, productsPerPage, refreshKey, syncedAt, categoryRecords, stockRules.defaults, defaultLocationId, setSearchParams, showToast]);
+
+  // Fetch supplier records for the supplier filter and product form
+  useEffect(() => {
+    listSuppliers()
+      .then(setSupplierRecords)
+      .catch(error => console.error("Error fetching suppliers:", error));
   }, []);
-  
-  // Filter and search products
+
+  // Fetch the category tree for the category filter and product form
   useEffect(() => {
-    let result = Array.isArray(products) ? [...products] : [];
-  
-    // Apply search
-    if (searchTerm) {
-      const lowerTerm = searchTerm.toLowerCase();
-      result = result.filter(product =>
-        (product.name && product.name.toLowerCase().includes(lowerTerm)) ||
-        (product.product_index && product.product_index.toString().includes(searchTerm)) ||
-        (product.description && product.description.toLowerCase().includes(lowerTerm)) ||
-        (product.supplier_name && product.supplier_name.toLowerCase().includes(lowerTerm))
-      );
-    }
-  
-    // Apply stock filter
-    if (filters.stock === 'low') {
-      result = result.filter(product => {
-        try {
-          const alertConfig = typeof product.alert_config === 'string' 
-            ? JSON.parse(product.alert_config) 
-            : product.alert_config;
-          const lowStockThreshold = alertConfig?.min_quantity ?? 5;
-          return product.quantity <= lowStockThreshold && product.quantity > 0;
-        } catch (e) {
-          return false;
-        }
-      });
-    } else if (filters.stock === 'out') {
-      result = result.filter(product => product.quantity === 0);
-    } else if (filters.stock === 'average') {
-      result = result.filter(product => product.quantity > 0 && product.quantity < 50);
-    }
+    listCategories()
+      .then(setCategoryRecords)
+      .catch(error => console.error("Error fetching categories:", error));
+  }, []);
   
-    // Apply category filter
-    if (filters.category && filters.category !== 'all') {
-      result = result.filter(product => product.category === filters.category);
+  // Pagination figures for the current page
+  const indexOfFirstProduct = (currentPage - 1) * productsPerPage;
+  const indexOfLastProduct = indexOfFirstProduct + products.length;
+  const totalPages = Math.ceil(totalProducts / productsPerPage);
+
+  // Handle page change
+  const paginate = (pageNumber) => updateList({ page: pageNumber });
+
+  // Sort by a column, flipping the direction when it is already the sort key
+  const toggleSort = (key) => updateList(sort.key === key
+    ? { sort: key, order: sort.order === 'asc' ? 'desc' : 'asc' }
+    : { sort: key, order: 'asc' });
+
+  const refresh = () => setRefreshKey(key => key + 1);
+
+  // Reload after the first page failed to load
+  const retryInitialLoad = () => {
+    setError(null);
+    setLoading(true);
+    refresh();
+  };
+
+  // Failures after the page has loaded show as toasts so the table stays put
+  const showError = (message, retry) => showToast({
+    message,
+    tone: 'error',
+    action: retry ? { label: 'Retry', onClick: retry } : null
+  });
+
+  // Apply a change to the table straight away, then send it. If the request
+  // fails the change is rolled back and a toast offers to retry it. Changes
+  // made in a form pass `close`: the form stays open until the request
+  // settles, and a request the server turned down (4xx) is rethrown so the
+  // form can show what to fix. Retrying those would only fail again.
+  const optimistic = async ({ apply, request, commit, rollback, failure, retry, close }) => {
+    apply();
+    try {
+      const result = await request();
+      close?.();
+      commit?.(result);
+      return result;
+    } catch (err) {
+      rollback();
+      if (close && err.status >= 400 && err.status < 500) throw err;
+      close?.();
+      showError(`${failure}: ${err.message}`, retry);
+      return null;
     }
-  
-    // Apply supplier filter
-    if (filters.supplier && filters.supplier !== 'all') {
-      result = result.filter(product => product.supplier_name === filters.supplier);
+  };
+
+  // Retry a form change from a toast, where a 4xx has no form to go to
+  const retryFromToast = (failure, save) => () =>
+    save().catch(err => showError(`${failure}: ${err.message}`));
+
+  // A product from the server as the selected location sees it
+  const inScope = (product) => (location ? atLocation(product, location, defaultLocationId) : product);
+
+  const replaceRow = (id, product) =>
+    setProducts(current => current.map(p => (p.id === id ? product : p)));
+
+  const removeRow = (id) => {
+    setProducts(current => current.filter(p => p.id !== id));
+    setTotalProducts(total => total - 1);
+  };
+
+  const insertRow = (product, index = 0) => {
+    setProducts(current => [...current.slice(0, index), product, ...current.slice(index)]);
+    setTotalProducts(total => total + 1);
+  };
+
+  // A product with form fields applied, for showing a save before it lands
+  const withFields = (product, fields) => {
+    const next = { ...product, ...fields };
+    if ('category_id' in fields) {
+      next.category = categoryRecords?.find(c => c.id === fields.category_id)?.name ?? (fields.category_id ? product.category : '');
     }
-  
-    setFilteredProducts(result);
-    setCurrentPage(1); // Reset to first page when filters change
-  }, [products, searchTerm, filters]);
-  
-  // Get current products for pagination
-  const indexOfLastProduct = currentPage * productsPerPage;
-  const indexOfFirstProduct = indexOfLastProduct - productsPerPage;
-  const currentProducts = filteredProducts.slice(indexOfFirstProduct, indexOfLastProduct);
-  const totalPages = Math.ceil(filteredProducts.length / productsPerPage);
+    return next;
+  };
 
-  // Handle page change
-  const paginate = (pageNumber) => setCurrentPage(pageNumber);
+  // Every product matching the current search and filters, across all pages
+  const fetchAllMatching = () =>
+    listMatchingProducts(queryParams, { categories: categoryRecords, stockDefaults: stockRules.defaults, defaultLocationId });
+
+  // New products show at the top of the page until the list is reloaded
+  // Opening stock goes to the selected location
+  const handleCreateProduct = (fields) => {
+    const pending = withFields({ id: `pending-${Date.now()}`, pending: true, quantity: 0, category: '' }, fields);
+    const failure = `Could not create ${fields.name}`;
+    return optimistic({
+      apply: () => insertRow(pending),
+      request: () => createProduct(location ? { ...fields, location_id: Number(location) } : fields),
+      commit: refresh,
+      rollback: () => removeRow(pending.id),
+      close: () => setShowCreateModal(false),
+      failure,
+      retry: retryFromToast(failure, () => handleCreateProduct(fields))
+    });
+  };
 
-  // Handle product creation
-  const handleCreateProduct = async () => {
+  // Run an undo from a toast, reloading the page once it is done
+  const undo = async (revert) => {
     try {
-      const response = await fetch('https://inventorymanager-uigs.onrender.com/api/products/', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newProduct)
-      });
-      
-      if (!response.ok) throw new Error('Failed to create product');
-      
-      const createdProduct = await response.json();
-      setProducts([createdProduct.data, ...products]);
-      setShowCreateModal(false);
-      setNewProduct({
-        product_index: '',
-        name: '',
-        buying_price: '',
-        selling_price: '',
-        quantity: '',
-        alert_config: { min_quantity: 5 },
-        description: '',
-        supplier_name: '',
-        category: ''
-      });
+      await revert();
     } catch (err) {
-      setError(err.message);
+      showError(`Undo failed: ${err.message}`, () => undo(revert));
     }
+    refresh();
   };
 
+  // Revert a batch of requests, failing if any product could not be reverted
+  const undoEach = (items, worker) => undo(async () => {
+    const { failed } = await runInBatches(items, worker);
+    if (failed.length > 0) {
+      throw new Error(`${failed.length} product${failed.length === 1 ? '' : 's'} could not be reverted (${failed[0].error.message})`);
+    }
+  });
+
   // Handle product update
-  const handleUpdateProduct = async (productId, updatedFields) => {
+  const handleUpdateProduct = async (previous, updatedFields) => {
+    const failure = `Could not save ${previous.name}`;
+    const updatedProduct = await optimistic({
+      apply: () => replaceRow(previous.id, withFields(previous, updatedFields)),
+      request: () => updateProduct(previous.id, updatedFields),
+      commit: (saved) => replaceRow(previous.id, inScope({ ...previous, ...saved })),
+      rollback: () => replaceRow(previous.id, previous),
+      close: () => setEditingProduct(null),
+      failure,
+      retry: retryFromToast(failure, () => handleUpdateProduct(previous, updatedFields))
+    });
+    if (!updatedProduct) return;
+    showToast({
+      message: updatedProduct.pending_sync ? `Saved ${previous.name} offline; it will sync when the server is back` : `Saved ${updatedProduct.name}`,
+      action: { label: 'Undo', onClick: () => undo(() => updateProduct(previous.id, revertFields(previous, updatedFields))) }
+    });
+  };
+
+  // Archive or restore straight away; the toast offers the way back
+  const moveOut = async (product, { request, verb, revert }) => {
+    const index = products.findIndex(p => p.id === product.id);
+    const done = await optimistic({
+      apply: () => removeRow(product.id),
+      request: () => request(product.id),
+      commit: refresh,
+      rollback: () => insertRow(product, Math.max(index, 0)),
+      failure: `Could not ${verb} ${product.name}`,
+      retry: () => moveOut(product, { request, verb, revert })
+    });
+    if (done === null) return;
+    showToast({
+      message: `${product.name} ${verb}d`,
+      action: { label: 'Undo', onClick: () => undo(() => revert(product.id)) }
+    });
+  };
+
+  const handleArchive = (product) => moveOut(product, { request: deleteProduct, verb: 'archive', revert: restoreProduct });
+
+  const handleRestore = (product) => moveOut(product, { request: restoreProduct, verb: 'restore', revert: deleteProduct });
+
+  // Row selection
+  const selectable = products.filter(p => !p.pending);
+  const allOnPageSelected = selectable.length > 0 && selectable.every(p => selected.has(p.id));
+  const toggleSelected = (product) => {
+    const next = new Map(selected);
+    if (next.has(product.id)) next.delete(product.id);
+    else next.set(product.id, product);
+    setSelected(next);
+  };
+  const togglePageSelected = () => {
+    const next = new Map(selected);
+    selectable.forEach(p => (allOnPageSelected ? next.delete(p.id) : next.set(p.id, p)));
+    setSelected(next);
+  };
+  const selectAllMatching = async () => {
+    setSelectingAll(true);
     try {
-      const response = await fetch(`https://inventorymanager-uigs.onrender.com/api/products/${productId}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(updatedFields)
-      });
-      
-      if (!response.ok) throw new Error('Failed to update product');
-      
-      const updatedProduct = await response.json();
-      setProducts(products.map(p => 
-        p.id === productId ? updatedProduct.data : p));
-      setEditingProduct(null);
+      const matching = await fetchAllMatching();
+      setSelected(new Map(matching.map(p => [p.id, p])));
     } catch (err) {
-      setError(err.message);
+      showError(`Failed to select all products: ${err.message}`, selectAllMatching);
+    } finally {
+      setSelectingAll(false);
     }
   };
 
-  // Handle product deletion
-  const handleDeleteProduct = async (productId) => {
-    if (!window.confirm('Are you sure you want to delete this product?')) return;
-    
+  // Products a bulk action succeeded on leave the selection; failures stay
+  // selected so the action can be retried. Everything but a purge can be
+  // undone from the toast.
+  const handleBulkDone = ({ succeeded, options }) => {
+    setSelected(current => {
+      const next = new Map(current);
+      succeeded.forEach(p => next.delete(p.id));
+      return next;
+    });
+    refresh();
+    if (succeeded.length === 0) return;
+
+    const action = BULK_ACTIONS[bulkAction.key];
+    const context = { categories: categoryRecords || [], suppliers: supplierRecords || [] };
+    const reverts = {
+      delete: p => restoreProduct(p.id),
+      restore: p => deleteProduct(p.id)
+    };
+    const revert = action.fields
+      ? p => updateProduct(p.id, revertFields(p, action.fields(p, options, context)))
+      : reverts[bulkAction.key];
+    showToast({
+      message: `${succeeded.length} product${succeeded.length === 1 ? '' : 's'} ${action.verb}`,
+      action: revert ? { label: 'Undo', onClick: () => undoEach(succeeded, revert) } : null
+    });
+  };
+
+  // Apply the result of a recorded stock movement
+  const handleMovementRecorded = ({ product: recorded }) => {
+    const updatedProduct = inScope(recorded);
+    replaceRow(updatedProduct.id, updatedProduct);
+    if (viewingProduct?.id === updatedProduct.id) setViewingProduct(updatedProduct);
+    setHistoryRefreshKey(key => key + 1);
+    setStockMovement(null);
+  };
+
+  // Look up a scanned code, then open the product or a quick receive/issue.
+  // Scanning the product already in the quick dialog adds one.
+  const handleScan = async (raw) => {
+    const code = normalizeCode(raw);
+    const report = (message, tone = 'success') => {
+      setLastScan({ code, message, tone });
+      if (!scannerOpen && tone === 'error') showToast({ message: `${code}: ${message}`, tone });
+    };
+
+    let product;
     try {
-      const response = await fetch(`https://inventorymanager-uigs.onrender.com/api/products/${productId}`, {
-        method: 'DELETE'
-      });
-      
-      if (!response.ok) throw new Error('Failed to delete product');
-      
-      setProducts(products.filter(p => p.id !== productId));
+      product = await lookupProduct(code);
+      if (product) product = inScope(product);
     } catch (err) {
-      setError(err.message);
+      report(`Lookup failed: ${err.message}`, 'error');
+      return;
+    }
+    if (!product) return report('No product has this barcode or Product ID', 'error');
+    if (product.archived_at) return report(`${product.name} is archived`, 'error');
+
+    if (quickStock) {
+      if (quickStock.product.id !== product.id) {
+        return report(`Finish ${quickStock.product.name} before scanning another product`, 'error');
+      }
+      setQuickStock(current => ({ ...current, quantity: String((parseInt(current.quantity, 10) || 0) + 1) }));
+      return report(`${product.name}: one more`);
     }
+    if (scanAction === 'view') {
+      setScannerOpen(false);
+      openDetails(product);
+      return;
+    }
+    setQuickStock({ product, type: scanAction, quantity: '1' });
+    report(`Found ${product.name}`);
   };
 
-  const categories = [...new Set((products || []).map(p => p.category).filter(Boolean))];
-  const suppliers = [...new Set((products || []).map(p => p.supplier_name).filter(Boolean))];
-  
-  // Get stock status for a product
-  const getStockStatus = (product) => {
-    if (product.quantity === 0) return 'out';
-    
+  // While the scanner dialog is open its own box takes typed codes; this
+  // catches scans when focus is elsewhere (camera tab, quick dialog)
+  useBarcodeWedge(handleScan, { enabled: scannerMode || scannerOpen });
+
+  const scanActions = Object.keys(SCAN_ACTIONS)
+    .filter(key => !SCAN_ACTIONS[key].permission || can(SCAN_ACTIONS[key].permission));
+
+  const handleQuickStockRecorded = (result, { type, quantity }) => {
+    const at = location || defaultLocationId;
+    handleMovementRecorded(result);
+    setQuickStock(null);
+    showToast({
+      message: `${type === 'issue' ? 'Issued' : 'Received'} ${quantity} x ${result.product.name}, ${stockAt(result.product, at, defaultLocationId)} now at ${locationName(at)}`
+    });
+  };
+
+  // Reload the page after a bulk import
+  const handleImported = () => refresh();
+
+  // Load every matching product into the recategorise dialog
+  const openRecategorise = async () => {
     try {
-      const alertConfig = typeof product.alert_config === 'string' 
-        ? JSON.parse(product.alert_config) 
-        : product.alert_config;
-      const lowStockThreshold = alertConfig?.min_quantity ?? 5;
-      
-      if (product.quantity <= lowStockThreshold) return 'low';
-      if (product.quantity < 50) return 'average';
-      return 'healthy';
-    } catch (e) {
-      return 'healthy';
+      setRecategorising(await fetchAllMatching());
+    } catch (err) {
+      showError(`Failed to load products: ${err.message}`, openRecategorise);
     }
   };
 
-  // Get stock status message
-  const getStockMessage = (product) => {
-    const status = getStockStatus(product);
-    switch (status) {
-      case 'out':
-        return { text: 'Out of stock', class: 'bg-red-100 text-red-800' };
-      case 'low':
-        return { text: 'Low stock - Reorder now', class: 'bg-yellow-100 text-yellow-800' };
-      case 'average':
-        return { text: 'Average stock - Consider restocking', class: 'bg-blue-100 text-blue-800' };
-      default:
-        return { text: 'In stock', class: 'bg-green-100 text-green-800' };
-    }
+  const handleRecategorised = () => {
+    setRecategorising(null);
+    refresh();
+  };
+
+  // Open the details modal on a given tab
+  const openDetails = (product, tab = 'details') => {
+    setDetailsTab(tab);
+    setViewingProduct(product);
+  };
+
+  // Category filter options come from the category tree (by id), falling back
+  // to the free-text names on products if the tree could not be loaded
+  const categories = [...new Set((products || []).map(p => p.category).filter(Boolean))];
+  const categoryLabel = (product) => {
+    const category = categoryRecords && categoryOf(product, categoryRecords);
+    return category ? categoryPath(categoryRecords, category.id) : product.category;
   };
+  // Supplier options come from supplier records, falling back to the names on
+  // products if the records could not be loaded
+  const suppliers = supplierRecords
+    ? supplierRecords.map(s => s.name)
+    : [...new Set((products || []).map(p => p.supplier_name).filter(Boolean))];
+
+  const viewingPricing = viewingProduct && productPricing(viewingProduct);
+  const viewingStatus = viewingProduct && statusOf(viewingProduct);
+  const viewingRules = viewingProduct && rulesFor(viewingProduct);
 
+  // Human readable summary of the active search and filters, used on exports
+  const filterSummary = [
+    archivedView && 'Archived products',
+    location && `Location: ${locationName(location)}`,
+    searchTerm && `Search: "${searchTerm}"`,
+    filters.stock !== 'all' && `Stock: ${STOCK_STATUSES[filters.stock]?.label ?? filters.stock}`,
+    filters.category !== 'all' && `Category: ${categoryRecords ? categoryPath(categoryRecords, filters.category) : filters.category}`,
+    filters.supplier !== 'all' && `Supplier: ${filters.supplier}`,
+    filters.pricing === 'below_cost' && 'Selling at or below cost'
+  ].filter(Boolean).join(' · ');
+  
   if (loading) return (
     <div className="flex justify-center items-center h-screen">
       <div className="animate-pulse flex flex-col items-center">
@@ -232,6 +569,9 @@ const ProductManagement = () => {
           </div>
           <div className="ml-3">
             <p className="text-sm text-red-700">{error}</p>
+            <button onClick={retryInitialLoad} className="mt-2 text-sm font-medium text-red-700 underline hover:text-red-900">
+              Try again
+            </button>
           </div>
         </div>
       </div>
@@ -247,15 +587,48 @@ const ProductManagement = () => {
             <div>
               <h1 className="text-2xl font-light text-gray-900">Product Inventory</h1>
               <p className="mt-1 text-sm text-gray-500">Manage your product stock efficiently</p>
-              <h3 className='text-gray-500 bg-blue-300'>Managed by : Ann </h3>
+              <h3 className='text-gray-500 bg-blue-300'>Managed by : {user.name} </h3>
+            </div>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setScannerMode(on => !on)}
+                aria-pressed={scannerMode}
+                title={`Listen for a USB scanner anywhere on this page (${SCAN_ACTIONS[scanAction].label.toLowerCase()})`}
+                className={`inline-flex items-center px-4 py-2 border text-sm font-medium rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${
+                  scannerMode ? 'border-blue-600 bg-blue-50 text-blue-700' : 'border-gray-300 bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                Scanner mode: {scannerMode ? 'On' : 'Off'}
+              </button>
+              <button
+                onClick={() => {
+                  setLastScan(null);
+                  setScannerOpen(true);
+                }}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                <FontAwesomeIcon icon={faBarcode} className="mr-2" />
+                Scan
+              </button>
+              {can('products.import') && (
+                <button
+                  onClick={() => setShowImportModal(true)}
+                  className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <FontAwesomeIcon icon={faFileImport} className="mr-2" />
+                  Import
+                </button>
+              )}
+              {can('products.create') && (
+                <button 
+                  onClick={() => setShowCreateModal(true)}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <FontAwesomeIcon icon={faPlus} className="mr-2" />
+                  Add Product
+                </button>
+              )}
             </div>
-            <button 
-              onClick={() => setShowCreateModal(true)}
-              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-            >
-              <FontAwesomeIcon icon={faPlus} className="mr-2" />
-              Add Product
-            </button>
           </div>
         </div>
       </header>
@@ -264,6 +637,44 @@ const ProductManagement = () => {
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
         {/* Search and Filter Bar */}
         <div className="bg-green rounded-lg shadow p-6 mb-6">
+          <SavedViews
+            query={viewQuery(searchParams)}
+            onApply={(query) => setSearchParams(new URLSearchParams(query))}
+          />
+          <nav className="mb-4 flex space-x-6 border-b border-gray-200">
+            {[['active', 'Active'], ['archived', 'Archived']].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => updateList({ view: key })}
+                className={`-mb-px py-2 px-1 border-b-2 text-sm font-medium ${
+                  view === key
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </nav>
+          {activeLocations.length > 1 && (
+            <div className="mb-4 flex items-center gap-3">
+              <label htmlFor="location-filter" className="text-sm font-medium text-gray-700">Location</label>
+              <select
+                id="location-filter"
+                className="pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                value={location}
+                onChange={(e) => updateList({ location: e.target.value })}
+              >
+                <option value="">All locations (totals)</option>
+                {activeLocations.map(l => (
+                  <option key={l.id} value={l.id}>{l.name}</option>
+                ))}
+              </select>
+              {location && (
+                <span className="text-sm text-gray-500">Stock and statuses are for {locationName(location)} only</span>
+              )}
+            </div>
+          )}
           <div className="mb-4">
             <div className="relative rounded-md shadow-sm">
               <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
@@ -273,36 +684,48 @@ const ProductManagement = () => {
                 type="text"
                 placeholder="Search products by name, ID, description or supplier"
                 className="focus:ring-blue-500 focus:border-blue-500 block w-full pl-10 pr-12 py-2 border-gray-300 rounded-md"
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
               />
             </div>
           </div>
 
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
             <div>
               <label htmlFor="stock-filter" className="block text-sm font-medium text-gray-700 mb-1">Stock Status</label>
               <select
                 id="stock-filter"
                 className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
                 value={filters.stock}
-                onChange={(e) => setFilters({...filters, stock: e.target.value})}
+                onChange={(e) => updateList({ stock: e.target.value })}
               >
                 <option value="all">All Stock Levels</option>
-                <option value="out">Out of Stock</option>
-                <option value="low">Low Stock</option>
-                <option value="average">Average Stock (Below 50)</option>
+                {Object.entries(STOCK_STATUSES).map(([key, status]) => (
+                  <option key={key} value={key}>{status.label}</option>
+                ))}
               </select>
             </div>
 
-            {categories.length > 0 && (
+            {categoryRecords ? (
+              <div>
+                <label htmlFor="category-filter" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                <CategorySelect
+                  id="category-filter"
+                  className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                  categories={categoryRecords}
+                  emptyLabel="All Categories"
+                  value={filters.category === 'all' ? '' : filters.category}
+                  onChange={(value) => updateList({ category: value || 'all' })}
+                />
+              </div>
+            ) : categories.length > 0 && (
               <div>
                 <label htmlFor="category-filter" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
                 <select
                   id="category-filter"
                   className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
                   value={filters.category}
-                  onChange={(e) => setFilters({...filters, category: e.target.value})}
+                  onChange={(e) => updateList({ category: e.target.value })}
                 >
                   <option value="all">All Categories</option>
                   {categories.map(category => (
@@ -319,7 +742,7 @@ const ProductManagement = () => {
                   id="supplier-filter"
                   className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
                   value={filters.supplier}
-                  onChange={(e) => setFilters({...filters, supplier: e.target.value})}
+                  onChange={(e) => updateList({ supplier: e.target.value })}
                 >
                   <option value="all">All Suppliers</option>
                   {suppliers.map(supplier => (
@@ -328,55 +751,136 @@ const ProductManagement = () => {
                 </select>
               </div>
             )}
+
+            <div>
+              <label htmlFor="pricing-filter" className="block text-sm font-medium text-gray-700 mb-1">Pricing</label>
+              <select
+                id="pricing-filter"
+                className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                value={filters.pricing}
+                onChange={(e) => updateList({ pricing: e.target.value })}
+              >
+                <option value="all">All Prices</option>
+                <option value="below_cost">At or Below Cost</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="mt-4 flex items-center justify-between">
+            <p className="text-sm text-gray-600">
+              {totalProducts} products{filterSummary && ` · ${filterSummary}`}
+            </p>
+            <div className="flex gap-3">
+              {can('products.edit') && categoryRecords && totalProducts > 0 && !archivedView && (
+                <button
+                  onClick={openRecategorise}
+                  className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  <FontAwesomeIcon icon={faSitemap} className="mr-2" />
+                  Recategorise
+                </button>
+              )}
+              <ExportMenu
+                count={totalProducts}
+                loadProducts={fetchAllMatching}
+                subtitle={filterSummary || 'All products'}
+              />
+            </div>
           </div>
         </div>
 
+        {staleSince && (
+          <div className="bg-yellow-50 border-l-4 border-yellow-400 p-3 mb-4">
+            <p className="text-sm text-yellow-700">
+              Showing the copy saved {new Date(staleSince).toLocaleString()}. It will refresh when the server responds.
+            </p>
+          </div>
+        )}
+
+        {/* Bulk actions for selected rows */}
+        {selected.size > 0 && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4 flex flex-wrap items-center gap-3 text-sm">
+            <span className="font-medium text-blue-900">{selected.size} selected</span>
+            {allOnPageSelected && selected.size < totalProducts && (
+              <button onClick={selectAllMatching} disabled={selectingAll} className="text-blue-600 hover:text-blue-800 disabled:opacity-50">
+                {selectingAll ? 'Selecting...' : `Select all ${totalProducts} matching`}
+              </button>
+            )}
+            <button onClick={() => setSelected(new Map())} className="text-blue-600 hover:text-blue-800">
+              Clear selection
+            </button>
+            <div className="ml-auto flex flex-wrap gap-2">
+              {Object.entries(BULK_ACTIONS)
+                .filter(([, action]) => action.scope === view && can(action.permission))
+                .map(([key, action]) => (
+                  <button
+                    key={key}
+                    onClick={() => setBulkAction({ key, products: [...selected.values()] })}
+                    className={`px-3 py-1 border rounded-md bg-white hover:bg-gray-50 ${
+                      key === 'delete' || key === 'purge' ? 'border-red-300 text-red-600' : 'border-gray-300 text-gray-700'
+                    }`}
+                  >
+                    {action.label}
+                  </button>
+                ))}
+              <ExportMenu products={[...selected.values()]} label="Export selection" subtitle={`${selected.size} selected products`} />
+              <button
+                onClick={() => setLabelProducts([...selected.values()])}
+                className="px-3 py-1 border border-gray-300 rounded-md bg-white text-gray-700 hover:bg-gray-50"
+              >
+                <FontAwesomeIcon icon={faPrint} className="mr-1" />
+                Print labels
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Products Table */}
         <div className="bg-blue shadow overflow-hidden sm:rounded-lg relative w-[90%">
           <div className="overflow-x-auto">
             <table className="min-w-full divide-y divide-gray-200">
               <thead className="bg-gray-300">
                 <tr>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Product ID
-                  </th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Name
-                  </th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Category
-                  </th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Supplier
-                  </th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Buy Price (Ksh)
-                  </th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Sell Price (Ksh)
-                  </th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Stock
-                  </th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Status
+                  <th scope="col" className="pl-6 py-3">
+                    <input
+                      type="checkbox"
+                      aria-label="Select all on this page"
+                      checked={allOnPageSelected}
+                      onChange={togglePageSelected}
+                    />
                   </th>
+                  {SORTABLE_COLUMNS.map(([key, label]) => (
+                    <th
+                      key={key}
+                      scope="col"
+                      aria-sort={sort.key === key ? (sort.order === 'asc' ? 'ascending' : 'descending') : 'none'}
+                      className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                    >
+                      <button onClick={() => toggleSort(key)} className="inline-flex items-center uppercase tracking-wider hover:text-gray-700">
+                        {label}
+                        <FontAwesomeIcon
+                          icon={sort.key !== key ? faSort : sort.order === 'asc' ? faSortUp : faSortDown}
+                          className={`ml-1 ${sort.key === key ? 'text-gray-700' : 'text-gray-400'}`}
+                        />
+                      </button>
+                    </th>
+                  ))}
                   <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Actions
                   </th>
                 </tr>
               </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                {currentProducts.length === 0 ? (
+              <tbody className={`bg-white divide-y divide-gray-200 ${pageLoading ? 'opacity-60' : ''}`}>
+                {products.length === 0 ? (
                   <tr>
-                    <td colSpan="9" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                    <td colSpan="13" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
                       <div className="flex flex-col items-center justify-center py-8">
                         <FontAwesomeIcon icon={faBoxOpen} className="h-12 w-12 text-gray-400 mb-2" />
-                        <p>No products found matching your criteria</p>
+                        <p>{archivedView ? 'No archived products match your criteria' : 'No products found matching your criteria'}</p>
                         <button 
                           onClick={() => {
-                            setSearchTerm('');
-                            setFilters({ stock: 'all', category: 'all', supplier: 'all' });
+                            setSearchInput('');
+                            updateList({ q: '', stock: 'all', category: 'all', supplier: 'all', pricing: 'all' });
                           }}
                           className="mt-2 text-sm text-blue-600 hover:text-blue-800"
                         >
@@ -386,127 +890,164 @@ const ProductManagement = () => {
                     </td>
                   </tr>
                 ) : (
-                  currentProducts.map((product) => (
-                    <tr 
-                      key={product.id} 
-                      className={getStockStatus(product) === 'out' ? 'bg-red-50' : getStockStatus(product) === 'low' ? 'bg-yellow-50' : ''}
-                    >
-                      <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
-                        {product.product_index}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm font-medium text-gray-900">{product.name}</div>
-                        {product.description && (
-                          <div className="text-sm text-gray-500 truncate max-w-xs">{product.description}</div>
-                        )}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {product.category || '-'}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {product.supplier_name || '-'}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        {editingProduct?.id === product.id ? (
-                          <input
-                            type="number"
-                            value={editingProduct.buying_price}
-                            onChange={(e) => setEditingProduct({
-                              ...editingProduct,
-                              buying_price: e.target.value
-                            })}
-                            className="w-24 border border-gray-300 rounded px-2 py-1 text-sm"
-                          />
-                        ) : (
-                          `Ksh ${parseFloat(product.buying_price).toLocaleString()}`
-                        )}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        {editingProduct?.id === product.id ? (
-                          <input
-                            type="number"
-                            value={editingProduct.selling_price}
-                            onChange={(e) => setEditingProduct({
-                              ...editingProduct,
-                              selling_price: e.target.value
-                            })}
-                            className="w-24 border border-gray-300 rounded px-2 py-1 text-sm"
-                          />
-                        ) : (
-                          `Ksh ${parseFloat(product.selling_price).toLocaleString()}`
-                        )}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        {editingProduct?.id === product.id ? (
+                  products.map((product) => {
+                    const pricing = productPricing(product);
+                    return (
+                      <tr 
+                        key={product.id} 
+                        className={product.pending ? 'opacity-50' : archivedView ? '' : STOCK_STATUSES[statusOf(product)].row}
+                      >
+                        <td className="pl-6 py-4">
                           <input
-                            type="number"
-                            value={editingProduct.quantity}
-                            onChange={(e) => setEditingProduct({
-                              ...editingProduct,
-                              quantity: e.target.value
-                            })}
-                            className="w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+                            type="checkbox"
+                            aria-label={`Select ${product.name}`}
+                            checked={selected.has(product.id)}
+                            disabled={product.pending}
+                            onChange={() => toggleSelected(product)}
                           />
-                        ) : (
-                          product.quantity
-                        )}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStockMessage(product).class}`}>
-                          {getStockMessage(product).text}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                        {editingProduct?.id === product.id ? (
-                          <>
-                            <button
-                              onClick={() => handleUpdateProduct(product.id, {
-                                name: editingProduct.name,
-                                buying_price: editingProduct.buying_price,
-                                selling_price: editingProduct.selling_price,
-                                quantity: editingProduct.quantity,
-                                category: editingProduct.category,
-                                supplier_name: editingProduct.supplier_name
-                              })}
-                              className="text-green-600 hover:text-green-900 mr-3"
-                            >
-                              Save
-                            </button>
-                            <button
-                              onClick={() => setEditingProduct(null)}
-                              className="text-gray-600 hover:text-gray-900"
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
+                          {product.product_index}
+                          {product.barcode && <span className="block text-xs text-gray-500">{product.barcode}</span>}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">
+                            {product.name}
+                            {product.pending_sync && (
+                              <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                                Not synced
+                              </span>
+                            )}
+                          </div>
+                          {product.description && (
+                            <div className="text-sm text-gray-500 truncate max-w-xs">{product.description}</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500" title={categoryLabel(product)}>
+                          {product.category || '-'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {product.supplier_id ? (
+                            <Link to={`/suppliers/${product.supplier_id}`} className="text-blue-600 hover:text-blue-800">
+                              {product.supplier_name}
+                            </Link>
+                          ) : (
+                            product.supplier_name || '-'
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {`Ksh ${parseFloat(product.buying_price).toLocaleString()}`}
+                        </td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${pricing.belowCost ? 'text-red-600 font-medium' : 'text-gray-900'}`}>
+                          {`Ksh ${parseFloat(product.selling_price).toLocaleString()}`}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <div className={pricing.belowCost ? 'text-red-600 font-medium' : 'text-gray-900'}>
+                            {formatKsh(pricing.margin, { decimals: 2 })}
+                          </div>
+                          <div className="text-xs text-gray-500">
+                            {formatPercent(pricing.marginPercent)}
+                            {pricing.belowCost && (
+                              <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+                                {pricing.margin < 0 ? 'Below cost' : 'At cost'}
+                              </span>
+                            )}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatPercent(pricing.markup)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {product.quantity}
+                          {product.total_quantity !== undefined && (
+                            <div className="text-xs text-gray-500">of {product.total_quantity} total</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatKsh(pricing.stockValue)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          {product.archived_at ? (
+                            <span
+                              className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-200 text-gray-700"
+                              title={`Archived ${new Date(product.archived_at).toLocaleString()}${product.archived_by ? ` by ${product.archived_by}` : ''}`}
                             >
-                              Cancel
-                            </button>
-                          </>
-                        ) : (
+                              Archived
+                            </span>
+                          ) : (
+                            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STOCK_STATUSES[statusOf(product)].class}`}>
+                              {STOCK_STATUSES[statusOf(product)].text}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                           <div className="flex space-x-2 justify-end">
                             <button
-                              onClick={() => setViewingProduct(product)}
+                              onClick={() => openDetails(product)}
                               className="text-blue-600 hover:text-blue-900"
                               title="View details"
                             >
                               <FontAwesomeIcon icon={faEye} />
                             </button>
-                            <button
-                              onClick={() => setEditingProduct({...product})}
-                              className="text-yellow-600 hover:text-yellow-900"
-                              title="Edit"
-                            >
-                              <FontAwesomeIcon icon={faEdit} />
-                            </button>
-                            <button
-                              onClick={() => handleDeleteProduct(product.id)}
-                              className="text-red-600 hover:text-red-900"
-                              title="Delete"
-                            >
-                              <FontAwesomeIcon icon={faTrash} />
-                            </button>
+                            {product.pending ? (
+                              <span className="text-xs text-gray-400">Saving...</span>
+                            ) : archivedView ? (
+                              <>
+                                {can('products.delete') && (
+                                  <button
+                                    onClick={() => handleRestore(product)}
+                                    className="text-green-600 hover:text-green-900"
+                                    title="Restore"
+                                  >
+                                    <FontAwesomeIcon icon={faUndo} />
+                                  </button>
+                                )}
+                                {can('products.purge') && (
+                                  <button
+                                    onClick={() => setBulkAction({ key: 'purge', products: [product] })}
+                                    className="text-red-600 hover:text-red-900"
+                                    title="Delete permanently"
+                                  >
+                                    <FontAwesomeIcon icon={faTrash} />
+                                  </button>
+                                )}
+                              </>
+                            ) : (
+                              <>
+                                {can('stock.move') && (
+                                  <button
+                                    onClick={() => setStockMovement({ product, type: 'receive' })}
+                                    className="text-green-600 hover:text-green-900"
+                                    title="Receive / issue / adjust stock"
+                                  >
+                                    <FontAwesomeIcon icon={faExchangeAlt} />
+                                  </button>
+                                )}
+                                {can('products.edit') && (
+                                  <button
+                                    onClick={() => setEditingProduct({...product})}
+                                    className="text-yellow-600 hover:text-yellow-900"
+                                    title="Edit"
+                                  >
+                                    <FontAwesomeIcon icon={faEdit} />
+                                  </button>
+                                )}
+                                {can('products.delete') && (
+                                  <button
+                                    onClick={() => handleArchive(product)}
+                                    className="text-red-600 hover:text-red-900"
+                                    title="Archive"
+                                  >
+                                    <FontAwesomeIcon icon={faArchive} />
+                                  </button>
+                                )}
+                              </>
+                            )}
                           </div>
-                        )}
-                      </td>
-                    </tr>
-                  ))
+                        </td>
+                      </tr>
+                    );
+                  })
                 )}
               </tbody>
             </table>
@@ -514,65 +1055,77 @@ const ProductManagement = () => {
         </div>
 
         {/* Pagination */}
-        {filteredProducts.length > productsPerPage && (
+        {totalProducts > 0 && (
           <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6 rounded-b-lg">
             <div className="hidden sm:flex-1 sm:flex sm:items-center sm:justify-between">
-              <div>
+              <div className="flex items-center gap-4">
                 <p className="text-sm text-gray-700">
                   Showing <span className="font-medium">{indexOfFirstProduct + 1}</span> to{' '}
-                  <span className="font-medium">
-                    {Math.min(indexOfLastProduct, filteredProducts.length)}
-                  </span>{' '}
-                  of <span className="font-medium">{filteredProducts.length}</span> results
+                  <span className="font-medium">{indexOfLastProduct}</span>{' '}
+                  of <span className="font-medium">{totalProducts}</span> results
                 </p>
-              </div>
-              <div>
-                <nav className="relative z-0 inline-flex rounded-md shadow-sm -space-x-px" aria-label="Pagination">
-                  <button
-                    onClick={() => paginate(Math.max(1, currentPage - 1))}
-                    disabled={currentPage === 1}
-                    className="relative inline-flex items-center px-2 py-2 rounded-l-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50"
-                  >
-                    <span className="sr-only">Previous</span>
-                    <FontAwesomeIcon icon={faChevronLeft} />
-                  </button>
-                  {Array.from({ length: Math.min(5, totalPages) }, (_, i) => {
-                    // Show pages around current page
-                    let pageNum;
-                    if (totalPages <= 5) {
-                      pageNum = i + 1;
-                    } else if (currentPage <= 3) {
-                      pageNum = i + 1;
-                    } else if (currentPage >= totalPages - 2) {
-                      pageNum = totalPages - 4 + i;
-                    } else {
-                      pageNum = currentPage - 2 + i;
-                    }
-                    
-                    return (
-                      <button
-                        key={pageNum}
-                        onClick={() => paginate(pageNum)}
-                        className={`relative inline-flex items-center px-4 py-2 border text-sm font-medium ${
-                          currentPage === pageNum
-                            ? 'z-10 bg-blue-50 border-blue-500 text-blue-600'
-                            : 'bg-white border-gray-300 text-gray-500 hover:bg-gray-50'
-                        }`}
-                      >
-                        {pageNum}
-                      </button>
-                    );
-                  })}
-                  <button
-                    onClick={() => paginate(Math.min(totalPages, currentPage + 1))}
-                    disabled={currentPage === totalPages}
-                    className="relative inline-flex items-center px-2 py-2 rounded-r-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50"
+                <label className="text-sm text-gray-700">
+                  Per page{' '}
+                  <select
+                    className="ml-1 border-gray-300 rounded-md text-sm"
+                    value={productsPerPage}
+                    onChange={(e) => updateList({ size: e.target.value })}
                   >
-                    <span className="sr-only">Next</span>
-                    <FontAwesomeIcon icon={faChevronRight} />
-                  </button>
-                </nav>
+                    {PAGE_SIZES.map(size => (
+                      <option key={size} value={size}>{size}</option>
+                    ))}
+                  </select>
+                </label>
               </div>
+              {totalPages > 1 && (
+                <div>
+                  <nav className="relative z-0 inline-flex rounded-md shadow-sm -space-x-px" aria-label="Pagination">
+                    <button
+                      onClick={() => paginate(Math.max(1, currentPage - 1))}
+                      disabled={currentPage === 1}
+                      className="relative inline-flex items-center px-2 py-2 rounded-l-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <span className="sr-only">Previous</span>
+                      <FontAwesomeIcon icon={faChevronLeft} />
+                    </button>
+                    {Array.from({ length: Math.min(5, totalPages) }, (_, i) => {
+                      // Show pages around current page
+                      let pageNum;
+                      if (totalPages <= 5) {
+                        pageNum = i + 1;
+                      } else if (currentPage <= 3) {
+                        pageNum = i + 1;
+                      } else if (currentPage >= totalPages - 2) {
+                        pageNum = totalPages - 4 + i;
+                      } else {
+                        pageNum = currentPage - 2 + i;
+                      }
+                      
+                      return (
+                        <button
+                          key={pageNum}
+                          onClick={() => paginate(pageNum)}
+                          className={`relative inline-flex items-center px-4 py-2 border text-sm font-medium ${
+                            currentPage === pageNum
+                              ? 'z-10 bg-blue-50 border-blue-500 text-blue-600'
+                              : 'bg-white border-gray-300 text-gray-500 hover:bg-gray-50'
+                          }`}
+                        >
+                          {pageNum}
+                        </button>
+                      );
+                    })}
+                    <button
+                      onClick={() => paginate(Math.min(totalPages, currentPage + 1))}
+                      disabled={currentPage === totalPages}
+                      className="relative inline-flex items-center px-2 py-2 rounded-r-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <span className="sr-only">Next</span>
+                      <FontAwesomeIcon icon={faChevronRight} />
+                    </button>
+                  </nav>
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -591,103 +1144,180 @@ const ProductManagement = () => {
                 <FontAwesomeIcon icon={faTimes} />
               </button>
             </div>
-            <div className="p-6">
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div>
-                  <h3 className="text-lg font-medium text-gray-900 mb-2">Basic Information</h3>
-                  <dl className="grid grid-cols-1 gap-x-4 gap-y-2">
-                    <div className="sm:col-span-1">
-                      <dt className="text-sm font-medium text-gray-500">Product ID</dt>
-                      <dd className="mt-1 text-sm text-gray-900 font-mono">{viewingProduct.product_index}</dd>
-                    </div>
-                    <div className="sm:col-span-1">
-                      <dt className="text-sm font-medium text-gray-500">Name</dt>
-                      <dd className="mt-1 text-sm text-gray-900">{viewingProduct.name}</dd>
-                    </div>
-                    <div className="sm:col-span-1">
-                      <dt className="text-sm font-medium text-gray-500">Category</dt>
-                      <dd className="mt-1 text-sm text-gray-900">{viewingProduct.category || '-'}</dd>
-                    </div>
-                    <div className="sm:col-span-1">
-                      <dt className="text-sm font-medium text-gray-500">Supplier</dt>
-                      <dd className="mt-1 text-sm text-gray-900">{viewingProduct.supplier_name || '-'}</dd>
+            <div className="border-b border-gray-200 px-6">
+              <nav className="-mb-px flex space-x-6">
+                {[['details', 'Details'], ['history', 'Stock History'], ['prices', 'Price History']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setDetailsTab(key)}
+                    className={`py-3 px-1 border-b-2 text-sm font-medium ${
+                      detailsTab === key
+                        ? 'border-blue-500 text-blue-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </nav>
+            </div>
+            {detailsTab === 'history' ? (
+              <div className="p-6">
+                <MovementHistory productId={viewingProduct.id} refreshKey={historyRefreshKey} />
+              </div>
+            ) : detailsTab === 'prices' ? (
+              <div className="p-6">
+                <PriceHistory product={viewingProduct} />
+              </div>
+            ) : (
+              <div className="p-6">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <h3 className="text-lg font-medium text-gray-900 mb-2">Basic Information</h3>
+                    <dl className="grid grid-cols-1 gap-x-4 gap-y-2">
+                      <div className="sm:col-span-1">
+                        <dt className="text-sm font-medium text-gray-500">Product ID</dt>
+                        <dd className="mt-1 text-sm text-gray-900 font-mono">{viewingProduct.product_index}</dd>
+                      </div>
+                      <div className="sm:col-span-1">
+                        <dt className="text-sm font-medium text-gray-500">Barcode</dt>
+                        <dd className="mt-1 text-sm text-gray-900 font-mono">{viewingProduct.barcode || 'None'}</dd>
+                      </div>
+                      <div className="sm:col-span-1">
+                        <dt className="text-sm font-medium text-gray-500">Name</dt>
+                        <dd className="mt-1 text-sm text-gray-900">{viewingProduct.name}</dd>
+                      </div>
+                      <div className="sm:col-span-1">
+                        <dt className="text-sm font-medium text-gray-500">Category</dt>
+                        <dd className="mt-1 text-sm text-gray-900">{categoryLabel(viewingProduct) || '-'}</dd>
+                      </div>
+                      <div className="sm:col-span-1">
+                        <dt className="text-sm font-medium text-gray-500">Supplier</dt>
+                        <dd className="mt-1 text-sm text-gray-900">{viewingProduct.supplier_name || '-'}</dd>
+                      </div>
+                    </dl>
+                  </div>
+                  
+                  <div>
+                    <h3 className="text-lg font-medium text-gray-900 mb-2">Pricing & Stock</h3>
+                    <dl className="grid grid-cols-1 gap-x-4 gap-y-2">
+                      <div className="sm:col-span-1">
+                        <dt className="text-sm font-medium text-gray-500">Buy Price</dt>
+                        <dd className="mt-1 text-sm text-gray-900">Ksh {parseFloat(viewingProduct.buying_price).toLocaleString()}</dd>
+                      </div>
+                      <div className="sm:col-span-1">
+                        <dt className="text-sm font-medium text-gray-500">Sell Price</dt>
+                        <dd className="mt-1 text-sm text-gray-900">Ksh {parseFloat(viewingProduct.selling_price).toLocaleString()}</dd>
+                      </div>
+                      <div className="sm:col-span-1">
+                        <dt className="text-sm font-medium text-gray-500">Margin</dt>
+                        <dd className={`mt-1 text-sm ${viewingPricing.belowCost ? 'text-red-600 font-medium' : 'text-gray-900'}`}>
+                          {formatKsh(viewingPricing.margin, { decimals: 2 })} ({formatPercent(viewingPricing.marginPercent)})
+                          {' · '}markup {formatPercent(viewingPricing.markup)}
+                        </dd>
+                      </div>
+                      <div className="sm:col-span-1">
+                        <dt className="text-sm font-medium text-gray-500">
+                          Current Stock{viewingProduct.location_id !== undefined && ` at ${locationName(viewingProduct.location_id)}`}
+                        </dt>
+                        <dd className="mt-1 text-sm text-gray-900">{viewingProduct.quantity}</dd>
+                      </div>
+                      {locations.length > 1 && (
+                        <div className="sm:col-span-1">
+                          <dt className="text-sm font-medium text-gray-500">Stock by Location</dt>
+                          <dd className="mt-1 text-sm text-gray-900">
+                            <ul>
+                              {Object.entries(stockLevels(viewingProduct, defaultLocationId)).map(([id, units]) => (
+                                <li key={id}>{locationName(id)}: {units}</li>
+                              ))}
+                            </ul>
+                          </dd>
+                        </div>
+                      )}
+                      <div className="sm:col-span-1">
+                        <dt className="text-sm font-medium text-gray-500">Stock Status</dt>
+                        <dd className="mt-1">
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STOCK_STATUSES[viewingStatus].class}`}>
+                            {STOCK_STATUSES[viewingStatus].text}
+                          </span>
+                        </dd>
+                      </div>
+                      <div className="sm:col-span-1">
+                        <dt className="text-sm font-medium text-gray-500">Stock Rules</dt>
+                        <dd className="mt-1 text-sm text-gray-900">
+                          <ul>
+                            {Object.entries(STOCK_RULE_FIELDS).map(([key, label]) => (
+                              <li key={key}>
+                                {label}: {viewingRules[key] ?? 'none'}
+                                <span className="text-gray-500"> ({ruleSource(viewingRules.sources[key])})</span>
+                              </li>
+                            ))}
+                          </ul>
+                        </dd>
+                      </div>
+                    </dl>
+                  </div>
+                  
+                  {viewingProduct.description && (
+                    <div className="md:col-span-2">
+                      <h3 className="text-lg font-medium text-gray-900 mb-2">Description</h3>
+                      <p className="text-sm text-gray-700 whitespace-pre-line">{viewingProduct.description}</p>
                     </div>
-                  </dl>
+                  )}
                 </div>
                 
-                <div>
-                  <h3 className="text-lg font-medium text-gray-900 mb-2">Pricing & Stock</h3>
-                  <dl className="grid grid-cols-1 gap-x-4 gap-y-2">
-                    <div className="sm:col-span-1">
-                      <dt className="text-sm font-medium text-gray-500">Buy Price</dt>
-                      <dd className="mt-1 text-sm text-gray-900">Ksh {parseFloat(viewingProduct.buying_price).toLocaleString()}</dd>
-                    </div>
-                    <div className="sm:col-span-1">
-                      <dt className="text-sm font-medium text-gray-500">Sell Price</dt>
-                      <dd className="mt-1 text-sm text-gray-900">Ksh {parseFloat(viewingProduct.selling_price).toLocaleString()}</dd>
-                    </div>
-                    <div className="sm:col-span-1">
-                      <dt className="text-sm font-medium text-gray-500">Current Stock</dt>
-                      <dd className="mt-1 text-sm text-gray-900">{viewingProduct.quantity}</dd>
-                    </div>
-                    <div className="sm:col-span-1">
-                      <dt className="text-sm font-medium text-gray-500">Stock Status</dt>
-                      <dd className="mt-1">
-                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStockMessage(viewingProduct).class}`}>
-                          {getStockMessage(viewingProduct).text}
-                        </span>
-                      </dd>
+                {!viewingProduct.archived_at && STOCK_ADVICE[viewingStatus] && (
+                  <div className="mt-6 p-4 rounded-lg bg-blue-50 border border-blue-200">
+                    <div className="flex">
+                      <div className="flex-shrink-0">
+                        <FontAwesomeIcon icon={faExclamationTriangle} className="h-5 w-5 text-blue-400" />
+                      </div>
+                      <div className="ml-3">
+                        <h3 className="text-sm font-medium text-blue-800">{STOCK_ADVICE[viewingStatus].title}</h3>
+                        <div className="mt-2 text-sm text-blue-700">
+                          <p>{STOCK_ADVICE[viewingStatus].advice}</p>
+                          {['low', 'out'].includes(viewingStatus) && can('purchasing.manage') && (
+                            <Link to="/purchase-orders?generate=1" className="mt-2 inline-block font-medium text-blue-800 underline hover:text-blue-900">
+                              Create purchase orders for low stock
+                            </Link>
+                          )}
+                        </div>
+                      </div>
                     </div>
-                  </dl>
-                </div>
-                
-                {viewingProduct.description && (
-                  <div className="md:col-span-2">
-                    <h3 className="text-lg font-medium text-gray-900 mb-2">Description</h3>
-                    <p className="text-sm text-gray-700 whitespace-pre-line">{viewingProduct.description}</p>
                   </div>
                 )}
               </div>
-              
-              {getStockStatus(viewingProduct) !== 'healthy' && (
-                <div className="mt-6 p-4 rounded-lg bg-blue-50 border border-blue-200">
-                  <div className="flex">
-                    <div className="flex-shrink-0">
-                      <FontAwesomeIcon icon={faExclamationTriangle} className="h-5 w-5 text-blue-400" />
-                    </div>
-                    <div className="ml-3">
-                      <h3 className="text-sm font-medium text-blue-800">
-                        {getStockStatus(viewingProduct) === 'out' 
-                          ? 'This product is out of stock!' 
-                          : getStockStatus(viewingProduct) === 'low' 
-                            ? 'This product is running low on stock!' 
-                            : 'This product has average stock levels'}
-                      </h3>
-                      <div className="mt-2 text-sm text-blue-700">
-                        <p>
-                          {getStockStatus(viewingProduct) === 'out' 
-                            ? 'Consider ordering more inventory from the supplier.' 
-                            : getStockStatus(viewingProduct) === 'low' 
-                              ? 'You should reorder soon to avoid stockouts.' 
-                              : 'Monitor this product to ensure adequate stock levels.'}
-                        </p>
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              )}
-            </div>
+            )}
+            {viewingProduct.archived_at && (
+              <div className="mx-6 mb-6 bg-yellow-50 border-l-4 border-yellow-400 p-3">
+                <p className="text-sm text-yellow-700">
+                  Archived {new Date(viewingProduct.archived_at).toLocaleString()}
+                  {viewingProduct.archived_by && ` by ${viewingProduct.archived_by}`}. Restore it to edit or move stock.
+                </p>
+              </div>
+            )}
             <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse rounded-b-lg">
-              <button
-                type="button"
-                className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-base font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 sm:ml-3 sm:w-auto sm:text-sm"
-                onClick={() => {
-                  setViewingProduct(null);
-                  setEditingProduct({...viewingProduct});
-                }}
-              >
-                Edit Product
-              </button>
+              {can('products.edit') && !viewingProduct.archived_at && (
+                <button
+                  type="button"
+                  className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-base font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 sm:ml-3 sm:w-auto sm:text-sm"
+                  onClick={() => {
+                    setViewingProduct(null);
+                    setEditingProduct({...viewingProduct});
+                  }}
+                >
+                  Edit Product
+                </button>
+              )}
+              {can('stock.move') && !viewingProduct.archived_at && (
+                <button
+                  type="button"
+                  className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 sm:mt-0 sm:ml-3 sm:w-auto sm:text-sm"
+                  onClick={() => setStockMovement({ product: viewingProduct, type: 'receive' })}
+                >
+                  Record Movement
+                </button>
+              )}
               <button
                 type="button"
                 className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 sm:mt-0 sm:ml-3 sm:w-auto sm:text-sm"
@@ -700,125 +1330,95 @@ const ProductManagement = () => {
         </div>
       )}
 
-      {/* Create Product Modal */}
-      {showCreateModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-          <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
-            <div className="bg-gray-800 text-white p-4 rounded-t-lg flex justify-between items-center">
-              <h2 className="text-xl font-light">Create New Product</h2>
-              <button 
-                onClick={() => setShowCreateModal(false)}
-                className="text-white hover:text-gray-300"
-              >
-                <FontAwesomeIcon icon={faTimes} />
-              </button>
-            </div>
-            <div className="p-6">
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Product ID</label>
-                  <input
-                    type="text"
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
-                    value={newProduct.product_index}
-                    onChange={(e) => setNewProduct({...newProduct, product_index: e.target.value})}
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
-                  <input
-                    type="text"
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
-                    value={newProduct.name}
-                    onChange={(e) => setNewProduct({...newProduct, name: e.target.value})}
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Buy Price (Ksh)</label>
-                  <input
-                    type="number"
-                    step="0.01"
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
-                    value={newProduct.buying_price}
-                    onChange={(e) => setNewProduct({...newProduct, buying_price: e.target.value})}
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Sell Price (Ksh)</label>
-                  <input
-                    type="number"
-                    step="0.01"
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
-                    value={newProduct.selling_price}
-                    onChange={(e) => setNewProduct({...newProduct, selling_price: e.target.value})}
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Initial Quantity</label>
-                  <input
-                    type="number"
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
-                    value={newProduct.quantity}
-                    onChange={(e) => setNewProduct({...newProduct, quantity: e.target.value})}
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Low Stock Alert At</label>
-                  <input
-                    type="number"
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
-                    value={newProduct.alert_config.min_quantity}
-                    onChange={(e) => setNewProduct({
-                      ...newProduct, 
-                      alert_config: { min_quantity: parseInt(e.target.value) || 0 }
-                    })}
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
-                  <input
-                    type="text"
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
-                    value={newProduct.category}
-                    onChange={(e) => setNewProduct({...newProduct, category: e.target.value})}
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
-                  <input
-                    type="text"
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
-                    value={newProduct.supplier_name}
-                    onChange={(e) => setNewProduct({...newProduct, supplier_name: e.target.value})}
-                  />
-                </div>
-                <div className="md:col-span-2">
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
-                  <textarea
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
-                    rows="3"
-                    value={newProduct.description}
-                    onChange={(e) => setNewProduct({...newProduct, description: e.target.value})}
-                  />
-                </div>
-              </div>
-              <div className="flex justify-end gap-3">
-                <button
-                  onClick={() => setShowCreateModal(false)}
-                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                >
-                  Cancel
-                </button>
-                <button
-                  onClick={handleCreateProduct}
-                  className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                >
-                  Create Product
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
+      {/* Stock Movement Modal */}
+      {stockMovement && (
+        <StockMovementModal
+          product={stockMovement.product}
+          initialType={stockMovement.type}
+          user={user.name}
+          onClose={() => setStockMovement(null)}
+          onRecorded={handleMovementRecorded}
+        />
+      )}
+
+      {/* Import Products Modal */}
+      {showImportModal && (
+        <ProductImportModal
+          suppliers={supplierRecords}
+          categories={categoryRecords}
+          onClose={() => setShowImportModal(false)}
+          onImported={handleImported}
+        />
+      )}
+
+      {/* Create / Edit Product Modal */}
+      {(showCreateModal || editingProduct) && (
+        <ProductFormModal
+          product={editingProduct}
+          suppliers={supplierRecords || []}
+          categories={categoryRecords || []}
+          onClose={() => {
+            setShowCreateModal(false);
+            setEditingProduct(null);
+          }}
+          onSave={(fields) => editingProduct
+            ? handleUpdateProduct(products.find(p => p.id === editingProduct.id) || editingProduct, fields)
+            : handleCreateProduct(fields)}
+        />
+      )}
+
+      {/* Recategorise Modal */}
+      {recategorising && (
+        <RecategoriseModal
+          title="Recategorise Filtered Products"
+          products={recategorising}
+          categories={categoryRecords}
+          onClose={() => setRecategorising(null)}
+          onDone={handleRecategorised}
+        />
+      )}
+
+      {/* Bulk / Delete Confirmation Modal */}
+      {bulkAction && (
+        <BulkActionModal
+          actionKey={bulkAction.key}
+          products={bulkAction.products}
+          categories={categoryRecords || []}
+          suppliers={supplierRecords || []}
+          onClose={() => setBulkAction(null)}
+          onDone={handleBulkDone}
+        />
+      )}
+
+      {/* Label Sheet Modal */}
+      {labelProducts && (
+        <LabelSheetModal products={labelProducts} onClose={() => setLabelProducts(null)} />
+      )}
+
+      {/* Scanner Modal */}
+      {scannerOpen && (
+        <ScannerModal
+          action={scanAction}
+          actions={scanActions}
+          onActionChange={setScanAction}
+          onScan={handleScan}
+          lastScan={lastScan}
+          onClose={() => setScannerOpen(false)}
+        />
+      )}
+
+      {/* Quick receive/issue, above the scanner so scanning can carry on */}
+      {quickStock && (
+        <QuickStockDialog
+          product={quickStock.product}
+          type={quickStock.type}
+          quantity={quickStock.quantity}
+          locationId={location || undefined}
+          user={user.name}
+          onChange={(changes) => setQuickStock(current => ({ ...current, ...changes }))}
+          onClose={() => setQuickStock(null)}
+          onRecorded={handleQuickStockRecorded}
+        />
       )}
 
       {/* Footer */}
@@ -0,0 +1,407 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faArrowLeft, faTrash, faPaperPlane, faTruckLoading, faBan, faSave } from '@fortawesome/free-solid-svg-icons';
+import {
+  getPurchaseOrder, updatePurchaseOrder, deletePurchaseOrder,
+  sendPurchaseOrder, cancelPurchaseOrder, receivePurchaseOrder
+} from '../api/purchaseOrders';
+import { listProducts } from '../api/products';
+import { useAuth } from '../auth/context';
+import { useStockRules } from '../stockRules/context';
+import { useLocations } from '../locations/context';
+import { PO_STATUSES, orderTotal, suggestedOrderQuantity } from '../utils/purchaseOrders';
+import { productsForSupplier } from '../utils/suppliers';
+import { formatKsh } from '../utils/format';
+
+const toEditableLines = (order) => order.lines.map(line => ({
+  ...line,
+  quantity_ordered: String(line.quantity_ordered),
+  unit_cost: String(line.unit_cost)
+}));
+
+const outstandingOf = (line) => line.quantity_ordered - line.quantity_received;
+
+const PurchaseOrderDetail = () => {
+  const { orderId } = useParams();
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const { stockRules } = useStockRules();
+  const { activeLocations, defaultLocationId, locationName } = useLocations();
+  const [order, setOrder] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [lines, setLines] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [expectedAt, setExpectedAt] = useState('');
+  const [receiving, setReceiving] = useState({});
+  const [receiptNote, setReceiptNote] = useState('');
+  const [receiveAt, setReceiveAt] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const applyOrder = (data) => {
+    setOrder(data);
+    setLines(toEditableLines(data));
+    setNotes(data.notes || '');
+    setExpectedAt(data.expected_at || '');
+    setReceiving(Object.fromEntries(data.lines.map(line => [line.product_id, String(outstandingOf(line))])));
+  };
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [orderData, productData] = await Promise.all([getPurchaseOrder(orderId), listProducts()]);
+        applyOrder(orderData);
+        setProducts(productData);
+      } catch (err) {
+        console.error("Error fetching purchase order:", err);
+        setError(err.status === 404 ? 'Purchase order not found.' : `Failed to load purchase order: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [orderId]);
+
+  // Run an action, surfacing failures without losing the page
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    setActionError(null);
+    setNotice(null);
+    try {
+      const result = await action();
+      if (successMessage) setNotice(successMessage);
+      return result;
+    } catch (err) {
+      setActionError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveDraft = async () => {
+    applyOrder(await updatePurchaseOrder(order.id, {
+      lines: lines.map(line => ({
+        product_id: line.product_id,
+        quantity_ordered: parseInt(line.quantity_ordered, 10),
+        unit_cost: parseFloat(line.unit_cost)
+      })),
+      notes,
+      expected_at: expectedAt || null
+    }));
+  };
+
+  const handleSave = () => run(saveDraft, 'Draft saved.');
+
+  const handleSend = () => run(async () => {
+    await saveDraft();
+    applyOrder(await sendPurchaseOrder(order.id));
+  }, `Marked as sent to ${order.supplier_name}.`);
+
+  const handleCancel = () => {
+    if (!window.confirm(`Cancel ${order.number}?`)) return;
+    run(async () => applyOrder(await cancelPurchaseOrder(order.id)), 'Purchase order cancelled.');
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete draft ${order.number}?`)) return;
+    run(async () => {
+      await deletePurchaseOrder(order.id);
+      navigate('/purchase-orders');
+    });
+  };
+
+  const handleReceive = () => run(async () => {
+    const received = Object.entries(receiving)
+      .map(([productId, quantity]) => ({ product_id: Number(productId), quantity: parseInt(quantity, 10) || 0 }))
+      .filter(line => line.quantity > 0);
+    const at = receiveAt || defaultLocationId;
+    const result = await receivePurchaseOrder(order.id, received, receiptNote || undefined, at ?? undefined);
+    applyOrder(result.order);
+    setReceiptNote('');
+    const units = received.reduce((sum, line) => sum + line.quantity, 0);
+    setNotice(`Received ${units} units into ${locationName(at)} across ${result.products.length} products.`);
+  });
+
+  const updateLine = (productId, fields) =>
+    setLines(lines.map(line => (line.product_id === productId ? { ...line, ...fields } : line)));
+
+  const addLine = (productId) => {
+    const product = products.find(p => String(p.id) === productId);
+    if (!product) return;
+    setLines([...lines, {
+      product_id: product.id,
+      product_index: product.product_index,
+      name: product.name,
+      quantity_ordered: String(suggestedOrderQuantity(product, stockRules)),
+      quantity_received: 0,
+      unit_cost: String(parseFloat(product.buying_price) || 0)
+    }]);
+  };
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading purchase order...</p>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+        <Link to="/purchase-orders" className="mt-2 inline-block text-sm text-blue-600 hover:text-blue-800">Back to purchase orders</Link>
+      </div>
+    </div>
+  );
+
+  const isDraft = order.status === 'draft';
+  const canEdit = isDraft && can('purchasing.manage');
+  const canReceive = ['sent', 'partially_received'].includes(order.status) && can('purchasing.receive');
+  const addableProducts = productsForSupplier(products, { id: order.supplier_id, name: order.supplier_name })
+    .filter(p => !lines.some(line => line.product_id === p.id));
+  const draftTotal = lines.reduce((sum, line) =>
+    sum + (parseInt(line.quantity_ordered, 10) || 0) * (parseFloat(line.unit_cost) || 0), 0);
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <Link to="/purchase-orders" className="text-sm text-blue-600 hover:text-blue-800">
+            <FontAwesomeIcon icon={faArrowLeft} className="mr-1" /> All purchase orders
+          </Link>
+          <div className="mt-2 flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-light text-gray-900">
+                {order.number}
+                <span className={`ml-3 px-2 inline-flex text-xs leading-5 font-semibold rounded-full align-middle ${PO_STATUSES[order.status]?.class}`}>
+                  {PO_STATUSES[order.status]?.label || order.status}
+                </span>
+              </h1>
+              <p className="mt-1 text-sm text-gray-500">
+                <Link to={`/suppliers/${order.supplier_id}`} className="text-blue-600 hover:text-blue-800">{order.supplier_name}</Link>
+                {' · '}created {new Date(order.created_at).toLocaleDateString()} by {order.created_by}
+                {order.sent_at && ` · sent ${new Date(order.sent_at).toLocaleDateString()}`}
+                {order.received_at && ` · received ${new Date(order.received_at).toLocaleDateString()}`}
+              </p>
+            </div>
+            <div className="flex gap-3">
+              {canEdit && (
+                <>
+                  <button onClick={handleDelete} disabled={busy} className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-red-600 bg-white hover:bg-gray-50 disabled:opacity-50">
+                    <FontAwesomeIcon icon={faTrash} className="mr-2" /> Delete
+                  </button>
+                  <button onClick={handleSave} disabled={busy} className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50">
+                    <FontAwesomeIcon icon={faSave} className="mr-2" /> Save
+                  </button>
+                  <button onClick={handleSend} disabled={busy || lines.length === 0} className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50">
+                    <FontAwesomeIcon icon={faPaperPlane} className="mr-2" /> Mark as sent
+                  </button>
+                </>
+              )}
+              {order.status === 'sent' && can('purchasing.manage') && (
+                <button onClick={handleCancel} disabled={busy} className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-red-600 bg-white hover:bg-gray-50 disabled:opacity-50">
+                  <FontAwesomeIcon icon={faBan} className="mr-2" /> Cancel order
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        {actionError && (
+          <div className="bg-red-50 border-l-4 border-red-500 p-3">
+            <p className="text-sm text-red-700">{actionError}</p>
+          </div>
+        )}
+        {notice && (
+          <div className="bg-green-50 border-l-4 border-green-500 p-3">
+            <p className="text-sm text-green-800">{notice}</p>
+          </div>
+        )}
+
+        <section className="bg-white shadow overflow-hidden sm:rounded-lg">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Ordered</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unit Cost (Ksh)</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Line Total</th>
+                  {!isDraft && <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>}
+                  {(canEdit || canReceive) && (
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {canReceive ? 'Receive Now' : ''}
+                    </th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {lines.map(line => (
+                  <tr key={line.product_id}>
+                    <td className="px-6 py-3 text-gray-900">
+                      <span className="font-mono text-gray-500 mr-2">{line.product_index}</span>
+                      {line.name}
+                    </td>
+                    <td className="px-6 py-3 text-right">
+                      {canEdit ? (
+                        <input
+                          type="number"
+                          min="1"
+                          className="w-20 border border-gray-300 rounded px-2 py-1 text-sm text-right"
+                          value={line.quantity_ordered}
+                          onChange={(e) => updateLine(line.product_id, { quantity_ordered: e.target.value })}
+                        />
+                      ) : line.quantity_ordered}
+                    </td>
+                    <td className="px-6 py-3 text-right">
+                      {canEdit ? (
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          className="w-24 border border-gray-300 rounded px-2 py-1 text-sm text-right"
+                          value={line.unit_cost}
+                          onChange={(e) => updateLine(line.product_id, { unit_cost: e.target.value })}
+                        />
+                      ) : formatKsh(line.unit_cost, { decimals: 2 }).replace('Ksh ', '')}
+                    </td>
+                    <td className="px-6 py-3 text-right text-gray-900">
+                      {formatKsh((parseInt(line.quantity_ordered, 10) || 0) * (parseFloat(line.unit_cost) || 0))}
+                    </td>
+                    {!isDraft && (
+                      <td className="px-6 py-3 text-right text-gray-900">
+                        {line.quantity_received} / {line.quantity_ordered}
+                      </td>
+                    )}
+                    {canEdit && (
+                      <td className="px-6 py-3 text-right">
+                        <button
+                          onClick={() => setLines(lines.filter(l => l.product_id !== line.product_id))}
+                          className="text-red-600 hover:text-red-900"
+                          title="Remove line"
+                        >
+                          <FontAwesomeIcon icon={faTrash} />
+                        </button>
+                      </td>
+                    )}
+                    {canReceive && (
+                      <td className="px-6 py-3 text-right">
+                        {outstandingOf(line) > 0 ? (
+                          <input
+                            type="number"
+                            min="0"
+                            max={outstandingOf(line)}
+                            className="w-20 border border-gray-300 rounded px-2 py-1 text-sm text-right"
+                            value={receiving[line.product_id] ?? ''}
+                            onChange={(e) => setReceiving({ ...receiving, [line.product_id]: e.target.value })}
+                          />
+                        ) : (
+                          <span className="text-green-700">Complete</span>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="bg-gray-50">
+                <tr>
+                  <td className="px-6 py-3 text-sm font-medium text-gray-900" colSpan="3">Total</td>
+                  <td className="px-6 py-3 text-right text-sm font-medium text-gray-900">
+                    {formatKsh(isDraft ? draftTotal : orderTotal(order))}
+                  </td>
+                  {!isDraft && <td></td>}
+                  {(canEdit || canReceive) && <td></td>}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+
+          {canEdit && addableProducts.length > 0 && (
+            <div className="px-6 py-3 border-t border-gray-200 flex items-center gap-3">
+              <label htmlFor="add-line" className="text-sm text-gray-700">Add product</label>
+              <select
+                id="add-line"
+                className="pl-3 pr-10 py-2 text-sm border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 rounded-md"
+                value=""
+                onChange={(e) => addLine(e.target.value)}
+              >
+                <option value="">Choose a product from {order.supplier_name}...</option>
+                {addableProducts.map(product => (
+                  <option key={product.id} value={product.id}>
+                    {product.product_index} {product.name} (in stock: {product.quantity})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+        </section>
+
+        <section className="bg-white shadow sm:rounded-lg p-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Expected delivery</label>
+            <input
+              type="date"
+              disabled={!canEdit}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 disabled:bg-gray-100"
+              value={expectedAt}
+              onChange={(e) => setExpectedAt(e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea
+              rows="2"
+              disabled={!canEdit}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 disabled:bg-gray-100"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+            />
+          </div>
+        </section>
+
+        {canReceive && (
+          <section className="bg-white shadow sm:rounded-lg p-6 flex flex-col md:flex-row md:items-end gap-4">
+            {activeLocations.length > 1 && (
+              <div>
+                <label htmlFor="receive-at" className="block text-sm font-medium text-gray-700 mb-1">Receive at</label>
+                <select
+                  id="receive-at"
+                  className="w-full border border-gray-300 rounded-md px-3 py-2"
+                  value={receiveAt || defaultLocationId || ''}
+                  onChange={(e) => setReceiveAt(e.target.value)}
+                >
+                  {activeLocations.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                </select>
+              </div>
+            )}
+            <div className="flex-1">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Delivery note / invoice number</label>
+              <input
+                type="text"
+                className="w-full border border-gray-300 rounded-md px-3 py-2"
+                value={receiptNote}
+                onChange={(e) => setReceiptNote(e.target.value)}
+              />
+            </div>
+            <button
+              onClick={handleReceive}
+              disabled={busy}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+            >
+              <FontAwesomeIcon icon={faTruckLoading} className="mr-2" /> Receive into stock
+            </button>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default PurchaseOrderDetail;
@@ -0,0 +1,179 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faMagic, faFileInvoice } from '@fortawesome/free-solid-svg-icons';
+import { listPurchaseOrders } from '../api/purchaseOrders';
+import { listProducts } from '../api/products';
+import { listSuppliers } from '../api/suppliers';
+import { useAuth } from '../auth/context';
+import { PO_STATUSES, orderTotal } from '../utils/purchaseOrders';
+import { formatKsh } from '../utils/format';
+import GeneratePurchaseOrdersModal from '../components/GeneratePurchaseOrdersModal';
+
+const PurchaseOrders = () => {
+  const { can } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [orders, setOrders] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('open');
+
+  // ?generate=1 opens the generator straight away (linked from product details)
+  const showGenerator = searchParams.get('generate') === '1' && can('purchasing.manage') && !loading;
+  const setShowGenerator = (show) => setSearchParams(show ? { generate: '1' } : {});
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [orderData, productData, supplierData] = await Promise.all([
+          listPurchaseOrders(), listProducts(), listSuppliers()
+        ]);
+        setOrders(orderData);
+        setProducts(productData);
+        setSuppliers(supplierData);
+      } catch (err) {
+        console.error("Error fetching purchase orders:", err);
+        setError(`Failed to load purchase orders: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  const handleCreated = (created, failed) => {
+    setOrders([...created, ...orders]);
+    setShowGenerator(false);
+    setNotice({
+      text: `Created ${created.length} draft purchase order${created.length === 1 ? '' : 's'}.` +
+        (failed.length ? ` Failed: ${failed.join('; ')}` : ''),
+      isError: failed.length > 0
+    });
+  };
+
+  const visibleOrders = orders.filter(order => {
+    if (statusFilter === 'all') return true;
+    if (statusFilter === 'open') return ['draft', 'sent', 'partially_received'].includes(order.status);
+    return order.status === statusFilter;
+  });
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading purchase orders...</p>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-light text-gray-900">Purchase Orders</h1>
+            <p className="mt-1 text-sm text-gray-500">Reorder low stock and receive deliveries</p>
+          </div>
+          {can('purchasing.manage') && (
+            <button
+              onClick={() => setShowGenerator(true)}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <FontAwesomeIcon icon={faMagic} className="mr-2" />
+              Generate from low stock
+            </button>
+          )}
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {notice && (
+          <div className={`border-l-4 p-3 mb-4 ${notice.isError ? 'bg-yellow-50 border-yellow-500' : 'bg-green-50 border-green-500'}`}>
+            <p className={`text-sm ${notice.isError ? 'text-yellow-800' : 'text-green-800'}`}>{notice.text}</p>
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow p-4 mb-6 flex items-center gap-4">
+          <label htmlFor="po-status" className="text-sm font-medium text-gray-700">Status</label>
+          <select
+            id="po-status"
+            className="pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+          >
+            <option value="open">Open</option>
+            <option value="all">All</option>
+            {Object.entries(PO_STATUSES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-300">
+                <tr>
+                  {['Number', 'Supplier', 'Status', 'Lines', 'Total (Ksh)', 'Created'].map(heading => (
+                    <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visibleOrders.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-8 text-center text-sm text-gray-500">
+                      <FontAwesomeIcon icon={faFileInvoice} className="h-10 w-10 text-gray-400 mb-2" />
+                      <p>No purchase orders</p>
+                    </td>
+                  </tr>
+                ) : visibleOrders.map(order => (
+                  <tr key={order.id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <Link to={`/purchase-orders/${order.id}`} className="text-sm font-mono text-blue-600 hover:text-blue-800">
+                        {order.number}
+                      </Link>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{order.supplier_name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${PO_STATUSES[order.status]?.class}`}>
+                        {PO_STATUSES[order.status]?.label || order.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{order.lines.length}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatKsh(orderTotal(order))}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(order.created_at).toLocaleDateString()} by {order.created_by}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </main>
+
+      {showGenerator && (
+        <GeneratePurchaseOrdersModal
+          products={products}
+          suppliers={suppliers}
+          onClose={() => setShowGenerator(false)}
+          onCreated={handleCreated}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrders;
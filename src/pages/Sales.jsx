@@ -0,0 +1,252 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCashRegister, faFileCsv, faFilePdf, faReceipt } from '@fortawesome/free-solid-svg-icons';
+import { listSales } from '../api/sales';
+import { useAuth } from '../auth/context';
+import { useToast } from '../toast/context';
+import { PAYMENT_METHODS, dailyTotals } from '../utils/sales';
+import { downloadReceipt } from '../utils/receipts';
+import { formatKsh, formatPercent } from '../utils/format';
+import { toCsv } from '../utils/csv';
+import { downloadBlob, datedFileName } from '../utils/download';
+import BarChart from '../components/charts/BarChart';
+
+const PERIODS = [
+  [1, 'Today'],
+  [7, 'Last 7 days'],
+  [30, 'Last 30 days'],
+  [90, 'Last 90 days']
+];
+
+const marginOf = ({ total, profit }) => (total > 0 ? (profit / total) * 100 : null);
+
+// Local midnight `days - 1` days ago, so "1" means today
+const periodStart = (days) => {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - (days - 1));
+  return start;
+};
+
+// Sales history with daily revenue and profit at buying price
+const Sales = () => {
+  const { can } = useAuth();
+  const { showToast } = useToast();
+  const [days, setDays] = useState(7);
+  const [sales, setSales] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+      try {
+        setSales(await listSales({ from: periodStart(days).toISOString() }));
+        setError(null);
+      } catch (err) {
+        console.error("Error fetching sales:", err);
+        setError(`Failed to load sales: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [days]);
+
+  const byDay = dailyTotals(sales);
+  const period = byDay.reduce((sum, day) => ({
+    sales: sum.sales + day.sales,
+    items: sum.items + day.items,
+    total: sum.total + day.total,
+    cost: sum.cost + day.cost,
+    profit: sum.profit + day.profit
+  }), { sales: 0, items: 0, total: 0, cost: 0, profit: 0 });
+
+  const handleExport = () => {
+    const csv = toCsv([
+      ['Day', 'Sales', 'Items', 'Revenue', 'Cost', 'Profit', 'Margin %'],
+      ...byDay.map(day => [
+        day.day, day.sales, day.items, day.total.toFixed(2), day.cost.toFixed(2), day.profit.toFixed(2),
+        marginOf(day) === null ? '' : marginOf(day).toFixed(1)
+      ])
+    ]);
+    // Leading BOM so Excel opens the file as UTF-8
+    downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), datedFileName('daily-sales', 'csv'));
+  };
+
+  const handleReceipt = async (sale) => {
+    try {
+      await downloadReceipt(sale);
+    } catch (err) {
+      showToast({ message: `Failed to create the receipt: ${err.message}`, tone: 'error' });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-light text-gray-900">Sales</h1>
+            <p className="mt-1 text-sm text-gray-500">Daily takings and profit at buying price</p>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleExport}
+              disabled={byDay.length === 0}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              <FontAwesomeIcon icon={faFileCsv} className="mr-2" />
+              Export daily totals
+            </button>
+            {can('sales.record') && (
+              <Link
+                to="/sales/new"
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700"
+              >
+                <FontAwesomeIcon icon={faCashRegister} className="mr-2" />
+                New sale
+              </Link>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        <div className="bg-white rounded-lg shadow p-4 flex items-center gap-4">
+          <label htmlFor="sales-period" className="text-sm font-medium text-gray-700">Period</label>
+          <select
+            id="sales-period"
+            className="pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+          >
+            {PERIODS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+
+        {error ? (
+          <div className="bg-red-50 border-l-4 border-red-500 p-3">
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        ) : loading ? (
+          <p className="text-gray-600 animate-pulse">Loading sales...</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              {[
+                ['Revenue', formatKsh(period.total)],
+                ['Profit', formatKsh(period.profit)],
+                ['Margin', formatPercent(marginOf(period))],
+                ['Sales', `${period.sales} (${period.items} items)`]
+              ].map(([label, value]) => (
+                <div key={label} className="bg-white shadow sm:rounded-lg p-4">
+                  <p className="text-sm text-gray-500">{label}</p>
+                  <p className="mt-1 text-2xl font-light text-gray-900">{value}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <div className="lg:col-span-2 bg-white shadow overflow-hidden sm:rounded-lg">
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-300">
+                      <tr>
+                        {['Day', 'Sales', 'Items', 'Revenue', 'Cost', 'Profit', 'Margin'].map(heading => (
+                          <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {byDay.length === 0 ? (
+                        <tr>
+                          <td colSpan="7" className="px-6 py-8 text-center text-sm text-gray-500">No sales in this period</td>
+                        </tr>
+                      ) : byDay.map(day => (
+                        <tr key={day.day}>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {new Date(`${day.day}T00:00`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{day.sales}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{day.items}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatKsh(day.total)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatKsh(day.cost)}</td>
+                          <td className={`px-6 py-4 whitespace-nowrap text-sm ${day.profit < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                            {formatKsh(day.profit)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatPercent(marginOf(day))}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+              <div className="bg-white shadow sm:rounded-lg p-6">
+                <h2 className="text-lg font-medium text-gray-900 mb-4">Revenue by day</h2>
+                <BarChart
+                  items={[...byDay].reverse().map(day => ({ label: day.day, value: day.total }))}
+                  format={value => formatKsh(value)}
+                />
+              </div>
+            </div>
+
+            <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-300">
+                    <tr>
+                      {['Receipt', 'Time', 'Cashier', 'Items', 'Total', 'Profit', 'Payment', ''].map(heading => (
+                        <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {sales.length === 0 ? (
+                      <tr>
+                        <td colSpan="8" className="px-6 py-8 text-center text-sm text-gray-500">
+                          <FontAwesomeIcon icon={faReceipt} className="h-10 w-10 text-gray-400 mb-2" />
+                          <p>No sales in this period</p>
+                        </td>
+                      </tr>
+                    ) : sales.map(sale => (
+                      <tr key={sale.id}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{sale.number}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {new Date(sale.created_at).toLocaleString()}
+                          {sale.location_name && <span className="block text-xs">{sale.location_name}</span>}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{sale.created_by}</td>
+                        <td className="px-6 py-4 text-sm text-gray-500" title={sale.lines.map(line => `${line.quantity} x ${line.name}`).join('\n')}>
+                          {sale.totals.items}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatKsh(sale.totals.total, { decimals: 2 })}</td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${sale.totals.profit < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                          {formatKsh(sale.totals.profit, { decimals: 2 })}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{PAYMENT_METHODS[sale.payment_method] || sale.payment_method}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                          <button onClick={() => handleReceipt(sale)} className="text-blue-600 hover:text-blue-800" title="Download receipt">
+                            <FontAwesomeIcon icon={faFilePdf} />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Sales;
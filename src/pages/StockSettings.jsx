@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { updateCategory } from '../api/categories';
+import { saveStockRuleDefaults } from '../api/settings';
+import { useAuth } from '../auth/context';
+import { useToast } from '../toast/context';
+import { useStockRules } from '../stockRules/context';
+import { flattenCategoryTree } from '../utils/categories';
+import { STOCK_RULE_FIELDS, STOCK_STATUSES, pickStockRules, resolveStockRules, validateStockRules } from '../utils/stock';
+import { inputClass, serverFieldErrors } from '../utils/forms';
+import FormField from '../components/FormField';
+
+const RULE_KEYS = Object.keys(STOCK_RULE_FIELDS);
+
+const toFormValues = (rules) => Object.fromEntries(RULE_KEYS.map(key => [key, rules?.[key] ?? '']));
+
+const sameRules = (a, b) => JSON.stringify(pickStockRules(a)) === JSON.stringify(pickStockRules(b));
+
+// How each status follows from the levels, shown next to the defaults
+const STATUS_RULES = [
+  ['out', 'Nothing in stock'],
+  ['low', 'At or below the low stock level'],
+  ['average', 'Below the reorder point'],
+  ['healthy', 'At or above the reorder point'],
+  ['overstocked', 'Above the overstock level, when one is set']
+];
+
+// Shop-wide stock rule defaults and per-category overrides. A product's own
+// levels (set in its edit form) win over its category's, which win over the
+// parent category's and then the defaults.
+const StockSettings = () => {
+  const { can } = useAuth();
+  const { showToast } = useToast();
+  const { stockRules, reload } = useStockRules();
+  const [defaults, setDefaults] = useState(() => toFormValues(stockRules.defaults));
+  const [defaultErrors, setDefaultErrors] = useState({});
+  const [savingDefaults, setSavingDefaults] = useState(false);
+  const [categoryValues, setCategoryValues] = useState({});
+  const [categoryErrors, setCategoryErrors] = useState({});
+  const [savingCategory, setSavingCategory] = useState(null);
+  const canEditDefaults = can('settings.manage');
+  const canEditCategories = can('categories.manage');
+  const categories = stockRules.categories;
+
+  // Refresh the forms when the saved rules change
+  useEffect(() => {
+    setDefaults(toFormValues(stockRules.defaults));
+  }, [stockRules.defaults]);
+
+  useEffect(() => {
+    setCategoryValues(Object.fromEntries((categories || []).map(c => [c.id, toFormValues(c.stock_rules)])));
+  }, [categories]);
+
+  const handleSaveDefaults = async (e) => {
+    e.preventDefault();
+    const errors = validateStockRules(defaults, { required: ['min_quantity', 'reorder_point'] });
+    setDefaultErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSavingDefaults(true);
+    try {
+      await saveStockRuleDefaults(defaults);
+      await reload();
+      showToast({ message: 'Default stock rules saved' });
+    } catch (err) {
+      setDefaultErrors(serverFieldErrors(err));
+      showToast({ message: `Failed to save the default stock rules: ${err.message}`, tone: 'error' });
+    } finally {
+      setSavingDefaults(false);
+    }
+  };
+
+  const setCategoryField = (id, key, value) => {
+    setCategoryValues({ ...categoryValues, [id]: { ...categoryValues[id], [key]: value } });
+    setCategoryErrors({ ...categoryErrors, [id]: {} });
+  };
+
+  const handleSaveCategory = async (category) => {
+    const values = categoryValues[category.id];
+    const errors = validateStockRules(values);
+    setCategoryErrors({ ...categoryErrors, [category.id]: errors });
+    if (Object.keys(errors).length > 0) return;
+
+    setSavingCategory(category.id);
+    try {
+      await updateCategory(category.id, { stock_rules: values });
+      await reload();
+      showToast({ message: `Stock rules for ${category.name} saved` });
+    } catch (err) {
+      setCategoryErrors({ ...categoryErrors, [category.id]: serverFieldErrors(err) });
+      showToast({ message: `Failed to save the stock rules for ${category.name}: ${err.message}`, tone: 'error' });
+    } finally {
+      setSavingCategory(null);
+    }
+  };
+
+  // The levels a category falls back to when its own are blank
+  const inheritedFor = (category) => resolveStockRules(
+    { category_id: category.parent_id },
+    { categories: category.parent_id == null ? [] : categories, defaults: stockRules.defaults });
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <h1 className="text-2xl font-light text-gray-900">Stock Rules</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            The levels that decide when a product is low, due for reordering or overstocked.{' '}
+            <Link to="/settings/alerts" className="text-blue-600 hover:text-blue-800">Choose who is told when stock runs low</Link>
+          </p>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <form onSubmit={handleSaveDefaults} noValidate className="lg:col-span-2 bg-white shadow sm:rounded-lg p-6">
+            <h2 className="text-lg font-medium text-gray-900">Defaults</h2>
+            <p className="mt-1 mb-4 text-sm text-gray-500">
+              Used for every product unless its category or the product itself sets a level.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {RULE_KEYS.map(key => (
+                <FormField
+                  key={key}
+                  label={STOCK_RULE_FIELDS[key]}
+                  error={defaultErrors[key]}
+                  hint={key === 'max_quantity' ? 'Leave blank for no overstock level' : null}
+                >
+                  <input
+                    type="number"
+                    min="0"
+                    disabled={!canEditDefaults}
+                    className={`${inputClass(defaultErrors[key])} disabled:bg-gray-100 disabled:text-gray-500`}
+                    value={defaults[key]}
+                    onChange={(e) => setDefaults({ ...defaults, [key]: e.target.value })}
+                  />
+                </FormField>
+              ))}
+            </div>
+            {canEditDefaults ? (
+              <div className="mt-4 flex justify-end">
+                <button
+                  type="submit"
+                  disabled={savingDefaults || sameRules(defaults, stockRules.defaults)}
+                  className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                >
+                  {savingDefaults ? 'Saving...' : 'Save Defaults'}
+                </button>
+              </div>
+            ) : (
+              <p className="mt-4 text-sm text-gray-500">Only managers can change the defaults.</p>
+            )}
+          </form>
+
+          <div className="bg-white shadow sm:rounded-lg p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-3">How statuses are set</h2>
+            <ul className="space-y-2">
+              {STATUS_RULES.map(([status, rule]) => (
+                <li key={status} className="flex items-center justify-between text-sm">
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STOCK_STATUSES[status].class}`}>
+                    {STOCK_STATUSES[status].label}
+                  </span>
+                  <span className="text-gray-600 text-right ml-3">{rule}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
+        <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+          <div className="px-6 py-4">
+            <h2 className="text-lg font-medium text-gray-900">Category rules</h2>
+            <p className="mt-1 text-sm text-gray-500">
+              Blank levels are inherited from the parent category or the defaults, shown greyed out.
+            </p>
+          </div>
+          {!categories ? (
+            <p className="px-6 pb-6 text-sm text-gray-500 animate-pulse">Loading categories...</p>
+          ) : categories.length === 0 ? (
+            <p className="px-6 pb-6 text-sm text-gray-500">No categories yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-300">
+                  <tr>
+                    {['Category', ...RULE_KEYS.map(key => STOCK_RULE_FIELDS[key]), ''].map(heading => (
+                      <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {flattenCategoryTree(categories).map(({ category, depth }) => {
+                    const values = categoryValues[category.id] || toFormValues(category.stock_rules);
+                    const errors = categoryErrors[category.id] || {};
+                    const inherited = inheritedFor(category);
+                    const dirty = !sameRules(values, category.stock_rules);
+                    return (
+                      <tr key={category.id}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900" style={{ paddingLeft: `${1.5 + depth * 1.5}rem` }}>
+                          <span className={depth === 0 ? 'font-medium' : ''}>{category.name}</span>
+                        </td>
+                        {RULE_KEYS.map(key => (
+                          <td key={key} className="px-6 py-4 text-sm align-top">
+                            <input
+                              type="number"
+                              min="0"
+                              disabled={!canEditCategories}
+                              placeholder={inherited[key] === null ? 'None' : String(inherited[key])}
+                              aria-label={`${category.name} ${STOCK_RULE_FIELDS[key]}`}
+                              className={`${inputClass(errors[key])} w-28 disabled:bg-gray-100 disabled:text-gray-500`}
+                              value={values[key]}
+                              onChange={(e) => setCategoryField(category.id, key, e.target.value)}
+                            />
+                            {errors[key] && <p className="mt-1 text-xs text-red-600">{errors[key]}</p>}
+                          </td>
+                        ))}
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm align-top">
+                          {canEditCategories && (
+                            <button
+                              onClick={() => handleSaveCategory(category)}
+                              disabled={!dirty || savingCategory !== null}
+                              className="text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50"
+                            >
+                              {savingCategory === category.id ? 'Saving...' : 'Save'}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default StockSettings;
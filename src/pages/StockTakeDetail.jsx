@@ -0,0 +1,403 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faArrowLeft, faBarcode, faBan, faCheck, faFileCsv, faSyncAlt } from '@fortawesome/free-solid-svg-icons';
+import { getStockTake, saveCounts, cancelStockTake, approveStockTake } from '../api/stockTakes';
+import { useAuth } from '../auth/context';
+import { useToast } from '../toast/context';
+import {
+  STOCK_TAKE_STATUSES, UNCOUNTED_HANDLING, lineVariance, lineVarianceValue, summariseStockTake
+} from '../utils/stockTakes';
+import { findByCode, normalizeCode } from '../utils/barcodes';
+import { formatKsh } from '../utils/format';
+import { toCsv } from '../utils/csv';
+import { downloadBlob } from '../utils/download';
+import useBarcodeWedge from '../hooks/useBarcodeWedge';
+import ScannerModal from '../components/ScannerModal';
+
+const FILTERS = [
+  ['all', 'All'],
+  ['uncounted', 'Not counted'],
+  ['variance', 'With variance']
+];
+
+const signed = (number) => (number > 0 ? `+${number}` : String(number));
+
+const StockTakeDetail = () => {
+  const { stockTakeId } = useParams();
+  const { can } = useAuth();
+  const { showToast } = useToast();
+  const [stockTake, setStockTake] = useState(null);
+  // Typed counts not yet saved, by product id
+  const [drafts, setDrafts] = useState({});
+  const [savingLines, setSavingLines] = useState(() => new Set());
+  const [filter, setFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [uncounted, setUncounted] = useState('skip');
+  const [scannerOpen, setScannerOpen] = useState(false);
+  const [lastScan, setLastScan] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setStockTake(await getStockTake(stockTakeId));
+        setError(null);
+      } catch (err) {
+        console.error("Error fetching stock-take:", err);
+        setError(err.status === 404 ? 'Stock-take not found.' : `Failed to load stock-take: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [stockTakeId, refreshKey]);
+
+  const isCounting = stockTake?.status === 'counting';
+  const canCount = isCounting && can('stock.move');
+
+  // Save counts and take the server's copy, which carries counts made on
+  // other devices too
+  const save = async (productIds, counts) => {
+    setSavingLines(current => new Set([...current, ...productIds]));
+    try {
+      const updated = await saveCounts(stockTake.id, counts);
+      setStockTake(updated);
+      setDrafts(current => Object.fromEntries(Object.entries(current).filter(([id]) => !productIds.includes(Number(id)))));
+      return updated;
+    } catch (err) {
+      showToast({ message: `Failed to save the count: ${err.message}`, tone: 'error' });
+      return null;
+    } finally {
+      setSavingLines(current => new Set([...current].filter(id => !productIds.includes(id))));
+    }
+  };
+
+  const commitCount = (line) => {
+    const draft = drafts[line.product_id];
+    if (draft === undefined) return;
+    const counted = draft.trim() === '' ? null : Number(draft);
+    if (counted === line.counted) {
+      setDrafts(current => Object.fromEntries(Object.entries(current).filter(([id]) => Number(id) !== line.product_id)));
+      return;
+    }
+    if (counted !== null && (!Number.isInteger(counted) || counted < 0)) {
+      showToast({ message: `Count for ${line.name} must be a whole number, 0 or more`, tone: 'error' });
+      return;
+    }
+    save([line.product_id], [{ product_id: line.product_id, counted }]);
+  };
+
+  // Each scan counts one unit of the product
+  const handleScan = async (raw) => {
+    const code = normalizeCode(raw);
+    const line = findByCode(stockTake.lines, code);
+    const report = (message, tone = 'success') => {
+      setLastScan({ code, message, tone });
+      if (!scannerOpen && tone === 'error') showToast({ message: `${code}: ${message}`, tone });
+    };
+    if (!line) return report(`Not part of ${stockTake.number}`, 'error');
+    const updated = await save([line.product_id], [{ product_id: line.product_id, add: 1 }]);
+    if (updated) {
+      report(`${line.name}: ${updated.lines.find(l => l.product_id === line.product_id).counted} counted`);
+    }
+  };
+
+  useBarcodeWedge(handleScan, { enabled: canCount });
+
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    setActionError(null);
+    setNotice(null);
+    try {
+      await action();
+      if (successMessage) setNotice(successMessage);
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleApprove = () => {
+    const summary = summariseStockTake(stockTake);
+    if (!window.confirm(`Approve ${stockTake.number} and post ${summary.withVariance} stock adjustment${summary.withVariance === 1 ? '' : 's'}?`)) return;
+    run(async () => {
+      const result = await approveStockTake(stockTake.id, uncounted);
+      setStockTake(result.stockTake);
+      setDrafts({});
+      setNotice(`Approved. Adjusted the stock of ${result.products.length} product${result.products.length === 1 ? '' : 's'}.`);
+    });
+  };
+
+  const handleCancel = () => {
+    if (!window.confirm(`Cancel ${stockTake.number}? Its counts will not be posted.`)) return;
+    run(async () => setStockTake(await cancelStockTake(stockTake.id)), 'Stock-take cancelled.');
+  };
+
+  const handleExport = () => {
+    const csv = toCsv([
+      ['Product ID', 'Barcode', 'Name', 'System Qty', 'Counted', 'Variance', 'Unit Cost', 'Variance Value', 'Counted By'],
+      ...stockTake.lines.map(line => [
+        line.product_index,
+        line.barcode,
+        line.name,
+        line.system_quantity,
+        line.counted ?? '',
+        lineVariance(line) ?? '',
+        line.unit_cost.toFixed(2),
+        lineVariance(line) === null ? '' : lineVarianceValue(line).toFixed(2),
+        line.counted_by || ''
+      ])
+    ]);
+    // Leading BOM so Excel opens the file as UTF-8
+    downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), `${stockTake.number}.csv`);
+  };
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading stock-take...</p>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+        <Link to="/stock-takes" className="mt-2 inline-block text-sm text-blue-600 hover:text-blue-800">Back to stock-takes</Link>
+      </div>
+    </div>
+  );
+
+  const summary = summariseStockTake(stockTake);
+  const term = search.trim().toLowerCase();
+  const visibleLines = stockTake.lines.filter(line => {
+    const variance = lineVariance(line);
+    if (filter === 'uncounted' && variance !== null) return false;
+    if (filter === 'variance' && !variance) return false;
+    return !term || [line.name, line.product_index, line.barcode].some(value => String(value ?? '').toLowerCase().includes(term));
+  });
+  const progress = summary.lines === 0 ? 0 : Math.round((summary.counted / summary.lines) * 100);
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <Link to="/stock-takes" className="text-sm text-blue-600 hover:text-blue-800">
+            <FontAwesomeIcon icon={faArrowLeft} className="mr-1" /> All stock-takes
+          </Link>
+          <div className="mt-2 flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-light text-gray-900">
+                {stockTake.number}
+                <span className={`ml-3 px-2 inline-flex text-xs leading-5 font-semibold rounded-full align-middle ${STOCK_TAKE_STATUSES[stockTake.status]?.class}`}>
+                  {STOCK_TAKE_STATUSES[stockTake.status]?.label || stockTake.status}
+                </span>
+              </h1>
+              <p className="mt-1 text-sm text-gray-500">
+                {stockTake.scope.name}
+                {stockTake.location && ` at ${stockTake.location.name}`}
+                {' · '}started {new Date(stockTake.created_at).toLocaleDateString()} by {stockTake.created_by}
+                {stockTake.approved_at && ` · approved ${new Date(stockTake.approved_at).toLocaleDateString()} by ${stockTake.approved_by}`}
+              </p>
+            </div>
+            <div className="flex gap-3">
+              <button onClick={handleExport} className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50">
+                <FontAwesomeIcon icon={faFileCsv} className="mr-2" /> Export CSV
+              </button>
+              {isCounting && (
+                <button onClick={() => setRefreshKey(key => key + 1)} disabled={busy} title="Pick up counts made on other devices" className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50">
+                  <FontAwesomeIcon icon={faSyncAlt} className="mr-2" /> Refresh
+                </button>
+              )}
+              {canCount && (
+                <button
+                  onClick={() => {
+                    setLastScan(null);
+                    setScannerOpen(true);
+                  }}
+                  className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  <FontAwesomeIcon icon={faBarcode} className="mr-2" /> Scan
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        {actionError && (
+          <div className="bg-red-50 border-l-4 border-red-500 p-3">
+            <p className="text-sm text-red-700">{actionError}</p>
+          </div>
+        )}
+        {notice && (
+          <div className="bg-green-50 border-l-4 border-green-500 p-3">
+            <p className="text-sm text-green-800">{notice}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="bg-white shadow sm:rounded-lg p-4">
+            <p className="text-sm text-gray-500">Counted</p>
+            <p className="mt-1 text-2xl font-light text-gray-900">{summary.counted} / {summary.lines}</p>
+            <div className="mt-2 h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div className="h-2 bg-blue-600" style={{ width: `${progress}%` }} />
+            </div>
+          </div>
+          <div className="bg-white shadow sm:rounded-lg p-4">
+            <p className="text-sm text-gray-500">Lines with variance</p>
+            <p className="mt-1 text-2xl font-light text-gray-900">{summary.withVariance}</p>
+            <p className="text-xs text-gray-500">Net {signed(summary.netUnits)} units</p>
+          </div>
+          <div className="bg-white shadow sm:rounded-lg p-4">
+            <p className="text-sm text-gray-500">Shortages at cost</p>
+            <p className="mt-1 text-2xl font-light text-red-600">{formatKsh(summary.shortValue)}</p>
+          </div>
+          <div className="bg-white shadow sm:rounded-lg p-4">
+            <p className="text-sm text-gray-500">Surpluses at cost</p>
+            <p className="mt-1 text-2xl font-light text-green-700">{formatKsh(summary.overValue)}</p>
+            <p className="text-xs text-gray-500">Net {formatKsh(summary.netValue)}</p>
+          </div>
+        </div>
+
+        <section className="bg-white shadow overflow-hidden sm:rounded-lg">
+          <div className="px-6 py-4 flex flex-wrap items-center gap-4 border-b border-gray-200">
+            <nav className="flex space-x-6">
+              {FILTERS.map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setFilter(key)}
+                  className={`py-1 px-1 border-b-2 text-sm font-medium ${
+                    filter === key
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </nav>
+            <input
+              type="search"
+              aria-label="Search lines"
+              placeholder="Search by name, Product ID or barcode"
+              className="ml-auto w-72 border border-gray-300 rounded-md px-3 py-1.5 text-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">System</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Counted</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Variance</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Value at Cost</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Counted By</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {visibleLines.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-8 text-center text-sm text-gray-500">No lines match</td>
+                  </tr>
+                ) : visibleLines.map(line => {
+                  const variance = lineVariance(line);
+                  return (
+                    <tr key={line.product_id} className={variance ? (variance < 0 ? 'bg-red-50' : 'bg-green-50') : ''}>
+                      <td className="px-6 py-3 text-gray-900">
+                        <span className="font-mono text-gray-500 mr-2">{line.product_index}</span>
+                        {line.name}
+                        {line.barcode && <span className="block text-xs font-mono text-gray-400">{line.barcode}</span>}
+                        {line.missing && <span className="block text-xs text-red-600">This product has been deleted</span>}
+                      </td>
+                      <td className="px-6 py-3 text-right text-gray-900">{line.system_quantity}</td>
+                      <td className="px-6 py-3 text-right">
+                        {canCount ? (
+                          <input
+                            type="number"
+                            min="0"
+                            aria-label={`Counted ${line.name}`}
+                            disabled={savingLines.has(line.product_id)}
+                            className="w-24 border border-gray-300 rounded px-2 py-1 text-sm text-right disabled:bg-gray-100"
+                            value={drafts[line.product_id] ?? (line.counted ?? '')}
+                            onChange={(e) => setDrafts({ ...drafts, [line.product_id]: e.target.value })}
+                            onBlur={() => commitCount(line)}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') commitCount(line);
+                            }}
+                          />
+                        ) : (line.counted ?? <span className="text-gray-400">Not counted</span>)}
+                      </td>
+                      <td className={`px-6 py-3 text-right font-medium ${variance < 0 ? 'text-red-600' : variance > 0 ? 'text-green-700' : 'text-gray-500'}`}>
+                        {variance === null ? '' : signed(variance)}
+                      </td>
+                      <td className={`px-6 py-3 text-right ${variance < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                        {variance ? formatKsh(lineVarianceValue(line)) : ''}
+                      </td>
+                      <td className="px-6 py-3 text-gray-500">
+                        {line.counted_by && `${line.counted_by}, ${new Date(line.counted_at).toLocaleString()}`}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </section>
+
+        {isCounting && can('stocktake.manage') && (
+          <section className="bg-white shadow sm:rounded-lg p-6">
+            <h2 className="text-lg font-medium text-gray-900">Approve</h2>
+            <p className="mt-1 text-sm text-gray-500">
+              Posts each variance as a count correction against the stock level at the time of approval.
+            </p>
+            {summary.uncounted > 0 && (
+              <div className="mt-4 flex items-center gap-3">
+                <label htmlFor="uncounted" className="text-sm text-gray-700">
+                  {summary.uncounted} line{summary.uncounted === 1 ? '' : 's'} not counted:
+                </label>
+                <select
+                  id="uncounted"
+                  className="pl-3 pr-10 py-2 text-sm border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 rounded-md"
+                  value={uncounted}
+                  onChange={(e) => setUncounted(e.target.value)}
+                >
+                  {Object.entries(UNCOUNTED_HANDLING).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+              </div>
+            )}
+            <div className="mt-4 flex justify-end gap-3">
+              <button onClick={handleCancel} disabled={busy} className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-red-600 bg-white hover:bg-gray-50 disabled:opacity-50">
+                <FontAwesomeIcon icon={faBan} className="mr-2" /> Cancel count
+              </button>
+              <button
+                onClick={handleApprove}
+                disabled={busy || Object.keys(drafts).length > 0 || (summary.counted === 0 && uncounted === 'skip')}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+              >
+                <FontAwesomeIcon icon={faCheck} className="mr-2" /> {busy ? 'Approving...' : 'Approve and adjust stock'}
+              </button>
+            </div>
+          </section>
+        )}
+      </main>
+
+      {scannerOpen && (
+        <ScannerModal onScan={handleScan} lastScan={lastScan} onClose={() => setScannerOpen(false)} />
+      )}
+    </div>
+  );
+};
+
+export default StockTakeDetail;
@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faClipboardCheck, faPlay } from '@fortawesome/free-solid-svg-icons';
+import { listStockTakes, createStockTake } from '../api/stockTakes';
+import { listCategories } from '../api/categories';
+import { listSuppliers } from '../api/suppliers';
+import { useAuth } from '../auth/context';
+import { useLocations } from '../locations/context';
+import { STOCK_TAKE_STATUSES, STOCK_TAKE_SCOPES, summariseStockTake } from '../utils/stockTakes';
+import { flattenCategoryTree } from '../utils/categories';
+import { formatKsh } from '../utils/format';
+
+const selectClass = 'block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md';
+
+const StockTakes = () => {
+  const { can } = useAuth();
+  const { activeLocations, defaultLocationId, locationName } = useLocations();
+  const navigate = useNavigate();
+  const [stockTakes, setStockTakes] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [scopeType, setScopeType] = useState('category');
+  const [scopeId, setScopeId] = useState('');
+  const [locationId, setLocationId] = useState('');
+  const [starting, setStarting] = useState(false);
+  const [startError, setStartError] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [stockTakeData, categoryData, supplierData] = await Promise.all([
+          listStockTakes(), listCategories(), listSuppliers()
+        ]);
+        setStockTakes(stockTakeData);
+        setCategories(categoryData);
+        setSuppliers(supplierData);
+      } catch (err) {
+        console.error("Error fetching stock-takes:", err);
+        setError(`Failed to load stock-takes: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    if (scopeType !== 'all' && !scopeId) {
+      setStartError(`Pick a ${scopeType} to count`);
+      return;
+    }
+    setStarting(true);
+    setStartError(null);
+    try {
+      const created = await createStockTake(
+        { type: scopeType, id: scopeType === 'all' ? null : Number(scopeId) },
+        undefined,
+        locationId ? Number(locationId) : undefined
+      );
+      navigate(`/stock-takes/${created.id}`);
+    } catch (err) {
+      setStartError(err.message);
+      setStarting(false);
+    }
+  };
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading stock-takes...</p>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <h1 className="text-2xl font-light text-gray-900">Stock-takes</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Count what is on the shelves and post the differences in one go
+          </p>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        {can('stocktake.manage') && (
+          <form onSubmit={handleStart} className="bg-white shadow sm:rounded-lg p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">Start a count</h2>
+            {startError && (
+              <div className="bg-red-50 border-l-4 border-red-500 p-3 mb-4">
+                <p className="text-sm text-red-700">{startError}</p>
+              </div>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+              {activeLocations.length > 1 && (
+                <div>
+                  <label htmlFor="count-location" className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+                  <select id="count-location" className={selectClass} value={locationId} onChange={(e) => setLocationId(e.target.value)}>
+                    <option value="">{locationName(defaultLocationId)} (default)</option>
+                    {activeLocations.filter(l => l.id !== defaultLocationId).map(l => (
+                      <option key={l.id} value={l.id}>{l.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div>
+                <label htmlFor="scope-type" className="block text-sm font-medium text-gray-700 mb-1">Count by</label>
+                <select
+                  id="scope-type"
+                  className={selectClass}
+                  value={scopeType}
+                  onChange={(e) => {
+                    setScopeType(e.target.value);
+                    setScopeId('');
+                  }}
+                >
+                  {Object.entries(STOCK_TAKE_SCOPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+              </div>
+              {scopeType !== 'all' && (
+                <div>
+                  <label htmlFor="scope-id" className="block text-sm font-medium text-gray-700 mb-1">
+                    {STOCK_TAKE_SCOPES[scopeType]}
+                  </label>
+                  <select id="scope-id" className={selectClass} value={scopeId} onChange={(e) => setScopeId(e.target.value)}>
+                    <option value="">Choose...</option>
+                    {scopeType === 'category'
+                      ? flattenCategoryTree(categories).map(({ category, depth }) => (
+                        <option key={category.id} value={category.id}>{'- '.repeat(depth)}{category.name}</option>
+                      ))
+                      : suppliers.map(supplier => <option key={supplier.id} value={supplier.id}>{supplier.name}</option>)}
+                  </select>
+                </div>
+              )}
+              <div>
+                <button
+                  type="submit"
+                  disabled={starting}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                >
+                  <FontAwesomeIcon icon={faPlay} className="mr-2" />
+                  {starting ? 'Starting...' : 'Start count'}
+                </button>
+              </div>
+            </div>
+            <p className="mt-3 text-xs text-gray-500">
+              Categories include their subcategories. Only products the location stocks are counted, and a product can
+              only be in one open count per location at a time.
+            </p>
+          </form>
+        )}
+
+        <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-300">
+                <tr>
+                  {['Number', 'Counting', 'Status', 'Counted', 'Net Variance', 'Started'].map(heading => (
+                    <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {stockTakes.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-8 text-center text-sm text-gray-500">
+                      <FontAwesomeIcon icon={faClipboardCheck} className="h-10 w-10 text-gray-400 mb-2" />
+                      <p>No stock-takes yet</p>
+                    </td>
+                  </tr>
+                ) : stockTakes.map(stockTake => {
+                  const summary = summariseStockTake(stockTake);
+                  return (
+                    <tr key={stockTake.id}>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <Link to={`/stock-takes/${stockTake.id}`} className="text-sm font-mono text-blue-600 hover:text-blue-800">
+                          {stockTake.number}
+                        </Link>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {stockTake.scope.name}
+                        <span className="block text-xs text-gray-500">at {stockTake.location?.name ?? locationName(defaultLocationId)}</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STOCK_TAKE_STATUSES[stockTake.status]?.class}`}>
+                          {STOCK_TAKE_STATUSES[stockTake.status]?.label || stockTake.status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{summary.counted} / {summary.lines}</td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm ${summary.netValue < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                        {formatKsh(summary.netValue)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {new Date(stockTake.created_at).toLocaleDateString()} by {stockTake.created_by}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default StockTakes;
@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faArrowLeft, faEnvelope, faPhone } from '@fortawesome/free-solid-svg-icons';
+import { getSupplier } from '../api/suppliers';
+import { listProducts } from '../api/products';
+import { productsForSupplier } from '../utils/suppliers';
+import { computeInventoryStats } from '../utils/inventoryStats';
+import { STOCK_STATUSES } from '../utils/stock';
+import { useStockRules } from '../stockRules/context';
+import { formatKsh } from '../utils/format';
+
+const SupplierDetail = () => {
+  const { supplierId } = useParams();
+  const { stockRules, statusOf } = useStockRules();
+  const [supplier, setSupplier] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+      try {
+        const [supplierData, productData] = await Promise.all([getSupplier(supplierId), listProducts()]);
+        setSupplier(supplierData);
+        setProducts(productsForSupplier(productData, supplierData));
+        setError(null);
+      } catch (err) {
+        console.error("Error fetching supplier:", err);
+        setError(err.status === 404 ? 'Supplier not found.' : `Failed to load supplier: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [supplierId]);
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading supplier...</p>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+        <Link to="/suppliers" className="mt-2 inline-block text-sm text-blue-600 hover:text-blue-800">Back to suppliers</Link>
+      </div>
+    </div>
+  );
+
+  const stats = computeInventoryStats(products, { stockRules });
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <Link to="/suppliers" className="text-sm text-blue-600 hover:text-blue-800">
+            <FontAwesomeIcon icon={faArrowLeft} className="mr-1" /> All suppliers
+          </Link>
+          <h1 className="mt-2 text-2xl font-light text-gray-900">{supplier.name}</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            {supplier.contact_person || 'No contact person'}
+            {supplier.phone && <span className="ml-4"><FontAwesomeIcon icon={faPhone} className="mr-1" />{supplier.phone}</span>}
+            {supplier.email && (
+              <a href={`mailto:${supplier.email}`} className="ml-4 text-blue-600 hover:text-blue-800">
+                <FontAwesomeIcon icon={faEnvelope} className="mr-1" />{supplier.email}
+              </a>
+            )}
+          </p>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+          {[
+            ['Lead time', supplier.lead_time_days != null ? `${supplier.lead_time_days} days` : '-'],
+            ['Payment terms', supplier.payment_terms || '-'],
+            ['Products', stats.totalProducts],
+            ['Stock value (buying)', formatKsh(stats.costValue)],
+            ['Stock value (selling)', formatKsh(stats.retailValue)]
+          ].map(([label, value]) => (
+            <div key={label} className="bg-white rounded-lg shadow p-4">
+              <p className="text-sm text-gray-500">{label}</p>
+              <p className="mt-1 text-lg font-light text-gray-900">{value}</p>
+            </div>
+          ))}
+        </div>
+
+        {supplier.notes && (
+          <div className="bg-white rounded-lg shadow p-4">
+            <h2 className="text-sm font-medium text-gray-500 mb-1">Notes</h2>
+            <p className="text-sm text-gray-700 whitespace-pre-line">{supplier.notes}</p>
+          </div>
+        )}
+
+        <section className="bg-white shadow overflow-hidden sm:rounded-lg">
+          <div className="px-6 py-4 border-b border-gray-200 flex justify-between">
+            <h2 className="text-lg font-medium text-gray-900">Products</h2>
+            <p className="text-sm text-gray-500">
+              {stats.statusCounts.out} out of stock · {stats.statusCounts.low} low
+            </p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Product ID', 'Name', 'Category', 'Stock', 'Buy Price', 'Stock Value', 'Status'].map(heading => (
+                    <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {products.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-6 text-center text-sm text-gray-500">No products from this supplier yet.</td>
+                  </tr>
+                ) : products.map(product => (
+                  <tr
+                    key={product.id}
+                    className={STOCK_STATUSES[statusOf(product)].row}
+                  >
+                    <td className="px-6 py-3 whitespace-nowrap text-sm font-mono text-gray-900">{product.product_index}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{product.name}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{product.category || '-'}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{product.quantity}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{formatKsh(product.buying_price)}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                      {formatKsh((Number(product.quantity) || 0) * (parseFloat(product.buying_price) || 0))}
+                    </td>
+                    <td className="px-6 py-3 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STOCK_STATUSES[statusOf(product)].class}`}>
+                        {STOCK_STATUSES[statusOf(product)].text}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default SupplierDetail;
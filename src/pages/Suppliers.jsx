@@ -0,0 +1,203 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faPlus, faSearch, faEdit, faTrash, faTruck } from '@fortawesome/free-solid-svg-icons';
+import { listSuppliers, createSupplier, updateSupplier, deleteSupplier } from '../api/suppliers';
+import { listProducts } from '../api/products';
+import { useAuth } from '../auth/context';
+import { productsForSupplier } from '../utils/suppliers';
+import { formatKsh } from '../utils/format';
+import SupplierFormModal from '../components/SupplierFormModal';
+
+const Suppliers = () => {
+  const { can } = useAuth();
+  const [suppliers, setSuppliers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [editing, setEditing] = useState(null);
+
+  // Fetch suppliers and the products needed for their totals
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [supplierData, productData] = await Promise.all([listSuppliers(), listProducts()]);
+        setSuppliers(supplierData);
+        setProducts(productData);
+      } catch (err) {
+        console.error("Error fetching suppliers:", err);
+        setError(`Failed to load suppliers: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  const handleSave = async (fields) => {
+    if (editing.id) {
+      const updated = await updateSupplier(editing.id, fields);
+      setSuppliers(suppliers.map(s => (s.id === updated.id ? updated : s)));
+      // A rename is applied to the products' supplier_name on the server
+      if (updated.name !== editing.name) setProducts(await listProducts());
+    } else {
+      const created = await createSupplier(fields);
+      setSuppliers([...suppliers, created].sort((a, b) => a.name.localeCompare(b.name)));
+    }
+    setEditing(null);
+  };
+
+  const handleDelete = async (supplier) => {
+    if (!window.confirm(`Delete supplier ${supplier.name}?`)) return;
+    setActionError(null);
+    try {
+      await deleteSupplier(supplier.id);
+      setSuppliers(suppliers.filter(s => s.id !== supplier.id));
+    } catch (err) {
+      setActionError(`Failed to delete supplier: ${err.message}`);
+    }
+  };
+
+  const lowerTerm = searchTerm.toLowerCase();
+  const visibleSuppliers = suppliers.filter(s =>
+    !searchTerm ||
+    s.name.toLowerCase().includes(lowerTerm) ||
+    (s.contact_person || '').toLowerCase().includes(lowerTerm) ||
+    (s.email || '').toLowerCase().includes(lowerTerm));
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading suppliers...</p>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-light text-gray-900">Suppliers</h1>
+            <p className="mt-1 text-sm text-gray-500">Who we buy from and what we hold of theirs</p>
+          </div>
+          {can('suppliers.manage') && (
+            <button
+              onClick={() => setEditing({})}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <FontAwesomeIcon icon={faPlus} className="mr-2" />
+              Add Supplier
+            </button>
+          )}
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        <div className="bg-white rounded-lg shadow p-4 mb-6">
+          <div className="relative rounded-md shadow-sm">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <FontAwesomeIcon icon={faSearch} className="h-4 w-4 text-gray-400" />
+            </div>
+            <input
+              type="text"
+              placeholder="Search suppliers by name, contact or email"
+              className="focus:ring-blue-500 focus:border-blue-500 block w-full pl-10 pr-12 py-2 border-gray-300 rounded-md"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+          </div>
+        </div>
+
+        {actionError && (
+          <div className="bg-red-50 border-l-4 border-red-500 p-3 mb-4">
+            <p className="text-sm text-red-700">{actionError}</p>
+          </div>
+        )}
+
+        <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-300">
+                <tr>
+                  {['Supplier', 'Contact', 'Lead Time', 'Payment Terms', 'Products', 'Stock Value (Ksh)'].map(heading => (
+                    <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visibleSuppliers.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-8 text-center text-sm text-gray-500">
+                      <FontAwesomeIcon icon={faTruck} className="h-10 w-10 text-gray-400 mb-2" />
+                      <p>No suppliers found</p>
+                    </td>
+                  </tr>
+                ) : visibleSuppliers.map(supplier => {
+                  const supplied = productsForSupplier(products, supplier);
+                  const value = supplied.reduce((sum, p) => sum + (Number(p.quantity) || 0) * (parseFloat(p.buying_price) || 0), 0);
+                  return (
+                    <tr key={supplier.id}>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <Link to={`/suppliers/${supplier.id}`} className="text-sm font-medium text-blue-600 hover:text-blue-800">
+                          {supplier.name}
+                        </Link>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        <div className="text-gray-900">{supplier.contact_person || '-'}</div>
+                        <div>{[supplier.phone, supplier.email].filter(Boolean).join(' · ')}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {supplier.lead_time_days != null ? `${supplier.lead_time_days} days` : '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{supplier.payment_terms || '-'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{supplied.length}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatKsh(value)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        {can('suppliers.manage') && (
+                          <div className="flex space-x-2 justify-end">
+                            <button onClick={() => setEditing(supplier)} className="text-yellow-600 hover:text-yellow-900" title="Edit">
+                              <FontAwesomeIcon icon={faEdit} />
+                            </button>
+                            <button onClick={() => handleDelete(supplier)} className="text-red-600 hover:text-red-900" title="Delete">
+                              <FontAwesomeIcon icon={faTrash} />
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </main>
+
+      {editing && (
+        <SupplierFormModal
+          supplier={editing.id ? editing : null}
+          suppliers={suppliers}
+          onClose={() => setEditing(null)}
+          onSave={handleSave}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Suppliers;
@@ -0,0 +1,348 @@
+import { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTruck, faTrash, faCheck, faBan } from '@fortawesome/free-solid-svg-icons';
+import { listProducts } from '../api/products';
+import { listTransfers, dispatchTransfer, receiveTransfer, cancelTransfer } from '../api/transfers';
+import { useAuth } from '../auth/context';
+import { useToast } from '../toast/context';
+import { useLocations } from '../locations/context';
+import { TRANSFER_STATUSES, stockAt } from '../utils/locations';
+
+const selectClass = 'block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md';
+
+const FILTERS = [['in_transit', 'In transit'], ['', 'All']];
+
+// Move stock between locations. Dispatching takes it out of the source
+// straight away; it is in transit until the destination receives it.
+const Transfers = () => {
+  const { can } = useAuth();
+  const { showToast } = useToast();
+  const { activeLocations, defaultLocationId } = useLocations();
+  const [transfers, setTransfers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [status, setStatus] = useState('in_transit');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  // New transfer: lines are [{ product, quantity }] with raw input strings
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [lines, setLines] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [transferData, productData] = await Promise.all([
+          listTransfers(status ? { status } : undefined), listProducts()
+        ]);
+        setTransfers(transferData);
+        setProducts(productData.filter(p => !p.archived_at));
+        setError(null);
+      } catch (err) {
+        console.error("Error fetching transfers:", err);
+        setError(`Failed to load transfers: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [status, refreshKey]);
+
+  const from = fromId || defaultLocationId;
+  const available = (product) => stockAt(product, from, defaultLocationId);
+  const addable = products.filter(p => available(p) > 0 && !lines.some(line => line.product.id === p.id));
+
+  const changeFrom = (value) => {
+    setFromId(value);
+    setLines([]);
+  };
+
+  const addLine = (productId) => {
+    const product = products.find(p => String(p.id) === productId);
+    if (product) setLines([...lines, { product, quantity: '1' }]);
+  };
+
+  const updateLine = (productId, quantity) =>
+    setLines(lines.map(line => (line.product.id === productId ? { ...line, quantity } : line)));
+
+  const lineError = (line) => {
+    const units = Number(line.quantity);
+    if (!Number.isInteger(units) || units <= 0) return 'Enter a whole number';
+    if (units > available(line.product)) return `Only ${available(line.product)} here`;
+    return null;
+  };
+
+  const handleDispatch = async (e) => {
+    e.preventDefault();
+    if (!toId || String(toId) === String(from)) {
+      setFormError('Pick a different location to send to');
+      return;
+    }
+    if (lines.length === 0 || lines.some(lineError)) {
+      setFormError('Check the quantities to send');
+      return;
+    }
+    setBusy(true);
+    setFormError(null);
+    try {
+      const { transfer } = await dispatchTransfer({
+        from_location_id: Number(from),
+        to_location_id: Number(toId),
+        lines: lines.map(line => ({ product_id: line.product.id, quantity: Number(line.quantity) })),
+        notes
+      });
+      showToast({ message: `${transfer.number} dispatched to ${transfer.to.name}` });
+      setLines([]);
+      setNotes('');
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAction = async (transfer, send, message) => {
+    setBusy(true);
+    try {
+      await send(transfer.id);
+      showToast({ message });
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      showToast({ message: err.message, tone: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) return (
+    <div className="flex justify-center items-center h-screen">
+      <p className="text-gray-600 animate-pulse">Loading transfers...</p>
+    </div>
+  );
+
+  if (error) return (
+    <div className="flex justify-center items-center h-screen">
+      <div className="bg-red-50 border-l-4 border-red-500 p-4 max-w-md">
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-blue shadow-sm">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <h1 className="text-2xl font-light text-gray-900">Transfers</h1>
+          <p className="mt-1 text-sm text-gray-500">Send stock between shops and the store room</p>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        {can('stock.move') && activeLocations.length > 1 && (
+          <form onSubmit={handleDispatch} className="bg-white shadow sm:rounded-lg p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">New transfer</h2>
+            {formError && (
+              <div className="bg-red-50 border-l-4 border-red-500 p-3 mb-4">
+                <p className="text-sm text-red-700">{formError}</p>
+              </div>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              <div>
+                <label htmlFor="transfer-from" className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                <select id="transfer-from" className={selectClass} value={from ?? ''} onChange={(e) => changeFrom(e.target.value)}>
+                  {activeLocations.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="transfer-to" className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                <select id="transfer-to" className={selectClass} value={toId} onChange={(e) => setToId(e.target.value)}>
+                  <option value="">Choose...</option>
+                  {activeLocations.filter(l => String(l.id) !== String(from)).map(l => (
+                    <option key={l.id} value={l.id}>{l.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="transfer-add" className="block text-sm font-medium text-gray-700 mb-1">Add a product</label>
+                <select id="transfer-add" className={selectClass} value="" onChange={(e) => addLine(e.target.value)}>
+                  <option value="">{addable.length > 0 ? 'Choose a product...' : 'Nothing else in stock here'}</option>
+                  {addable.map(product => (
+                    <option key={product.id} value={product.id}>
+                      {product.product_index} {product.name} ({available(product)} here)
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {lines.length > 0 && (
+              <table className="min-w-full divide-y divide-gray-200 mb-4">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Available</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Send</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {lines.map(line => {
+                    const problem = lineError(line);
+                    return (
+                      <tr key={line.product.id}>
+                        <td className="px-3 py-2 text-sm text-gray-900">
+                          <span className="font-mono text-gray-500">{line.product.product_index}</span> {line.product.name}
+                          {problem && <span className="block text-xs text-red-600">{problem}</span>}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-right text-gray-500">{available(line.product)}</td>
+                        <td className="px-3 py-2 text-right">
+                          <input
+                            type="number"
+                            min="1"
+                            aria-label={`Quantity of ${line.product.name}`}
+                            className={`w-20 border rounded px-2 py-1 text-sm text-right ${problem ? 'border-red-500' : 'border-gray-300'}`}
+                            value={line.quantity}
+                            onChange={(e) => updateLine(line.product.id, e.target.value)}
+                          />
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          <button
+                            type="button"
+                            onClick={() => setLines(lines.filter(l => l !== line))}
+                            className="text-red-600 hover:text-red-800"
+                            aria-label={`Remove ${line.product.name}`}
+                          >
+                            <FontAwesomeIcon icon={faTrash} />
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+
+            <div className="flex flex-col md:flex-row md:items-end gap-4">
+              <div className="flex-1">
+                <label htmlFor="transfer-notes" className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <input
+                  id="transfer-notes"
+                  type="text"
+                  placeholder="Driver, vehicle or delivery note"
+                  className="w-full border border-gray-300 rounded-md px-3 py-2"
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={busy || lines.length === 0}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                <FontAwesomeIcon icon={faTruck} className="mr-2" />
+                {busy ? 'Dispatching...' : 'Dispatch'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+          <nav className="px-6 flex space-x-6 border-b border-gray-200">
+            {FILTERS.map(([key, label]) => (
+              <button
+                key={key || 'all'}
+                onClick={() => setStatus(key)}
+                className={`-mb-px py-3 px-1 border-b-2 text-sm font-medium ${
+                  status === key
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </nav>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-300">
+                <tr>
+                  {['Number', 'From', 'To', 'Items', 'Status', 'Dispatched', ''].map(heading => (
+                    <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {transfers.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-8 text-center text-sm text-gray-500">
+                      <FontAwesomeIcon icon={faTruck} className="h-10 w-10 text-gray-400 mb-2" />
+                      <p>{status ? 'Nothing in transit' : 'No transfers yet'}</p>
+                    </td>
+                  </tr>
+                ) : transfers.map(transfer => (
+                  <tr key={transfer.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{transfer.number}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{transfer.from.name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{transfer.to.name}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {transfer.lines.map(line => `${line.quantity} x ${line.name}`).join(', ')}
+                      {transfer.notes && <span className="block text-xs">{transfer.notes}</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${TRANSFER_STATUSES[transfer.status]?.class}`}>
+                        {TRANSFER_STATUSES[transfer.status]?.label || transfer.status}
+                      </span>
+                      {transfer.received_at && (
+                        <span className="block text-xs text-gray-500">
+                          {new Date(transfer.received_at).toLocaleDateString()} by {transfer.received_by}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(transfer.dispatched_at).toLocaleDateString()} by {transfer.dispatched_by}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      {transfer.status === 'in_transit' && can('stock.move') && (
+                        <span className="flex justify-end gap-4">
+                          <button
+                            disabled={busy}
+                            onClick={() => handleAction(transfer, receiveTransfer, `${transfer.number} received at ${transfer.to.name}`)}
+                            className="text-green-700 hover:text-green-900 disabled:opacity-50"
+                          >
+                            <FontAwesomeIcon icon={faCheck} className="mr-1" />
+                            Receive
+                          </button>
+                          <button
+                            disabled={busy}
+                            onClick={() => {
+                              if (window.confirm(`Cancel ${transfer.number}? The stock goes back to ${transfer.from.name}.`)) {
+                                handleAction(transfer, cancelTransfer, `${transfer.number} cancelled`);
+                              }
+                            }}
+                            className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                          >
+                            <FontAwesomeIcon icon={faBan} className="mr-1" />
+                            Cancel
+                          </button>
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Transfers;
@@ -0,0 +1,43 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { StockRulesContext } from './context';
+import { getStockRuleDefaults } from '../api/settings';
+import { listCategories } from '../api/categories';
+import { useAuth } from '../auth/context';
+import { DEFAULT_STOCK_RULES, getStockStatus, resolveStockRules } from '../utils/stock';
+
+// Loads the saved stock rule defaults and category rules once signed in, so
+// every badge, filter and report resolves stock status the same way.
+// `stockRules` is the { categories, defaults } context the stock helpers take.
+const StockRulesProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [defaults, setDefaults] = useState(DEFAULT_STOCK_RULES);
+  const [categories, setCategories] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const [defaultData, categoryData] = await Promise.all([getStockRuleDefaults(), listCategories()]);
+      setDefaults({ ...DEFAULT_STOCK_RULES, ...defaultData });
+      setCategories(categoryData);
+    } catch (err) {
+      console.error("Error loading stock rules:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) reload();
+  }, [user, reload]);
+
+  const value = useMemo(() => {
+    const stockRules = { categories, defaults };
+    return {
+      stockRules,
+      statusOf: (product) => getStockStatus(product, stockRules),
+      rulesFor: (product) => resolveStockRules(product, stockRules),
+      reload
+    };
+  }, [categories, defaults, reload]);
+
+  return <StockRulesContext.Provider value={value}>{children}</StockRulesContext.Provider>;
+};
+
+export default StockRulesProvider;
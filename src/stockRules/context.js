@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+
+export const StockRulesContext = createContext(null);
+
+// { stockRules, statusOf, rulesFor, reload }
+export const useStockRules = () => {
+  const context = useContext(StockRulesContext);
+  if (!context) throw new Error('useStockRules must be used inside <StockRulesProvider>');
+  return context;
+};
@@ -0,0 +1,70 @@
+import { useState, useCallback, useMemo, useRef, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes } from '@fortawesome/free-solid-svg-icons';
+import { ToastContext } from './context';
+
+const DEFAULT_DURATION_MS = 6000;
+
+const TONES = {
+  info: 'bg-gray-800 text-white',
+  error: 'bg-red-700 text-white'
+};
+
+// Short-lived messages in the corner of the screen, optionally with one
+// action button ("Undo", "Retry"). `showToast` returns an id for
+// `dismissToast`; a `duration` of 0 keeps the toast until it is dismissed,
+// which is the default for errors.
+const ToastProvider = ({ children }) => {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(1);
+  const timers = useRef(new Map());
+
+  const dismissToast = useCallback((id) => {
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    setToasts(current => current.filter(t => t.id !== id));
+  }, []);
+
+  const showToast = useCallback(({ message, tone = 'info', action = null, duration = tone === 'error' ? 0 : DEFAULT_DURATION_MS }) => {
+    const id = nextId.current++;
+    setToasts(current => [...current, { id, message, tone, action }]);
+    if (duration > 0) timers.current.set(id, setTimeout(() => dismissToast(id), duration));
+    return id;
+  }, [dismissToast]);
+
+  useEffect(() => {
+    const pending = timers.current;
+    return () => pending.forEach(clearTimeout);
+  }, []);
+
+  const value = useMemo(() => ({ showToast, dismissToast }), [showToast, dismissToast]);
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-full max-w-sm" aria-live="polite">
+        {toasts.map(toast => (
+          <div key={toast.id} className={`${TONES[toast.tone] || TONES.info} rounded-md shadow-lg px-4 py-3 flex items-center gap-3`}>
+            <p className="flex-1 text-sm">{toast.message}</p>
+            {toast.action && (
+              <button
+                onClick={() => {
+                  dismissToast(toast.id);
+                  toast.action.onClick();
+                }}
+                className="text-sm font-medium text-blue-300 hover:text-blue-100"
+              >
+                {toast.action.label}
+              </button>
+            )}
+            <button onClick={() => dismissToast(toast.id)} className="text-gray-300 hover:text-white" title="Dismiss">
+              <FontAwesomeIcon icon={faTimes} />
+            </button>
+          </div>
+        ))}
+      </div>
+    </ToastContext.Provider>
+  );
+};
+
+export default ToastProvider;
@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+
+export const ToastContext = createContext(null);
+
+// { showToast, dismissToast }
+export const useToast = () => {
+  const context = useContext(ToastContext);
+  if (!context) throw new Error('useToast must be used inside <ToastProvider>');
+  return context;
+};
@@ -0,0 +1,25 @@
+// Barcode helpers.
+
+// Scanners and keyboards add stray whitespace; codes compare without it
+export const normalizeCode = (code) => String(code ?? '').trim();
+
+// The code printed on a product's label: its barcode, or its Product ID
+// when it has none
+export const productCode = (product) => normalizeCode(product.barcode) || normalizeCode(product.product_index);
+
+// Whether a scanned code identifies a product, by barcode or Product ID
+export const matchesCode = (product, code) => {
+  const wanted = normalizeCode(code).toLowerCase();
+  if (!wanted) return false;
+  return normalizeCode(product.barcode).toLowerCase() === wanted ||
+    normalizeCode(product.product_index).toLowerCase() === wanted;
+};
+
+// Find the product a scanned code belongs to. A barcode match wins over a
+// Product ID match, and active products over archived ones.
+export const findByCode = (products, code) => {
+  const wanted = normalizeCode(code).toLowerCase();
+  const candidates = (products || []).filter(p => matchesCode(p, code));
+  const rank = (p) => (normalizeCode(p.barcode).toLowerCase() === wanted ? 0 : 2) + (p.archived_at ? 1 : 0);
+  return candidates.sort((a, b) => rank(a) - rank(b))[0] || null;
+};
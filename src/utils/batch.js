@@ -0,0 +1,19 @@
+// Run `worker` over `items` a batch at a time so large jobs don't flood the
+// API. Failures don't stop the run; every item ends up in `succeeded` (with
+// the worker's result) or `failed` (with its error).
+export const runInBatches = async (items, worker, { batchSize = 10, onProgress } = {}) => {
+  const succeeded = [];
+  const failed = [];
+
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize);
+    const results = await Promise.allSettled(batch.map(worker));
+    results.forEach((result, j) => {
+      if (result.status === 'fulfilled') succeeded.push({ item: batch[j], value: result.value });
+      else failed.push({ item: batch[j], error: result.reason });
+    });
+    onProgress?.({ done: Math.min(i + batchSize, items.length), total: items.length });
+  }
+
+  return { succeeded, failed };
+};
@@ -0,0 +1,179 @@
+// Bulk actions on selected products. Each action knows which permission it
+// needs, which list it applies to (active or archived products), how to
+// validate its options, how to preview the change per product and which
+// fields to send to the API. Actions without `fields` call `request` instead
+// (archive, restore or purge). `fields` returns null for a product the
+// action can't apply to; those are skipped.
+import { parseAlertConfig, resolveStockRules } from './stock';
+import { formatKsh, formatPercent } from './format';
+import { priceForMargin, productPricing } from './pricing';
+import { categoryOf, categoryPath } from './categories';
+
+const toPrice = (value) => parseFloat(value) || 0;
+
+// Apply a percentage change, rounded to the cent
+export const adjustPrice = (price, percent) =>
+  Math.round(toPrice(price) * (1 + percent / 100) * 100) / 100;
+
+const PRICE_TARGETS = {
+  selling: ['selling_price'],
+  buying: ['buying_price'],
+  both: ['buying_price', 'selling_price']
+};
+
+const priceFields = (product, { percent, target }) =>
+  Object.fromEntries(PRICE_TARGETS[target].map(key => [key, adjustPrice(product[key], Number(percent))]));
+
+// Fields that put `product` back the way it was before `fields` were saved.
+// Products still on a free-text category are restored by name.
+export const revertFields = (product, fields) => {
+  const previous = Object.fromEntries(Object.keys(fields).map(key => [key, product[key] ?? null]));
+  if ('category_id' in previous && previous.category_id === null) {
+    delete previous.category_id;
+    previous.category = product.category ?? '';
+  }
+  return previous;
+};
+
+export const BULK_ACTIONS = {
+  category: {
+    label: 'Change category',
+    permission: 'products.edit',
+    scope: 'active',
+    verb: 'updated',
+    defaults: { category_id: '' },
+    validate: ({ category_id }) => (category_id ? null : 'Pick a category'),
+    fields: (product, { category_id }) => ({ category_id: Number(category_id) }),
+    preview: (product, { category_id }, { categories }) => {
+      const current = categoryOf(product, categories);
+      return {
+        from: current ? categoryPath(categories, current.id) : product.category || '-',
+        to: category_id ? categoryPath(categories, category_id) : '-'
+      };
+    }
+  },
+  supplier: {
+    label: 'Change supplier',
+    permission: 'products.edit',
+    scope: 'active',
+    verb: 'updated',
+    defaults: { supplier_id: '' },
+    validate: ({ supplier_id }) => (supplier_id ? null : 'Pick a supplier'),
+    fields: (product, { supplier_id }, { suppliers }) => {
+      const supplier = suppliers.find(s => String(s.id) === String(supplier_id));
+      return { supplier_id: supplier.id, supplier_name: supplier.name };
+    },
+    preview: (product, { supplier_id }, { suppliers }) => ({
+      from: product.supplier_name || '-',
+      to: suppliers.find(s => String(s.id) === String(supplier_id))?.name || '-'
+    })
+  },
+  threshold: {
+    label: 'Set low-stock threshold',
+    permission: 'products.edit',
+    scope: 'active',
+    verb: 'updated',
+    defaults: { min_quantity: '5' },
+    validate: ({ min_quantity }) => {
+      const n = Number(min_quantity);
+      return String(min_quantity).trim() !== '' && Number.isInteger(n) && n >= 0
+        ? null
+        : 'Enter a whole number of units, 0 or more';
+    },
+    fields: (product, { min_quantity }) => ({
+      alert_config: { ...(parseAlertConfig(product) || {}), min_quantity: Number(min_quantity) }
+    }),
+    preview: (product, { min_quantity }, { stockRules }) => ({
+      from: String(resolveStockRules(product, stockRules).min_quantity),
+      to: String(min_quantity)
+    })
+  },
+  prices: {
+    label: 'Adjust prices',
+    permission: 'products.edit',
+    scope: 'active',
+    verb: 'updated',
+    defaults: { percent: '', target: 'selling' },
+    validate: ({ percent }) => {
+      const n = Number(percent);
+      if (String(percent).trim() === '' || Number.isNaN(n)) return 'Enter a percentage, e.g. 10 or -5';
+      return n <= -100 ? 'Prices cannot drop by 100% or more' : null;
+    },
+    fields: (product, options) => priceFields(product, options),
+    preview: (product, options) => {
+      const next = { ...product, ...priceFields(product, options) };
+      return {
+        from: `${formatKsh(product.buying_price)} / ${formatKsh(product.selling_price)}`,
+        to: `${formatKsh(next.buying_price)} / ${formatKsh(next.selling_price)}`,
+        warning: toPrice(next.selling_price) < toPrice(next.buying_price) ? 'Sells below cost' : null
+      };
+    }
+  },
+  margin: {
+    label: 'Price to target margin',
+    permission: 'products.edit',
+    scope: 'active',
+    verb: 'repriced',
+    defaults: { margin: '30' },
+    validate: ({ margin }) => {
+      const n = Number(margin);
+      if (String(margin).trim() === '' || Number.isNaN(n)) return 'Enter a target margin, e.g. 30';
+      return n < 0 || n >= 100 ? 'The margin must be at least 0% and below 100%' : null;
+    },
+    // Without a buying price there is nothing to price from
+    fields: (product, { margin }) => (productPricing(product).cost > 0
+      ? { selling_price: priceForMargin(product.buying_price, Number(margin)) }
+      : null),
+    preview: (product, { margin }) => {
+      const current = productPricing(product);
+      return {
+        from: `${formatKsh(product.selling_price)} (${formatPercent(current.marginPercent)})`,
+        to: current.cost > 0
+          ? `${formatKsh(priceForMargin(product.buying_price, Number(margin)))} (${formatPercent(Number(margin))})`
+          : 'Not changed',
+        warning: current.cost > 0 ? null : 'No buying price; skipped'
+      };
+    }
+  },
+  delete: {
+    label: 'Delete',
+    permission: 'products.delete',
+    scope: 'active',
+    verb: 'archived',
+    request: 'archive',
+    defaults: {},
+    validate: () => null,
+    fields: null,
+    preview: (product) => ({
+      from: `${product.total_quantity ?? product.quantity} in stock`,
+      to: 'Archived',
+      warning: Number(product.total_quantity ?? product.quantity) > 0 ? 'Still has stock' : null
+    })
+  },
+  restore: {
+    label: 'Restore',
+    permission: 'products.delete',
+    scope: 'archived',
+    verb: 'restored',
+    request: 'restore',
+    defaults: {},
+    validate: () => null,
+    fields: null,
+    preview: () => ({ from: 'Archived', to: 'Active' })
+  },
+  purge: {
+    label: 'Purge',
+    permission: 'products.purge',
+    scope: 'archived',
+    verb: 'purged',
+    request: 'purge',
+    defaults: {},
+    validate: () => null,
+    fields: null,
+    preview: (product) => ({
+      from: product.archived_by ? `Archived by ${product.archived_by}` : 'Archived',
+      to: 'Permanently deleted',
+      warning: Number(product.quantity) > 0 ? 'Still has stock' : null
+    })
+  }
+};
@@ -0,0 +1,100 @@
+// Category tree helpers.
+
+const sameId = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+
+const normalizeName = (name) => String(name ?? '').trim().toLowerCase();
+
+// Ids of a category and everything below it
+export const descendantIds = (categories, categoryId) => {
+  const ids = new Set([String(categoryId)]);
+  let added = true;
+  while (added) {
+    added = false;
+    (categories || []).forEach(c => {
+      if (c.parent_id != null && ids.has(String(c.parent_id)) && !ids.has(String(c.id))) {
+        ids.add(String(c.id));
+        added = true;
+      }
+    });
+  }
+  return ids;
+};
+
+// Root-first chain of ancestors ending with the category itself
+export const categoryAncestors = (categories, categoryId) => {
+  const chain = [];
+  const seen = new Set();
+  let current = (categories || []).find(c => sameId(c.id, categoryId));
+  while (current && !seen.has(String(current.id))) {
+    seen.add(String(current.id));
+    chain.unshift(current);
+    const parentId = current.parent_id;
+    current = (categories || []).find(c => sameId(c.id, parentId));
+  }
+  return chain;
+};
+
+// "Building > Paint > Emulsion"
+export const categoryPath = (categories, categoryId) =>
+  categoryAncestors(categories, categoryId).map(c => c.name).join(' > ');
+
+// Nested { ...category, children } nodes sorted by name
+export const buildCategoryTree = (categories) => {
+  const byParent = new Map();
+  (categories || []).forEach(c => {
+    const key = c.parent_id == null ? '' : String(c.parent_id);
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(c);
+  });
+  const build = (parentKey, seen) => (byParent.get(parentKey) || [])
+    .filter(c => !seen.has(String(c.id)))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(c => ({ ...c, children: build(String(c.id), new Set([...seen, String(c.id)])) }));
+  return build('', new Set());
+};
+
+// Depth-first list of { category, depth } for indented pickers
+export const flattenCategoryTree = (categories) => {
+  const rows = [];
+  const walk = (nodes, depth) => nodes.forEach(({ children, ...category }) => {
+    rows.push({ category, depth });
+    walk(children, depth + 1);
+  });
+  walk(buildCategoryTree(categories), 0);
+  return rows;
+};
+
+// Find a category by name, ignoring case and surrounding whitespace
+export const findCategoryByName = (categories, name) => {
+  const wanted = normalizeName(name);
+  if (!wanted) return null;
+  return (categories || []).find(c => normalizeName(c.name) === wanted) || null;
+};
+
+// The category record a product belongs to. Older products only carry the
+// free-text category, so fall back to matching it by name.
+export const categoryOf = (product, categories) => {
+  if (product?.category_id != null) {
+    const byId = (categories || []).find(c => sameId(c.id, product.category_id));
+    if (byId) return byId;
+  }
+  return findCategoryByName(categories, product?.category);
+};
+
+// Whether a product sits in a category or any of its subcategories
+export const isInCategory = (product, categories, categoryId) => {
+  const category = categoryOf(product, categories);
+  return Boolean(category) && descendantIds(categories, categoryId).has(String(category.id));
+};
+
+// Distinct free-text categories on products that don't match any record
+export const unmappedCategories = (products, categories) => {
+  const counts = new Map();
+  (products || []).forEach(p => {
+    if (!p.category || categoryOf(p, categories)) return;
+    counts.set(p.category, (counts.get(p.category) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
@@ -0,0 +1,15 @@
+// Trigger a browser download for a Blob
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// "stock-report-2025-05-01" style file names
+export const datedFileName = (prefix, extension) =>
+  `${prefix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
@@ -0,0 +1,9 @@
+// Format an amount as Kenyan shillings, e.g. "Ksh 12,500"
+export const formatKsh = (amount, { decimals = 0 } = {}) =>
+  `Ksh ${(Number(amount) || 0).toLocaleString(undefined, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  })}`;
+
+export const formatPercent = (value, decimals = 1) =>
+  Number.isFinite(value) ? `${value.toFixed(decimals)}%` : '-';
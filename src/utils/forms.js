@@ -0,0 +1,16 @@
+// Tailwind classes for text inputs, red when the field has an error
+export const inputClass = (hasError) =>
+  `w-full border rounded-md px-3 py-2 focus:outline-none focus:ring-1 ${
+    hasError
+      ? 'border-red-400 focus:ring-red-500 focus:border-red-500'
+      : 'border-gray-300 focus:ring-blue-500 focus:border-blue-500'
+  }`;
+
+// Map the `errors` object of a failed API response onto form field names
+export const serverFieldErrors = (err, aliases = {}) => {
+  const fieldErrors = {};
+  Object.entries(err.data?.errors || {}).forEach(([key, message]) => {
+    fieldErrors[aliases[key] || key] = message;
+  });
+  return fieldErrors;
+};
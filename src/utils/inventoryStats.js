@@ -0,0 +1,64 @@
+import { getStockStatus, STOCK_STATUSES } from './stock';
+import { categoryAncestors, categoryOf } from './categories';
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+// Group products by a field (or a function of the product) and total their
+// stock value, largest first
+const groupByValue = (products, key) => {
+  const groups = new Map();
+  products.forEach(product => {
+    const name = (typeof key === 'function' ? key(product) : product[key]) || 'Unassigned';
+    const group = groups.get(name) || { name, products: 0, units: 0, costValue: 0, retailValue: 0 };
+    const quantity = Number(product.quantity) || 0;
+    group.products += 1;
+    group.units += quantity;
+    group.costValue += quantity * toNumber(product.buying_price);
+    group.retailValue += quantity * toNumber(product.selling_price);
+    groups.set(name, group);
+  });
+  return [...groups.values()].sort((a, b) => b.costValue - a.costValue);
+};
+
+// Top-level category name, so subcategories roll up into their parent
+const topLevelCategory = (categories) => (product) => {
+  const category = categoryOf(product, categories);
+  return category ? categoryAncestors(categories, category.id)[0].name : product.category;
+};
+
+// Aggregate the product list into the KPIs shown on the dashboard. With
+// `categories` records, category totals are rolled up to the top level.
+// Statuses are resolved with the `stockRules` context (see getStockStatus).
+export const computeInventoryStats = (products, { topLimit = 5, categories = null, stockRules } = {}) => {
+  const list = Array.isArray(products) ? products : [];
+  const statusCounts = Object.fromEntries(Object.keys(STOCK_STATUSES).map(key => [key, 0]));
+  let totalUnits = 0;
+  let costValue = 0;
+  let retailValue = 0;
+
+  list.forEach(product => {
+    const quantity = Number(product.quantity) || 0;
+    totalUnits += quantity;
+    costValue += quantity * toNumber(product.buying_price);
+    retailValue += quantity * toNumber(product.selling_price);
+    statusCounts[getStockStatus(product, stockRules)] += 1;
+  });
+
+  const potentialMargin = retailValue - costValue;
+  const categoryGroups = groupByValue(list, categories ? topLevelCategory(categories) : 'category');
+  const suppliers = groupByValue(list, 'supplier_name');
+
+  return {
+    totalProducts: list.length,
+    totalUnits,
+    costValue,
+    retailValue,
+    potentialMargin,
+    marginPercent: retailValue > 0 ? (potentialMargin / retailValue) * 100 : 0,
+    statusCounts,
+    categories: categoryGroups,
+    suppliers,
+    topCategories: categoryGroups.slice(0, topLimit),
+    topSuppliers: suppliers.slice(0, topLimit)
+  };
+};
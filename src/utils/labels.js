@@ -0,0 +1,107 @@
+import { datedFileName } from './download';
+import { formatKsh } from './format';
+import { productCode } from './barcodes';
+
+// A4 sheet of 24 labels (3 x 8, 63.5 x 33.9 mm), e.g. Avery L7159
+export const LABEL_SHEET = {
+  columns: 3,
+  rows: 8,
+  width: 63.5,
+  height: 33.9,
+  left: 7.2,
+  top: 12.9,
+  gapX: 2.5,
+  gapY: 0
+};
+export const LABELS_PER_SHEET = LABEL_SHEET.columns * LABEL_SHEET.rows;
+
+// Stock-sized runs are capped so a typo can't produce thousands of pages
+export const MAX_LABELS = 1000;
+
+// One entry per label to print. `copies` is 'one' per product or 'stock'
+// for one per unit in stock. Products without a code are returned separately.
+export const planLabels = (products, { copies = 'one' } = {}) => {
+  const labels = [];
+  const skipped = [];
+  products.forEach(product => {
+    if (!productCode(product)) {
+      skipped.push(product);
+      return;
+    }
+    const count = copies === 'stock' ? Math.max(Number(product.quantity) || 0, 0) : 1;
+    for (let i = 0; i < count && labels.length < MAX_LABELS; i += 1) labels.push(product);
+  });
+  return { labels, skipped, capped: labels.length >= MAX_LABELS };
+};
+
+// Code128 barcode or QR code for a product, as a PNG data URL
+const codeImage = async (code, format, libraries) => {
+  if (format === 'qr') return libraries.QRCode.toDataURL(code, { margin: 0, width: 240 });
+  const canvas = document.createElement('canvas');
+  try {
+    libraries.JsBarcode(canvas, code, { format: 'CODE128', displayValue: false, margin: 0, height: 80, width: 2 });
+  } catch {
+    throw new Error(`"${code}" cannot be printed as a barcode; try QR codes instead`);
+  }
+  return canvas.toDataURL('image/png');
+};
+
+const fitText = (doc, text, maxWidth) => {
+  if (doc.getTextWidth(text) <= maxWidth) return text;
+  let cut = text;
+  while (cut.length > 1 && doc.getTextWidth(`${cut}...`) > maxWidth) cut = cut.slice(0, -1);
+  return `${cut}...`;
+};
+
+// Printable label sheets as a PDF. `format` is 'barcode' or 'qr'; `startAt`
+// (1-based) skips labels already used on the first sheet.
+export const exportLabelSheetPdf = async (products, { format = 'barcode', copies = 'one', showPrice = true, startAt = 1 } = {}) => {
+  const [{ jsPDF }, { default: JsBarcode }, { default: QRCode }] = await Promise.all([
+    import('jspdf'), import('jsbarcode'), import('qrcode')
+  ]);
+  const { labels } = planLabels(products, { copies });
+  const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const images = new Map();
+  const { columns, width, height, left, top, gapX, gapY } = LABEL_SHEET;
+  const offset = Math.min(Math.max(parseInt(startAt, 10) || 1, 1), LABELS_PER_SHEET) - 1;
+
+  for (let i = 0; i < labels.length; i += 1) {
+    const product = labels[i];
+    const slot = (i + offset) % LABELS_PER_SHEET;
+    if (i > 0 && slot === 0) doc.addPage();
+    const x = left + (slot % columns) * (width + gapX);
+    const y = top + Math.floor(slot / columns) * (height + gapY);
+    const code = productCode(product);
+    if (!images.has(code)) images.set(code, await codeImage(code, format, { JsBarcode, QRCode }));
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(8);
+    if (format === 'qr') {
+      const size = height - 6;
+      doc.addImage(images.get(code), 'PNG', x + 3, y + 3, size, size);
+      const textX = x + size + 6;
+      const textWidth = width - size - 9;
+      doc.text(fitText(doc, product.name, textWidth), textX, y + 8);
+      doc.setFont('helvetica', 'normal');
+      doc.text(fitText(doc, code, textWidth), textX, y + 13);
+      if (showPrice) {
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'bold');
+        doc.text(formatKsh(product.selling_price), textX, y + 21);
+      }
+    } else {
+      doc.text(fitText(doc, product.name, width - 6), x + 3, y + 5);
+      doc.addImage(images.get(code), 'PNG', x + 3, y + 7, width - 6, 14);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(7);
+      doc.text(code, x + 3, y + 25);
+      if (showPrice) {
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'bold');
+        doc.text(formatKsh(product.selling_price), x + width - 3, y + 30, { align: 'right' });
+      }
+    }
+  }
+
+  doc.save(datedFileName(format === 'qr' ? 'qr-labels' : 'barcode-labels', 'pdf'));
+};
@@ -0,0 +1,81 @@
+// Per-location stock.
+//
+// `product.stock` maps location id -> units on hand there, and
+// `product.quantity` is the total across locations. Products saved before
+// locations existed have no map and hold all their stock at the default
+// location.
+
+export const LOCATION_TYPES = {
+  shop: 'Shop',
+  store: 'Store room',
+  warehouse: 'Warehouse'
+};
+
+export const TRANSFER_STATUSES = {
+  in_transit: { label: 'In transit', class: 'bg-yellow-100 text-yellow-800' },
+  received: { label: 'Received', class: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', class: 'bg-red-100 text-red-800' }
+};
+
+// The location stock goes to when none is given
+export const defaultLocationId = (locations) =>
+  ((locations || []).find(l => l.is_default) || (locations || [])[0])?.id ?? null;
+
+export const stockLevels = (product, defaultId) =>
+  (product.stock && typeof product.stock === 'object'
+    ? product.stock
+    : { [defaultId]: Number(product.quantity) || 0 });
+
+export const stockAt = (product, locationId, defaultId) =>
+  Number(stockLevels(product, defaultId)[locationId]) || 0;
+
+// Whether a location stocks the product at all, even if it has run out.
+// Locations that never held a product leave it off their list and alerts.
+export const carriedAt = (product, locationId, defaultId) =>
+  Object.prototype.hasOwnProperty.call(stockLevels(product, defaultId), String(locationId));
+
+export const totalStock = (stock) =>
+  Object.values(stock || {}).reduce((sum, units) => sum + (Number(units) || 0), 0);
+
+// The product as one location sees it: `quantity` is what that location
+// holds, so stock statuses, filters and sorts all apply per location. The
+// total stays available as `total_quantity`.
+export const atLocation = (product, locationId, defaultId) => ({
+  ...product,
+  quantity: stockAt(product, locationId, defaultId),
+  total_quantity: Number(product.quantity) || 0,
+  location_id: Number(locationId)
+});
+
+// The products a location stocks, each as that location sees it. Rows a
+// backend has already scoped (they carry `location_id`) pass through as is.
+export const scopeToLocation = (products, locationId, defaultId) => {
+  if (!locationId) return products;
+  return products
+    .filter(p => (p.location_id !== undefined
+      ? String(p.location_id) === String(locationId)
+      : carriedAt(p, locationId, defaultId)))
+    .map(p => (p.location_id !== undefined ? p : atLocation(p, locationId, defaultId)));
+};
+
+// Low and out-of-stock products at each location, judged on the units that
+// location holds rather than the total. `statusOf` resolves a product's
+// stock status (see getStockStatus).
+export const locationAlerts = (products, locations, statusOf, defaultId) =>
+  locations.map(location => {
+    const stocked = scopeToLocation(products.filter(p => !p.archived_at), location.id, defaultId);
+    return {
+      location,
+      products: stocked,
+      low: stocked.filter(p => statusOf(p) === 'low'),
+      out: stocked.filter(p => statusOf(p) === 'out')
+    };
+  });
+
+// The stock map after moving `delta` units in or out of one location, with
+// the new total
+export const withStockChange = (product, locationId, delta, defaultId) => {
+  const stock = { ...stockLevels(product, defaultId) };
+  stock[locationId] = (Number(stock[locationId]) || 0) + delta;
+  return { stock, quantity: totalStock(stock) };
+};
@@ -0,0 +1,124 @@
+// Low-stock notifications: which products have newly run low or out at a
+// location, who wants to hear about them and the daily digest they get.
+import { isInCategory } from './categories.js';
+import { STOCK_STATUSES } from './stock.js';
+
+// Statuses that raise an alert, worst last. An alert is raised when a
+// product reaches one of these at a location, and again if it gets worse.
+export const ALERT_STATUSES = ['low', 'out'];
+
+export const alertSeverity = (status) => ALERT_STATUSES.indexOf(status) + 1;
+
+// What a user gets until they save their own settings: every alert in the
+// notification centre and no digest
+export const DEFAULT_SUBSCRIPTION = {
+  category_ids: [],
+  supplier_ids: [],
+  location_ids: [],
+  email_digest: false,
+  email: '',
+  webhook_digest: false,
+  webhook_url: ''
+};
+
+// Shop-wide digest delivery. The digest goes out once a day, at the first
+// check after `digest_hour` (server time). Email needs an SMTP server;
+// webhooks are posted straight to each user's URL.
+export const DEFAULT_DIGEST_SETTINGS = {
+  digest_hour: 7,
+  smtp_host: '',
+  smtp_port: 25,
+  smtp_secure: false,
+  smtp_username: '',
+  smtp_from: ''
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const inList = (ids, id) => ids.length === 0 || ids.some(other => String(other) === String(id));
+
+// Whether an alert falls inside a subscription. Empty lists mean everything;
+// categories include their subcategories.
+export const matchesSubscription = (alert, subscription, categories) => {
+  const { category_ids = [], supplier_ids = [], location_ids = [] } = subscription || {};
+  const inCategory = category_ids.length === 0 ||
+    category_ids.some(id => isInCategory({ category_id: alert.category_id, category: alert.category }, categories, id));
+  return inCategory && inList(supplier_ids, alert.supplier_id) && inList(location_ids, alert.location_id);
+};
+
+// Field errors for a subscription, keyed like the form
+export const validateSubscription = (values) => {
+  const errors = {};
+  if (values.email_digest && !EMAIL_PATTERN.test(String(values.email || '').trim())) {
+    errors.email = 'Enter the address to email the digest to';
+  }
+  if (values.webhook_digest && !/^https?:\/\/\S+$/i.test(String(values.webhook_url || '').trim())) {
+    errors.webhook_url = 'Enter an http:// or https:// URL';
+  }
+  return errors;
+};
+
+// Field errors for the shop-wide digest settings
+export const validateDigestSettings = (values) => {
+  const errors = {};
+  const hour = Number(values.digest_hour);
+  if (String(values.digest_hour ?? '').trim() === '' || !Number.isInteger(hour) || hour < 0 || hour > 23) {
+    errors.digest_hour = 'Pick an hour from 0 to 23';
+  }
+  if (String(values.smtp_host || '').trim()) {
+    const port = Number(values.smtp_port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) errors.smtp_port = 'Enter a port from 1 to 65535';
+    if (!EMAIL_PATTERN.test(String(values.smtp_from || '').trim())) errors.smtp_from = 'Enter the address digests are sent from';
+  }
+  return errors;
+};
+
+const describeAlert = (alert) =>
+  `- ${alert.name}${alert.product_index ? ` (${alert.product_index})` : ''} at ${alert.location_name}: ${alert.current_quantity ?? alert.quantity} left`;
+
+export const digestSubject = (alerts) => {
+  const out = alerts.filter(a => a.status === 'out').length;
+  const low = alerts.length - out;
+  const parts = [out > 0 && `${out} out of stock`, low > 0 && `${low} low`].filter(Boolean);
+  return `Stock alerts: ${parts.join(', ') || 'nothing new'}`;
+};
+
+// Plain-text body shared by the email and the webhook's `text`
+export const digestText = (alerts, { name, since } = {}) => {
+  const lines = [`Hello ${name || 'there'},`, ''];
+  if (alerts.length === 0) {
+    lines.push('No products have run low or out of stock since the last digest.');
+  } else {
+    lines.push(`${alerts.length} product${alerts.length === 1 ? ' has' : 's have'} run low or out of stock${since ? ` since ${new Date(since).toLocaleString()}` : ''}:`);
+    [...ALERT_STATUSES].reverse().forEach(status => {
+      const matching = alerts.filter(a => a.status === status);
+      if (matching.length === 0) return;
+      lines.push('', STOCK_STATUSES[status].label.toUpperCase(), ...matching.map(describeAlert));
+    });
+  }
+  lines.push('', 'Choose which alerts you get under Settings > Stock alerts.');
+  return lines.join('\n');
+};
+
+// JSON posted to digest webhooks. `text` is there for chat tools that only
+// show a message.
+export const digestPayload = (alerts, { user, since, generatedAt }) => ({
+  event: 'stock_alert_digest',
+  generated_at: generatedAt,
+  since: since || null,
+  recipient: { id: user.id, name: user.name },
+  subject: digestSubject(alerts),
+  text: digestText(alerts, { name: user.name, since }),
+  alerts: alerts.map(a => ({
+    product_id: a.product_id,
+    product_index: a.product_index,
+    name: a.name,
+    status: a.status,
+    quantity: a.current_quantity ?? a.quantity,
+    location_id: a.location_id,
+    location_name: a.location_name,
+    category: a.category,
+    supplier_name: a.supplier_name,
+    raised_at: a.created_at
+  }))
+});
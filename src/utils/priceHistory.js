@@ -0,0 +1,24 @@
+export const PRICE_FIELDS = {
+  buying_price: { label: 'Buying price', short: 'Buying', color: '#f59e0b' },
+  selling_price: { label: 'Selling price', short: 'Selling', color: '#3b82f6' }
+};
+
+// Percentage change from the old price, or null when it was zero
+export const priceChangePercent = ({ old_value: oldValue, new_value: newValue }) =>
+  oldValue ? ((newValue - oldValue) / oldValue) * 100 : null;
+
+// Step series per price field for charting, from the first recorded change up
+// to now. `changes` may be in any order; `product` supplies current prices.
+export const priceSeries = (changes, product, now = new Date()) => {
+  const ordered = [...changes].sort((a, b) => a.created_at.localeCompare(b.created_at));
+  const start = ordered.length > 0 ? new Date(ordered[0].created_at) : now;
+
+  return Object.entries(PRICE_FIELDS).map(([field, { short, color }]) => {
+    const own = ordered.filter(c => c.field === field);
+    const initial = own.length > 0 ? own[0].old_value : Number(product[field]) || 0;
+    const points = [{ x: start, y: initial }];
+    own.forEach(change => points.push({ x: new Date(change.created_at), y: change.new_value }));
+    points.push({ x: now, y: Number(product[field]) || 0 });
+    return { label: short, color, points };
+  });
+};
@@ -0,0 +1,63 @@
+// Margin and markup figures for products. The mock backend's product list
+// sorts by them too.
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Per-unit pricing figures for a product:
+//   margin        selling - buying, per unit
+//   marginPercent margin as a share of the selling price (null without one)
+//   markup        margin as a share of the buying price (null without one)
+//   stockValue    units in stock at buying price
+//   belowCost     sells at or below what it costs (priced products only)
+export const productPricing = (product) => {
+  const cost = toNumber(product.buying_price);
+  const price = toNumber(product.selling_price);
+  const margin = price - cost;
+  return {
+    cost,
+    price,
+    margin,
+    marginPercent: price > 0 ? (margin / price) * 100 : null,
+    markup: cost > 0 ? (margin / cost) * 100 : null,
+    stockValue: (Number(product.quantity) || 0) * cost,
+    belowCost: (price > 0 || cost > 0) && margin <= 0
+  };
+};
+
+// Selling price that earns `marginPercent` of the selling price on top of
+// `cost`, rounded to the cent. Null for margins of 100% or more.
+export const priceForMargin = (cost, marginPercent) => {
+  if (!(marginPercent < 100)) return null;
+  return round2(toNumber(cost) / (1 - marginPercent / 100));
+};
+
+// Stock totals and margins for a group of products. `averageMarginPercent`
+// is the plain average over priced products, so slow movers with no stock
+// still count.
+export const summarisePricing = (products) => {
+  let costValue = 0;
+  let retailValue = 0;
+  let belowCost = 0;
+  const percents = [];
+
+  products.forEach(product => {
+    const pricing = productPricing(product);
+    const quantity = Number(product.quantity) || 0;
+    costValue += quantity * pricing.cost;
+    retailValue += quantity * pricing.price;
+    if (pricing.belowCost) belowCost += 1;
+    if (pricing.marginPercent !== null) percents.push(pricing.marginPercent);
+  });
+
+  return {
+    products: products.length,
+    costValue,
+    retailValue,
+    margin: retailValue - costValue,
+    marginPercent: retailValue > 0 ? ((retailValue - costValue) / retailValue) * 100 : null,
+    averageMarginPercent: percents.length ? percents.reduce((a, b) => a + b, 0) / percents.length : null,
+    belowCost
+  };
+};
@@ -0,0 +1,103 @@
+import { toCsv } from './csv';
+import { writeXlsx } from './spreadsheet';
+import { downloadBlob, datedFileName } from './download';
+import { getStockMessage, resolveStockRules } from './stock';
+import { formatKsh } from './format';
+import { productPricing } from './pricing';
+
+const MONEY_FORMAT = '#,##0.00';
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+// Column values take the product and the { categories, defaults } stock
+// rules context, so levels and statuses match what the app shows
+const EXPORT_COLUMNS = [
+  { header: 'Product ID', value: p => p.product_index, width: 14 },
+  { header: 'Barcode', value: p => p.barcode || '', width: 16 },
+  { header: 'Name', value: p => p.name, width: 32 },
+  { header: 'Category', value: p => p.category || '', width: 16 },
+  { header: 'Supplier', value: p => p.supplier_name || '', width: 20 },
+  { header: 'Buy Price (Ksh)', value: p => toNumber(p.buying_price), numFmt: MONEY_FORMAT, money: true },
+  { header: 'Sell Price (Ksh)', value: p => toNumber(p.selling_price), numFmt: MONEY_FORMAT, money: true },
+  { header: 'Unit Margin (Ksh)', value: p => productPricing(p).margin, numFmt: MONEY_FORMAT, money: true },
+  {
+    header: 'Margin %',
+    value: p => {
+      const percent = productPricing(p).marginPercent;
+      return percent === null ? '' : Math.round(percent * 10) / 10;
+    },
+    numFmt: '0.0'
+  },
+  { header: 'Quantity', value: p => Number(p.quantity) || 0, total: true },
+  { header: 'Low Stock Alert At', value: (p, rules) => resolveStockRules(p, rules).min_quantity },
+  { header: 'Reorder Point', value: (p, rules) => resolveStockRules(p, rules).reorder_point },
+  { header: 'Overstocked Above', value: (p, rules) => resolveStockRules(p, rules).max_quantity ?? '' },
+  { header: 'Status', value: (p, rules) => getStockMessage(p, rules).text, width: 20 },
+  { header: 'Stock Value at Cost (Ksh)', value: p => (Number(p.quantity) || 0) * toNumber(p.buying_price), numFmt: MONEY_FORMAT, money: true, total: true },
+  { header: 'Stock Value at Selling (Ksh)', value: p => (Number(p.quantity) || 0) * toNumber(p.selling_price), numFmt: MONEY_FORMAT, money: true, total: true }
+];
+
+const buildRows = (products, stockRules) =>
+  products.map(product => EXPORT_COLUMNS.map(column => column.value(product, stockRules)));
+
+// Totals row: label in the first column, sums under the columns flagged `total`
+const buildTotals = (rows) => EXPORT_COLUMNS.map((column, i) => {
+  if (i === 0) return 'TOTAL';
+  if (!column.total) return '';
+  return rows.reduce((sum, row) => sum + row[i], 0);
+});
+
+export const exportProductsCsv = (products, { fileName = datedFileName('products', 'csv'), stockRules } = {}) => {
+  const rows = buildRows(products, stockRules);
+  const csv = toCsv([EXPORT_COLUMNS.map(c => c.header), ...rows, buildTotals(rows)]);
+  // Leading BOM so Excel opens the file as UTF-8
+  downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), fileName);
+};
+
+export const exportProductsXlsx = async (products, { fileName = datedFileName('products', 'xlsx'), stockRules } = {}) => {
+  const rows = buildRows(products, stockRules);
+  const blob = await writeXlsx({
+    sheetName: 'Products',
+    columns: EXPORT_COLUMNS,
+    rows,
+    footer: buildTotals(rows)
+  });
+  downloadBlob(blob, fileName);
+};
+
+// Printable A4 landscape stock report. `subtitle` describes the active filters.
+export const exportStockReportPdf = async (products, { title = 'Stock Report', subtitle, stockRules } = {}) => {
+  const [{ jsPDF }, autoTableModule] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+  const autoTable = autoTableModule.autoTable || autoTableModule.default;
+
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+  const rows = buildRows(products, stockRules);
+  const totals = buildTotals(rows);
+  const display = (value, column) => (column.money ? formatKsh(value, { decimals: 2 }).replace('Ksh ', '') : value);
+
+  doc.setFontSize(16);
+  doc.text(title, 40, 40);
+  doc.setFontSize(9);
+  doc.setTextColor(100);
+  doc.text(`Generated ${new Date().toLocaleString()} — ${products.length} products`, 40, 56);
+  if (subtitle) doc.text(subtitle, 40, 68);
+
+  autoTable(doc, {
+    startY: subtitle ? 80 : 68,
+    head: [EXPORT_COLUMNS.map(c => c.header)],
+    body: rows.map(row => row.map((value, i) => display(value, EXPORT_COLUMNS[i]))),
+    foot: [totals.map((value, i) => (value === '' ? '' : display(value, EXPORT_COLUMNS[i])))],
+    styles: { fontSize: 7, cellPadding: 3 },
+    headStyles: { fillColor: [31, 41, 55] },
+    footStyles: { fillColor: [229, 231, 235], textColor: 20, fontStyle: 'bold' },
+    columnStyles: Object.fromEntries(
+      EXPORT_COLUMNS.map((column, i) => [i, typeof rows[0]?.[i] === 'number' ? { halign: 'right' } : {}])
+    ),
+    didDrawPage: ({ pageNumber }) => {
+      doc.setFontSize(8);
+      doc.text(`Page ${pageNumber}`, doc.internal.pageSize.getWidth() - 60, doc.internal.pageSize.getHeight() - 20);
+    }
+  });
+
+  doc.save(datedFileName('stock-report', 'pdf'));
+};
@@ -0,0 +1,148 @@
+// Column definitions, mapping and validation for bulk product imports.
+import { findCategoryByName } from './categories';
+import { parseAlertConfig, pickStockRules } from './stock';
+
+export const IMPORT_FIELDS = [
+  { key: 'product_index', label: 'Product ID', aliases: ['productindex', 'productid', 'sku', 'code', 'itemcode'] },
+  { key: 'barcode', label: 'Barcode', aliases: ['barcode', 'ean', 'ean13', 'upc', 'gtin'] },
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'productname', 'product', 'item'] },
+  { key: 'buying_price', label: 'Buy Price', numeric: true, aliases: ['buyingprice', 'buyprice', 'cost', 'costprice'] },
+  { key: 'selling_price', label: 'Sell Price', numeric: true, aliases: ['sellingprice', 'sellprice', 'price', 'retailprice'] },
+  { key: 'quantity', label: 'Quantity', numeric: true, integer: true, aliases: ['quantity', 'qty', 'stock', 'onhand'] },
+  { key: 'min_quantity', label: 'Low Stock Alert At', numeric: true, integer: true, aliases: ['alertconfigminquantity', 'minquantity', 'lowstock', 'lowstockalertat', 'reorderlevel'] },
+  { key: 'reorder_point', label: 'Reorder Point', numeric: true, integer: true, aliases: ['reorderpoint'] },
+  { key: 'max_quantity', label: 'Overstocked Above', numeric: true, integer: true, aliases: ['overstockedabove', 'maxquantity', 'maxstock'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'group'] },
+  { key: 'supplier_name', label: 'Supplier', aliases: ['suppliername', 'supplier', 'vendor'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'details', 'notes'] }
+];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Guess which spreadsheet column feeds each field. Returns { fieldKey: columnIndex }
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    const index = normalized.findIndex(h => h === normalizeHeader(field.key) || field.aliases.includes(h));
+    if (index !== -1) mapping[field.key] = index;
+  });
+  return mapping;
+};
+
+const parseNumber = (raw) => Number(String(raw).replace(/[,\s]|ksh/gi, ''));
+
+// Validate every row and decide whether it creates a new product, updates an
+// existing one (matched by product_index) or is skipped. Supplier and
+// category names are matched case-insensitively against `suppliers` and
+// `categories` records when given.
+export const buildImportRows = (rows, mapping, existingProducts = [], suppliers = null, categories = null) => {
+  const suppliersByName = new Map((suppliers || []).map(s => [s.name.toLowerCase(), s]));
+  const existingByIndex = new Map(
+    existingProducts
+      .filter(p => p.product_index)
+      .map(p => [String(p.product_index).toLowerCase(), p])
+  );
+  const seenIndexes = new Map();
+
+  return rows.map((row, i) => {
+    const rowNumber = i + 2; // header is row 1
+    const errors = [];
+    const warnings = [];
+    const values = {};
+
+    IMPORT_FIELDS.forEach(field => {
+      const column = mapping[field.key];
+      const raw = column === undefined || column === '' ? '' : (row[column] ?? '').trim();
+
+      if (!field.numeric) {
+        values[field.key] = raw;
+        return;
+      }
+      if (raw === '') {
+        values[field.key] = undefined;
+        return;
+      }
+
+      const number = parseNumber(raw);
+      if (Number.isNaN(number)) {
+        errors.push(`${field.label} "${raw}" is not a number`);
+      } else if (number < 0) {
+        errors.push(`${field.label} cannot be negative`);
+      } else if (field.integer && !Number.isInteger(number)) {
+        errors.push(`${field.label} must be a whole number`);
+      }
+      values[field.key] = number;
+    });
+
+    if (!values.name) errors.push('Name is missing');
+
+    const indexKey = values.product_index.toLowerCase();
+    if (indexKey) {
+      if (seenIndexes.has(indexKey)) {
+        errors.push(`Duplicate Product ID ${values.product_index} (also on row ${seenIndexes.get(indexKey)})`);
+      } else {
+        seenIndexes.set(indexKey, rowNumber);
+      }
+    }
+
+    if (values.buying_price !== undefined && values.selling_price !== undefined &&
+        values.selling_price < values.buying_price) {
+      warnings.push('Selling price is below buying price');
+    }
+
+    const existing = indexKey ? existingByIndex.get(indexKey) : null;
+    const isMapped = (key) => mapping[key] !== undefined && mapping[key] !== '';
+
+    // Updates only touch mapped, non-empty cells; creates fill in defaults
+    const product = {};
+    ['product_index', 'barcode', 'name', 'category', 'supplier_name', 'description',
+      'buying_price', 'selling_price', 'quantity'].forEach(key => {
+      if (!isMapped(key) || values[key] === undefined) return;
+      if (existing && values[key] === '') return;
+      product[key] = values[key];
+    });
+    // Stock rule levels merge into the product's own; blank cells keep them
+    const levels = pickStockRules(values);
+    if (Object.keys(levels).length > 0) {
+      product.alert_config = { ...(parseAlertConfig(existing ?? {}) || {}), ...levels };
+    }
+
+    if (suppliers && product.supplier_name) {
+      const supplier = suppliersByName.get(product.supplier_name.toLowerCase());
+      if (supplier) {
+        product.supplier_id = supplier.id;
+        product.supplier_name = supplier.name;
+      } else {
+        // Purchase orders and alerts follow the supplier record, so an
+        // unknown name would leave the product unreachable from either
+        errors.push(`Supplier "${product.supplier_name}" is not in the supplier list; add it under Suppliers first`);
+      }
+    }
+
+    if (categories && product.category) {
+      const category = findCategoryByName(categories, product.category);
+      if (category) {
+        product.category_id = category.id;
+        product.category = category.name;
+      } else {
+        warnings.push(`Category "${product.category}" is not in the category list`);
+      }
+    }
+
+    if (!existing) {
+      product.buying_price ??= 0;
+      product.selling_price ??= 0;
+      product.quantity ??= 0;
+    }
+
+    return {
+      rowNumber,
+      product,
+      existing,
+      errors,
+      warnings,
+      action: errors.length > 0 ? 'skip' : existing ? 'update' : 'create'
+    };
+  });
+};
@@ -0,0 +1,56 @@
+// The products table keeps its search, filters, sort and page in the URL
+// (/products?q=paint&stock=low&location=2&page=2) so links, reloads and the
+// back button all restore the same list.
+import { PAGE_SIZES, DEFAULT_PAGE_SIZE } from './productQuery';
+
+// Values left out of the URL because they are the default. No `location`
+// means stock totals across every location.
+const DEFAULTS = {
+  view: 'active',
+  location: '',
+  q: '',
+  stock: 'all',
+  category: 'all',
+  supplier: 'all',
+  pricing: 'all',
+  sort: '',
+  order: 'asc',
+  page: '1',
+  size: String(DEFAULT_PAGE_SIZE)
+};
+
+// Read the list state from URLSearchParams
+export const readListParams = (searchParams) => {
+  const get = (key) => searchParams.get(key) || DEFAULTS[key];
+  const size = Number(get('size'));
+  return {
+    view: get('view') === 'archived' ? 'archived' : 'active',
+    location: get('location'),
+    searchTerm: get('q'),
+    filters: { stock: get('stock'), category: get('category'), supplier: get('supplier'), pricing: get('pricing') },
+    sort: { key: get('sort') || null, order: get('order') === 'desc' ? 'desc' : 'asc' },
+    page: Math.max(parseInt(get('page'), 10) || 1, 1),
+    pageSize: PAGE_SIZES.includes(size) ? size : DEFAULT_PAGE_SIZE
+  };
+};
+
+// Copy of `searchParams` with `changes` applied. Any change other than the
+// page itself sends the list back to page 1.
+export const withListParams = (searchParams, changes) => {
+  const next = new URLSearchParams(searchParams);
+  Object.entries(changes).forEach(([key, value]) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (text === '' || text === DEFAULTS[key]) next.delete(key);
+    else next.set(key, text);
+  });
+  if (!('page' in changes)) next.delete('page');
+  return next;
+};
+
+// Query string a saved view restores: everything except the page
+export const viewQuery = (searchParams) => {
+  const next = new URLSearchParams(searchParams);
+  next.delete('page');
+  next.sort();
+  return next.toString();
+};
@@ -0,0 +1,86 @@
+// Search, filter, sort and paginate a product list. The mock backend serves
+// paged requests with this, and the API client falls back to it when a
+// backend returns the whole list.
+import { getStockStatus } from './stock.js';
+import { isInCategory } from './categories.js';
+import { productPricing } from './pricing.js';
+
+export const PAGE_SIZES = [10, 25, 50, 100];
+export const DEFAULT_PAGE_SIZE = 10;
+export const MAX_PAGE_SIZE = 100;
+
+// Severity order so "status" sorts out-of-stock first
+const STATUS_RANK = { out: 0, low: 1, average: 2, healthy: 3, overstocked: 4 };
+
+// Sortable columns and the value each compares on. `stockRules` is the
+// { categories, defaults } context that stock statuses are resolved with.
+export const PRODUCT_SORT_FIELDS = {
+  product_index: p => String(p.product_index ?? ''),
+  name: p => String(p.name ?? ''),
+  category: p => String(p.category ?? ''),
+  supplier_name: p => String(p.supplier_name ?? ''),
+  buying_price: p => parseFloat(p.buying_price) || 0,
+  selling_price: p => parseFloat(p.selling_price) || 0,
+  quantity: p => Number(p.quantity) || 0,
+  status: (p, stockRules) => STATUS_RANK[getStockStatus(p, stockRules)],
+  // Unpriced products sort below every margin
+  margin_percent: p => productPricing(p).marginPercent ?? -Infinity,
+  markup: p => productPricing(p).markup ?? -Infinity,
+  stock_value: p => productPricing(p).stockValue
+};
+
+const matchesSearch = (product, search) => {
+  const lowerTerm = search.toLowerCase();
+  return (product.name && product.name.toLowerCase().includes(lowerTerm)) ||
+    (product.product_index && product.product_index.toString().includes(search)) ||
+    (product.barcode && String(product.barcode).includes(search.trim())) ||
+    (product.description && product.description.toLowerCase().includes(lowerTerm)) ||
+    (product.supplier_name && product.supplier_name.toLowerCase().includes(lowerTerm));
+};
+
+const compare = (a, b) => (typeof a === 'number' && typeof b === 'number'
+  ? (a === b ? 0 : a - b)
+  : String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' }));
+
+// Apply search/filters and sort, without paginating. `category` is a category
+// id when `categories` records are given (subcategories included), otherwise
+// a free-text category name. Archived products only match `archived: 'true'`.
+// Stock statuses follow the category rules in `categories` and the saved
+// `stockDefaults` (see resolveStockRules).
+export const filterProducts = (products, params = {}, { categories = null, stockDefaults } = {}) => {
+  const { search, stock, category, supplier, pricing, sort, order, archived } = params;
+  const wantArchived = String(archived) === 'true';
+  const stockRules = { categories, defaults: stockDefaults };
+  let result = Array.isArray(products) ? products.filter(p => Boolean(p.archived_at) === wantArchived) : [];
+
+  if (search) result = result.filter(p => matchesSearch(p, search));
+  if (stock && stock !== 'all') result = result.filter(p => getStockStatus(p, stockRules) === stock);
+  if (category && category !== 'all') {
+    result = result.filter(p => (categories
+      ? isInCategory(p, categories, category)
+      : p.category === category));
+  }
+  if (supplier && supplier !== 'all') result = result.filter(p => p.supplier_name === supplier);
+  if (pricing === 'below_cost') result = result.filter(p => productPricing(p).belowCost);
+
+  const valueOf = PRODUCT_SORT_FIELDS[sort];
+  if (valueOf) {
+    const direction = order === 'desc' ? -1 : 1;
+    result.sort((a, b) => direction * compare(valueOf(a, stockRules), valueOf(b, stockRules)));
+  }
+  return result;
+};
+
+// One page of the filtered, sorted list plus the total number of matches
+export const queryProducts = (products, params = {}, options) => {
+  const matching = filterProducts(products, params, options);
+  const pageSize = Math.min(Math.max(parseInt(params.page_size, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const lastPage = Math.max(Math.ceil(matching.length / pageSize), 1);
+  const page = Math.min(Math.max(parseInt(params.page, 10) || 1, 1), lastPage);
+  return {
+    items: matching.slice((page - 1) * pageSize, page * pageSize),
+    total: matching.length,
+    page,
+    page_size: pageSize
+  };
+};
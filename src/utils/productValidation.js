@@ -0,0 +1,47 @@
+import { validateStockRules } from './stock';
+
+// Client-side validation for the product form. `values` holds the raw form
+// strings; returns { errors, warnings } keyed by field name.
+export const validateProductForm = (values, { products = [], currentId = null } = {}) => {
+  const errors = {};
+  const warnings = {};
+
+  if (!values.name.trim()) errors.name = 'Name is required';
+
+  const numbers = {
+    buying_price: 'Buying price',
+    selling_price: 'Selling price',
+    quantity: 'Quantity'
+  };
+  Object.entries(numbers).forEach(([key, label]) => {
+    const raw = String(values[key] ?? '').trim();
+    if (raw === '') return;
+    const number = Number(raw);
+    if (Number.isNaN(number)) errors[key] = `${label} must be a number`;
+    else if (number < 0) errors[key] = `${label} cannot be negative`;
+    else if (key === 'quantity' && !Number.isInteger(number)) {
+      errors[key] = `${label} must be a whole number`;
+    }
+  });
+  // Blank stock rule levels are inherited from the category or defaults
+  Object.assign(errors, validateStockRules(values));
+
+  const index = values.product_index.trim().toLowerCase();
+  if (index && products.some(p =>
+    p.id !== currentId && String(p.product_index ?? '').toLowerCase() === index)) {
+    errors.product_index = 'Another product already uses this ID';
+  }
+
+  const barcode = String(values.barcode ?? '').trim();
+  if (barcode && products.some(p => p.id !== currentId && String(p.barcode ?? '').trim() === barcode)) {
+    errors.barcode = 'Another product already uses this barcode';
+  }
+
+  const buying = parseFloat(values.buying_price);
+  const selling = parseFloat(values.selling_price);
+  if (!errors.buying_price && !errors.selling_price && !Number.isNaN(buying) && !Number.isNaN(selling) && selling < buying) {
+    warnings.selling_price = 'Selling price is below buying price — this product sells at a loss';
+  }
+
+  return { errors, warnings };
+};
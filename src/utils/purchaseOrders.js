@@ -0,0 +1,47 @@
+import { getStockStatus, resolveStockRules } from './stock';
+
+export const PO_STATUSES = {
+  draft: { label: 'Draft', class: 'bg-gray-100 text-gray-800' },
+  sent: { label: 'Sent', class: 'bg-blue-100 text-blue-800' },
+  partially_received: { label: 'Partially received', class: 'bg-yellow-100 text-yellow-800' },
+  received: { label: 'Received', class: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', class: 'bg-red-100 text-red-800' }
+};
+
+// Order enough to fill stock up to the overstock level, or to the reorder
+// point when there is none. `stockRules` is the { categories, defaults }
+// context stock levels are resolved with.
+export const suggestedOrderQuantity = (product, stockRules) => {
+  const { min_quantity: low, reorder_point: reorder, max_quantity: max } = resolveStockRules(product, stockRules);
+  const target = max ?? Math.max(reorder, low + 1);
+  return Math.max(target - (Number(product.quantity) || 0), 1);
+};
+
+export const orderTotal = (order) =>
+  order.lines.reduce((sum, line) => sum + line.quantity_ordered * line.unit_cost, 0);
+
+// Group low and out-of-stock products into one draft per supplier. Products
+// without a supplier record are returned separately since they can't be ordered.
+export const buildDraftOrders = (products, suppliers, stockRules) => {
+  const drafts = new Map();
+  const unassigned = [];
+
+  products
+    .filter(p => ['low', 'out'].includes(getStockStatus(p, stockRules)))
+    .forEach(product => {
+      const supplier = suppliers.find(s =>
+        product.supplier_id ? String(s.id) === String(product.supplier_id) : s.name === product.supplier_name);
+      if (!supplier) {
+        unassigned.push(product);
+        return;
+      }
+      if (!drafts.has(supplier.id)) drafts.set(supplier.id, { supplier, lines: [] });
+      drafts.get(supplier.id).lines.push({
+        product,
+        quantity_ordered: suggestedOrderQuantity(product, stockRules),
+        unit_cost: parseFloat(product.buying_price) || 0
+      });
+    });
+
+  return { drafts: [...drafts.values()], unassigned };
+};
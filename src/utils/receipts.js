@@ -0,0 +1,80 @@
+import { PAYMENT_METHODS, lineTotals } from './sales';
+import { formatKsh } from './format';
+
+const SHOP_NAME = 'Tyde Homes';
+// 80mm is the common thermal receipt roll
+const WIDTH = 80;
+const MARGIN = 5;
+const ROW = 4.5;
+
+const money = (amount) => formatKsh(amount, { decimals: 2 });
+
+// A recorded sale as a receipt-roll PDF, as tall as its lines need
+const buildReceipt = async (sale) => {
+  const { jsPDF } = await import('jspdf');
+  const { totals } = sale;
+  const rows = sale.lines.reduce((sum, line) => sum + (line.discount_percent ? 3 : 2), 0) +
+    (totals.discount ? 1 : 0) + (sale.amount_tendered !== null ? 2 : 0) + (sale.location_name ? 1 : 0);
+  const doc = new jsPDF({ unit: 'mm', format: [WIDTH, 60 + rows * ROW] });
+  const right = WIDTH - MARGIN;
+  let y = 10;
+
+  const row = (left, value, { bold = false } = {}) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.text(left, MARGIN, y);
+    if (value !== undefined) doc.text(value, right, y, { align: 'right' });
+    y += ROW;
+  };
+  const rule = () => {
+    doc.setLineDashPattern([0.8, 0.8], 0);
+    doc.line(MARGIN, y - 2, right, y - 2);
+    y += 2;
+  };
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(12);
+  doc.text(SHOP_NAME, WIDTH / 2, y, { align: 'center' });
+  y += ROW + 1;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  if (sale.location_name) {
+    doc.text(sale.location_name, WIDTH / 2, y, { align: 'center' });
+    y += ROW;
+  }
+  doc.text(`Receipt ${sale.number}`, WIDTH / 2, y, { align: 'center' });
+  y += ROW;
+  doc.text(`${new Date(sale.created_at).toLocaleString()} - served by ${sale.created_by}`, WIDTH / 2, y, { align: 'center' });
+  y += ROW + 1;
+  rule();
+
+  sale.lines.forEach(line => {
+    const lineTotal = lineTotals(line);
+    row(doc.splitTextToSize(line.name, WIDTH - 2 * MARGIN)[0]);
+    row(`  ${line.quantity} x ${money(line.unit_price)}`, money(lineTotal.gross));
+    if (line.discount_percent) row(`  Less ${line.discount_percent}%`, `-${money(lineTotal.discount)}`);
+  });
+  rule();
+
+  row('Subtotal', money(totals.subtotal));
+  if (totals.discount) row('Discount', `-${money(totals.discount)}`);
+  doc.setFontSize(10);
+  row('TOTAL', money(totals.total), { bold: true });
+  doc.setFontSize(8);
+  row(`Paid by ${PAYMENT_METHODS[sale.payment_method] || sale.payment_method}`);
+  if (sale.amount_tendered !== null) {
+    row('Cash tendered', money(sale.amount_tendered));
+    row('Change', money(sale.change));
+  }
+  y += 2;
+  doc.text('Thank you for shopping with us', WIDTH / 2, y, { align: 'center' });
+  return doc;
+};
+
+export const downloadReceipt = async (sale) => (await buildReceipt(sale)).save(`receipt-${sale.number}.pdf`);
+
+// Open the receipt in a new tab with the print dialog up
+export const printReceipt = async (sale) => {
+  const doc = await buildReceipt(sale);
+  doc.autoPrint();
+  window.open(doc.output('bloburl'), '_blank');
+};
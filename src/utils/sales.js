@@ -0,0 +1,84 @@
+// Sale arithmetic. The till and the mock backend both use it, so they agree
+// on every total.
+
+export const PAYMENT_METHODS = {
+  cash: 'Cash',
+  mpesa: 'M-Pesa',
+  card: 'Card'
+};
+
+const round2 = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+// Totals for one line. `discount_percent` (0-100) comes off the line price.
+export const lineTotals = ({ quantity, unit_price, unit_cost, discount_percent }) => {
+  const units = Number(quantity) || 0;
+  const gross = round2(units * (Number(unit_price) || 0));
+  const discount = round2((gross * (Number(discount_percent) || 0)) / 100);
+  return { gross, discount, total: round2(gross - discount), cost: round2(units * (Number(unit_cost) || 0)) };
+};
+
+// Totals for a cart or a recorded sale. `discount` is an amount in Ksh off
+// the whole sale, after line discounts; it can't take the total below zero.
+// Profit is what the sale brings in above the buying price of what was sold.
+export const saleTotals = (lines, discount = 0) => {
+  const sums = lines.reduce((acc, line) => {
+    const totals = lineTotals(line);
+    return {
+      items: acc.items + (Number(line.quantity) || 0),
+      gross: acc.gross + totals.gross,
+      lineDiscounts: acc.lineDiscounts + totals.discount,
+      subtotal: acc.subtotal + totals.total,
+      cost: acc.cost + totals.cost
+    };
+  }, { items: 0, gross: 0, lineDiscounts: 0, subtotal: 0, cost: 0 });
+  const subtotal = round2(sums.subtotal);
+  const saleDiscount = Math.min(round2(Math.max(Number(discount) || 0, 0)), subtotal);
+  const total = round2(subtotal - saleDiscount);
+  return {
+    items: sums.items,
+    gross: round2(sums.gross),
+    lineDiscounts: round2(sums.lineDiscounts),
+    subtotal,
+    discount: saleDiscount,
+    total,
+    cost: round2(sums.cost),
+    profit: round2(total - sums.cost)
+  };
+};
+
+// Errors for a cart line's raw inputs, keyed by field
+export const validateSaleLine = ({ quantity, discount_percent }, { available } = {}) => {
+  const errors = {};
+  const units = Number(quantity);
+  if (!Number.isInteger(units) || units <= 0) errors.quantity = 'Quantity must be a whole number above zero';
+  else if (available !== undefined && units > available) errors.quantity = `Only ${available} in stock`;
+  const percent = Number(discount_percent || 0);
+  if (Number.isNaN(percent) || percent < 0 || percent > 100) errors.discount_percent = 'Discount must be between 0 and 100%';
+  return errors;
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Local calendar day of a timestamp, as YYYY-MM-DD
+export const dayKey = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Totals per local day, newest day first
+export const dailyTotals = (sales) => {
+  const days = new Map();
+  sales.forEach(sale => {
+    const key = dayKey(sale.created_at);
+    const day = days.get(key) || { day: key, sales: 0, items: 0, total: 0, cost: 0, profit: 0 };
+    days.set(key, {
+      ...day,
+      sales: day.sales + 1,
+      items: day.items + sale.totals.items,
+      total: round2(day.total + sale.totals.total),
+      cost: round2(day.cost + sale.totals.cost),
+      profit: round2(day.profit + sale.totals.profit)
+    });
+  });
+  return [...days.values()].sort((a, b) => b.day.localeCompare(a.day));
+};
@@ -0,0 +1,6 @@
+// What happens to a product found by scanning
+export const SCAN_ACTIONS = {
+  view: { label: 'Open product', permission: null },
+  receive: { label: 'Quick receive', permission: 'stock.move' },
+  issue: { label: 'Quick issue', permission: 'stock.move' }
+};
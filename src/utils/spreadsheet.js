@@ -0,0 +1,83 @@
+import { parseCsv } from './csv';
+
+// exceljs is large, so it is only loaded when a spreadsheet is actually used
+const loadExcel = () => import('exceljs').then(module => module.default || module);
+
+// Flatten the different shapes exceljs uses for cell values into a string
+const cellToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if ('result' in value) return cellToString(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('text' in value) return cellToString(value.text);
+    return '';
+  }
+  return String(value);
+};
+
+const readXlsx = async (file) => {
+  const ExcelJS = await loadExcel();
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      cells.push(cellToString(row.getCell(col).value).trim());
+    }
+    rows.push(cells);
+  });
+  return rows;
+};
+
+// Read a .csv or .xlsx file into { headers, rows }, where each row is an
+// array of strings aligned with headers.
+export const readSpreadsheet = async (file) => {
+  const name = file.name.toLowerCase();
+  let table;
+
+  if (name.endsWith('.xlsx')) {
+    table = await readXlsx(file);
+  } else if (name.endsWith('.csv') || file.type === 'text/csv') {
+    table = parseCsv(await file.text());
+  } else {
+    throw new Error('Unsupported file type. Upload a .csv or .xlsx file.');
+  }
+
+  if (table.length === 0) throw new Error('The file is empty.');
+
+  const [headers, ...rows] = table;
+  return {
+    headers: headers.map(header => header.trim()),
+    rows: rows.map(row => headers.map((_, i) => (row[i] ?? '').trim()))
+  };
+};
+
+// Build an .xlsx workbook with a single sheet.
+// columns: [{ header, width?, numFmt? }], rows: arrays of cell values,
+// footer: optional totals row rendered in bold.
+export const writeXlsx = async ({ sheetName, columns, rows, footer }) => {
+  const ExcelJS = await loadExcel();
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    width: column.width || Math.max(12, column.header.length + 2),
+    style: column.numFmt ? { numFmt: column.numFmt } : undefined
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  rows.forEach(row => sheet.addRow(row));
+  if (footer) sheet.addRow(footer).font = { bold: true };
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return new Blob([buffer], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  });
+};
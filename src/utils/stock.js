@@ -0,0 +1,111 @@
+// Stock status rules.
+import { categoryAncestors, categoryOf } from './categories.js';
+
+// Rule levels, in units. Each can be set on a product (in its alert_config),
+// on a category (in its stock_rules, inherited by subcategories) or in the
+// shop-wide defaults.
+export const STOCK_RULE_FIELDS = {
+  min_quantity: 'Low stock at',
+  reorder_point: 'Reorder point',
+  max_quantity: 'Overstocked above'
+};
+
+// Used until the saved defaults load. No max means nothing is overstocked.
+export const DEFAULT_STOCK_RULES = { min_quantity: 5, reorder_point: 50, max_quantity: null };
+
+// alert_config comes back either as an object or as a JSON string
+export const parseAlertConfig = (product) => {
+  try {
+    return typeof product.alert_config === 'string'
+      ? JSON.parse(product.alert_config)
+      : product.alert_config;
+  } catch {
+    return null;
+  }
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// The rule levels a config sets, as numbers. Blank levels are left out so
+// they are inherited.
+export const pickStockRules = (config) => Object.fromEntries(
+  Object.keys(STOCK_RULE_FIELDS)
+    .filter(key => !isBlank(config?.[key]) && Number.isFinite(Number(config[key])))
+    .map(key => [key, Number(config[key])]));
+
+// The levels that apply to a product: its own, then those of its category
+// and that category's parents (nearest first), then the defaults.
+// `sources` says where each level came from: { type: 'product' | 'category'
+// | 'default', name }.
+export const resolveStockRules = (product, { categories = null, defaults = DEFAULT_STOCK_RULES } = {}) => {
+  const category = categories ? categoryOf(product, categories) : null;
+  const layers = [
+    { source: { type: 'product' }, rules: pickStockRules(parseAlertConfig(product)) },
+    ...(category ? categoryAncestors(categories, category.id).reverse() : []).map(c => ({
+      source: { type: 'category', name: c.name },
+      rules: pickStockRules(c.stock_rules)
+    })),
+    { source: { type: 'default' }, rules: { ...DEFAULT_STOCK_RULES, ...pickStockRules(defaults) } }
+  ];
+
+  const resolved = { sources: {} };
+  Object.keys(STOCK_RULE_FIELDS).forEach(key => {
+    const layer = layers.find(l => l.rules[key] !== undefined && l.rules[key] !== null);
+    resolved[key] = layer ? layer.rules[key] : null;
+    resolved.sources[key] = layer ? layer.source : { type: 'default' };
+  });
+  return resolved;
+};
+
+// Status for a quantity under resolved levels
+export const stockStatusFor = (quantity, rules) => {
+  const units = Number(quantity) || 0;
+  if (units <= 0) return 'out';
+  if (units <= rules.min_quantity) return 'low';
+  if (rules.max_quantity !== null && units > rules.max_quantity) return 'overstocked';
+  if (units < rules.reorder_point) return 'average';
+  return 'healthy';
+};
+
+// Get stock status for a product. `context` is { categories, defaults } as
+// for resolveStockRules; without it only the product's own levels and the
+// built-in defaults apply.
+export const getStockStatus = (product, context) =>
+  stockStatusFor(product.quantity, resolveStockRules(product, context));
+
+export const STOCK_STATUSES = {
+  out: { label: 'Out of stock', text: 'Out of stock', class: 'bg-red-100 text-red-800', color: '#ef4444', row: 'bg-red-50' },
+  low: { label: 'Low stock', text: 'Low stock - Reorder now', class: 'bg-yellow-100 text-yellow-800', color: '#eab308', row: 'bg-yellow-50' },
+  average: { label: 'Below reorder point', text: 'Below reorder point - Consider restocking', class: 'bg-blue-100 text-blue-800', color: '#3b82f6', row: '' },
+  healthy: { label: 'Healthy stock', text: 'In stock', class: 'bg-green-100 text-green-800', color: '#22c55e', row: '' },
+  overstocked: { label: 'Overstocked', text: 'Overstocked', class: 'bg-purple-100 text-purple-800', color: '#a855f7', row: 'bg-purple-50' }
+};
+
+// Get stock status message
+export const getStockMessage = (product, context) => {
+  const { text, class: className } = STOCK_STATUSES[getStockStatus(product, context)];
+  return { text, class: className };
+};
+
+// Errors keyed by level for a set of rule levels. Blank levels are allowed
+// (they inherit) unless listed in `required`.
+export const validateStockRules = (config, { required = [] } = {}) => {
+  const errors = {};
+  Object.entries(STOCK_RULE_FIELDS).forEach(([key, label]) => {
+    if (isBlank(config?.[key])) {
+      if (required.includes(key)) errors[key] = `${label} is required`;
+      return;
+    }
+    const number = Number(config[key]);
+    if (!Number.isInteger(number) || number < 0) errors[key] = `${label} must be a whole number, 0 or more`;
+  });
+
+  const { min_quantity: low, reorder_point: reorder, max_quantity: max } = pickStockRules(config);
+  if (!errors.reorder_point && !errors.min_quantity && low !== undefined && reorder !== undefined && reorder < low) {
+    errors.reorder_point = 'Reorder point cannot be below the low stock level';
+  }
+  if (!errors.max_quantity && max !== undefined && max <= Math.max(low ?? 0, reorder ?? 0)) {
+    errors.max_quantity = 'Overstock level must be above the low stock level and reorder point';
+  }
+  return errors;
+};
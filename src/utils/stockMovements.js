@@ -0,0 +1,21 @@
+export const MOVEMENT_TYPES = {
+  receive: { label: 'Receive goods', short: 'Received', class: 'bg-green-100 text-green-800' },
+  issue: { label: 'Issue / sell', short: 'Issued', class: 'bg-blue-100 text-blue-800' },
+  adjust: { label: 'Adjust', short: 'Adjusted', class: 'bg-yellow-100 text-yellow-800' }
+};
+
+// Written by transfers between locations, never picked by hand
+export const TRANSFER_MOVEMENT_TYPES = {
+  transfer_out: { label: 'Transfer out', short: 'Sent', class: 'bg-purple-100 text-purple-800' },
+  transfer_in: { label: 'Transfer in', short: 'Arrived', class: 'bg-indigo-100 text-indigo-800' }
+};
+
+export const movementType = (key) => MOVEMENT_TYPES[key] || TRANSFER_MOVEMENT_TYPES[key];
+
+export const ADJUSTMENT_REASONS = {
+  damage: 'Damaged',
+  count_correction: 'Count correction',
+  theft: 'Theft / loss',
+  expired: 'Expired',
+  other: 'Other'
+};
@@ -0,0 +1,61 @@
+// Stock-take (physical count) helpers.
+import { isInCategory } from './categories.js';
+import { productsForSupplier } from './suppliers.js';
+
+export const STOCK_TAKE_STATUSES = {
+  counting: { label: 'Counting', class: 'bg-blue-100 text-blue-800' },
+  approved: { label: 'Approved', class: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', class: 'bg-red-100 text-red-800' }
+};
+
+export const STOCK_TAKE_SCOPES = {
+  category: 'Category',
+  supplier: 'Supplier',
+  all: 'Whole catalog'
+};
+
+// What to do with lines nobody counted when a stock-take is approved
+export const UNCOUNTED_HANDLING = {
+  skip: 'Leave their stock as it is',
+  zero: 'Treat them as counted at zero'
+};
+
+// Active products a count covers. `scope` is { type, id }; categories include
+// their subcategories.
+export const productsInScope = (products, scope, { categories = [], suppliers = [] } = {}) => {
+  const active = (products || []).filter(p => !p.archived_at);
+  if (scope.type === 'category') return active.filter(p => isInCategory(p, categories, scope.id));
+  if (scope.type === 'supplier') {
+    const supplier = suppliers.find(s => String(s.id) === String(scope.id));
+    return supplier ? productsForSupplier(active, supplier) : [];
+  }
+  return active;
+};
+
+const isCounted = (line) => line.counted !== null && line.counted !== undefined;
+
+// Counted minus system quantity, or null while the line is uncounted
+export const lineVariance = (line) => (isCounted(line) ? line.counted - line.system_quantity : null);
+
+// The variance valued at the line's buying price
+export const lineVarianceValue = (line) => {
+  const variance = lineVariance(line);
+  return variance === null ? null : variance * (Number(line.unit_cost) || 0);
+};
+
+// Progress and variance totals. Shortages and surpluses are kept apart so
+// they don't cancel out in the headline numbers.
+export const summariseStockTake = (stockTake) => stockTake.lines.reduce((summary, line) => {
+  const variance = lineVariance(line);
+  if (variance === null) return { ...summary, uncounted: summary.uncounted + 1 };
+  const value = lineVarianceValue(line);
+  return {
+    ...summary,
+    counted: summary.counted + 1,
+    withVariance: summary.withVariance + (variance === 0 ? 0 : 1),
+    netUnits: summary.netUnits + variance,
+    netValue: summary.netValue + value,
+    shortValue: summary.shortValue + Math.min(value, 0),
+    overValue: summary.overValue + Math.max(value, 0)
+  };
+}, { lines: stockTake.lines.length, counted: 0, uncounted: 0, withVariance: 0, netUnits: 0, netValue: 0, shortValue: 0, overValue: 0 });
@@ -0,0 +1,7 @@
+// Products belonging to a supplier record. Older products only carry the
+// free-text supplier_name, so fall back to matching on that.
+export const productsForSupplier = (products, supplier) =>
+  (products || []).filter(p =>
+    (p.supplier_id !== undefined && p.supplier_id !== null)
+      ? String(p.supplier_id) === String(supplier.id)
+      : p.supplier_name === supplier.name);